@@ -37,6 +37,8 @@ const intentCommand = require('../src/commands/intent');
 const migrateCommand = require('../src/commands/migrate');
 const configCommand = require('../src/commands/config');
 const deviceCommand = require('../src/commands/device');
+const sessionsCommand = require('../src/commands/sessions');
+const validateCommand = require('../src/commands/validate');
 
 // Prediction integration
 const { wrapWithPrediction } = require('../src/integrations/prediction');
@@ -54,8 +56,15 @@ const banner = `
 ╚═══════════════════════════════════════╝
 `;
 
-// Display banner
-console.log(chalk.cyan(banner));
+// Display banner (kept off stdout when a command prints JSON)
+const cliArgs = process.argv.slice(2);
+const formatIndex = cliArgs.indexOf('--format');
+const machineOutput = cliArgs.includes('--json') ||
+  (formatIndex !== -1 && ['json', 'ndjson'].includes(cliArgs[formatIndex + 1])) ||
+  cliArgs.some(arg => /^--format=(nd)?json$/.test(arg));
+if (!machineOutput) {
+  console.log(chalk.cyan(banner));
+}
 
 // Configure CLI
 program
@@ -66,18 +75,39 @@ program
 
 // Run command - main execution
 program
-  .command('run <task-file>')
-  .description('Run AI agents with a task configuration file')
+  .command('run [task-file]')
+  .description('Run AI agents with a task file (JSON, YAML or plan template)')
   .option('-a, --agents <number>', 'Number of agents to spawn', '3')
   .option('-b, --budget <amount>', 'Total budget in USD', '10')
+  .option('--budget-threshold <percent>', 'Percent of the budget at which to ask whether to continue (default: 80)')
   .option('-m, --mock', 'Run in mock mode (no API calls)')
-  .option('-w, --watch', 'Watch progress in real-time')
+  .option('-w, --watch', 'Watch progress in a live dashboard (plain lines when not a terminal)')
   .option('-o, --output <dir>', 'Output directory for results', './output')
   .option('-l, --use-local', 'Use local AI tool execution via adapters')
-  .option('--adapter <type>', 'AI adapter to use (claude-code, aider)', 'claude-code')
+  .option('--adapter <type>', 'AI adapter to use (claude-code, aider; default: plan defaultAgent or claude-code)')
   .option('--mode <mode>', 'Execution mode (hybrid, adapter, direct-tmux)', 'hybrid')
+  .option('--dry-run', 'Check dependencies and print the execution plan without running agents')
+  .option('--on-error <mode>', 'On task failure: continue, stop or prompt (default: plan errorHandling or continue)')
+  .option('--resume <output-dir>', 'Resume an interrupted run from its output directory')
+  .option('--only <ids>', 'Run only these tasks (comma-separated ids)')
+  .option('--skip <ids>', 'Skip these tasks (comma-separated ids)')
+  .option('--from <id>', 'Run this task and every task that depends on it')
+  .option('--rerun-failed <results-file>', 'Rerun the failed tasks of a previous session results file')
+  .option('--record', 'Record every orchestrator event and model response to a cassette in the output directory')
+  .option('--replay <cassette>', 'Replay a recorded cassette (file or output directory) without models or API keys')
+  .option('--format <format>', 'Output format: text (default), json (final report) or ndjson (event stream)')
+  .option('-j, --json', 'Shorthand for --format json')
+  .option('--fail-on <policy>', 'Which task failures fail the run: any (default) or critical')
+  .option('--junit <path>', 'Write a JUnit XML report of the tasks')
   .action(wrapWithPrediction(runCommand, 'run'));
 
+// Validate command - check task files against the schema
+program
+  .command('validate <task-file>')
+  .description('Validate a task file or plan template against the task schema')
+  .option('-j, --json', 'Output in JSON format')
+  .action(validateCommand);
+
 // Init command - setup project
 program
   .command('init')
@@ -126,10 +156,28 @@ program
 
 // Schedule command - manage scheduled tasks
 program
-  .command('schedule [subcommand]')
+  .command('schedule [subcommand] [args...]')
   .description('Manage scheduled tasks')
-  .action((subcommand, options) => {
-    scheduleCommand.execute(subcommand, options);
+  .option('-f, --file <path>', 'Schedule file for apply and run-local (run-local default: ./repochief.schedules.yaml)')
+  .option('--catch-up <policy>', 'Runs missed while the machine slept: once (default) or skip')
+  .option('--list', 'List the local schedules and their last runs without running them')
+  .option('--name <name>', 'Schedule name (create), template id (templates add)')
+  .option('--template <template>', 'Analysis template: built-in or workspace template id (create)')
+  .option('--project <project>', 'Project name or id (create)')
+  .option('--cron <expression>', 'Cron expression (create)')
+  .option('--config <key=value>', 'Template setting or parameter, repeatable (create)', (value, previous) => [...(previous || []), value])
+  .option('--tz <timezone>', 'IANA timezone the cron expression is read in (create, preview)')
+  .option('--count <n>', 'Number of upcoming runs to show (preview, default: 10)')
+  .option('--run <run-id>', 'Show the full report of one run (runs)')
+  .option('--trend [n]', 'Compare findings across the last n runs (runs, default: 10)')
+  .option('--logs', 'Show all log lines of a run (runs --run)')
+  .option('--out <dir>', 'Where to save artifacts (artifacts, default: ./schedule-run-<run-id>)')
+  .option('-j, --json', 'Output as JSON (runs, artifacts, templates)')
+  .option('--dry-run', 'Show the plan without applying it (apply)')
+  .option('--prune', 'Delete schedules of the file\'s projects that the file does not list (apply)')
+  .option('-y, --yes', 'Do not ask for confirmation (apply, delete, templates remove)')
+  .action((subcommand, args, options) => {
+    scheduleCommand.execute(subcommand, { _: args, ...options });
   });
 
 // Deployment command - monitor deployments
@@ -224,6 +272,9 @@ program
 // Device command - manage device registration
 program.addCommand(deviceCommand());
 
+// Sessions command - local run history
+program.addCommand(sessionsCommand());
+
 // Doctor command - system diagnostics
 program
   .command('doctor')
@@ -2,120 +2,354 @@
  * Agents Command - List and manage agent profiles
  */
 
+const fs = require('fs');
+const path = require('path');
 const chalk = require('chalk');
+const inquirer = require('inquirer');
 const { AgentTemplates } = require('@liftping/repochief-core');
+const {
+  loadAgentProfiles,
+  findAgentProfile,
+  saveAgentProfile,
+  getProfilesDir
+} = require('../utils/agent-profiles');
+const { CORE_TASK_TYPES } = require('../utils/task-file');
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
 
 /**
  * Format agent for display
  */
-function formatAgent(name, agent) {
+function formatAgent(name, agent, entry = {}) {
+  const constraints = agent.constraints || {};
+  const origin = entry.origin || 'built-in';
   const lines = [
-    chalk.blue(`\n${name}`),
-    chalk.gray('─'.repeat(40)),
-    `Role: ${chalk.yellow(agent.role)}`,
-    `Model: ${chalk.cyan(agent.model)}`,
-    `Capabilities: ${chalk.green(agent.capabilities.join(', '))}`,
-    `Max Tokens: ${chalk.magenta(agent.constraints.maxContextTokens.toLocaleString())}`,
-    `Temperature: ${chalk.gray(agent.constraints.temperature)}`
+    chalk.blue(`\n${name}`) + chalk.gray(` (${origin}${entry.overrides ? `, overrides ${entry.overrides}` : ''})`),
+    chalk.gray('─'.repeat(40))
   ];
   
-  if (agent.constraints.preferredLanguages) {
-    lines.push(`Languages: ${chalk.blue(agent.constraints.preferredLanguages.join(', '))}`);
+  if (agent.description) {
+    lines.push(chalk.gray(agent.description));
+  }
+  
+  lines.push(
+    `Role: ${chalk.yellow(agent.role || '-')}`,
+    `Model: ${chalk.cyan(agent.model)}`,
+    `Capabilities: ${chalk.green((agent.capabilities || []).join(', '))}`
+  );
+  
+  if (constraints.maxContextTokens) {
+    lines.push(`Max Tokens: ${chalk.magenta(constraints.maxContextTokens.toLocaleString())}`);
+  }
+  
+  if (constraints.temperature !== undefined) {
+    lines.push(`Temperature: ${chalk.gray(constraints.temperature)}`);
+  }
+  
+  if (constraints.preferredLanguages) {
+    lines.push(`Languages: ${chalk.blue(constraints.preferredLanguages.join(', '))}`);
   }
   
-  if (agent.constraints.specializations) {
-    lines.push(`Specializations: ${chalk.green(agent.constraints.specializations.join(', '))}`);
+  if (constraints.specializations) {
+    lines.push(`Specializations: ${chalk.green(constraints.specializations.join(', '))}`);
+  }
+  
+  if (entry.path) {
+    lines.push(`File: ${chalk.gray(entry.path)}`);
   }
   
   return lines.join('\n');
 }
 
+/**
+ * Split a comma-separated answer into a list
+ */
+function parseList(input) {
+  return String(input || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Ask for the profile fields, using an existing profile as defaults
+ */
+async function promptProfileFields(defaults) {
+  const constraints = defaults.constraints || {};
+  const currentCapabilities = defaults.capabilities || [];
+  const extraCapabilities = currentCapabilities.filter(c => !CORE_TASK_TYPES.includes(c));
+  
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'description',
+      message: 'Description (optional):',
+      default: defaults.description || undefined
+    },
+    {
+      type: 'input',
+      name: 'role',
+      message: 'Role:',
+      default: defaults.role || 'code_generator',
+      validate: input => input.trim().length > 0 || 'Role is required'
+    },
+    {
+      type: 'input',
+      name: 'model',
+      message: 'Model:',
+      default: defaults.model || 'gpt-4o',
+      validate: input => input.trim().length > 0 || 'Model is required'
+    },
+    {
+      type: 'checkbox',
+      name: 'capabilities',
+      message: 'Task types this agent handles:',
+      choices: CORE_TASK_TYPES.map(type => ({ name: type, checked: currentCapabilities.includes(type) }))
+    },
+    {
+      type: 'input',
+      name: 'extraCapabilities',
+      message: 'Other capabilities (comma-separated, optional):',
+      default: extraCapabilities.join(', ') || undefined,
+      validate: (input, partial) => (partial.capabilities.length + parseList(input).length > 0) ||
+        'Select at least one task type or enter a capability'
+    },
+    {
+      type: 'number',
+      name: 'maxContextTokens',
+      message: 'Max context tokens:',
+      default: constraints.maxContextTokens || 128000,
+      validate: input => (Number.isInteger(input) && input > 0) || 'Enter a positive whole number'
+    },
+    {
+      type: 'number',
+      name: 'temperature',
+      message: 'Temperature (0-2):',
+      default: constraints.temperature !== undefined ? constraints.temperature : 0.7,
+      validate: input => (typeof input === 'number' && input >= 0 && input <= 2) || 'Enter a number between 0 and 2'
+    },
+    {
+      type: 'input',
+      name: 'preferredLanguages',
+      message: 'Preferred languages (comma-separated, optional):',
+      default: (constraints.preferredLanguages || []).join(', ') || undefined
+    },
+    {
+      type: 'input',
+      name: 'specializations',
+      message: 'Specializations (comma-separated, optional):',
+      default: (constraints.specializations || []).join(', ') || undefined
+    }
+  ]);
+  
+  const profile = {
+    role: answers.role.trim(),
+    model: answers.model.trim(),
+    capabilities: [...new Set([...answers.capabilities, ...parseList(answers.extraCapabilities)])],
+    constraints: {
+      ...constraints,
+      maxContextTokens: answers.maxContextTokens,
+      temperature: answers.temperature
+    }
+  };
+  
+  const description = (answers.description || '').trim();
+  if (description) {
+    profile.description = description;
+  }
+  
+  for (const key of ['preferredLanguages', 'specializations']) {
+    const values = parseList(answers[key]);
+    if (values.length > 0) {
+      profile.constraints[key] = values;
+    } else {
+      delete profile.constraints[key];
+    }
+  }
+  
+  return profile;
+}
+
+/**
+ * Make sure the wizard can prompt
+ */
+function requireInteractive(flag) {
+  if (!process.stdin.isTTY) {
+    throw new Error(`agents ${flag} needs an interactive terminal (create profiles as JSON files in agents/ instead)`);
+  }
+}
+
+/**
+ * Interactive wizard for a new custom profile
+ */
+async function createProfile(profiles) {
+  requireInteractive('--create');
+  console.log(chalk.blue('\n🤖 Create Agent Profile\n'));
+  
+  const { name, base, scope } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'name',
+      message: 'Profile name:',
+      validate: input => PROFILE_NAME_PATTERN.test(input) || 'Use letters, numbers, "-" and "_" (e.g. my-expert)'
+    },
+    {
+      type: 'list',
+      name: 'base',
+      message: 'Start from:',
+      choices: [
+        { name: 'Blank profile', value: null },
+        ...[...profiles.values()].map(entry => ({
+          name: `${entry.name} (${entry.origin})`,
+          value: entry.name
+        }))
+      ]
+    },
+    {
+      type: 'list',
+      name: 'scope',
+      message: 'Save to:',
+      choices: [
+        { name: `This project (${getProfilesDir('project')})`, value: 'project' },
+        { name: `All projects (${getProfilesDir('user')})`, value: 'user' }
+      ],
+      default: 'project'
+    }
+  ]);
+  
+  const existingPath = path.join(getProfilesDir(scope), `${name}.json`);
+  if (fs.existsSync(existingPath)) {
+    const { overwrite } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'overwrite',
+      message: `Profile "${name}" already exists at ${existingPath}. Overwrite?`,
+      default: false
+    }]);
+    if (!overwrite) {
+      console.log(chalk.gray('\nNo changes made.\n'));
+      return;
+    }
+  }
+  
+  const defaults = base ? profiles.get(base).profile : {};
+  const fields = await promptProfileFields(defaults);
+  const filePath = saveAgentProfile({ name, ...fields }, { scope });
+  
+  console.log(chalk.green(`\n✅ Created agent profile "${name}"`));
+  console.log(chalk.gray(`  File: ${filePath}`));
+  console.log(chalk.gray('\nUse it in a task file:'));
+  console.log(chalk.gray(`  agents:\n    - name: ${name}-1\n      template: ${name}\n`));
+}
+
+/**
+ * Interactive editing of a custom profile (built-ins are copied to the project first)
+ */
+async function editProfile(name, profiles) {
+  const entry = findAgentProfile(profiles, name);
+  
+  if (!entry) {
+    console.error(chalk.red(`\n❌ Agent profile "${name}" not found\n`));
+    console.log(chalk.yellow('Available profiles:'));
+    profiles.forEach(profile => {
+      console.log(chalk.gray(`  - ${profile.name} (${profile.origin})`));
+    });
+    console.log();
+    return;
+  }
+  
+  requireInteractive('--edit');
+  
+  let target = { path: entry.path };
+  let original = entry.profile;
+  if (entry.origin === 'built-in') {
+    const { copy } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'copy',
+      message: `"${entry.name}" is a built-in profile. Save an edited copy to ${getProfilesDir('project')}?`,
+      default: true
+    }]);
+    if (!copy) {
+      console.log(chalk.gray('\nNo changes made.\n'));
+      return;
+    }
+    target = { scope: 'project' };
+    original = { name: entry.name, ...entry.profile };
+  }
+  
+  console.log(chalk.blue(`\n✏️  Edit Agent Profile: ${entry.name}\n`));
+  const fields = await promptProfileFields(original);
+  
+  // Keep fields the wizard does not ask about
+  const updated = { ...original, ...fields, name: entry.name };
+  if (!fields.description) {
+    delete updated.description;
+  }
+  
+  const filePath = saveAgentProfile(updated, target);
+  console.log(chalk.green(`\n✅ Saved agent profile "${entry.name}"`));
+  console.log(chalk.gray(`  File: ${filePath}\n`));
+}
+
+/**
+ * List built-in and custom profiles
+ */
+function listProfiles(profiles, invalid, options) {
+  if (options.json) {
+    const output = {};
+    profiles.forEach(entry => {
+      output[entry.name] = {
+        ...entry.profile,
+        origin: entry.origin,
+        ...(entry.path ? { path: entry.path } : {}),
+        ...(entry.overrides ? { overrides: entry.overrides } : {})
+      };
+    });
+    console.log(JSON.stringify(output, null, 2));
+    return;
+  }
+  
+  console.log(chalk.blue('\n🤖 Available Agent Profiles\n'));
+  
+  profiles.forEach(entry => {
+    console.log(formatAgent(entry.name, entry.profile, entry));
+  });
+  
+  const custom = [...profiles.values()].filter(entry => entry.origin !== 'built-in').length;
+  console.log(chalk.gray('\n' + '─'.repeat(40)));
+  console.log(chalk.gray(`\nTotal: ${profiles.size} agent profiles (${custom} custom)`));
+  
+  if (invalid.length > 0) {
+    console.log(chalk.yellow(`\n⚠️  Skipped ${invalid.length} invalid profile(s):`));
+    invalid.forEach(entry => {
+      console.log(chalk.yellow(`  ${entry.path}`));
+      entry.errors.forEach(error => console.log(chalk.gray(`    ${error}`)));
+    });
+  }
+  
+  console.log(chalk.yellow('\nTip: Reference profiles by name in a task file roster (agents: [{ name, template }])'));
+  console.log(chalk.gray('Create your own with: repochief agents --create\n'));
+}
+
 /**
  * Agents command handler
  */
 async function agentsCommand(options) {
   try {
-    // List mode
-    if (!options.create && !options.edit) {
-      console.log(chalk.blue('\n🤖 Available Agent Profiles\n'));
-      
-      const agents = Object.entries(AgentTemplates);
-      
-      if (options.json) {
-        // JSON output
-        const output = {};
-        agents.forEach(([name, profile]) => {
-          output[name] = profile;
-        });
-        console.log(JSON.stringify(output, null, 2));
-      } else {
-        // Formatted output
-        agents.forEach(([name, profile]) => {
-          console.log(formatAgent(name, profile));
-        });
-        
-        console.log(chalk.gray('\n─'.repeat(40)));
-        console.log(chalk.gray(`\nTotal: ${agents.length} agent profiles`));
-        console.log(chalk.yellow('\nTip: Use these profiles when creating agents in your orchestrator'));
-        console.log(chalk.gray('Example: orchestrator.createAgent({ name: "my-dev", ...AgentTemplates.SENIOR_DEVELOPER })\n'));
-      }
-      
-      return;
-    }
+    const { profiles, invalid } = loadAgentProfiles(AgentTemplates);
     
-    // Create mode
     if (options.create) {
-      console.log(chalk.yellow('\n🚧 Agent creation wizard coming soon!\n'));
-      console.log(chalk.gray('For now, create custom agents by editing JSON files in your project\'s agents/ directory.\n'));
-      
-      // Show example
-      console.log(chalk.blue('Example custom agent (save as agents/my-expert.json):'));
-      console.log(chalk.gray(JSON.stringify({
-        name: 'my-expert',
-        role: 'code_generator',
-        model: 'gpt-4o',
-        capabilities: ['generation', 'comprehension', 'debugging'],
-        constraints: {
-          maxContextTokens: 100000,
-          temperature: 0.7,
-          preferredLanguages: ['Python', 'JavaScript'],
-          specializations: ['machine-learning', 'data-science']
-        }
-      }, null, 2)));
-      console.log();
-      
+      await createProfile(profiles);
       return;
     }
     
-    // Edit mode
     if (options.edit) {
-      const agentName = options.edit.toUpperCase().replace(/-/g, '_');
-      
-      if (!AgentTemplates[agentName]) {
-        console.error(chalk.red(`\n❌ Agent profile "${options.edit}" not found\n`));
-        console.log(chalk.yellow('Available profiles:'));
-        Object.keys(AgentTemplates).forEach(name => {
-          console.log(chalk.gray(`  - ${name.toLowerCase().replace(/_/g, '-')}`));
-        });
-        console.log();
-        return;
-      }
-      
-      console.log(chalk.yellow('\n🚧 Agent editing coming soon!\n'));
-      console.log(chalk.gray('For now, you can create a custom agent based on this profile:\n'));
-      
-      const agent = AgentTemplates[agentName];
-      console.log(chalk.blue(`Original ${agentName} profile:`));
-      console.log(chalk.gray(JSON.stringify(agent, null, 2)));
-      console.log();
-      
+      await editProfile(options.edit, profiles);
       return;
     }
     
+    listProfiles(profiles, invalid, options);
+  
   } catch (error) {
     console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
     process.exit(1);
   }
 }
 
-module.exports = agentsCommand;
\ No newline at end of file
+module.exports = agentsCommand;
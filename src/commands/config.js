@@ -6,6 +6,7 @@
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const ConfigManager = require('@liftping/repochief-core/src/config/ConfigManager');
+const { DEFAULT_ALERT_THRESHOLD } = require('../utils/budget-guard');
 
 class ConfigCommand {
     constructor() {
@@ -362,12 +363,14 @@ class ConfigCommand {
 
     async configureBudget() {
         const currentBudget = await this.configManager.getBudgetConfig();
+        const currentThreshold = await this.configManager.get('budgetAlertThreshold') || DEFAULT_ALERT_THRESHOLD;
         
         console.log(chalk.cyan('\n💰 Budget Configuration\n'));
         console.log(chalk.gray('Current budget limits:'));
         console.log(chalk.gray(`  Total: $${currentBudget.totalBudget}`));
         console.log(chalk.gray(`  Daily: $${currentBudget.dailyBudget}`));
-        console.log(chalk.gray(`  Per Task: $${currentBudget.perTaskBudget}\n`));
+        console.log(chalk.gray(`  Per Task: $${currentBudget.perTaskBudget}`));
+        console.log(chalk.gray(`  Alert at: ${currentThreshold}%\n`));
 
         const questions = [
             {
@@ -390,6 +393,13 @@ class ConfigCommand {
                 message: 'Per-task budget limit ($):',
                 default: currentBudget.perTaskBudget,
                 validate: (input) => input > 0 || 'Budget must be greater than 0'
+            },
+            {
+                type: 'number',
+                name: 'budgetAlertThreshold',
+                message: 'Ask whether to continue once a run has spent this % of its budget:',
+                default: currentThreshold,
+                validate: (input) => (input > 0 && input <= 100) || 'Enter a percentage between 1 and 100'
             }
         ];
 
@@ -398,6 +408,7 @@ class ConfigCommand {
         await this.configManager.set('totalBudget', answers.totalBudget);
         await this.configManager.set('dailyBudget', answers.dailyBudget);
         await this.configManager.set('perTaskBudget', answers.perTaskBudget);
+        await this.configManager.set('budgetAlertThreshold', answers.budgetAlertThreshold);
 
         console.log(chalk.green('\n✅ Budget configuration saved!\n'));
     }
@@ -451,6 +462,7 @@ class ConfigCommand {
         console.log(chalk.gray(`  Total: $${config.totalBudget || 100}`));
         console.log(chalk.gray(`  Daily: $${config.dailyBudget || 50}`));
         console.log(chalk.gray(`  Per Task: $${config.perTaskBudget || 10}`));
+        console.log(chalk.gray(`  Alert at: ${config.budgetAlertThreshold || DEFAULT_ALERT_THRESHOLD}%`));
         console.log();
 
         // Performance
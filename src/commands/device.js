@@ -9,6 +9,8 @@ const chalk = require('chalk');
 const ora = require('ora');
 const inquirer = require('inquirer');
 const os = require('os');
+const fs = require('fs');
+const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
@@ -16,50 +18,89 @@ const execAsync = promisify(exec);
 const { getDeviceId, getDeviceInfo, setToken, getToken, clearDevice } = require('../utils/device');
 const { getWorkspaceAuth } = require('../auth/AuthManager');
 const { APIClient } = require('../utils/api-client');
+const { DeviceWorkerPool, parseConcurrency } = require('../utils/device-worker-pool');
+const {
+  loadProbePlugins,
+  detectCapabilities: runCapabilityProbes
+} = require('../utils/capability-probes');
+const { getPolicyPath, loadDevicePolicy, evaluateTask, applyTokenLimit } = require('../utils/device-policy');
+const {
+  DEFAULT_RETENTION_HOURS,
+  parseKeepPolicy,
+  createTaskWorkspace,
+  captureWorkspacePatch,
+  releaseTaskWorkspace,
+  pruneTaskWorkspaces
+} = require('../utils/task-workspace');
+const {
+  SERVICE_NAME,
+  getServicePaths,
+  readPid,
+  readState,
+  readLogTail,
+  buildSystemdUnit,
+  startStatusServer,
+  queryStatus,
+  spawnDetachedSupervisor,
+  RotatingLog,
+  DeviceSupervisor
+} = require('../utils/device-service');
+const { parseDeliveryMode, backoffDelay, TaskStreamChannel } = require('../utils/task-channel');
+const { isProcessAlive } = require('../utils/process');
+
+// While the task stream is up, polling is only a safety net
+const STREAM_POLL_INTERVAL = 5 * 60 * 1000;
 
 /**
- * Detect installed AI tools on the system
+ * Detect tools, hardware and API keys with the capability probes (built-in
+ * ones plus plugins from ~/.repochief/capability-probes)
  */
-async function detectCapabilities() {
-  const capabilities = [];
-  const tools = [];
-  
-  // Check for Claude Code
-  try {
-    await execAsync('which claude-code');
-    capabilities.push('claude-code');
-    tools.push({ name: 'Claude Code', version: 'latest', type: 'claude-code' });
-  } catch (e) {
-    // Claude Code not found
-  }
+async function detectCapabilities({ cwd } = {}) {
+  loadProbePlugins().forEach(problem => {
+    console.warn(chalk.yellow(`⚠️  Capability probe not loaded: ${problem}`));
+  });
   
-  // Check for Aider
-  try {
-    const { stdout } = await execAsync('aider --version 2>/dev/null');
-    const version = stdout.trim().split(' ')[1] || 'unknown';
-    capabilities.push('aider');
-    tools.push({ name: 'Aider', version, type: 'aider' });
-  } catch (e) {
-    // Aider not found
-  }
+  const detected = await runCapabilityProbes({ cwd });
+  detected.warnings.forEach(warning => console.warn(chalk.yellow(`⚠️  ${warning}`)));
+  return detected;
+}
+
+/**
+ * Print detected tools by category, plus hardware and API keys
+ */
+function printCapabilities({ tools, hardware, apiKeys }) {
+  const categories = {
+    'ai-tool': 'AI Tools',
+    runtime: 'Runtimes',
+    'package-manager': 'Package Managers',
+    container: 'Containers',
+    'test-framework': 'Test Frameworks'
+  };
+  const grouped = tools.reduce((groups, tool) => {
+    const title = categories[tool.category] || 'Other Tools';
+    (groups[title] = groups[title] || []).push(tool);
+    return groups;
+  }, {});
   
-  // Check for tmux (required for orchestration)
-  try {
-    await execAsync('which tmux');
-    capabilities.push('tmux');
-  } catch (e) {
-    console.warn(chalk.yellow('⚠️  tmux not found - required for AI tool orchestration'));
+  console.log(chalk.blue('\n📦 Detected AI Tools:'));
+  if (grouped['AI Tools']) {
+    grouped['AI Tools'].forEach(tool => {
+      console.log(chalk.gray(`  • ${tool.name} (${tool.version})`));
+    });
+  } else {
+    console.log(chalk.yellow('  No AI tools detected'));
+    console.log(chalk.gray('  Install Claude Code or Aider to enable local execution'));
   }
   
-  // Check for git
-  try {
-    await execAsync('which git');
-    capabilities.push('git');
-  } catch (e) {
-    // Git not found
-  }
+  Object.entries(grouped).filter(([title]) => title !== 'AI Tools').forEach(([title, group]) => {
+    console.log(chalk.blue(`\n${title}:`));
+    console.log(chalk.gray(`  ${group.map(tool => `${tool.name} ${tool.version}`).join(', ')}`));
+  });
   
-  return { capabilities, tools };
+  console.log(chalk.blue('\nHardware:'));
+  console.log(chalk.gray(`  ${hardware.cpus} CPU${hardware.cpus === 1 ? '' : 's'}${hardware.cpuModel ? ` (${hardware.cpuModel})` : ''}, ${(hardware.memory / 1024 ** 3).toFixed(1)} GB memory`));
+  console.log(chalk.blue('\nAPI Keys:'));
+  console.log(chalk.gray(`  ${apiKeys.length > 0 ? apiKeys.join(', ') : 'none in the environment'}`));
 }
 
 /**
@@ -82,19 +123,12 @@ async function registerDevice(options) {
     const deviceInfo = await getDeviceInfo();
     
     // Detect capabilities
-    const { capabilities, tools } = await detectCapabilities();
+    const detected = await detectCapabilities();
+    const { capabilities, tools, hardware, apiKeys } = detected;
     spinner.succeed('Device capabilities detected');
     
     // Display detected tools
-    console.log(chalk.blue('\n📦 Detected AI Tools:'));
-    if (tools.length > 0) {
-      tools.forEach(tool => {
-        console.log(chalk.gray(`  • ${tool.name} (${tool.version})`));
-      });
-    } else {
-      console.log(chalk.yellow('  No AI tools detected'));
-      console.log(chalk.gray('  Install Claude Code or Aider to enable local execution'));
-    }
+    printCapabilities(detected);
     
     // Prompt for device name if not provided
     let deviceName = options.name;
@@ -121,6 +155,8 @@ async function registerDevice(options) {
       nodeVersion: deviceInfo.nodeVersion || process.version,
       capabilities,
       tools,
+      hardware,
+      apiKeys,
       workspaceId: workspaceAuth.workspace.id
     };
     
@@ -284,156 +320,547 @@ async function removeDevice(options) {
   }
 }
 
+// Approval prompts are asked one at a time, even with several free slots
+let approvalQueue = Promise.resolve();
+
+/**
+ * Ask the person at the device whether to run a task the policy flagged
+ * @returns {Promise<string|null>} Why the task is not run, or null if approved
+ */
+function requestApproval(task, reasons, timeout) {
+  if (!process.stdin.isTTY) {
+    return Promise.resolve(`Needs approval (${reasons.join('; ')}) but the device has no terminal to ask on`);
+  }
+  
+  const ask = async () => {
+    console.log(chalk.yellow(`\n✋ Task ${task.id} needs approval: ${reasons.join('; ')}`));
+    console.log(chalk.gray(`  Type: ${task.type}, adapter: ${task.adapterType || 'claude-code'}${task.budget !== undefined ? `, budget: $${task.budget}` : ''}`));
+    console.log(chalk.gray(`  Objective: ${task.objective}`));
+    
+    const prompt = inquirer.prompt([{
+      type: 'confirm',
+      name: 'approve',
+      message: `Run task ${task.id}? (auto-declines in ${Math.round(timeout / 1000)}s)`,
+      default: false
+    }]);
+    let timer;
+    const expired = new Promise(resolve => {
+      timer = setTimeout(() => {
+        prompt.ui.close();
+        resolve(null);
+      }, timeout);
+    });
+    const answer = await Promise.race([prompt, expired]);
+    clearTimeout(timer);
+    
+    if (!answer) {
+      return 'Approval timed out';
+    }
+    return answer.approve ? null : 'Declined on the device';
+  };
+  
+  const decision = approvalQueue.then(ask);
+  approvalQueue = decision.catch(() => {});
+  return decision;
+}
+
+/**
+ * Run one cloud task on its own orchestrator, in its own git worktree, so no
+ * state carries over between tasks and the developer's checkout is never
+ * touched. The device policy's approval and limits apply.
+ * @returns {Promise<Object>} { result, patch }; errors carry error.patch, or
+ * error.rejected when the task was not run
+ */
+async function executeCloudTask(task, context, { deviceId, apiClient, workspaceOptions, decision }) {
+  const { limits, approvalReasons } = decision;
+  
+  if (approvalReasons.length > 0) {
+    const declined = await requestApproval(task, approvalReasons, decision.approvalTimeout);
+    if (declined) {
+      const error = new Error(declined);
+      error.rejected = true;
+      throw error;
+    }
+  }
+  
+  const { AIAgentOrchestratorV2 } = require('@liftping/repochief-core');
+  
+  const workspace = await createTaskWorkspace(task, { repoPath: workspaceOptions.repoPath });
+  console.log(chalk.gray(`  Workspace: ${workspace.path}`));
+  const isolatedTask = applyTokenLimit({ ...task, workingDirectory: workspace.path }, limits.maxTokens);
+  
+  const orchestrator = new AIAgentOrchestratorV2({
+    sessionName: `device-${deviceId}-${task.id}`,
+    executionMode: 'adapter',
+    useLocalExecution: true,
+    workingDirectory: workspace.path,
+    ...(decision.budget !== null ? { totalBudget: decision.budget } : {}),
+    adapterType: task.adapterType || 'claude-code' // Default to Claude Code
+  });
+  context.cleanup.push(() => orchestrator.shutdown());
+  
+  let status = 'failed';
+  let patch = null;
+  let timer = null;
+  try {
+    await orchestrator.initialize();
+    
+    // Update task status to running
+    await apiClient.put(`/tasks/${task.id}/status`, {
+      status: 'running',
+      deviceId
+    });
+    
+    await orchestrator.createAgent({
+      name: `device-agent-${task.id}`,
+      useAdapter: true,
+      adapterType: task.adapterType || 'claude-code'
+    });
+    
+    await orchestrator.queueTask(isolatedTask);
+    await orchestrator.startExecution();
+    
+    // Wall-clock limit from the device policy
+    const timedOut = new Promise((resolve, reject) => {
+      if (limits.timeout) {
+        timer = setTimeout(() => {
+          reject(new Error(`Task exceeded the device time limit of ${Math.round(limits.timeout / 1000)}s`));
+        }, limits.timeout);
+      }
+    });
+    await Promise.race([orchestrator.waitForCompletion(), timedOut]);
+    
+    const taskResult = orchestrator.getResults().find(r => r.taskId === task.id);
+    patch = await captureWorkspacePatch(workspace);
+    const tokensUsed = taskResult?.result?.tokensUsed || 0;
+    if (taskResult?.status === 'completed' && limits.maxTokens && tokensUsed > limits.maxTokens) {
+      throw new Error(`Task used ${tokensUsed.toLocaleString()} tokens, over the device limit of ${limits.maxTokens.toLocaleString()}`);
+    }
+    if (taskResult?.status !== 'completed') {
+      const error = new Error(taskResult?.error?.message || taskResult?.error || 'Task execution failed');
+      error.result = taskResult?.result;
+      throw error;
+    }
+    status = 'completed';
+    return { result: taskResult.result, patch };
+    
+  } catch (error) {
+    // Upload whatever the task changed before it failed
+    error.patch = patch || await captureWorkspacePatch(workspace).catch(() => null);
+    throw error;
+    
+  } finally {
+    clearTimeout(timer);
+    await orchestrator.shutdown();
+    try {
+      const kept = await releaseTaskWorkspace(workspace, status, workspaceOptions.keep);
+      if (kept) {
+        console.log(chalk.gray(`  Kept workspace of ${task.id}: ${workspace.path}`));
+      }
+    } catch (error) {
+      console.error(chalk.yellow(`⚠️  Could not clean up workspace ${workspace.path}: ${error.message}`));
+    }
+  }
+}
+
+/**
+ * Device and workspace `device poll` runs as (null, after saying why, when
+ * the device is not registered or no workspace is logged in)
+ */
+async function loadDeviceSession() {
+  const deviceId = await getDeviceId();
+  const deviceToken = await getToken(deviceId);
+  
+  if (!deviceToken) {
+    console.log(chalk.red('❌ Device not registered'));
+    console.log(chalk.yellow('Run "repochief device register" first'));
+    return null;
+  }
+  
+  const workspaceAuth = await getWorkspaceAuth();
+  if (!workspaceAuth || !workspaceAuth.workspace) {
+    console.log(chalk.red('❌ Not authenticated to a workspace'));
+    return null;
+  }
+  
+  return { deviceId, workspaceAuth };
+}
+
 /**
  * Poll for tasks (long-running process)
+ *
+ * Tasks run in a worker pool of --concurrency slots. Each poll only claims as
+ * many tasks as there are free slots, and polling carries on while tasks run.
+ * With --delivery stream (the default) the cloud announces new tasks over a
+ * Server-Sent Events stream, and interval polling only takes over while the
+ * stream is down or when the server does not offer one.
+ *
+ * @param {Object} options - Command options
+ * @param {Object} services - Stand-ins for tests: session ({ deviceId, workspaceAuth }),
+ *   apiClient, detectCapabilities and executeTask (default to the real ones)
+ * @returns {Promise<Function>} Shutdown handler (also bound to SIGINT)
  */
-async function pollForTasks(options) {
+async function pollForTasks(options, services = {}) {
   console.log(chalk.blue('🔄 Starting device polling service...'));
   
   try {
-    // Get device ID and token
-    const deviceId = await getDeviceId();
-    const deviceToken = await getToken(deviceId);
-    
-    if (!deviceToken) {
-      console.log(chalk.red('❌ Device not registered'));
-      console.log(chalk.yellow('Run "repochief device register" first'));
-      return;
+    const concurrency = parseConcurrency(options.concurrency);
+    const delivery = parseDeliveryMode(options.delivery);
+    const workspaceOptions = {
+      repoPath: path.resolve(options.repo || process.cwd()),
+      keep: parseKeepPolicy(options.keepWorktrees),
+      retentionHours: options.worktreeRetention !== undefined ? parseFloat(options.worktreeRetention) : DEFAULT_RETENTION_HOURS
+    };
+    if (Number.isNaN(workspaceOptions.retentionHours) || workspaceOptions.retentionHours < 0) {
+      throw new Error(`Invalid worktree retention "${options.worktreeRetention}" (expected hours)`);
     }
     
-    // Get workspace authentication
-    const workspaceAuth = await getWorkspaceAuth();
-    if (!workspaceAuth || !workspaceAuth.workspace) {
-      console.log(chalk.red('❌ Not authenticated to a workspace'));
+    const session = services.session || await loadDeviceSession();
+    if (!session) {
       return;
     }
+    const { deviceId, workspaceAuth } = session;
     
     console.log(chalk.gray(`Device ID: ${deviceId}`));
     console.log(chalk.gray(`Workspace: ${workspaceAuth.workspace.slug}`));
+    console.log(chalk.gray(`Concurrency: ${concurrency} task${concurrency === 1 ? '' : 's'}`));
+    console.log(chalk.gray(`Repository: ${workspaceOptions.repoPath} (one worktree per task, keep: ${workspaceOptions.keep})`));
+    
+    // Which tasks this device accepts; edits to the file apply from the next poll
+    let policy = loadDevicePolicy();
+    console.log(chalk.gray(`Policy: ${policy.path || 'none (accepting every task)'}`));
+    const refreshPolicy = (current) => {
+      const policyPath = getPolicyPath();
+      const mtime = fs.existsSync(policyPath) ? fs.statSync(policyPath).mtimeMs : null;
+      if (mtime === current.mtime) {
+        return current;
+      }
+      try {
+        const updated = loadDevicePolicy(policyPath);
+        console.log(chalk.gray(`🔁 Reloaded device policy (${updated.path || 'removed, accepting every task'})`));
+        return updated;
+      } catch (error) {
+        console.error(chalk.yellow(`⚠️  ${error.message} (keeping the previous policy)`));
+        return { ...current, mtime };
+      }
+    };
     console.log(chalk.gray('Press Ctrl+C to stop polling\n'));
     
     // Polling configuration
-    const pollInterval = options.interval || 30000; // 30 seconds default
+    const pollInterval = parseInt(options.interval) || 30000; // 30 seconds default
     let consecutiveErrors = 0;
-    const maxErrors = 5;
+    let stopping = false;
+    let pollTimer = null;
+    let heartbeatTimer = null;
+    let channel = null;
     
     // Create API client with workspace API key
-    const apiClient = new APIClient(workspaceAuth.apiKey);
+    const apiClient = services.apiClient || new APIClient(workspaceAuth.apiKey);
+    const runTask = services.executeTask || executeCloudTask;
+    
+    // Keep the cloud's device record current without re-registering
+    try {
+      const { capabilities, tools, hardware, apiKeys } = await (services.detectCapabilities || detectCapabilities)({ cwd: workspaceOptions.repoPath });
+      await apiClient.patch(`/devices/${deviceId}`, {
+        capabilities,
+        tools,
+        hardware,
+        apiKeys,
+        nodeVersion: process.version,
+        capabilitiesUpdatedAt: new Date().toISOString()
+      });
+      console.log(chalk.gray(`Capabilities: ${capabilities.join(', ') || 'none'}`));
+    } catch (error) {
+      console.error(chalk.yellow(`⚠️  Could not update device capabilities: ${error.message}`));
+    }
     
-    // Import orchestrator for task execution
-    const { AIAgentOrchestratorV2 } = require('@liftping/repochief-core');
+    // Policy decisions of tasks about to start, by task id
+    const decisions = new Map();
     
-    // Create orchestrator instance
-    const orchestrator = new AIAgentOrchestratorV2({
-      sessionName: `device-${deviceId}`,
-      executionMode: 'adapter',
-      useLocalExecution: true,
-      adapterType: 'claude-code' // Default to Claude Code
+    const pool = new DeviceWorkerPool({
+      concurrency,
+      executeTask: (task, context) => {
+        const decision = decisions.get(task.id);
+        decisions.delete(task.id);
+        return runTask(task, context, { deviceId, apiClient, workspaceOptions, decision });
+      }
     });
     
-    await orchestrator.initialize();
+    // What `device status` shows when the poller runs as a service
+    const stats = {
+      startedAt: new Date().toISOString(),
+      lastPollAt: null,
+      lastHeartbeatAt: null,
+      completed: 0,
+      failed: 0,
+      rejected: 0
+    };
+    if (options.statusSocket) {
+      await startStatusServer(() => ({
+        pid: process.pid,
+        deviceId,
+        workspace: workspaceAuth.workspace.slug,
+        ...stats,
+        stopping,
+        consecutiveErrors,
+        delivery: channel && channel.connected ? 'stream' : 'interval',
+        slots: pool.getSlots(),
+        running: Array.from(pool.running.values()).map(({ task, startedAt }) => ({
+          id: task.id,
+          type: task.type,
+          objective: task.objective,
+          startedAt: new Date(startedAt).toISOString()
+        }))
+      }), options.statusSocket);
+    }
+    
+    // Heartbeats tell the cloud how many more tasks this device can take
+    const sendHeartbeat = async (status = 'online') => {
+      const slots = pool.getSlots();
+      await apiClient.put(`/devices/${deviceId}/heartbeat`, {
+        status,
+        timestamp: new Date().toISOString(),
+        slots: { total: slots.total, active: slots.active, free: slots.free },
+        activeTasks: slots.tasks
+      });
+      stats.lastHeartbeatAt = new Date().toISOString();
+    };
+    
+    pool.on('taskStarted', ({ task }) => {
+      console.log(chalk.green(`\n📋 New task received: ${task.id}`) + chalk.gray(` (${pool.active}/${concurrency} slots busy)`));
+      console.log(chalk.gray(`  Type: ${task.type}`));
+      console.log(chalk.gray(`  Objective: ${task.objective}`));
+    });
+    
+    // Status reports still in flight, awaited before the service exits
+    const pendingReports = new Set();
+    const reportStatus = (taskId, body) => {
+      const request = apiClient.put(`/tasks/${taskId}/status`, { ...body, deviceId })
+        .catch(error => {
+          console.error(chalk.yellow(`⚠️  Could not report task ${taskId}: ${error.message}`));
+        })
+        .finally(() => pendingReports.delete(request));
+      pendingReports.add(request);
+      return request;
+    };
+    
+    // The task's changes go up with its status (the local patch path stays here)
+    const uploadPatch = (patch) => {
+      if (!patch) {
+        return {};
+      }
+      const { localPath, ...upload } = patch;
+      if (patch.truncated) {
+        console.log(chalk.yellow(`⚠️  Patch too large to upload, saved at ${localPath}`));
+      }
+      return { patch: upload };
+    };
+    
+    pool.on('taskFinished', ({ task, result: outcome }) => {
+      console.log(chalk.green(`✅ Task ${task.id} completed`) +
+        chalk.gray(` (${outcome.patch.files.length} files changed, +${outcome.patch.insertions} -${outcome.patch.deletions})`));
+      stats.completed++;
+      reportStatus(task.id, { status: 'completed', result: outcome.result, ...uploadPatch(outcome.patch) });
+    });
+    
+    const rejectTask = (task, reason) => {
+      console.log(chalk.yellow(`🚫 Task ${task.id} rejected: ${reason}`));
+      stats.rejected++;
+      return reportStatus(task.id, { status: 'rejected', reason });
+    };
+    
+    pool.on('taskFailed', ({ task, error }) => {
+      if (error.rejected) {
+        rejectTask(task, error.message);
+        return;
+      }
+      console.error(chalk.red(`❌ Task ${task.id} failed: ${error.message}`));
+      stats.failed++;
+      reportStatus(task.id, {
+        status: 'failed',
+        error: error.message,
+        result: error.result || { error: error.message },
+        ...uploadPatch(error.patch)
+      });
+    });
+    
+    // Drop kept worktrees once they are past the retention period
+    let lastPruneAt = 0;
+    const pruneWorkspaces = async () => {
+      if (Date.now() - lastPruneAt < 60 * 60 * 1000) {
+        return;
+      }
+      lastPruneAt = Date.now();
+      try {
+        const removed = await pruneTaskWorkspaces({
+          retentionHours: workspaceOptions.retentionHours,
+          runningIds: new Set(pool.running.keys())
+        });
+        if (removed.length > 0) {
+          console.log(chalk.gray(`🧹 Removed ${removed.length} old task workspace(s)`));
+        }
+      } catch (error) {
+        console.error(chalk.yellow(`⚠️  Could not prune task workspaces: ${error.message}`));
+      }
+    };
     
     // Polling loop
     const poll = async () => {
       try {
-        // Check for pending tasks
-        const response = await apiClient.get(`/devices/${deviceId}/tasks/pending`);
-        
-        if (response.error) {
-          consecutiveErrors++;
-          console.error(chalk.yellow(`⚠️  Poll error: ${response.error}`));
+        // Back-pressure: only ask for as many tasks as there are free slots
+        const free = pool.free;
+        if (free > 0) {
+          const response = await apiClient.get(`/devices/${deviceId}/tasks/pending`, { limit: free });
+          stats.lastPollAt = new Date().toISOString();
           
-          if (consecutiveErrors >= maxErrors) {
-            console.error(chalk.red('❌ Too many consecutive errors, stopping'));
-            process.exit(1);
+          if (response.error) {
+            throw new Error(response.error);
           }
           
-          return;
-        }
-        
-        consecutiveErrors = 0; // Reset error counter
-        
-        if (response.task) {
-          console.log(chalk.green(`\n📋 New task received: ${response.task.id}`));
-          console.log(chalk.gray(`  Type: ${response.task.type}`));
-          console.log(chalk.gray(`  Objective: ${response.task.objective}`));
-          
-          // Update task status to running
-          await apiClient.put(`/tasks/${response.task.id}/status`, {
-            status: 'running',
-            deviceId
-          });
-          
-          try {
-            // Execute task via orchestrator
-            const agent = await orchestrator.createAgent({
-              name: `device-agent-${response.task.id}`,
-              useAdapter: true,
-              adapterType: response.task.adapterType || 'claude-code'
-            });
-            
-            await orchestrator.queueTask(response.task);
-            await orchestrator.startExecution();
-            await orchestrator.waitForCompletion();
+          const tasks = response.tasks || (response.task ? [response.task] : []);
+          for (const task of tasks) {
+            if (pool.isRunning(task.id)) {
+              continue;
+            }
             
-            const results = orchestrator.getResults();
-            const taskResult = results.find(r => r.taskId === response.task.id);
+            policy = refreshPolicy(policy);
+            const decision = evaluateTask(task, policy, { repoPath: workspaceOptions.repoPath });
+            if (!decision.accepted) {
+              await rejectTask(task, decision.reason);
+              continue;
+            }
             
-            // Report completion
-            await apiClient.put(`/tasks/${response.task.id}/status`, {
-              status: taskResult?.status === 'completed' ? 'completed' : 'failed',
-              deviceId,
-              result: taskResult?.result || { error: 'Task execution failed' }
-            });
-            
-            console.log(chalk.green(`✅ Task ${response.task.id} completed`));
-            
-          } catch (taskError) {
-            console.error(chalk.red(`❌ Task execution failed: ${taskError.message}`));
-            
-            // Report failure
-            await apiClient.put(`/tasks/${response.task.id}/status`, {
-              status: 'failed',
-              deviceId,
-              error: taskError.message
-            });
+            decisions.set(task.id, decision);
+            if (stopping || !pool.run(task)) {
+              decisions.delete(task.id);
+              // More tasks than slots (older servers ignore the limit): hand it back
+              await reportStatus(task.id, { status: 'pending', reason: 'No free slot on device' });
+            }
           }
         }
         
-        // Send heartbeat
-        await apiClient.put(`/devices/${deviceId}/heartbeat`, {
-          status: 'online',
-          timestamp: new Date().toISOString()
-        });
+        consecutiveErrors = 0;
         
       } catch (error) {
-        console.error(chalk.red(`❌ Polling error: ${error.message}`));
+        // Keep going, backing off while the cloud is unreachable
         consecutiveErrors++;
+        console.error(chalk.red(`❌ Polling error: ${error.message}`) +
+          chalk.gray(` (retrying in ${Math.round(nextPollDelay() / 1000)}s)`));
       }
     };
     
+    // Heartbeats run on their own timer, so a quiet stream does not make the device look offline
+    const heartbeat = async () => {
+      try {
+        await sendHeartbeat();
+      } catch (error) {
+        console.error(chalk.yellow(`⚠️  Heartbeat failed: ${error.message}`));
+      }
+      await pruneWorkspaces();
+    };
+    
+    const nextPollDelay = () => {
+      if (consecutiveErrors > 0) {
+        return backoffDelay(consecutiveErrors, { baseDelay: Math.min(pollInterval, 5000) });
+      }
+      return channel && channel.connected ? Math.max(pollInterval, STREAM_POLL_INTERVAL) : pollInterval;
+    };
+    
+    // Poll again after each tick, as soon as a slot frees up, and when the stream announces tasks
+    let polling = false;
+    let pollAgain = false;
+    const schedule = (delay) => {
+      clearTimeout(pollTimer);
+      pollTimer = setTimeout(async () => {
+        if (polling) {
+          pollAgain = true;
+          return;
+        }
+        polling = true;
+        await poll();
+        polling = false;
+        if (!stopping) {
+          schedule(pollAgain ? 0 : nextPollDelay());
+        }
+        pollAgain = false;
+      }, delay);
+    };
+    
+    pool.on('taskFinished', () => !stopping && schedule(0));
+    pool.on('taskFailed', () => !stopping && schedule(0));
+    
+    if (delivery === 'stream') {
+      channel = new TaskStreamChannel({ client: apiClient, path: `/devices/${deviceId}/tasks/stream` });
+      channel.on('open', () => {
+        console.log(chalk.gray('📡 Task stream connected'));
+        // Catch up on anything queued while the stream was down
+        if (!stopping) {
+          schedule(0);
+        }
+      });
+      channel.on('tasks', () => !stopping && schedule(0));
+      channel.on('disconnected', ({ error, attempt, delay }) => {
+        console.error(chalk.yellow(`⚠️  Task stream lost: ${error.message} (polling every ${Math.round(pollInterval / 1000)}s, reconnecting in ${Math.round(delay / 1000)}s)`));
+        // Back to the normal cadence instead of the stream's safety-net interval
+        if (attempt === 1 && !stopping && consecutiveErrors === 0) {
+          schedule(pollInterval);
+        }
+      });
+      channel.on('unsupported', () => {
+        console.log(chalk.gray(`Task stream not available, polling every ${Math.round(pollInterval / 1000)}s`));
+      });
+      channel.start();
+    }
+    
     // Start polling
-    poll(); // Initial poll
-    const pollTimer = setInterval(poll, pollInterval);
+    schedule(0);
+    heartbeatTimer = setInterval(heartbeat, pollInterval);
+    heartbeat();
     
-    // Handle graceful shutdown
-    process.on('SIGINT', async () => {
-      console.log(chalk.yellow('\n⏹️  Stopping polling service...'));
-      clearInterval(pollTimer);
-      
-      // Update device status to offline
+    const goOffline = async () => {
+      clearInterval(heartbeatTimer);
+      if (channel) {
+        channel.stop();
+      }
+      await Promise.all(pendingReports);
       try {
-        await apiClient.put(`/devices/${deviceId}/heartbeat`, {
-          status: 'offline',
-          timestamp: new Date().toISOString()
-        });
+        await sendHeartbeat('offline');
       } catch (e) {
         // Ignore errors during shutdown
       }
+    };
+    
+    // Handle graceful shutdown: the first Ctrl+C lets running tasks finish,
+    // a second one stops them
+    const shutdown = async () => {
+      if (stopping) {
+        console.log(chalk.yellow('\n⏹️  Stopping running tasks...'));
+        const interrupted = await pool.abort();
+        interrupted.forEach(task => reportStatus(task.id, {
+          status: 'failed',
+          error: 'Device stopped before the task finished'
+        }));
+        await goOffline();
+        process.exit(130);
+      }
       
-      await orchestrator.shutdown();
+      stopping = true;
+      clearTimeout(pollTimer);
+      if (channel) {
+        channel.stop();
+      }
+      console.log(chalk.yellow('\n⏹️  Stopping polling service...'));
+      
+      if (pool.active > 0) {
+        console.log(chalk.gray(`Waiting for ${pool.active} running task(s) to finish (Ctrl+C again to stop them)`));
+        await pool.drain();
+      }
+      
+      await goOffline();
       process.exit(0);
-    });
+    };
+    process.on('SIGINT', shutdown);
+    return shutdown;
     
   } catch (error) {
     console.error(chalk.red(`\n❌ Error: ${error.message}`));
@@ -444,6 +871,393 @@ async function pollForTasks(options) {
   }
 }
 
+/**
+ * Whether the systemd user instance can be used
+ */
+async function hasSystemd() {
+  if (process.platform !== 'linux') {
+    return false;
+  }
+  try {
+    await execAsync('systemctl --user --version');
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Whether the service is managed by an installed systemd unit
+ */
+async function isSystemdManaged() {
+  return fs.existsSync(getServicePaths().unitFile) && await hasSystemd();
+}
+
+/**
+ * Format the time since an ISO timestamp
+ */
+function formatSince(timestamp) {
+  if (!timestamp) {
+    return 'never';
+  }
+  const seconds = Math.max(0, Math.round((Date.now() - new Date(timestamp).getTime()) / 1000));
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m ago`;
+}
+
+/**
+ * Poll options the service passes on to `device poll`
+ *
+ * Services may start in another directory (systemd starts them in /), so the
+ * repository is always spelled out.
+ */
+function getServicePollOptions(options) {
+  return {
+    concurrency: options.concurrency,
+    interval: options.interval,
+    delivery: options.delivery,
+    keepWorktrees: options.keepWorktrees,
+    worktreeRetention: options.worktreeRetention,
+    repo: path.resolve(options.repo || process.cwd())
+  };
+}
+
+/**
+ * service install - Generate and enable a systemd user unit (Linux)
+ */
+async function installService(options) {
+  try {
+    const { unitFile } = getServicePaths();
+    const unit = buildSystemdUnit(getServicePollOptions(options));
+    
+    if (options.print) {
+      process.stdout.write(unit);
+      return;
+    }
+    
+    if (!await hasSystemd()) {
+      console.log(chalk.yellow('⚠️  systemd user services are not available on this system'));
+      console.log(chalk.gray('Run the poller as a background daemon instead: repochief device service start'));
+      return;
+    }
+    
+    fs.mkdirSync(path.dirname(unitFile), { recursive: true });
+    fs.writeFileSync(unitFile, unit);
+    await execAsync('systemctl --user daemon-reload');
+    await execAsync(`systemctl --user enable ${SERVICE_NAME}`);
+    
+    console.log(chalk.green(`✅ Installed ${SERVICE_NAME} user service`));
+    console.log(chalk.gray(`  Unit: ${unitFile}`));
+    console.log(chalk.gray('\nStart it with: repochief device service start'));
+    console.log(chalk.gray(`Keep it running after logout with: loginctl enable-linger ${os.userInfo().username}`));
+    
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+  }
+}
+
+/**
+ * service start - Start the poller in the background
+ */
+async function startService(options) {
+  try {
+    const running = readPid();
+    if (running) {
+      console.log(chalk.yellow(`⚠️  Device service already running (pid ${running})`));
+      return;
+    }
+    
+    if (await isSystemdManaged()) {
+      if (options.concurrency || options.interval || options.repo) {
+        console.log(chalk.yellow('⚠️  Options come from the installed unit; reinstall to change them'));
+      }
+      await execAsync(`systemctl --user start ${SERVICE_NAME}`);
+      console.log(chalk.green(`✅ Started ${SERVICE_NAME} via systemd`));
+      return;
+    }
+    
+    const spinner = ora('Starting device service...').start();
+    const pid = spawnDetachedSupervisor(getServicePollOptions(options));
+    
+    // Give the supervisor a moment to write its PID file
+    for (let attempt = 0; attempt < 20 && readPid() !== pid; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    
+    if (!isProcessAlive(pid)) {
+      spinner.fail('Device service exited right after starting');
+      console.log(chalk.gray(`See the log: ${getServicePaths().logFile}`));
+      return;
+    }
+    
+    spinner.succeed(`Device service started (pid ${pid})`);
+    console.log(chalk.gray(`  Log: ${getServicePaths().logFile}`));
+    console.log(chalk.gray('  Check on it with: repochief device status'));
+    
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+  }
+}
+
+/**
+ * service stop - Stop the background poller
+ */
+async function stopService(options) {
+  try {
+    if (await isSystemdManaged()) {
+      await execAsync(`systemctl --user stop ${SERVICE_NAME}`);
+      console.log(chalk.green(`✅ Stopped ${SERVICE_NAME} via systemd`));
+      return;
+    }
+    
+    const pid = readPid();
+    if (!pid) {
+      console.log(chalk.gray('Device service is not running'));
+      return;
+    }
+    
+    // The supervisor treats a second SIGTERM as "stop running tasks too"
+    process.kill(pid, 'SIGTERM');
+    if (options.force) {
+      setTimeout(() => isProcessAlive(pid) && process.kill(pid, 'SIGTERM'), 200);
+    }
+    
+    const timeout = (parseInt(options.timeout) || 60) * 1000;
+    const spinner = ora(options.force ? 'Stopping device service...' : 'Stopping device service (running tasks finish first)...').start();
+    const deadline = Date.now() + timeout;
+    while (isProcessAlive(pid) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    
+    if (isProcessAlive(pid)) {
+      spinner.warn('Device service is still finishing running tasks');
+      console.log(chalk.gray('Stop them with: repochief device service stop --force'));
+      return;
+    }
+    spinner.succeed('Device service stopped');
+    
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+  }
+}
+
+/**
+ * device status / service status - What the background poller is doing
+ */
+async function serviceStatus(options) {
+  try {
+    const paths = getServicePaths();
+    const pid = readPid();
+    const state = readState();
+    const poller = pid ? await queryStatus(paths.socketPath) : null;
+    const managedBy = fs.existsSync(paths.unitFile) ? 'systemd' : 'pid file';
+    
+    if (options.json) {
+      console.log(JSON.stringify({
+        running: Boolean(pid),
+        pid,
+        managedBy,
+        supervisor: state,
+        poller,
+        logFile: paths.logFile
+      }, null, 2));
+      return;
+    }
+    
+    console.log(chalk.blue('\n📡 Device Service'));
+    console.log(chalk.gray('═══════════════════════════════════════'));
+    
+    if (!pid) {
+      console.log(`Status: ${chalk.gray('stopped')}`);
+      if (state && state.lastExit) {
+        console.log(chalk.gray(`Last exit: ${state.lastExit.signal || `code ${state.lastExit.code}`} (${formatSince(state.lastExit.at)})`));
+      }
+      console.log(chalk.gray('\nStart it with: repochief device service start\n'));
+      return;
+    }
+    
+    console.log(`Status: ${chalk.green('running')} ${chalk.gray(`(pid ${pid}, ${managedBy})`)}`);
+    if (state) {
+      console.log(chalk.gray(`Started: ${formatSince(state.startedAt)}`));
+      console.log(chalk.gray(`Restarts: ${state.restarts}${state.lastExit ? ` (last: ${state.lastExit.signal || `code ${state.lastExit.code}`}, ${formatSince(state.lastExit.at)})` : ''}`));
+      if (state.nextRestartAt) {
+        console.log(chalk.yellow(`Poller crashed, restarting at ${new Date(state.nextRestartAt).toLocaleTimeString()}`));
+      }
+    }
+    
+    if (!poller) {
+      console.log(chalk.yellow('\n⚠️  Poller not answering (starting up or restarting)'));
+    } else {
+      console.log(chalk.blue('\nPoller:'));
+      console.log(chalk.gray(`  Device: ${poller.deviceId} (${poller.workspace})`));
+      console.log(`  Slots: ${poller.slots.active}/${poller.slots.total} busy${poller.stopping ? chalk.yellow(' (stopping)') : ''}`);
+      console.log(chalk.gray(`  Last poll: ${formatSince(poller.lastPollAt)}, last heartbeat: ${formatSince(poller.lastHeartbeatAt)}`));
+      console.log(chalk.gray(`  Tasks: ${poller.completed} completed, ${poller.failed} failed, ${poller.rejected} rejected since ${formatSince(poller.startedAt)}`));
+      if (poller.delivery) {
+        console.log(chalk.gray(`  Delivery: ${poller.delivery === 'stream' ? 'task stream' : 'interval polling'}`));
+      }
+      if (poller.consecutiveErrors > 0) {
+        console.log(chalk.yellow(`  ${poller.consecutiveErrors} consecutive poll errors`));
+      }
+      if (poller.running.length > 0) {
+        console.log(chalk.blue('\nRunning:'));
+        poller.running.forEach(task => {
+          console.log(`  • ${chalk.cyan(task.id)} ${chalk.gray(`(${task.type}, started ${formatSince(task.startedAt)})`)}`);
+          if (task.objective) {
+            console.log(chalk.gray(`    ${task.objective}`));
+          }
+        });
+      }
+    }
+    
+    console.log(chalk.gray(`\nLog: ${paths.logFile}\n`));
+    
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+  }
+}
+
+/**
+ * service logs - Show (and follow) the service log
+ */
+async function serviceLogs(options) {
+  try {
+    const { logFile } = getServicePaths();
+    const lines = readLogTail(logFile, parseInt(options.lines) || 50);
+    
+    if (lines.length === 0 && !options.follow) {
+      console.log(chalk.gray(`No log yet (${logFile})`));
+      return;
+    }
+    lines.forEach(line => console.log(line));
+    
+    if (!options.follow) {
+      return;
+    }
+    
+    // Print what gets appended; start over when the log rotates
+    let position = fs.existsSync(logFile) ? fs.statSync(logFile).size : 0;
+    fs.watchFile(logFile, { interval: 500 }, (current) => {
+      if (current.size < position) {
+        position = 0;
+      }
+      if (current.size > position) {
+        const stream = fs.createReadStream(logFile, { start: position, end: current.size - 1 });
+        stream.pipe(process.stdout, { end: false });
+        position = current.size;
+      }
+    });
+    process.once('SIGINT', () => {
+      fs.unwatchFile(logFile);
+      process.exit(0);
+    });
+    
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+  }
+}
+
+/**
+ * service run - Supervise the poller in the foreground (what start and
+ * the systemd unit run)
+ */
+async function runService(options) {
+  try {
+    const running = readPid();
+    if (running && running !== process.pid) {
+      throw new Error(`Device service already running (pid ${running})`);
+    }
+    
+    const supervisor = new DeviceSupervisor({
+      pollOptions: getServicePollOptions(options),
+      log: new RotatingLog(getServicePaths().logFile)
+    });
+    
+    let signals = 0;
+    const onSignal = () => {
+      signals++;
+      supervisor.stop({ force: signals > 1 });
+    };
+    process.on('SIGTERM', onSignal);
+    process.on('SIGINT', onSignal);
+    
+    await supervisor.start();
+    process.exit(0);
+    
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * capabilities - Show what this device would report to the cloud
+ */
+async function showCapabilities(options) {
+  try {
+    const detected = await detectCapabilities({ cwd: path.resolve(options.repo || process.cwd()) });
+    
+    if (options.json) {
+      console.log(JSON.stringify(detected, null, 2));
+      return;
+    }
+    
+    printCapabilities(detected);
+    console.log();
+    
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+  }
+}
+
+/**
+ * policy - Show the effective task acceptance policy
+ */
+function showPolicy(options) {
+  try {
+    const policy = loadDevicePolicy(options.file || getPolicyPath());
+    
+    if (options.json) {
+      console.log(JSON.stringify(policy, null, 2));
+      return;
+    }
+    
+    const list = (items) => (items ? items.join(', ') : chalk.gray('any'));
+    const seconds = (ms) => (ms ? `${Math.round(ms / 1000)}s` : chalk.gray('none'));
+    
+    console.log(chalk.blue('\n🛡️  Device Policy'));
+    console.log(chalk.gray('═══════════════════════════════════════'));
+    console.log(chalk.gray(`File: ${policy.path || `${options.file || getPolicyPath()} (not found, accepting every task)`}`));
+    
+    console.log(chalk.yellow('\nAccepts:'));
+    console.log(`  Task types: ${list(policy.accept.taskTypes)}`);
+    console.log(`  Adapters: ${list(policy.accept.adapters)}`);
+    console.log(`  Repositories: ${list(policy.accept.repositories)}`);
+    console.log(`  Max budget: ${policy.accept.maxBudget !== null ? `$${policy.accept.maxBudget}` : chalk.gray('none')}`);
+    
+    console.log(chalk.yellow('\nLimits per task:'));
+    console.log(`  Time: ${seconds(policy.limits.timeout)}`);
+    console.log(`  Tokens: ${policy.limits.maxTokens !== null ? policy.limits.maxTokens.toLocaleString() : chalk.gray('none')}`);
+    
+    const approval = policy.approval;
+    const flags = [
+      approval.required && 'every task',
+      approval.taskTypes && `task types ${approval.taskTypes.join(', ')}`,
+      approval.budgetAbove !== null && `budget above $${approval.budgetAbove}`,
+      approval.labels && `labels ${approval.labels.join(', ')}`
+    ].filter(Boolean);
+    console.log(chalk.yellow('\nApproval:'));
+    console.log(`  Asks for: ${flags.length > 0 ? flags.join('; ') : chalk.gray('tasks flagged by the cloud only')}`);
+    console.log(`  Auto-declines after: ${seconds(approval.timeout)}`);
+    console.log();
+    
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+    process.exitCode = 1;
+  }
+}
+
 /**
  * Main device command handler
  */
@@ -481,7 +1295,99 @@ function deviceCommand() {
     .command('poll')
     .description('Start polling for tasks from cloud')
     .option('-i, --interval <ms>', 'Polling interval in milliseconds', '30000')
-    .action(pollForTasks);
+    .option('-c, --concurrency <n>', 'Number of tasks to run at once', '1')
+    .option('--delivery <mode>', 'How new tasks reach the device: stream (falls back to polling) or interval', 'stream')
+    .option('-r, --repo <path>', 'Repository tasks run against, each in its own worktree (default: current directory)')
+    .option('--keep-worktrees <policy>', 'Keep task worktrees after the task: never, failed or always', 'failed')
+    .option('--worktree-retention <hours>', 'Remove kept worktrees after this many hours', String(DEFAULT_RETENTION_HOURS))
+    .option('--status-socket <path>', 'Answer status requests on this socket (used by the device service)')
+    .action(options => pollForTasks(options));
+  
+  // Capabilities subcommand
+  command
+    .command('capabilities')
+    .description('Show the tools, hardware and API keys this device reports')
+    .option('-r, --repo <path>', 'Repository to look for test frameworks in (default: current directory)')
+    .option('--json', 'Output as JSON')
+    .action(showCapabilities);
+  
+  // Policy subcommand
+  command
+    .command('policy')
+    .description('Show (and check) the task acceptance policy in ~/.repochief/device-policy.yaml')
+    .option('--file <path>', 'Policy file to check instead')
+    .option('--json', 'Output as JSON')
+    .action(showPolicy);
+  
+  // Status subcommand
+  command
+    .command('status')
+    .description('Show what the background device service is doing')
+    .option('--json', 'Output as JSON')
+    .action(serviceStatus);
+  
+  // Service subcommands
+  const service = command
+    .command('service')
+    .description('Run the poller as a background service');
+  
+  service
+    .command('install')
+    .description('Install a systemd user unit for the poller (Linux)')
+    .option('-c, --concurrency <n>', 'Number of tasks to run at once')
+    .option('-i, --interval <ms>', 'Polling interval in milliseconds')
+    .option('--delivery <mode>', 'How new tasks reach the device: stream or interval')
+    .option('-r, --repo <path>', 'Repository tasks run against (default: current directory)')
+    .option('--keep-worktrees <policy>', 'Keep task worktrees after the task: never, failed or always')
+    .option('--worktree-retention <hours>', 'Remove kept worktrees after this many hours')
+    .option('--print', 'Print the unit instead of installing it')
+    .action(installService);
+  
+  service
+    .command('start')
+    .description('Start the poller in the background')
+    .option('-c, --concurrency <n>', 'Number of tasks to run at once')
+    .option('-i, --interval <ms>', 'Polling interval in milliseconds')
+    .option('--delivery <mode>', 'How new tasks reach the device: stream or interval')
+    .option('-r, --repo <path>', 'Repository tasks run against (default: current directory)')
+    .option('--keep-worktrees <policy>', 'Keep task worktrees after the task: never, failed or always')
+    .option('--worktree-retention <hours>', 'Remove kept worktrees after this many hours')
+    .action(startService);
+  
+  service
+    .command('stop')
+    .description('Stop the background poller (running tasks finish first)')
+    .option('-f, --force', 'Stop running tasks too')
+    .option('-t, --timeout <seconds>', 'How long to wait for the service to exit', '60')
+    .action(stopService);
+  
+  service
+    .command('status')
+    .description('Show what the background poller is doing')
+    .option('--json', 'Output as JSON')
+    .action(serviceStatus);
+  
+  service
+    .command('logs')
+    .description('Show the service log')
+    .option('-n, --lines <n>', 'Number of lines to show', '50')
+    .option('-f, --follow', 'Keep printing new lines')
+    .action(serviceLogs);
+  
+  service
+    .command('run')
+    .description('Supervise the poller in the foreground (used by start and the systemd unit)')
+    .option('-c, --concurrency <n>', 'Number of tasks to run at once')
+    .option('-i, --interval <ms>', 'Polling interval in milliseconds')
+    .option('--delivery <mode>', 'How new tasks reach the device: stream or interval')
+    .option('-r, --repo <path>', 'Repository tasks run against (default: current directory)')
+    .option('--keep-worktrees <policy>', 'Keep task worktrees after the task: never, failed or always')
+    .option('--worktree-retention <hours>', 'Remove kept worktrees after this many hours')
+    .action(runService);
+  
+  service.action(() => {
+    service.help();
+  });
   
   // Default action - show help
   command.action(() => {
@@ -491,4 +1397,6 @@ function deviceCommand() {
   return command;
 }
 
-module.exports = deviceCommand;
\ No newline at end of file
+module.exports = deviceCommand;
+module.exports.pollForTasks = pollForTasks;
+module.exports.executeCloudTask = executeCloudTask;
\ No newline at end of file
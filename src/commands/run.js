@@ -7,34 +7,74 @@ const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
 const { createOrchestrator } = require('@liftping/repochief-core');
+const inquirer = require('inquirer');
 const CloudProgressReporter = require('../integrations/CloudProgressReporter');
+const { validateTaskFile, formatValidationError } = require('../utils/task-validation');
+const { buildTaskGraph, getTaskId } = require('../utils/task-graph');
+const {
+  planDefaultRoster,
+  planDeclaredRoster,
+  addReferencedProfiles,
+  resolveRoster,
+  routeTasks,
+  addAdapterAgents,
+  assignAgents
+} = require('../utils/agent-roster');
+const { estimateTaskCost, DEFAULT_TASK_TOKENS } = require('../utils/cost-estimate');
+const { getAgentTemplates } = require('../utils/agent-profiles');
+const { RunCheckpoint, hashFile } = require('../utils/run-checkpoint');
+const { createRunOutput } = require('../utils/run-output');
+const {
+  EXIT_CODES,
+  FAIL_ON_POLICIES,
+  isCriticalTask,
+  createExitError,
+  getRunExitCode
+} = require('../utils/exit-codes');
+const { writeJUnitReport } = require('../utils/junit-report');
+const { selectTaskIds, detachTasks, readPreviousResults, parseTaskIds } = require('../utils/task-selection');
+const { BudgetGuard, loadBudgetConfig, capTaskTokens, parseAlertThreshold } = require('../utils/budget-guard');
+const { SpendLedger } = require('../utils/spend-ledger');
+const { createWatchView } = require('../utils/run-dashboard');
+const { recordSession } = require('../utils/session-index');
+const { CassetteRecorder, CassetteAdapter, loadCassette, CASSETTE_FILE } = require('../utils/run-cassette');
+
+const ERROR_HANDLING_MODES = ['continue', 'stop', 'prompt'];
 
 /**
- * Parse task configuration file
+ * Run options stored in the checkpoint and reused by --resume
  */
-function parseTaskFile(filePath) {
-  try {
-    const absolutePath = path.resolve(filePath);
-    
-    if (!fs.existsSync(absolutePath)) {
-      throw new Error(`Task file not found: ${filePath}`);
-    }
-    
-    const content = fs.readFileSync(absolutePath, 'utf8');
-    const tasks = JSON.parse(content);
-    
-    // Validate basic structure
-    if (!Array.isArray(tasks) && !tasks.tasks) {
-      throw new Error('Task file must contain an array of tasks or a tasks property');
-    }
-    
-    return Array.isArray(tasks) ? tasks : tasks.tasks;
-  } catch (error) {
-    if (error.message.includes('JSON')) {
-      throw new Error(`Invalid JSON in task file: ${error.message}`);
-    }
-    throw error;
+const RESUMABLE_OPTIONS = [
+  'agents', 'budget', 'mock', 'useLocal', 'local', 'adapter', 'mode', 'onError',
+  'only', 'skip', 'from', 'rerunFailed', 'budgetThreshold'
+];
+
+/**
+ * Pick the options a resumed run should inherit
+ */
+function pickResumableOptions(options) {
+  const picked = Object.fromEntries(
+    RESUMABLE_OPTIONS.filter(key => options[key] !== undefined).map(key => [key, options[key]])
+  );
+  if (picked.rerunFailed) {
+    picked.rerunFailed = path.resolve(picked.rerunFailed);
   }
+  return picked;
+}
+
+/**
+ * Options given on the command line rather than filled in from defaults
+ * @param {Object} options - Parsed options
+ * @param {Object} command - Commander command (absent when called directly,
+ *   in which case every option passed counts as given)
+ */
+function getExplicitOptions(options, command) {
+  if (!command || typeof command.getOptionValueSource !== 'function') {
+    return options;
+  }
+  return Object.fromEntries(
+    Object.entries(options).filter(([key]) => command.getOptionValueSource(key) !== 'default')
+  );
 }
 
 /**
@@ -48,58 +88,532 @@ function ensureOutputDir(outputPath) {
   return absolutePath;
 }
 
+/**
+ * Ask whether to keep going after a task failure (errorHandling: prompt)
+ */
+async function promptContinueAfterFailure(taskId, interactive) {
+  if (!interactive || !process.stdin.isTTY) {
+    return false;
+  }
+  
+  const { proceed } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'proceed',
+      message: `Task "${taskId}" failed. Continue with remaining tasks?`,
+      default: true
+    }
+  ]);
+  
+  return proceed;
+}
+
+/**
+ * Ask whether to keep spending once the budget alert threshold is crossed
+ */
+async function promptContinueAtThreshold(alert) {
+  const { action } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'action',
+      message: `Budget alert: ${alert.message} (${alert.percent}%). What now?`,
+      choices: [
+        { name: 'Continue', value: 'continue' },
+        { name: 'Abort the run', value: 'abort' }
+      ],
+      default: 'continue'
+    }
+  ]);
+  
+  return action === 'continue';
+}
+
+/**
+ * Update the run's entry in the session index (best effort, never fails the run)
+ */
+function updateSessionIndex(id, fields) {
+  try {
+    recordSession({ id, ...fields });
+  } catch (error) {
+    // The index is only history; the run's own files are what matter
+  }
+}
+
+/**
+ * Call an orchestrator method that not every core version has (pause, resume,
+ * cancelTask)
+ * @returns {boolean} False if the orchestrator does not support it
+ */
+function callIfSupported(orchestrator, method, ...args) {
+  if (typeof orchestrator[method] !== 'function') {
+    return false;
+  }
+  Promise.resolve(orchestrator[method](...args)).catch(() => {});
+  return true;
+}
+
+/**
+ * Work out the --dry-run execution plan: agents, waves and estimated cost
+ */
+function planExecution(tasks, roster, budget) {
+  const { waves, tasksById } = buildTaskGraph(tasks);
+  const assignments = assignAgents(waves, tasksById, roster);
+  
+  const plannedWaves = waves.map(wave => {
+    const waveTasks = wave.map(id => {
+      const task = tasksById.get(id);
+      const agent = assignments.get(id);
+      const estimate = estimateTaskCost(task, agent ? agent.profile.model : undefined);
+      return { id, type: task.type, agent: agent ? agent.name : null, tokens: estimate.tokens, cost: estimate.cost };
+    });
+    return {
+      tasks: waveTasks,
+      tokens: waveTasks.reduce((sum, t) => sum + t.tokens, 0),
+      cost: waveTasks.reduce((sum, t) => sum + t.cost, 0)
+    };
+  });
+  
+  return {
+    agents: roster.map(agent => ({ name: agent.name, template: agent.template, model: agent.profile.model || null })),
+    waves: plannedWaves,
+    tasks: tasks.length,
+    tokens: plannedWaves.reduce((sum, w) => sum + w.tokens, 0),
+    cost: plannedWaves.reduce((sum, w) => sum + w.cost, 0),
+    budget
+  };
+}
+
+/**
+ * Print the execution plan for --dry-run without calling any model
+ */
+function printExecutionPlan(plan) {
+  console.log(chalk.blue('\n🧪 Dry Run - Execution Plan'));
+  console.log(chalk.gray('═══════════════════════════════════════'));
+  
+  console.log(chalk.yellow('\nAgents:'));
+  plan.agents.forEach(agent => {
+    console.log(chalk.gray(`  ${agent.name} (${agent.template}, ${agent.model || 'default model'})`));
+  });
+  
+  plan.waves.forEach((wave, index) => {
+    console.log(chalk.yellow(`\nWave ${index + 1}:`));
+    wave.tasks.forEach(task => {
+      console.log(`  • ${chalk.cyan(task.id)} ${chalk.gray(`(${task.type})`)} → ${task.agent || chalk.red('no agent')}` +
+        chalk.gray(`  ~${task.tokens.toLocaleString()} tokens, ~$${task.cost.toFixed(2)}`));
+    });
+    console.log(chalk.gray(`  Wave total: ~${wave.tokens.toLocaleString()} tokens, ~$${wave.cost.toFixed(2)}`));
+  });
+  
+  console.log(chalk.gray('\n═══════════════════════════════════════'));
+  console.log(`Waves: ${plan.waves.length}, Tasks: ${plan.tasks}`);
+  console.log(`Estimated tokens: ~${plan.tokens.toLocaleString()} (maxTokens per task, ${DEFAULT_TASK_TOKENS.toLocaleString()} where unset)`);
+  console.log(`Estimated cost: ${chalk.yellow(`~$${plan.cost.toFixed(2)}`)} of $${plan.budget} budget`);
+  
+  if (plan.cost > plan.budget) {
+    console.log(chalk.red(`\n⚠️  Estimated cost exceeds the budget by $${(plan.cost - plan.budget).toFixed(2)}`));
+  }
+  
+  console.log(chalk.gray('\nNo agents were created and no models were called.\n'));
+}
+
+/**
+ * Build the report of a finished run (--format json/ndjson, --junit, exit code)
+ *
+ * Covers the tasks queued in this run (queued tasks without a result are
+ * "not-run") and tasks completed by earlier attempts.
+ */
+function buildRunReport(run) {
+  const resultsById = new Map(run.results.map(r => [r.taskId, r]));
+  const tasks = run.tasks
+    .filter(task => resultsById.has(task.id) || run.queuedIds.has(task.id) || run.carriedOverTasks[task.id])
+    .map(task => {
+      const base = { id: task.id, type: task.type, ...(isCriticalTask(task) ? { critical: true } : {}) };
+      const result = resultsById.get(task.id);
+      if (!result && !run.queuedIds.has(task.id)) {
+        const record = run.carriedOverTasks[task.id];
+        return { ...base, status: 'completed', carriedOver: true, cost: record.cost || 0, tokensUsed: record.tokensUsed || 0 };
+      }
+      if (!result) {
+        return { ...base, status: 'not-run', cost: 0, tokensUsed: 0 };
+      }
+      const output = result.result || {};
+      const error = result.error && (result.error.message || String(result.error));
+      return {
+        ...base,
+        status: result.status,
+        agent: run.assignedAgents.get(task.id) || null,
+        duration: run.taskDurations.get(task.id) || 0,
+        cost: output.cost || 0,
+        tokensUsed: output.tokensUsed || 0,
+        ...(error ? { error } : {})
+      };
+    });
+  
+  const attemptCost = run.costReport.summary?.totalCost || 0;
+  
+  return {
+    session: run.session,
+    status: run.status,
+    ...(run.stopReason ? { stopReason: run.stopReason } : {}),
+    taskFile: run.taskFile,
+    outputDir: run.outputDir,
+    mode: run.replaying ? 'replay' : run.mockMode ? 'mock' : 'live',
+    duration: run.duration,
+    summary: {
+      total: tasks.length,
+      successful: tasks.filter(t => t.status === 'completed').length,
+      failed: tasks.filter(t => t.status === 'failed').length,
+      notRun: tasks.filter(t => t.status === 'not-run').length
+    },
+    tasks,
+    cost: {
+      total: run.spentBefore + attemptCost,
+      thisRun: attemptCost,
+      previousAttempts: run.spentBefore,
+      budget: run.budget,
+      dailyBudget: run.dailyBudget,
+      perTaskBudget: run.perTaskBudget,
+      ...(run.budgetLimit ? { limitReached: run.budgetLimit } : {}),
+      breakdown: run.costReport.breakdown || run.costReport.costs || null
+    },
+    usage: {
+      input: run.costReport.usage?.total?.input || 0,
+      output: run.costReport.usage?.total?.output || 0
+    },
+    files: run.files
+  };
+}
+
 /**
  * Run command handler
  */
-async function runCommand(taskFile, options) {
+async function runCommand(taskFile, options, command) {
   const startTime = Date.now();
+  let out = createRunOutput();
+  let exitCode = EXIT_CODES.SUCCESS;
+  let setupDone = false;
   let orchestrator;
+  let watch = null;
+  let checkpoint = null;
+  let sessionId = null;
+  let onInterrupt = null;
+  let cassette = null;
+  let recorder = null;
   
   try {
-    // Parse options
+    out = createRunOutput(options.format || (options.json ? 'json' : 'text'));
+    
+    if (options.replay && (options.record || options.resume)) {
+      throw new Error('--replay cannot be combined with --record or --resume');
+    }
+    
+    // Resuming reuses the task file and options of the original run; options
+    // given again on the command line (a higher --budget) win and are kept
+    if (options.resume) {
+      checkpoint = RunCheckpoint.load(options.resume);
+      const resumed = {
+        ...checkpoint.data.options,
+        ...pickResumableOptions(getExplicitOptions(options, command))
+      };
+      checkpoint.data.options = resumed;
+      options = {
+        ...options,
+        ...resumed,
+        output: checkpoint.data.outputDir
+      };
+      taskFile = taskFile || checkpoint.data.taskFile;
+      out.log(chalk.blue(`\n🔁 Resuming run ${checkpoint.data.sessionName} from ${checkpoint.data.outputDir}`));
+    }
+    
+    // Replaying feeds a recorded run back instead of calling models
+    if (options.replay) {
+      cassette = loadCassette(options.replay);
+      taskFile = taskFile || cassette.taskFile;
+      out.log(chalk.blue(`\n📼 Replaying ${cassette.session} from ${cassette.path}`));
+    }
+    
+    if (!taskFile) {
+      throw new Error('No task file given (pass a task file, --resume <output-dir> or --replay <cassette>)');
+    }
+    
+    // Parse and validate tasks
+    const spinner = ora({ text: 'Loading task configuration...', isSilent: out.machine }).start();
+    let validation;
+    try {
+      validation = validateTaskFile(taskFile);
+    } catch (error) {
+      spinner.fail('Failed to load task configuration');
+      throw error;
+    }
+    
+    if (!validation.valid) {
+      spinner.fail(`Task file has ${validation.errors.length} validation error(s)`);
+      validation.errors.forEach(error => {
+        console.error(chalk.red(`  ${formatValidationError(error)}`));
+      });
+      throw new Error(`Invalid task file: ${taskFile} (run "repochief validate ${taskFile}" for details)`);
+    }
+    
+    const definition = validation.definition;
+    const { settings } = definition;
+    const tasks = definition.tasks.map((task, index) => ({ ...task, id: getTaskId(task, index) }));
+    spinner.succeed(`Loaded ${tasks.length} tasks${definition.kind !== 'TaskList' ? ` from ${definition.kind} plan` : ''}`);
+    
+    // Parse options (plan settings act as defaults)
     const agentCount = parseInt(options.agents) || 3;
     const budget = parseFloat(options.budget) || 10;
     const mockMode = options.mock || process.env.MOCK_MODE === 'true';
-    const outputDir = ensureOutputDir(options.output);
+    const replaying = Boolean(cassette);
+    const outputDir = options.dryRun ? path.resolve(options.output) : ensureOutputDir(options.output);
     const useLocal = options.useLocal || options.local || false;
-    const adapterType = options.adapter || 'claude-code';
+    const adapterType = options.adapter || settings.defaultAgent || 'claude-code';
     const executionMode = useLocal ? 'adapter' : (options.mode || 'hybrid');
+    const errorHandling = options.onError || settings.errorHandling || 'continue';
+    
+    const failOn = options.failOn || 'any';
     
-    console.log(chalk.blue('\n📋 Task Configuration:'));
-    console.log(chalk.gray(`  File: ${taskFile}`));
-    console.log(chalk.gray(`  Agents: ${agentCount}`));
-    console.log(chalk.gray(`  Budget: $${budget}`));
-    console.log(chalk.gray(`  Mode: ${mockMode ? 'Mock (no API costs)' : 'Live'}`));
-    console.log(chalk.gray(`  Execution: ${useLocal ? `Local (${adapterType})` : `${executionMode.charAt(0).toUpperCase() + executionMode.slice(1)}`}`));
-    console.log(chalk.gray(`  Output: ${outputDir}\n`));
+    if (!ERROR_HANDLING_MODES.includes(errorHandling)) {
+      throw new Error(`Invalid error handling mode "${errorHandling}" (expected ${ERROR_HANDLING_MODES.join(', ')})`);
+    }
+    
+    if (!FAIL_ON_POLICIES.includes(failOn)) {
+      throw new Error(`Invalid --fail-on policy "${failOn}" (expected ${FAIL_ON_POLICIES.join(', ')})`);
+    }
     
-    // Check API keys if not in mock mode
-    if (!mockMode) {
+    // Daily and per-task limits come from config (repochief config --budget);
+    // the local ledger carries today's spend across runs
+    const budgetConfig = await loadBudgetConfig();
+    const ledger = new SpendLedger();
+    const guard = new BudgetGuard({
+      budget,
+      spentBefore: checkpoint ? checkpoint.data.spentBefore : 0,
+      dailyBudget: budgetConfig.dailyBudget,
+      // A replay spends nothing, so today's real spend does not hold it back
+      dailySpent: cassette ? 0 : ledger.getDailySpend(),
+      perTaskBudget: budgetConfig.perTaskBudget,
+      alertThreshold: parseAlertThreshold(
+        options.budgetThreshold !== undefined ? options.budgetThreshold : budgetConfig.alertThreshold
+      )
+    });
+    
+    out.log(chalk.blue('\n📋 Task Configuration:'));
+    out.log(chalk.gray(`  File: ${taskFile}`));
+    out.log(chalk.gray(`  Agents: ${definition.agents ? `${definition.agents.length} (declared in task file)` : agentCount}`));
+    out.log(chalk.gray(`  Budget: $${budget} (alert at ${guard.alertThreshold}%)`));
+    if (guard.dailyBudget !== null) {
+      out.log(chalk.gray(`  Daily budget: $${guard.dailyBudget} ($${guard.dailySpent.toFixed(2)} spent today)`));
+    }
+    if (guard.perTaskBudget !== null) {
+      out.log(chalk.gray(`  Per-task budget: $${guard.perTaskBudget}`));
+    }
+    out.log(chalk.gray(`  Mode: ${replaying ? 'Replay (no API costs)' : mockMode ? 'Mock (no API costs)' : 'Live'}`));
+    if (options.record) {
+      out.log(chalk.gray(`  Recording: ${path.join(outputDir, CASSETTE_FILE)}`));
+    }
+    out.log(chalk.gray(`  Execution: ${useLocal ? `Local (${adapterType})` : `${executionMode.charAt(0).toUpperCase() + executionMode.slice(1)}`}`));
+    if (settings.executionMode === 'sequential') {
+      out.log(chalk.gray('  Order: Sequential'));
+    }
+    out.log(chalk.gray(`  On error: ${errorHandling}`));
+    out.log(chalk.gray(`  Output: ${outputDir}`));
+    
+    // Select tasks (--only/--skip/--from/--rerun-failed); results of tasks left
+    // out are passed on as context where they are known
+    const criteria = {
+      only: parseTaskIds(options.only),
+      skip: parseTaskIds(options.skip),
+      from: options.from
+    };
+    let upstreamResults = {};
+    if (options.rerunFailed) {
+      const previous = readPreviousResults(options.rerunFailed);
+      criteria.failed = previous.failed;
+      upstreamResults = previous.completed;
+      out.log(chalk.gray(`  Rerun: ${previous.failed.length} failed task(s) from ${previous.session || options.rerunFailed}`));
+    }
+    const selected = selectTaskIds(tasks, criteria);
+    if (selected.size < tasks.length) {
+      out.log(chalk.gray(`  Selected: ${selected.size} of ${tasks.length} tasks (${[...selected].join(', ') || 'none'})`));
+    }
+    
+    // On resume, completed tasks are skipped as well
+    let carriedOver = 0;
+    let remainingBudget = budget;
+    if (checkpoint) {
+      if (checkpoint.taskFileChanged()) {
+        out.log(chalk.yellow('⚠️  Task file changed since the checkpoint was written'));
+      }
+      checkpoint.startResume(tasks);
+      const completed = checkpoint.getCompletedTasks();
+      upstreamResults = { ...upstreamResults, ...completed };
+      Object.keys(completed).forEach(id => {
+        if (selected.delete(id)) carriedOver++;
+      });
+      remainingBudget = budget - checkpoint.data.spentBefore;
+      
+      out.log(chalk.gray(`  Completed: ${carriedOver} task(s), skipped`));
+      out.log(chalk.gray(`  Remaining: ${selected.size} task(s)`));
+      out.log(chalk.gray(`  Spent so far: $${checkpoint.data.spentBefore.toFixed(2)} (remaining budget: $${remainingBudget.toFixed(2)})`));
+      
+      if (selected.size === 0) {
+        out.log(chalk.green('\n✅ All tasks already completed, nothing to resume\n'));
+        out.result('runCompleted', {
+          session: checkpoint.data.sessionName,
+          status: 'completed',
+          message: 'All tasks already completed, nothing to resume',
+          outputDir,
+          tasks: []
+        });
+        return;
+      }
+      if (remainingBudget <= 0) {
+        throw createExitError(`Budget of $${budget} already spent by previous attempts`, EXIT_CODES.BUDGET_EXCEEDED);
+      }
+    }
+    out.log();
+    
+    if (selected.size === 0) {
+      throw new Error('No tasks selected to run');
+    }
+    const tasksToRun = detachTasks(tasks, selected, upstreamResults);
+    
+    // Agents come from the task file's `agents:` roster, or the task-type heuristic
+    // plus any agent profiles tasks reference by name
+    const { AgentTemplates } = require('@liftping/repochief-core');
+    const templates = getAgentTemplates(AgentTemplates);
+    let roster = resolveRoster(
+      definition.agents
+        ? planDeclaredRoster(definition.agents)
+        : addReferencedProfiles(planDefaultRoster(tasksToRun, agentCount), tasksToRun, templates),
+      templates
+    );
+    let routedTasks = routeTasks(tasksToRun, roster);
+    
+    // Plan tasks may name their own adapter; it only applies to local execution
+    if (useLocal) {
+      ({ tasks: routedTasks, roster } = addAdapterAgents(routedTasks, roster, adapterType));
+    } else if (routedTasks.some(task => task.adapterType && task.adapterType !== adapterType)) {
+      out.log(chalk.yellow('⚠️  Per-task adapters from the plan are only used with --use-local'));
+    }
+    
+    // Keep each task's worst-case cost under the per-task budget
+    if (guard.perTaskBudget !== null) {
+      const { tasks: cappedTasks, capped } = capTaskTokens(routedTasks, roster, guard.perTaskBudget);
+      routedTasks = cappedTasks;
+      capped.forEach(({ id, from, to }) => {
+        out.log(chalk.yellow(`⚠️  Task "${id}" capped at ${to.toLocaleString()} tokens (was ${from.toLocaleString()}) to stay within the per-task budget`));
+      });
+    }
+    
+    // The run may spend what is left of its own budget and of today's budget
+    remainingBudget = guard.getAvailable();
+    
+    if (options.dryRun) {
+      const plan = planExecution(routedTasks, roster, remainingBudget);
+      if (out.machine) {
+        out.result('plan', { dryRun: true, taskFile, ...plan });
+      } else {
+        printExecutionPlan(plan);
+      }
+      return;
+    }
+    
+    if (remainingBudget <= 0) {
+      throw createExitError(
+        `Daily budget of $${guard.dailyBudget} already spent today ($${guard.dailySpent.toFixed(2)})`,
+        EXIT_CODES.BUDGET_EXCEEDED
+      );
+    }
+    
+    if (replaying) {
+      const recorded = new Set(cassette.tasks || []);
+      const missing = routedTasks.filter(task => !recorded.has(task.id)).map(task => task.id);
+      if (cassette.taskFileHash && cassette.taskFileHash !== hashFile(path.resolve(taskFile))) {
+        out.log(chalk.yellow('⚠️  Task file changed since the cassette was recorded'));
+      }
+      if (missing.length > 0) {
+        out.log(chalk.yellow(`⚠️  Not in the cassette, will fail: ${missing.join(', ')}`));
+      }
+    }
+    
+    // Check API keys if not in mock mode (replays never call a model)
+    if (!mockMode && !replaying) {
       const hasOpenAI = !!process.env.OPENAI_API_KEY;
       const hasAnthropic = !!process.env.ANTHROPIC_API_KEY;
       const hasGoogle = !!process.env.GOOGLE_API_KEY;
       
       if (!hasOpenAI && !hasAnthropic && !hasGoogle) {
         console.error(chalk.red('❌ No API keys found!'));
-        console.log(chalk.yellow('\nPlease set at least one of the following environment variables:'));
-        console.log('  - OPENAI_API_KEY');
-        console.log('  - ANTHROPIC_API_KEY');
-        console.log('  - GOOGLE_API_KEY');
-        console.log(chalk.gray('\nOr run with --mock flag to use mock mode\n'));
-        process.exit(1);
+        out.log(chalk.yellow('\nPlease set at least one of the following environment variables:'));
+        out.log('  - OPENAI_API_KEY');
+        out.log('  - ANTHROPIC_API_KEY');
+        out.log('  - GOOGLE_API_KEY');
+        out.log(chalk.gray('\nOr run with --mock flag to use mock mode\n'));
+        throw createExitError('No API keys found', EXIT_CODES.CONFIG_ERROR);
       }
       
-      console.log(chalk.green('✅ API Keys detected:'));
-      if (hasOpenAI) console.log(chalk.gray('  - OpenAI'));
-      if (hasAnthropic) console.log(chalk.gray('  - Anthropic'));
-      if (hasGoogle) console.log(chalk.gray('  - Google AI'));
-      console.log();
+      out.log(chalk.green('✅ API Keys detected:'));
+      if (hasOpenAI) out.log(chalk.gray('  - OpenAI'));
+      if (hasAnthropic) out.log(chalk.gray('  - Anthropic'));
+      if (hasGoogle) out.log(chalk.gray('  - Google AI'));
+      out.log();
     }
     
-    // Parse tasks
-    const spinner = ora('Loading task configuration...').start();
-    const tasks = parseTaskFile(taskFile);
-    spinner.succeed(`Loaded ${tasks.length} tasks`);
+    const sessionName = `repochief-${Date.now()}`;
+    const resumeOf = checkpoint ? checkpoint.data.sessionName : null;
+    if (checkpoint) {
+      checkpoint.save('running');
+    } else {
+      checkpoint = RunCheckpoint.create({
+        outputDir,
+        taskFile,
+        sessionName,
+        tasks,
+        options: pickResumableOptions(options)
+      });
+      checkpoint.save();
+    }
+    
+    // Register the run so `repochief sessions` finds it from any directory
+    sessionId = sessionName;
+    updateSessionIndex(sessionId, {
+      cwd: process.cwd(),
+      pid: process.pid,
+      taskFile: path.resolve(taskFile),
+      taskFileHash: checkpoint.data.taskFileHash,
+      outputDir,
+      mode: replaying ? 'replay' : mockMode ? 'mock' : 'live',
+      outcome: 'running',
+      startedAt: new Date(startTime).toISOString(),
+      ...(resumeOf ? { resumeOf } : {})
+    });
+    
+    // Keep the checkpoint consistent when the run is interrupted
+    onInterrupt = () => {
+      if (watch) {
+        watch.stop();
+      }
+      checkpoint.save('interrupted');
+      updateSessionIndex(sessionId, {
+        outcome: 'interrupted',
+        finishedAt: new Date().toISOString(),
+        duration: (Date.now() - startTime) / 1000,
+        cost: checkpoint.getTotalSpent()
+      });
+      if (recorder) {
+        // Keep what was recorded so far
+        recorder.finish({ status: 'interrupted' });
+        recorder.save(path.join(outputDir, CASSETTE_FILE));
+      }
+      out.event('runInterrupted', { session: sessionName, outputDir });
+      out.log(chalk.yellow('\n\n⏹️  Run interrupted, progress saved'));
+      out.log(chalk.gray(`  Resume with: repochief run --resume ${outputDir}\n`));
+      process.exit(130);
+    };
+    process.once('SIGINT', onInterrupt);
+    
+    // Errors from here on are execution errors, not configuration errors
+    setupDone = true;
     
     // Create orchestrator with V2 support if available
     spinner.start('Initializing orchestrator...');
@@ -108,18 +622,19 @@ async function runCommand(taskFile, options) {
     let OrchestratorClass;
     try {
       OrchestratorClass = require('@liftping/repochief-core').AIAgentOrchestratorV2;
-      if (useLocal) {
-        console.log(chalk.gray('  Using Orchestrator V2 with adapter support'));
+      if (useLocal && OrchestratorClass) {
+        out.log(chalk.gray('  Using Orchestrator V2 with adapter support'));
       }
     } catch (e) {
       // Fall back to createOrchestrator function
       OrchestratorClass = null;
     }
     
+    // A replay runs in the run's own mode; the cassette stands in for the models
     if (OrchestratorClass) {
       orchestrator = new OrchestratorClass({
-        sessionName: `repochief-${Date.now()}`,
-        totalBudget: budget,
+        sessionName,
+        totalBudget: remainingBudget,
         mockMode: mockMode,
         outputDir: outputDir,
         useSimpleStore: true,
@@ -129,90 +644,119 @@ async function runCommand(taskFile, options) {
       });
     } else {
       orchestrator = createOrchestrator({
-        sessionName: `repochief-${Date.now()}`,
-        totalBudget: budget,
+        sessionName,
+        totalBudget: remainingBudget,
         mockMode: mockMode,
         outputDir: outputDir,
         useSimpleStore: true  // Use lightweight file storage for MVP
       });
       
       if (useLocal) {
-        console.log(chalk.yellow('  ⚠️  Local execution requested but V2 orchestrator not available'));
+        out.log(chalk.yellow('  ⚠️  Local execution requested but V2 orchestrator not available'));
       }
     }
     
+    if (options.record) {
+      recorder = new CassetteRecorder({
+        session: sessionName,
+        taskFile: path.resolve(taskFile),
+        taskFileHash: checkpoint.data.taskFileHash,
+        tasks: routedTasks.map(task => task.id),
+        agents: roster.map(agent => agent.name)
+      });
+      recorder.recordEvents(orchestrator);
+    }
+    const cassetteAdapter = replaying ? new CassetteAdapter(cassette) : null;
+    if (cassetteAdapter) {
+      cassetteAdapter.recordEvents(orchestrator);
+    }
+    
     await orchestrator.initialize();
     spinner.succeed('Orchestrator initialized');
     
-    // Set up cloud progress reporting
-    const progressReporter = CloudProgressReporter.fromEnvironment();
+    // Set up cloud progress reporting (a replay has nothing new to report)
+    const progressReporter = replaying
+      ? new CloudProgressReporter({ enabled: false })
+      : CloudProgressReporter.fromEnvironment();
     const connectionTest = await progressReporter.testConnection();
     
     if (connectionTest.success) {
-      console.log(chalk.green('✅ Cloud Progress API connected'));
+      out.log(chalk.green('✅ Cloud Progress API connected'));
     } else if (progressReporter.enabled) {
-      console.log(chalk.yellow('⚠️  Cloud Progress API unavailable (continuing locally)'));
+      out.log(chalk.yellow('⚠️  Cloud Progress API unavailable (continuing locally)'));
     }
     
     // Create agents based on task requirements
     spinner.start('Creating AI agents...');
-    const agentPromises = [];
-    
-    // Analyze task types to create appropriate agents
-    const taskTypes = [...new Set(tasks.map(t => t.type))];
-    const { AgentTemplates } = require('@liftping/repochief-core');
-    
-    // Create at least one agent of each needed type
-    if (taskTypes.includes('comprehension') || taskTypes.includes('exploration')) {
-      agentPromises.push(orchestrator.createAgent({
-        name: 'analyst-1',
-        ...AgentTemplates.ARCHITECT
-      }));
-    }
-    
-    if (taskTypes.includes('generation')) {
-      agentPromises.push(orchestrator.createAgent({
-        name: 'developer-1',
-        ...AgentTemplates.SENIOR_DEVELOPER
-      }));
-    }
+    const agentPromises = roster.map(agent => orchestrator.createAgent(agent.profile));
     
-    if (taskTypes.includes('validation') || tasks.some(t => t.type === 'generation' && t.successCriteria)) {
-      agentPromises.push(orchestrator.createAgent({
-        name: 'qa-1',
-        ...AgentTemplates.QA_ENGINEER
-      }));
-    }
+    const agents = await Promise.all(agentPromises);
     
-    // Add more agents up to the requested count
-    while (agentPromises.length < agentCount) {
-      agentPromises.push(orchestrator.createAgent({
-        name: `developer-${agentPromises.length + 1}`,
-        ...AgentTemplates.SENIOR_DEVELOPER
-      }));
+    // Record or replay at the model call: everything above it runs for real
+    const modelStandIn = cassetteAdapter || recorder;
+    if (modelStandIn) {
+      agents.forEach(agent => modelStandIn.attach(agent));
     }
-    
-    const agents = await Promise.all(agentPromises);
     spinner.succeed(`Created ${agents.length} AI agents`);
     
     // Queue tasks
     spinner.start('Queueing tasks...');
-    for (const task of tasks) {
+    for (const task of routedTasks) {
       await orchestrator.queueTask(task);
     }
-    spinner.succeed(`Queued ${tasks.length} tasks`);
+    spinner.succeed(`Queued ${routedTasks.length} tasks`);
     
     // Set up progress monitoring
     const swarmId = `swarm-${Date.now()}`;
     
-    if (options.watch) {
-      console.log(chalk.blue('\n📊 Real-time Progress:\n'));
+    // Early stop (errorHandling: stop/prompt) resolves this instead of waiting for completion
+    let stopReason = null;
+    let stopRun;
+    const runStopped = new Promise(resolve => { stopRun = resolve; });
+    const requestStop = (reason) => {
+      if (!stopReason) {
+        stopReason = reason;
+        stopRun();
+      }
+    };
+    let pendingPrompts = Promise.resolve();
+    
+    // --watch shows the dashboard on a terminal and timestamped lines otherwise
+    if (options.watch && !out.machine) {
+      watch = createWatchView({
+        tasks: routedTasks,
+        roster,
+        budget: remainingBudget,
+        session: sessionName,
+        controls: {
+          pause: () => callIfSupported(orchestrator, 'pause'),
+          resume: () => callIfSupported(orchestrator, 'resume'),
+          cancelTask: (taskId) => callIfSupported(orchestrator, 'cancelTask', taskId),
+          abort: () => requestStop('aborted from the dashboard')
+        }
+      });
     }
+    const notify = (text) => (watch ? watch.notice(text) : out.log(text));
+    const confirm = (question, interactive) => (watch && watch.interactive
+      ? watch.confirm(question, true)
+      : interactive());
     
     // Cloud progress reporting
+    const assignedAgents = new Map();
+    const taskStarts = new Map();
+    const taskDurations = new Map();
+    const recordDuration = (taskId) => {
+      if (taskStarts.has(taskId)) {
+        taskDurations.set(taskId, (Date.now() - taskStarts.get(taskId)) / 1000);
+      }
+    };
     orchestrator.on('taskAssigned', ({ task, agent }) => {
-      if (options.watch) {
-        console.log(chalk.gray(`[${new Date().toISOString()}] Task "${task.id}" assigned to ${agent.name}`));
+      assignedAgents.set(task.id, agent.name);
+      taskStarts.set(task.id, Date.now());
+      out.event('taskAssigned', { taskId: task.id, agent: agent.name });
+      
+      if (watch) {
+        watch.taskAssigned(task, agent.name);
       }
       
       // Report to cloud (async, non-blocking)
@@ -226,9 +770,24 @@ async function runCommand(taskFile, options) {
       }).catch(() => {}); // Silent fail for cloud reporting
     });
     
+    const stopOverBudget = (exceeded) => {
+      notify(chalk.red(`\n⛔ Budget limit reached: ${exceeded.message}`));
+      out.event('budgetExceeded', { limit: exceeded.limit, message: exceeded.message });
+      requestStop(exceeded.message);
+    };
+    
     orchestrator.on('taskCompleted', ({ task, result }) => {
-      if (options.watch) {
-        console.log(chalk.green(`[${new Date().toISOString()}] ✅ Task "${task.id}" completed`));
+      checkpoint.markCompleted(task.id, result);
+      recordDuration(task.id);
+      out.event('taskCompleted', { taskId: task.id, tokensUsed: result.tokensUsed || 0, cost: result.cost || 0 });
+      
+      if (watch) {
+        watch.taskCompleted(task, result);
+      }
+      
+      const overTask = guard.checkTask(task.id, result.cost || 0);
+      if (overTask) {
+        stopOverBudget(overTask);
       }
       
       // Report to cloud
@@ -244,8 +803,12 @@ async function runCommand(taskFile, options) {
     });
     
     orchestrator.on('taskFailed', ({ task, error }) => {
-      if (options.watch) {
-        console.log(chalk.red(`[${new Date().toISOString()}] ❌ Task "${task.id}" failed: ${error.message}`));
+      checkpoint.markFailed(task.id, error);
+      recordDuration(task.id);
+      out.event('taskFailed', { taskId: task.id, error: error.message });
+      
+      if (watch) {
+        watch.taskFailed(task, error);
       }
       
       // Report to cloud
@@ -256,20 +819,94 @@ async function runCommand(taskFile, options) {
         progress: 0,
         message: `Task failed: ${error.message.substring(0, 100)}`
       }).catch(() => {});
+      
+      if (errorHandling === 'stop') {
+        requestStop(`task "${task.id}" failed`);
+      } else if (errorHandling === 'prompt') {
+        pendingPrompts = pendingPrompts.then(async () => {
+          if (stopReason) return;
+          const proceed = await confirm(
+            `Task "${task.id}" failed. Continue with remaining tasks?`,
+            () => promptContinueAfterFailure(task.id, !out.machine)
+          );
+          if (!proceed) {
+            requestStop(`stopped after task "${task.id}" failed`);
+          }
+        });
+      }
     });
     
+    let recordedSpend = 0;
+    const recordSpend = (total) => {
+      if (replaying) return;
+      try {
+        ledger.add(sessionName, total - recordedSpend);
+        recordedSpend = Math.max(recordedSpend, total);
+      } catch (error) {
+        // The ledger is best effort, the run keeps going
+      }
+    };
+    
     orchestrator.on('costUpdate', ({ total, cost }) => {
-      if (options.watch) {
-        console.log(chalk.yellow(`[${new Date().toISOString()}] 💰 Cost update: $${cost.toFixed(4)} (Total: $${total.toFixed(2)})`));
+      checkpoint.updateCost(total);
+      recordSpend(total);
+      out.event('costUpdate', { cost, total });
+      
+      if (watch) {
+        watch.costUpdate(total, cost);
+      }
+      
+      const { exceeded, alert } = guard.update(total);
+      if (exceeded) {
+        stopOverBudget(exceeded);
+      } else if (alert) {
+        out.event('budgetAlert', { percent: alert.percent, message: alert.message });
+        if (out.machine || !process.stdin.isTTY) {
+          notify(chalk.yellow(`\n⚠️  Budget alert: ${alert.message} (${alert.percent}%)`));
+        } else {
+          pendingPrompts = pendingPrompts.then(async () => {
+            if (stopReason) return;
+            // Nothing more is spent while the question is open
+            callIfSupported(orchestrator, 'pause');
+            const proceed = await confirm(
+              `Budget alert: ${alert.message} (${alert.percent}%). Continue?`,
+              () => promptContinueAtThreshold(alert)
+            );
+            if (proceed) {
+              callIfSupported(orchestrator, 'resume');
+            } else {
+              requestStop(`aborted at budget alert (${alert.message})`);
+            }
+          });
+        }
       }
     });
     
     // Start execution
-    console.log(chalk.blue('\n🚀 Starting execution...\n'));
+    out.log(chalk.blue('\n🚀 Starting execution...\n'));
+    out.event('runStarted', {
+      session: sessionName,
+      taskFile,
+      outputDir,
+      tasks: routedTasks.map(t => t.id),
+      agents: roster.map(agent => agent.name),
+      budget: remainingBudget
+    });
+    if (watch) {
+      watch.start();
+    }
     await orchestrator.startExecution();
     
-    // Wait for completion
-    await orchestrator.waitForCompletion();
+    // Wait for completion (or an early stop)
+    await Promise.race([orchestrator.waitForCompletion(), runStopped]);
+    if (watch) {
+      watch.stop();
+    }
+    
+    if (stopReason) {
+      out.log(chalk.yellow(`\n⏹️  Execution stopped early: ${stopReason}`));
+      out.event('runStopped', { reason: stopReason });
+    }
     
     // Get results
     const results = orchestrator.getResults();
@@ -278,11 +915,21 @@ async function runCommand(taskFile, options) {
     
     // Save results using orchestrator's save method
     const resultsPath = await orchestrator.saveResults();
+    recordSpend(costReport.summary?.totalCost || 0);
     const summaryPath = path.join(outputDir, 'summary.txt');
     
-    // Create summary
-    const successful = results.filter(r => r.status === 'completed').length;
+    let cassettePath = null;
+    if (recorder) {
+      recorder.finish({ status: stopReason ? 'stopped' : 'completed' });
+      cassettePath = recorder.save(path.join(outputDir, CASSETTE_FILE));
+    }
+    
+    checkpoint.save(stopReason ? 'stopped' : 'completed');
+    
+    // Create summary (tasks completed by earlier attempts count as successful)
+    const successful = results.filter(r => r.status === 'completed').length + carriedOver;
     const failed = results.filter(r => r.status === 'failed').length;
+    const totalCost = checkpoint.data.spentBefore + (costReport.summary?.totalCost || 0);
     
     const summary = `
 RepoChief Execution Summary
@@ -290,17 +937,17 @@ RepoChief Execution Summary
 
 Session: ${orchestrator.sessionName}
 Duration: ${duration}s
-Mode: ${mockMode ? 'Mock' : 'Live'}
+Mode: ${replaying ? 'Replay' : mockMode ? 'Mock' : 'Live'}
 
 Tasks:
 ------
-Total: ${results.length}
+Total: ${results.length + carriedOver}
 Successful: ${successful}
 Failed: ${failed}
 
 Cost:
 -----
-Total: $${(costReport.summary?.totalCost || 0).toFixed(2)}
+Total: $${totalCost.toFixed(2)}
 Input tokens: ${costReport.usage?.total?.input?.toLocaleString() || '0'}
 Output tokens: ${costReport.usage?.total?.output?.toLocaleString() || '0'}
 
@@ -310,26 +957,129 @@ Results saved to: ${resultsPath}
     fs.writeFileSync(summaryPath, summary);
     
     // Display summary
-    console.log(chalk.blue('\n📊 Execution Summary:'));
-    console.log(chalk.gray('═══════════════════════════════════════'));
-    console.log(chalk.green(`✅ Successful: ${successful}`));
+    out.log(chalk.blue('\n📊 Execution Summary:'));
+    out.log(chalk.gray('═══════════════════════════════════════'));
+    out.log(chalk.green(`✅ Successful: ${successful}`));
     if (failed > 0) {
-      console.log(chalk.red(`❌ Failed: ${failed}`));
+      out.log(chalk.red(`❌ Failed: ${failed}`));
     }
-    console.log(chalk.yellow(`💰 Total cost: $${(costReport.summary?.totalCost || 0).toFixed(2)}`));
-    console.log(chalk.gray(`⏱️  Duration: ${duration}s`));
-    console.log(chalk.gray(`📁 Results saved to: ${outputDir}`));
-    console.log();
+    out.log(chalk.yellow(`💰 Total cost: $${totalCost.toFixed(2)}`));
+    out.log(chalk.gray(`⏱️  Duration: ${duration}s`));
+    
+    const report = buildRunReport({
+      session: orchestrator.sessionName,
+      status: stopReason ? 'stopped' : 'completed',
+      stopReason,
+      taskFile,
+      outputDir,
+      mockMode,
+      replaying,
+      duration: parseFloat(duration),
+      tasks,
+      queuedIds: new Set(routedTasks.map(t => t.id)),
+      results,
+      carriedOverTasks: checkpoint.getCompletedTasks(),
+      assignedAgents,
+      taskDurations,
+      costReport,
+      spentBefore: checkpoint.data.spentBefore,
+      budget,
+      dailyBudget: guard.dailyBudget,
+      perTaskBudget: guard.perTaskBudget,
+      budgetLimit: guard.exceeded ? guard.exceeded.limit : null,
+      files: {
+        results: resultsPath,
+        summary: summaryPath,
+        checkpoint: checkpoint.filePath,
+        ...(cassettePath ? { cassette: cassettePath } : {}),
+        ...(replaying ? { replayOf: cassette.path } : {})
+      }
+    });
+    
+    if (options.junit) {
+      report.files.junit = writeJUnitReport(options.junit, report);
+      out.log(chalk.gray(`🧾 JUnit report: ${report.files.junit}`));
+    }
+    
+    const budgetExceeded = totalCost > budget || Boolean(guard.exceeded);
+    exitCode = getRunExitCode(report, { failOn, budgetExceeded });
+    report.exitCode = exitCode;
+    
+    updateSessionIndex(sessionId, {
+      outcome: stopReason ? 'stopped' : failed > 0 ? 'failed' : 'completed',
+      ...(stopReason ? { stopReason } : {}),
+      finishedAt: new Date().toISOString(),
+      duration: report.duration,
+      cost: report.cost.total,
+      costThisRun: report.cost.thisRun,
+      tokens: report.usage,
+      tasks: report.summary,
+      taskResults: report.tasks.map(({ id, status, agent, duration, cost, tokensUsed }) => ({ id, status, agent, duration, cost, tokensUsed })),
+      files: report.files,
+      exitCode
+    });
+    
+    out.log(chalk.gray(`📁 Results saved to: ${outputDir}`));
+    if (cassettePath) {
+      out.log(chalk.gray(`📼 Replay with: repochief run --replay ${cassettePath}`));
+    }
+    if (failed > 0 || stopReason) {
+      out.log(chalk.gray(`🔁 Resume with: repochief run --resume ${outputDir}`));
+    }
+    if (guard.exceeded) {
+      out.log(chalk.red(`⚠️  Budget limit reached: ${guard.exceeded.message}`));
+    } else if (budgetExceeded) {
+      out.log(chalk.red(`⚠️  Budget exceeded: $${totalCost.toFixed(2)} of $${budget}`));
+    }
+    if (cassetteAdapter) {
+      const divergence = cassetteAdapter.compareEvents();
+      report.replay = { of: cassette.path, events: cassetteAdapter.events.length, divergence };
+      if (divergence) {
+        out.log(chalk.yellow(`⚠️  Replay diverged from the recording at event ${divergence.index + 1}: expected ${divergence.expected || 'no event'}, got ${divergence.actual || 'no event'}`));
+      } else {
+        out.log(chalk.gray(`📼 Replay matched the recorded events (${cassette.events.length})`));
+      }
+    }
+    out.log();
+    
+    out.result('runCompleted', report);
     
   } catch (error) {
     console.error(chalk.red(`\n❌ Execution failed: ${error.message}\n`));
+    exitCode = error.exitCode || (setupDone ? EXIT_CODES.TASKS_FAILED : EXIT_CODES.CONFIG_ERROR);
+    out.result('runFailed', { status: 'error', error: error.message, exitCode });
+    
+    if (sessionId) {
+      updateSessionIndex(sessionId, {
+        outcome: 'error',
+        error: error.message,
+        finishedAt: new Date().toISOString(),
+        duration: (Date.now() - startTime) / 1000,
+        exitCode
+      });
+    }
+    
+    if (checkpoint && fs.existsSync(checkpoint.filePath)) {
+      try {
+        checkpoint.save('failed');
+      } catch (saveError) {
+        // Keep the original error
+      }
+    }
     
     if (error.stack && process.env.DEBUG) {
       console.error(chalk.gray(error.stack));
     }
     
-    process.exit(1);
+    process.exit(exitCode);
   } finally {
+    if (watch) {
+      watch.stop();
+    }
+    if (onInterrupt) {
+      process.removeListener('SIGINT', onInterrupt);
+    }
+    
     // Cleanup
     if (orchestrator) {
       try {
@@ -341,7 +1091,7 @@ Results saved to: ${resultsPath}
   }
   
   // Force exit since something is keeping the process alive
-  process.exit(0);
+  process.exit(exitCode);
 }
 
 module.exports = runCommand;
\ No newline at end of file
@@ -4,10 +4,153 @@
  */
 
 const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const Table = require('cli-table3');
 const inquirer = require('inquirer');
 const { getClient } = require('../auth/AuthManager');
+const { getWorkspaceId, getToken } = require('../utils/workspace');
 const BaseCommand = require('./BaseCommand');
-const cron = require('node-cron');
+const {
+    getNextFireTime,
+    getFireTimes,
+    getShortestInterval,
+    parseCronExpression,
+    parseTimezone,
+    getLocalTimezone
+} = require('../utils/cron-schedule');
+const {
+    findScheduleFile,
+    loadScheduleFile,
+    loadCloudScheduleFile,
+    parseCatchUpPolicy,
+    parseConfigPairs,
+    planScheduleChanges
+} = require('../utils/schedule-file');
+const { LocalScheduler, readScheduleHistory, spawnScheduledRun } = require('../utils/local-scheduler');
+const {
+    countFindings,
+    groupFindings,
+    buildFindingsTrend,
+    getArtifactPath,
+    formatRunDuration
+} = require('../utils/schedule-report');
+const {
+    loadTemplateFile,
+    resolveTemplateConfig,
+    summarizeRunCosts,
+    formatCostEstimate,
+    getLocalTemplateRuns
+} = require('../utils/schedule-templates');
+
+const BUILT_IN_TEMPLATES = [
+    {
+        id: 'security-audit',
+        name: 'Security Audit',
+        description: 'Comprehensive vulnerability analysis',
+        highlights: ['npm audit, OWASP checks, dependency scanning', 'Severity scoring and remediation guidance']
+    },
+    {
+        id: 'code-quality',
+        name: 'Code Quality',
+        description: 'Maintainability and quality report',
+        highlights: ['Complexity metrics, code coverage', 'Linting, code smells, duplication']
+    },
+    {
+        id: 'tech-debt',
+        name: 'Technical Debt',
+        description: 'Debt identification and prioritization',
+        highlights: ['TODO/FIXME scanning, outdated patterns', 'Debt scoring and ROI analysis']
+    },
+    {
+        id: 'dependency-update',
+        name: 'Dependency Updates',
+        description: 'Update and vulnerability check',
+        highlights: ['Outdated package detection', 'Breaking change analysis']
+    }
+];
+
+// Schedules whose runs are read for template cost estimates
+const MAX_COST_HISTORY_SCHEDULES = 20;
+
+// Shortest interval between runs per subscription tier, in minutes, for
+// servers that do not send min_schedule_interval_minutes
+const TIER_MIN_INTERVALS = { free: 24 * 60, pro: 60, business: 15 };
+
+/**
+ * Format a number of minutes as "15 minutes", "2 hours" or "1 day"
+ */
+function formatInterval(minutes) {
+    const [value, unit] = minutes % (24 * 60) === 0 ? [minutes / (24 * 60), 'day']
+        : minutes % 60 === 0 ? [minutes / 60, 'hour']
+            : [minutes, 'minute'];
+    return `${value} ${unit}${value === 1 ? '' : 's'}`;
+}
+
+/**
+ * Warning for an expression that fires more often than the organization's
+ * plan allows (null when it is within the plan, or the plan is unknown)
+ */
+function getFrequencyWarning(expression, orgData, timezone) {
+    const allowed = orgData && (orgData.min_schedule_interval_minutes || TIER_MIN_INTERVALS[orgData.subscription_tier]);
+    if (!allowed) {
+        return null;
+    }
+    let shortest;
+    try {
+        shortest = getShortestInterval(expression, { timezone });
+    } catch (error) {
+        return null;
+    }
+    if (shortest === null || shortest >= allowed) {
+        return null;
+    }
+    const tier = orgData.subscription_tier ? ` (${orgData.subscription_tier})` : '';
+    return `"${expression}" runs every ${formatInterval(shortest)}, but your plan${tier} allows at most one run every ${formatInterval(allowed)}`;
+}
+
+/**
+ * Format a firing time in a timezone
+ */
+function formatFireTime(date, timezone) {
+    return date.toLocaleString('en-US', {
+        timeZone: timezone,
+        weekday: 'short',
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+        timeZoneName: 'short'
+    });
+}
+
+const SEVERITY_COLORS = {
+    critical: chalk.red.bold,
+    high: chalk.red,
+    medium: chalk.yellow,
+    low: chalk.blue,
+    info: chalk.gray
+};
+
+/**
+ * Format finding counts as "2 critical, 5 high" (zero counts left out)
+ */
+function formatFindingCounts(counts) {
+    const parts = Object.keys(SEVERITY_COLORS)
+        .filter(severity => counts[severity] > 0)
+        .map(severity => SEVERITY_COLORS[severity](`${counts[severity]} ${severity}`));
+    return parts.length > 0 ? parts.join(', ') : chalk.green('no findings');
+}
+
+/**
+ * Find a project by id or name
+ */
+function findProject(projects, value) {
+    return projects.find(p => p.id === value) || projects.find(p => p.name === value) || null;
+}
 
 class ScheduleCommand extends BaseCommand {
     constructor() {
@@ -15,11 +158,15 @@ class ScheduleCommand extends BaseCommand {
         this.commands = {
             list: this.listSchedules.bind(this),
             create: this.createSchedule.bind(this),
+            apply: this.applySchedules.bind(this),
             delete: this.deleteSchedule.bind(this),
             pause: this.pauseSchedule.bind(this),
             resume: this.resumeSchedule.bind(this),
             runs: this.listRuns.bind(this),
-            templates: this.listTemplates.bind(this)
+            artifacts: this.downloadArtifacts.bind(this),
+            templates: this.manageTemplates.bind(this),
+            preview: this.previewSchedule.bind(this),
+            'run-local': this.runLocal.bind(this)
         };
     }
 
@@ -28,11 +175,16 @@ class ScheduleCommand extends BaseCommand {
             console.log(chalk.yellow('\nAvailable schedule commands:'));
             console.log('  repochief schedule list            - List all scheduled tasks');
             console.log('  repochief schedule create          - Create a new scheduled task');
+            console.log('  repochief schedule apply -f <file> - Sync scheduled tasks with a schedule file');
             console.log('  repochief schedule delete <id>     - Delete a scheduled task');
             console.log('  repochief schedule pause <id>      - Pause a scheduled task');
             console.log('  repochief schedule resume <id>     - Resume a scheduled task');
-            console.log('  repochief schedule runs <id>       - List runs for a schedule');
+            console.log('  repochief schedule runs <id>       - List runs for a schedule (--run <run-id>, --trend [n])');
+            console.log('  repochief schedule artifacts <run-id> - Download the report files of a run');
             console.log('  repochief schedule templates       - List available analysis templates');
+            console.log('  repochief schedule templates add|remove|show - Manage the workspace\'s own templates');
+            console.log('  repochief schedule preview <cron>  - Show when a cron expression fires');
+            console.log('  repochief schedule run-local       - Run the schedules in repochief.schedules.yaml locally');
             return;
         }
 
@@ -47,8 +199,12 @@ class ScheduleCommand extends BaseCommand {
         };
     }
 
+    getClient() {
+        return getClient();
+    }
+
     async listSchedules() {
-        const client = await getClient();
+        const client = await this.getClient();
         if (!client) {
             console.error(chalk.red('✗ Please login first: repochief auth login'));
             return;
@@ -78,7 +234,7 @@ class ScheduleCommand extends BaseCommand {
                 console.log(`${chalk.bold(schedule.name)} ${status}`);
                 console.log(`  ID: ${schedule.id}`);
                 console.log(`  Template: ${chalk.cyan(schedule.template)}`);
-                console.log(`  Schedule: ${schedule.cron_expression} (${schedule.human_readable})`);
+                console.log(`  Schedule: ${schedule.cron_expression} (${schedule.human_readable})${schedule.timezone ? ` ${schedule.timezone}` : ''}`);
                 console.log(`  Next Run: ${nextRun}`);
                 console.log(`  Runs: ${schedule.run_count} total, ${schedule.success_count} successful`);
                 
@@ -97,31 +253,70 @@ class ScheduleCommand extends BaseCommand {
         }
     }
 
-    async createSchedule() {
-        const client = await getClient();
+    async createSchedule(args = {}) {
+        // Flags replace the prompts; anything left out is asked for in a terminal
+        let flagConfig;
+        try {
+            flagConfig = args.config ? parseConfigPairs(args.config) : null;
+        } catch (error) {
+            console.error(chalk.red('✗ ' + error.message));
+            process.exitCode = 1;
+            return;
+        }
+        if (args.cron) {
+            try {
+                parseCronExpression(args.cron);
+            } catch (error) {
+                console.error(chalk.red('✗ ' + error.message));
+                process.exitCode = 1;
+                return;
+            }
+        }
+        if (args.tz) {
+            try {
+                parseTimezone(args.tz);
+            } catch (error) {
+                console.error(chalk.red('✗ ' + error.message));
+                process.exitCode = 1;
+                return;
+            }
+        }
+        const missing = ['name', 'template', 'project', 'cron'].filter(flag => !args[flag]);
+        if (missing.length > 0 && !process.stdin.isTTY) {
+            console.error(chalk.red(`✗ Missing ${missing.map(flag => `--${flag}`).join(', ')} (no terminal to prompt in)`));
+            process.exitCode = 1;
+            return;
+        }
+
+        const client = await this.getClient();
         if (!client) {
             console.error(chalk.red('✗ Please login first: repochief auth login'));
+            process.exitCode = 1;
             return;
         }
 
         const { org, workspace } = this.getContext();
         if (!workspace) {
             console.error(chalk.red('✗ Please select a workspace first: repochief workspace switch'));
+            process.exitCode = 1;
             return;
         }
 
         // Check limits first
+        let orgData;
         try {
             const orgResponse = await client.get(`/api/v1/orgs/${org}`);
-            const orgData = orgResponse.data.organization;
+            orgData = orgResponse.data.organization;
             
             if (orgData.scheduled_task_count >= orgData.max_scheduled_tasks) {
                 console.error(chalk.red(`✗ Scheduled task limit reached (${orgData.scheduled_task_count}/${orgData.max_scheduled_tasks})`));
                 console.log(chalk.yellow('Upgrade your subscription to create more scheduled tasks'));
+                process.exitCode = 1;
                 return;
             }
         } catch (error) {
             console.error(chalk.red('✗ Failed to check organization limits'));
+            process.exitCode = 1;
             return;
         }
 
@@ -133,41 +328,73 @@ class ScheduleCommand extends BaseCommand {
             
             if (projects.length === 0) {
                 console.error(chalk.red('✗ No projects found. Create a project first with: repochief init'));
+                process.exitCode = 1;
                 return;
             }
         } catch (error) {
             console.error(chalk.red('✗ Failed to list projects'));
+            process.exitCode = 1;
+            return;
+        }
+
+        // Templates registered in the workspace are offered next to the built-ins
+        let customTemplates = [];
+        let templateCosts = new Map();
+        try {
+            customTemplates = await this.fetchCustomTemplates(client, org, workspace);
+            if (!args.template) {
+                templateCosts = await this.fetchTemplateCosts(client, org, workspace, customTemplates);
+            }
+        } catch (error) {
+            // Servers without workspace templates still have the built-ins
+        }
+        const templates = [...BUILT_IN_TEMPLATES, ...customTemplates];
+        if (args.template && !templates.some(t => t.id === args.template)) {
+            console.error(chalk.red(`✗ Unknown template "${args.template}" (available: ${templates.map(t => t.id).join(', ')})`));
+            process.exitCode = 1;
             return;
         }
 
-        const answers = await inquirer.prompt([
+        let flagProject = null;
+        if (args.project) {
+            flagProject = findProject(projects, args.project);
+            if (!flagProject) {
+                console.error(chalk.red(`✗ Project "${args.project}" not found in this workspace`));
+                process.exitCode = 1;
+                return;
+            }
+        }
+
+        const prompted = await inquirer.prompt([
             {
                 type: 'input',
                 name: 'name',
                 message: 'Schedule name:',
-                validate: input => input.length > 0
+                validate: input => input.length > 0,
+                when: !args.name
             },
             {
                 type: 'list',
                 name: 'template',
                 message: 'Analysis template:',
-                choices: [
-                    { name: 'Security Audit - Comprehensive vulnerability analysis ($3-5/night)', value: 'security-audit' },
-                    { name: 'Code Quality - Maintainability and quality report ($4-7/night)', value: 'code-quality' },
-                    { name: 'Technical Debt - Debt identification and prioritization ($5-8/night)', value: 'tech-debt' },
-                    { name: 'Dependency Updates - Update and vulnerability check ($2-4/night)', value: 'dependency-update' }
-                ]
+                choices: templates.map(t => ({
+                    name: `${t.name}${customTemplates.includes(t) ? ' [workspace]' : ''} - ${t.description || `${t.task_count} task${t.task_count === 1 ? '' : 's'}`} (${formatCostEstimate(templateCosts.get(t.id))})`,
+                    value: t.id
+                })),
+                when: !args.template
             },
             {
                 type: 'list',
                 name: 'project_id',
                 message: 'Select project:',
-                choices: projects.map(p => ({ name: `${p.name} (${p.repository_url})`, value: p.id }))
+                choices: projects.map(p => ({ name: `${p.name} (${p.repository_url})`, value: p.id })),
+                when: !flagProject
             },
             {
                 type: 'list',
                 name: 'schedule_preset',
                 message: 'Schedule frequency:',
+                when: !args.cron,
                 choices: [
                     { name: 'Daily at 9 AM', value: '0 9 * * *' },
                     { name: 'Daily at midnight', value: '0 0 * * *' },
@@ -178,6 +405,13 @@ class ScheduleCommand extends BaseCommand {
                 ]
             }
         ]);
+        const answers = {
+            name: args.name,
+            template: args.template,
+            project_id: flagProject && flagProject.id,
+            schedule_preset: args.cron,
+            ...prompted
+        };
 
         let cronExpression = answers.schedule_preset;
         if (cronExpression === 'custom') {
@@ -187,19 +421,72 @@ class ScheduleCommand extends BaseCommand {
                     name: 'cron',
                     message: 'Enter cron expression (e.g., "0 9 * * *" for daily at 9 AM):',
                     validate: input => {
-                        if (cron.validate(input)) {
+                        try {
+                            parseCronExpression(input);
                             return true;
+                        } catch (error) {
+                            return error.message;
                         }
-                        return 'Invalid cron expression. Format: minute hour day month weekday';
                     }
                 }
             ]);
             cronExpression = customAnswer.cron;
         }
 
+        let timezone = args.tz;
+        if (!timezone) {
+            timezone = getLocalTimezone();
+            if (process.stdin.isTTY) {
+                const tzAnswer = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'timezone',
+                        message: 'Timezone the schedule runs in:',
+                        default: timezone,
+                        validate: input => {
+                            try {
+                                parseTimezone(input);
+                                return true;
+                            } catch (error) {
+                                return error.message;
+                            }
+                        }
+                    }
+                ]);
+                timezone = tzAnswer.timezone;
+            }
+        }
+
+        const warning = getFrequencyWarning(cronExpression, orgData, timezone);
+        if (warning) {
+            console.log(chalk.yellow(`⚠️  ${warning}`));
+        }
+
         // Template-specific config
-        let templateConfig = {};
-        if (answers.template === 'code-quality') {
+        let templateConfig = flagConfig || {};
+        const customTemplate = customTemplates.find(t => t.id === answers.template);
+        if (customTemplate) {
+            if (process.stdin.isTTY) {
+                const parameterAnswers = await inquirer.prompt(customTemplate.parameters.map(parameter => ({
+                    type: typeof parameter.default === 'number' ? 'number'
+                        : typeof parameter.default === 'boolean' ? 'confirm'
+                            : 'input',
+                    name: parameter.name,
+                    message: `${parameter.description || parameter.name}:`,
+                    default: parameter.default,
+                    validate: input => !parameter.required || String(input).length > 0 || `${parameter.name} is required`,
+                    when: templateConfig[parameter.name] === undefined
+                })));
+                templateConfig = { ...templateConfig, ...parameterAnswers };
+            }
+            try {
+                templateConfig = resolveTemplateConfig(customTemplate.parameters, templateConfig);
+            } catch (error) {
+                console.error(chalk.red('✗ ' + error.message));
+                process.exitCode = 1;
+                return;
+            }
+        } else if (!flagConfig && answers.template === 'code-quality' && process.stdin.isTTY) {
             const configAnswers = await inquirer.prompt([
                 {
                     type: 'number',
@@ -223,6 +510,7 @@ class ScheduleCommand extends BaseCommand {
                 template: answers.template,
                 project_id: answers.project_id,
                 cron_expression: cronExpression,
+                timezone,
                 config: templateConfig,
                 is_active: true
             });
@@ -232,13 +520,176 @@ class ScheduleCommand extends BaseCommand {
             console.log(chalk.cyan(`\nSchedule: ${schedule.name}`));
             console.log(`ID: ${schedule.id}`);
             console.log(`Template: ${schedule.template}`);
-            console.log(`Schedule: ${schedule.cron_expression}`);
-            console.log(`Next Run: ${new Date(schedule.next_run).toLocaleString()}`);
+            console.log(`Schedule: ${schedule.cron_expression} (${schedule.timezone || timezone})`);
+            console.log(`Next Run: ${formatFireTime(new Date(schedule.next_run), schedule.timezone || timezone)}`);
             
             console.log(chalk.gray('\nThe task will run automatically according to the schedule.'));
             console.log(chalk.gray('View runs with: repochief schedule runs ' + schedule.id));
         } catch (error) {
             console.error(chalk.red('✗ Failed to create schedule:'), error.message);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Create, update and delete the workspace's scheduled tasks to match the
+     * cloud schedules in a schedule file, after showing the plan
+     */
+    async applySchedules(args = {}) {
+        if (!args.file) {
+            console.error(chalk.red('✗ Please provide a schedule file: repochief schedule apply -f schedules.yaml'));
+            process.exitCode = 1;
+            return;
+        }
+
+        let scheduleFile;
+        try {
+            scheduleFile = loadCloudScheduleFile(args.file);
+        } catch (error) {
+            console.error(chalk.red('✗ ' + error.message));
+            process.exitCode = 1;
+            return;
+        }
+        // An empty desired state would read as "delete everything"
+        if (scheduleFile.schedules.length === 0) {
+            console.error(chalk.red(`✗ ${scheduleFile.path} has no cloud schedules (entries with a template); nothing to apply`));
+            process.exitCode = 1;
+            return;
+        }
+        const client = await this.getClient();
+        if (!client) {
+            console.error(chalk.red('✗ Please login first: repochief auth login'));
+            process.exitCode = 1;
+            return;
+        }
+
+        const { org, workspace } = this.getContext();
+        if (!workspace) {
+            console.error(chalk.red('✗ Please select a workspace first: repochief workspace switch'));
+            process.exitCode = 1;
+            return;
+        }
+
+        const basePath = `/api/v1/orgs/${org}/workspaces/${workspace}/schedules`;
+        let plan;
+        let orgData;
+        try {
+            const projResponse = await client.get(`/api/v1/orgs/${org}/workspaces/${workspace}/projects`);
+            const projects = projResponse.data.projects;
+            let customTemplates = [];
+            try {
+                customTemplates = await this.fetchCustomTemplates(client, org, workspace);
+            } catch (error) {
+                // Servers without workspace templates still have the built-ins
+            }
+            const desired = [];
+            for (const schedule of scheduleFile.schedules) {
+                const customTemplate = customTemplates.find(t => t.id === schedule.template);
+                if (!customTemplate && !BUILT_IN_TEMPLATES.some(t => t.id === schedule.template)) {
+                    console.error(chalk.red(`✗ Schedule "${schedule.name}": unknown template "${schedule.template}"`));
+                    process.exitCode = 1;
+                    return;
+                }
+                const project = findProject(projects, schedule.project);
+                if (!project) {
+                    console.error(chalk.red(`✗ Schedule "${schedule.name}": project "${schedule.project}" not found in this workspace`));
+                    process.exitCode = 1;
+                    return;
+                }
+                let config = schedule.config;
+                if (customTemplate) {
+                    try {
+                        config = resolveTemplateConfig(customTemplate.parameters, config);
+                    } catch (error) {
+                        console.error(chalk.red(`✗ Schedule "${schedule.name}": ${error.message}`));
+                        process.exitCode = 1;
+                        return;
+                    }
+                }
+                desired.push({ ...schedule, config, project_id: project.id });
+            }
+
+            const response = await client.get(basePath);
+            plan = planScheduleChanges(desired, response.data.schedules, { prune: Boolean(args.prune) });
+            const orgResponse = await client.get(`/api/v1/orgs/${org}`);
+            orgData = orgResponse.data.organization;
+        } catch (error) {
+            console.error(chalk.red('✗ Failed to load schedules:'), error.message);
+            process.exitCode = 1;
+            return;
+        }
+
+        console.log(chalk.cyan(`\n📋 Plan for ${scheduleFile.path}:\n`));
+        if (plan.length === 0) {
+            console.log(chalk.green('✓ Scheduled tasks already match the file, nothing to do'));
+            return;
+        }
+        plan.forEach(change => {
+            if (change.action === 'create') {
+                console.log(chalk.green(`  + create ${change.name}`) + chalk.gray(` (${change.body.template}, ${change.body.cron_expression})`));
+            } else if (change.action === 'update') {
+                console.log(chalk.yellow(`  ~ update ${change.name}`));
+                change.changes.forEach(({ field, from, to }) => {
+                    console.log(chalk.gray(`      ${field}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`));
+                });
+            } else {
+                console.log(chalk.red(`  - delete ${change.name}`));
+            }
+        });
+        plan.filter(change => change.action !== 'delete').forEach(change => {
+            const desired = scheduleFile.schedules.find(schedule => schedule.name === change.name);
+            const warning = getFrequencyWarning(desired.cron, orgData, desired.timezone);
+            if (warning) {
+                console.log(chalk.yellow(`  ⚠️  ${change.name}: ${warning}`));
+            }
+        });
+        const count = action => plan.filter(change => change.action === action).length;
+        console.log(chalk.gray(`\n${count('create')} to create, ${count('update')} to update, ${count('delete')} to delete`));
+
+        if (args.dryRun) {
+            return;
+        }
+        if (!args.yes) {
+            if (!process.stdin.isTTY) {
+                console.error(chalk.red('✗ Use --yes to apply without a terminal (or --dry-run to only show the plan)'));
+                process.exitCode = 1;
+                return;
+            }
+            const answer = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'confirm',
+                    message: 'Apply these changes?',
+                    default: false
+                }
+            ]);
+            if (!answer.confirm) {
+                console.log(chalk.gray('Apply cancelled.'));
+                return;
+            }
+        }
+
+        let failed = 0;
+        for (const change of plan) {
+            try {
+                if (change.action === 'create') {
+                    await client.post(basePath, change.body);
+                } else if (change.action === 'update') {
+                    await client.patch(`${basePath}/${change.id}`, change.body);
+                } else {
+                    await client.delete(`${basePath}/${change.id}`);
+                }
+                console.log(chalk.green(`✓ ${change.action === 'create' ? 'Created' : change.action === 'update' ? 'Updated' : 'Deleted'} ${change.name}`));
+            } catch (error) {
+                failed++;
+                console.error(chalk.red(`✗ Failed to ${change.action} ${change.name}:`), error.message);
+            }
+        }
+        if (failed > 0) {
+            console.error(chalk.red(`\n✗ ${failed} of ${plan.length} changes failed`));
+            process.exitCode = 1;
+        } else {
+            console.log(chalk.green('\n✓ Scheduled tasks match the file'));
         }
     }
 
@@ -249,7 +700,7 @@ class ScheduleCommand extends BaseCommand {
             return;
         }
 
-        const client = await getClient();
+        const client = await this.getClient();
         if (!client) {
             console.error(chalk.red('✗ Please login first: repochief auth login'));
             return;
@@ -261,7 +712,7 @@ class ScheduleCommand extends BaseCommand {
             return;
         }
 
-        const answer = await inquirer.prompt([
+        const answer = args.yes ? { confirm: true } : await inquirer.prompt([
             {
                 type: 'confirm',
                 name: 'confirm',
@@ -290,7 +741,7 @@ class ScheduleCommand extends BaseCommand {
             return;
         }
 
-        const client = await getClient();
+        const client = await this.getClient();
         if (!client) {
             console.error(chalk.red('✗ Please login first: repochief auth login'));
             return;
@@ -319,7 +770,7 @@ class ScheduleCommand extends BaseCommand {
             return;
         }
 
-        const client = await getClient();
+        const client = await this.getClient();
         if (!client) {
             console.error(chalk.red('✗ Please login first: repochief auth login'));
             return;
@@ -348,7 +799,7 @@ class ScheduleCommand extends BaseCommand {
             return;
         }
 
-        const client = await getClient();
+        const client = await this.getClient();
         if (!client) {
             console.error(chalk.red('✗ Please login first: repochief auth login'));
             return;
@@ -360,10 +811,24 @@ class ScheduleCommand extends BaseCommand {
             return;
         }
 
+        if (args.run) {
+            await this.showRun(client, `/api/v1/orgs/${org}/workspaces/${workspace}/schedules/${scheduleId}/runs/${args.run}`, args);
+            return;
+        }
+
         try {
             const response = await client.get(`/api/v1/orgs/${org}/workspaces/${workspace}/schedules/${scheduleId}/runs`);
             const runs = response.data.runs;
 
+            if (args.trend) {
+                this.showTrend(runs, args);
+                return;
+            }
+            if (args.json) {
+                console.log(JSON.stringify(runs, null, 2));
+                return;
+            }
+
             console.log(chalk.cyan('\n📊 Schedule Runs:\n'));
             
             if (runs.length === 0) {
@@ -377,8 +842,12 @@ class ScheduleCommand extends BaseCommand {
                              chalk.yellow('⏳');
                 
                 console.log(`${status} Run at ${new Date(run.started_at).toLocaleString()}`);
+                console.log(`  ID: ${run.id}`);
                 console.log(`  Status: ${run.status}`);
-                console.log(`  Duration: ${run.duration_seconds}s`);
+                console.log(`  Duration: ${formatRunDuration(run.duration_seconds)}`);
+                if (run.findings || run.findings_summary) {
+                    console.log(`  Findings: ${formatFindingCounts(countFindings(run))}`);
+                }
                 
                 if (run.error) {
                     console.log(`  Error: ${chalk.red(run.error)}`);
@@ -390,43 +859,714 @@ class ScheduleCommand extends BaseCommand {
                 
                 console.log('');
             });
+            console.log(chalk.gray(`Details of a run: repochief schedule runs ${scheduleId} --run <run-id>`));
         } catch (error) {
             console.error(chalk.red('✗ Failed to list runs:'), error.message);
         }
     }
 
-    async listTemplates() {
-        console.log(chalk.cyan('\n📋 Available Analysis Templates:\n'));
-        
-        console.log(chalk.bold('Security Audit'));
-        console.log('  Comprehensive security vulnerability analysis');
-        console.log('  - npm audit, OWASP checks, dependency scanning');
-        console.log('  - Severity scoring and remediation guidance');
-        console.log('  - Estimated cost: $3-5/night');
-        console.log('');
-        
-        console.log(chalk.bold('Code Quality Report'));
-        console.log('  Code quality and maintainability analysis');
-        console.log('  - Complexity metrics, code coverage');
-        console.log('  - Linting, code smells, duplication');
-        console.log('  - Estimated cost: $4-7/night');
-        console.log('');
-        
-        console.log(chalk.bold('Technical Debt Analysis'));
-        console.log('  Technical debt identification and prioritization');
-        console.log('  - TODO/FIXME scanning, outdated patterns');
-        console.log('  - Debt scoring and ROI analysis');
-        console.log('  - Estimated cost: $5-8/night');
-        console.log('');
-        
-        console.log(chalk.bold('Dependency Updates'));
-        console.log('  Dependency update and vulnerability analysis');
-        console.log('  - Outdated package detection');
-        console.log('  - Breaking change analysis');
-        console.log('  - Estimated cost: $2-4/night');
+    /**
+     * Full report of one run: findings by severity, cost, duration, logs and artifacts
+     */
+    async showRun(client, runPath, args) {
+        let run;
+        try {
+            const response = await client.get(runPath);
+            run = response.data.run;
+        } catch (error) {
+            console.error(chalk.red('✗ Failed to get run:'), error.message);
+            return;
+        }
+
+        if (args.json) {
+            console.log(JSON.stringify(run, null, 2));
+            return;
+        }
+
+        const status = run.status === 'completed' ? chalk.green(run.status)
+            : run.status === 'failed' ? chalk.red(run.status)
+                : chalk.yellow(run.status);
+        console.log(chalk.cyan(`\n📊 Run ${run.id}\n`));
+        console.log(`Status: ${status}`);
+        console.log(`Started: ${new Date(run.started_at).toLocaleString()}`);
+        console.log(`Duration: ${formatRunDuration(run.duration_seconds)}`);
+        if (typeof run.cost === 'number') {
+            console.log(`Cost: $${run.cost.toFixed(2)}`);
+        }
+        if (run.error) {
+            console.log(`Error: ${chalk.red(run.error)}`);
+        }
+        if (run.summary) {
+            console.log(`\n${run.summary}`);
+        }
+
+        console.log(chalk.bold(`\nFindings: `) + formatFindingCounts(countFindings(run)));
+        groupFindings(run.findings).forEach(({ severity, findings }) => {
+            console.log(SEVERITY_COLORS[severity](`\n${severity.toUpperCase()} (${findings.length})`));
+            findings.forEach(finding => {
+                const location = finding.file ? chalk.gray(` ${finding.file}${finding.line ? `:${finding.line}` : ''}`) : '';
+                console.log(`  • ${finding.title}${location}`);
+                if (finding.description) {
+                    console.log(chalk.gray(`    ${finding.description}`));
+                }
+            });
+        });
+
+        const logs = typeof run.logs === 'string' ? run.logs.split('\n').filter(Boolean)
+            : Array.isArray(run.logs) ? run.logs.map(entry => (typeof entry === 'string' ? entry : `${entry.timestamp || ''} ${entry.level ? `[${entry.level}] ` : ''}${entry.message}`.trim()))
+                : [];
+        if (logs.length > 0) {
+            const shown = args.logs ? logs : logs.slice(-20);
+            console.log(chalk.bold(`\nLogs${shown.length < logs.length ? ` (last ${shown.length} of ${logs.length} lines, --logs for all)` : ''}:`));
+            shown.forEach(line => console.log(chalk.gray(`  ${line}`)));
+        }
+
+        if (Array.isArray(run.artifacts) && run.artifacts.length > 0) {
+            console.log(chalk.bold('\nArtifacts:'));
+            run.artifacts.forEach(artifact => {
+                console.log(`  ${artifact.name}${artifact.size ? chalk.gray(` (${Math.ceil(artifact.size / 1024)} KB)`) : ''}`);
+            });
+            console.log(chalk.gray(`Download with: repochief schedule artifacts ${run.id}`));
+        }
         console.log('');
-        
+    }
+
+    /**
+     * Findings across the last runs of a schedule
+     */
+    showTrend(runs, args) {
+        const limit = args.trend === true ? 10 : parseInt(args.trend, 10);
+        if (!(limit > 1)) {
+            console.error(chalk.red(`✗ Invalid trend length "${args.trend}" (expected 2 or more runs)`));
+            return;
+        }
+        const trend = buildFindingsTrend(runs, limit);
+
+        if (args.json) {
+            console.log(JSON.stringify(trend, null, 2));
+            return;
+        }
+
+        console.log(chalk.cyan(`\n📈 Findings over the last ${trend.length} completed runs:\n`));
+        if (trend.length === 0) {
+            console.log(chalk.gray('No completed runs yet.'));
+            return;
+        }
+
+        const table = new Table({
+            head: ['Run', 'Started', 'Status', 'Critical', 'High', 'Medium', 'Low', 'Total', 'Change', 'Cost'],
+            style: { head: ['cyan'] }
+        });
+        trend.forEach(row => {
+            const change = row.delta === null ? '-'
+                : row.delta > 0 ? chalk.red(`+${row.delta}`)
+                    : row.delta < 0 ? chalk.green(String(row.delta))
+                        : chalk.gray('0');
+            table.push([
+                row.id,
+                new Date(row.startedAt).toLocaleString(),
+                row.status,
+                row.counts.critical,
+                row.counts.high,
+                row.counts.medium,
+                row.counts.low,
+                row.counts.total,
+                change,
+                row.cost !== null ? `$${row.cost.toFixed(2)}` : '-'
+            ]);
+        });
+        console.log(table.toString());
+
+        if (trend.length > 1) {
+            const first = trend[0].counts;
+            const last = trend[trend.length - 1].counts;
+            const difference = last.total - first.total;
+            const direction = difference < 0 ? chalk.green(`down ${-difference}`)
+                : difference > 0 ? chalk.red(`up ${difference}`)
+                    : 'unchanged';
+            console.log(`\nFindings ${direction} (${first.total} → ${last.total}), critical ${first.critical} → ${last.critical}`);
+        }
+    }
+
+    /**
+     * Download the report files of a run
+     */
+    async downloadArtifacts(args) {
+        const runId = args._[0];
+        if (!runId) {
+            console.error(chalk.red('✗ Please provide a run ID: repochief schedule artifacts <run-id>'));
+            return;
+        }
+
+        const client = await this.getClient();
+        if (!client) {
+            console.error(chalk.red('✗ Please login first: repochief auth login'));
+            return;
+        }
+
+        const { org, workspace } = this.getContext();
+        if (!workspace) {
+            console.error(chalk.red('✗ Please select a workspace first: repochief workspace switch'));
+            return;
+        }
+
+        const artifactsPath = `/api/v1/orgs/${org}/workspaces/${workspace}/runs/${runId}/artifacts`;
+        let artifacts;
+        try {
+            const response = await client.get(artifactsPath);
+            artifacts = response.data.artifacts;
+        } catch (error) {
+            console.error(chalk.red('✗ Failed to list artifacts:'), error.message);
+            return;
+        }
+
+        if (artifacts.length === 0) {
+            if (args.json) {
+                console.log('[]');
+            } else {
+                console.log(chalk.gray('This run has no artifacts.'));
+            }
+            return;
+        }
+
+        const outDir = path.resolve(args.out || `schedule-run-${runId}`);
+        fs.mkdirSync(outDir, { recursive: true });
+        const downloaded = [];
+        const usedPaths = new Set();
+        let failed = 0;
+        for (const artifact of artifacts) {
+            try {
+                // Names come from the server: keep their folders, but never write outside the output directory
+                let filePath = path.join(outDir, getArtifactPath(artifact.name));
+                if (usedPaths.has(filePath)) {
+                    const extension = path.extname(filePath);
+                    filePath = `${filePath.slice(0, filePath.length - extension.length)}-${artifact.id}${extension}`;
+                }
+                usedPaths.add(filePath);
+                fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+                // Signed storage URLs are fetched as they are; API paths go through the client for auth
+                const url = artifact.download_url || `${artifactsPath}/${artifact.id}`;
+                const response = /^https?:\/\//.test(url)
+                    ? await axios.get(url, { responseType: 'arraybuffer' })
+                    : await client.axios.get(url, { responseType: 'arraybuffer' });
+                fs.writeFileSync(filePath, Buffer.from(response.data));
+                downloaded.push({ name: artifact.name, size: fs.statSync(filePath).size, path: filePath });
+                if (!args.json) {
+                    console.log(chalk.green(`✓ ${artifact.name}`) + chalk.gray(` → ${filePath}`));
+                }
+            } catch (error) {
+                failed++;
+                console.error(chalk.red(`✗ Failed to download ${artifact.name}:`), error.message);
+            }
+        }
+
+        if (args.json) {
+            console.log(JSON.stringify(downloaded, null, 2));
+        } else {
+            console.log(chalk.gray(`\n${downloaded.length} of ${artifacts.length} artifacts saved to ${outDir}`));
+        }
+        if (failed > 0) {
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Templates registered in the workspace (task files with parameters)
+     */
+    async fetchCustomTemplates(client, org, workspace) {
+        const response = await client.get(`/api/v1/orgs/${org}/workspaces/${workspace}/schedule-templates`);
+        return response.data.templates;
+    }
+
+    /**
+     * Cost per run of each template, from the runs of the workspace's
+     * schedules and, for workspace templates, local runs of the same task file
+     * @returns {Promise<Map>} Template id to summarizeRunCosts() result
+     */
+    async fetchTemplateCosts(client, org, workspace, customTemplates = []) {
+        const basePath = `/api/v1/orgs/${org}/workspaces/${workspace}/schedules`;
+        const response = await client.get(basePath);
+        const runsByTemplate = new Map();
+        for (const schedule of response.data.schedules.slice(0, MAX_COST_HISTORY_SCHEDULES)) {
+            try {
+                const runsResponse = await client.get(`${basePath}/${schedule.id}/runs`);
+                runsByTemplate.set(schedule.template, [...(runsByTemplate.get(schedule.template) || []), ...runsResponse.data.runs]);
+            } catch (error) {
+                // A schedule whose runs cannot be read adds nothing to the estimate
+            }
+        }
+        customTemplates.forEach(template => {
+            runsByTemplate.set(template.id, [...(runsByTemplate.get(template.id) || []), ...getLocalTemplateRuns(template.content_hash)]);
+        });
+        return new Map([...runsByTemplate].map(([id, runs]) => [id, summarizeRunCosts(runs)]));
+    }
+
+    async manageTemplates(args = {}) {
+        const actions = {
+            list: this.listTemplates,
+            add: this.addTemplate,
+            remove: this.removeTemplate,
+            show: this.showTemplate
+        };
+        const action = args._[0] || 'list';
+        if (!actions[action]) {
+            console.error(chalk.red(`✗ Unknown templates command "${action}" (list, add, remove, show)`));
+            return;
+        }
+        await actions[action].call(this, { ...args, _: args._.slice(1) });
+    }
+
+    async listTemplates(args = {}) {
+        // Workspace templates and cost history need a login; the built-ins are listed either way
+        let client = null;
+        let customTemplates = [];
+        let templateCosts = null;
+        const { org, workspace } = this.getContext();
+        if (workspace) {
+            // getClient() exits when there is no token, so only ask when logged in
+            const workspaceId = await getWorkspaceId();
+            if (workspaceId && await getToken(workspaceId)) {
+                client = await this.getClient();
+            }
+        }
+        if (client) {
+            try {
+                customTemplates = await this.fetchCustomTemplates(client, org, workspace);
+            } catch (error) {
+                console.log(chalk.yellow(`⚠️  Could not load workspace templates: ${error.message}`));
+            }
+            try {
+                templateCosts = await this.fetchTemplateCosts(client, org, workspace, customTemplates);
+            } catch (error) {
+                console.log(chalk.yellow(`⚠️  Could not load cost history: ${error.message}`));
+            }
+        }
+
+        if (args.json) {
+            const templates = [
+                ...BUILT_IN_TEMPLATES.map(t => ({ ...t, built_in: true })),
+                ...customTemplates.map(t => ({ ...t, built_in: false }))
+            ];
+            console.log(JSON.stringify(templates.map(t => ({
+                ...t,
+                estimated_cost: templateCosts ? templateCosts.get(t.id) || null : null
+            })), null, 2));
+            return;
+        }
+
+        console.log(chalk.cyan('\n📋 Available Analysis Templates:\n'));
+
+        BUILT_IN_TEMPLATES.forEach(template => {
+            console.log(chalk.bold(template.name) + chalk.gray(` (${template.id})`));
+            console.log(`  ${template.description}`);
+            template.highlights.forEach(highlight => console.log(`  - ${highlight}`));
+            if (templateCosts) {
+                console.log(`  - Estimated cost: ${formatCostEstimate(templateCosts.get(template.id))}`);
+            }
+            console.log('');
+        });
+
+        if (customTemplates.length > 0) {
+            console.log(chalk.cyan('Workspace templates:\n'));
+            customTemplates.forEach(template => {
+                console.log(chalk.bold(template.name) + chalk.gray(` (${template.id})`));
+                if (template.description) {
+                    console.log(`  ${template.description}`);
+                }
+                console.log(`  - ${template.task_count} task${template.task_count === 1 ? '' : 's'}`);
+                if (template.parameters.length > 0) {
+                    console.log(`  - Parameters: ${template.parameters.map(parameter => parameter.name).join(', ')}`);
+                }
+                if (templateCosts) {
+                    console.log(`  - Estimated cost: ${formatCostEstimate(templateCosts.get(template.id))}`);
+                }
+                console.log('');
+            });
+        }
+
+        if (!client) {
+            console.log(chalk.gray('Log in and select a workspace to see workspace templates and costs from past runs.'));
+        }
         console.log(chalk.gray('Create a scheduled task with: repochief schedule create'));
+        console.log(chalk.gray('Add your own template from a task file with: repochief schedule templates add <file>'));
+    }
+
+    /**
+     * Register a task file as a workspace template, replacing the template
+     * with the same id
+     */
+    async addTemplate(args = {}) {
+        const file = args._[0];
+        if (!file) {
+            console.error(chalk.red('✗ Please provide a task file: repochief schedule templates add <file> [--name <id>]'));
+            return;
+        }
+
+        let template;
+        try {
+            template = loadTemplateFile(file, args.name);
+        } catch (error) {
+            console.error(chalk.red('✗ ' + error.message));
+            return;
+        }
+        if (BUILT_IN_TEMPLATES.some(t => t.id === template.id)) {
+            console.error(chalk.red(`✗ "${template.id}" is a built-in template; choose another id with --name`));
+            return;
+        }
+
+        const client = await this.getClient();
+        if (!client) {
+            console.error(chalk.red('✗ Please login first: repochief auth login'));
+            return;
+        }
+
+        const { org, workspace } = this.getContext();
+        if (!workspace) {
+            console.error(chalk.red('✗ Please select a workspace first: repochief workspace switch'));
+            return;
+        }
+
+        const basePath = `/api/v1/orgs/${org}/workspaces/${workspace}/schedule-templates`;
+        try {
+            const existing = await this.fetchCustomTemplates(client, org, workspace);
+            if (existing.some(t => t.id === template.id)) {
+                await client.put(`${basePath}/${template.id}`, template);
+                console.log(chalk.green(`\n✓ Template "${template.id}" updated`));
+            } else {
+                await client.post(basePath, template);
+                console.log(chalk.green(`\n✓ Template "${template.id}" added`));
+            }
+        } catch (error) {
+            console.error(chalk.red('✗ Failed to save template:'), error.message);
+            return;
+        }
+
+        console.log(`Tasks: ${template.task_count}`);
+        if (template.parameters.length > 0) {
+            console.log(`Parameters: ${template.parameters.map(parameter => parameter.name).join(', ')}`);
+        }
+        console.log(chalk.gray(`\nSchedule it with: repochief schedule create --template ${template.id}`));
+    }
+
+    async removeTemplate(args = {}) {
+        const templateId = args._[0];
+        if (!templateId) {
+            console.error(chalk.red('✗ Please provide a template ID: repochief schedule templates remove <id>'));
+            return;
+        }
+        if (BUILT_IN_TEMPLATES.some(t => t.id === templateId)) {
+            console.error(chalk.red(`✗ "${templateId}" is a built-in template and cannot be removed`));
+            return;
+        }
+
+        const client = await this.getClient();
+        if (!client) {
+            console.error(chalk.red('✗ Please login first: repochief auth login'));
+            return;
+        }
+
+        const { org, workspace } = this.getContext();
+        if (!workspace) {
+            console.error(chalk.red('✗ Please select a workspace first: repochief workspace switch'));
+            return;
+        }
+
+        // Schedules of a removed template would have nothing left to run
+        try {
+            const response = await client.get(`/api/v1/orgs/${org}/workspaces/${workspace}/schedules`);
+            const users = response.data.schedules.filter(schedule => schedule.template === templateId);
+            if (users.length > 0) {
+                console.error(chalk.red(`✗ Template "${templateId}" is used by ${users.map(schedule => schedule.name).join(', ')}; delete those schedules first`));
+                return;
+            }
+        } catch (error) {
+            console.error(chalk.red('✗ Failed to list schedules:'), error.message);
+            return;
+        }
+
+        const answer = args.yes ? { confirm: true } : await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'confirm',
+                message: `Are you sure you want to remove the template "${templateId}"?`,
+                default: false
+            }
+        ]);
+
+        if (!answer.confirm) {
+            console.log(chalk.gray('Removal cancelled.'));
+            return;
+        }
+
+        try {
+            await client.delete(`/api/v1/orgs/${org}/workspaces/${workspace}/schedule-templates/${templateId}`);
+            console.log(chalk.green(`\n✓ Template "${templateId}" removed`));
+        } catch (error) {
+            console.error(chalk.red('✗ Failed to remove template:'), error.message);
+        }
+    }
+
+    /**
+     * Details of a template: parameters, cost history, the schedules that
+     * use it and, for workspace templates, the task file
+     */
+    async showTemplate(args = {}) {
+        const templateId = args._[0];
+        if (!templateId) {
+            console.error(chalk.red('✗ Please provide a template ID: repochief schedule templates show <id>'));
+            return;
+        }
+
+        const client = await this.getClient();
+        if (!client) {
+            console.error(chalk.red('✗ Please login first: repochief auth login'));
+            return;
+        }
+
+        const { org, workspace } = this.getContext();
+        if (!workspace) {
+            console.error(chalk.red('✗ Please select a workspace first: repochief workspace switch'));
+            return;
+        }
+
+        let template = BUILT_IN_TEMPLATES.find(t => t.id === templateId);
+        let schedules;
+        let costs;
+        try {
+            if (!template) {
+                const response = await client.get(`/api/v1/orgs/${org}/workspaces/${workspace}/schedule-templates/${templateId}`);
+                template = response.data.template;
+            }
+            costs = await this.fetchTemplateCosts(client, org, workspace, template.content_hash ? [template] : []);
+            const response = await client.get(`/api/v1/orgs/${org}/workspaces/${workspace}/schedules`);
+            schedules = response.data.schedules.filter(schedule => schedule.template === templateId);
+        } catch (error) {
+            console.error(chalk.red('✗ Failed to get template:'), error.message);
+            return;
+        }
+        const estimate = costs.get(templateId) || null;
+
+        if (args.json) {
+            console.log(JSON.stringify({ ...template, estimated_cost: estimate, schedules: schedules.map(schedule => schedule.id) }, null, 2));
+            return;
+        }
+
+        console.log(chalk.cyan(`\n📋 ${template.name}`) + chalk.gray(` (${template.id})\n`));
+        if (template.description) {
+            console.log(template.description);
+        }
+        (template.highlights || []).forEach(highlight => console.log(`  - ${highlight}`));
+        if (template.task_count !== undefined) {
+            console.log(`Tasks: ${template.task_count}`);
+        }
+        console.log(`Estimated cost: ${formatCostEstimate(estimate)}`);
+
+        if (template.parameters && template.parameters.length > 0) {
+            console.log(chalk.bold('\nParameters:'));
+            template.parameters.forEach(parameter => {
+                const details = parameter.required ? chalk.yellow('required')
+                    : parameter.default !== undefined ? chalk.gray(`default: ${JSON.stringify(parameter.default)}`)
+                        : chalk.gray('optional');
+                console.log(`  ${parameter.name} (${details})${parameter.description ? ` - ${parameter.description}` : ''}`);
+            });
+        }
+
+        console.log(chalk.bold('\nSchedules:'));
+        if (schedules.length === 0) {
+            console.log(chalk.gray('  None yet'));
+        }
+        schedules.forEach(schedule => {
+            console.log(`  ${schedule.name} ${chalk.gray(`(${schedule.id}, ${schedule.cron_expression})`)}`);
+        });
+
+        if (template.content) {
+            console.log(chalk.bold(`\nTask file (${template.format}):`));
+            template.content.trimEnd().split('\n').forEach(line => console.log(chalk.gray(`  ${line}`)));
+        }
+        console.log('');
+    }
+
+    /**
+     * List the next times a cron expression fires, without saving anything
+     */
+    async previewSchedule(args = {}) {
+        const expression = args._[0];
+        if (!expression) {
+            console.error(chalk.red('✗ Please provide a cron expression: repochief schedule preview "0 9 * * 1-5"'));
+            process.exitCode = 1;
+            return;
+        }
+
+        const count = args.count === undefined ? 10 : parseInt(args.count, 10);
+        let timezone;
+        let times;
+        try {
+            if (!(count > 0 && count <= 100)) {
+                throw new Error(`Invalid count "${args.count}" (expected 1-100)`);
+            }
+            timezone = args.tz ? parseTimezone(args.tz) : getLocalTimezone();
+            times = getFireTimes(parseCronExpression(expression), { timezone, limit: count });
+        } catch (error) {
+            console.error(chalk.red('✗ ' + error.message));
+            process.exitCode = 1;
+            return;
+        }
+
+        const localTimezone = getLocalTimezone();
+        console.log(chalk.cyan(`\n⏰ Next runs of "${expression}" (${timezone}):\n`));
+        if (times.length === 0) {
+            console.log(chalk.gray('Does not fire within the next year.'));
+            return;
+        }
+        times.forEach((time, index) => {
+            const local = timezone !== localTimezone ? chalk.gray(`  (${formatFireTime(time, localTimezone)} local)`) : '';
+            console.log(`  ${String(index + 1).padStart(3)}. ${formatFireTime(time, timezone)}${local}`);
+        });
+
+        const shortest = getShortestInterval(expression, { timezone });
+        if (shortest !== null) {
+            console.log(chalk.gray(`\nShortest gap between runs: ${formatInterval(shortest)}`));
+        }
+
+        // Compare with the plan when logged in; the preview itself works offline
+        const { org, workspace } = this.getContext();
+        if (!workspace) {
+            return;
+        }
+        try {
+            // getClient() exits when there is no token, so only ask when logged in
+            const workspaceId = await getWorkspaceId();
+            if (!workspaceId || !await getToken(workspaceId)) {
+                return;
+            }
+            const client = await this.getClient();
+            const orgResponse = client && await client.get(`/api/v1/orgs/${org}`);
+            const warning = orgResponse && getFrequencyWarning(expression, orgResponse.data.organization, timezone);
+            if (warning) {
+                console.log(chalk.yellow(`⚠️  ${warning}`));
+            }
+        } catch (error) {
+            // Plan limits are unknown offline
+        }
+    }
+
+    /**
+     * Run the project's schedules (repochief.schedules.yaml) on this machine
+     * until stopped
+     */
+    async runLocal(args = {}) {
+        let scheduleFile;
+        let catchUp;
+        try {
+            const filePath = args.file || findScheduleFile(process.cwd());
+            if (!filePath) {
+                console.error(chalk.red('✗ No repochief.schedules.yaml found in the current directory (use --file)'));
+                process.exitCode = 1;
+                return;
+            }
+            scheduleFile = loadScheduleFile(filePath);
+            catchUp = parseCatchUpPolicy(args.catchUp);
+        } catch (error) {
+            console.error(chalk.red('✗ ' + error.message));
+            process.exitCode = 1;
+            return;
+        }
+
+        const { projectDir, schedules } = scheduleFile;
+        const enabled = schedules.filter(schedule => schedule.enabled);
+
+        console.log(chalk.cyan('\n⏰ Local Schedules:\n'));
+        schedules.forEach(schedule => {
+            const history = readScheduleHistory(schedule.name, projectDir);
+            const lastRun = history.runs[history.runs.length - 1];
+            const next = getNextFireTime(schedule.cron, { timezone: schedule.timezone });
+            const status = schedule.enabled ? chalk.green('✓ Active') : chalk.yellow('⏸ Disabled');
+
+            console.log(`${chalk.bold(schedule.name)} ${status}`);
+            console.log(`  Schedule: ${schedule.cron}${schedule.timezone ? ` (${schedule.timezone})` : ''}`);
+            console.log(`  Task file: ${path.relative(projectDir, schedule.taskFile)}${schedule.args.length > 0 ? ` ${schedule.args.join(' ')}` : ''}`);
+            console.log(`  Next Run: ${schedule.enabled && next ? next.toLocaleString() : 'N/A'}`);
+            if (lastRun) {
+                console.log(`  Last Run: ${new Date(lastRun.scheduledFor).toLocaleString()} (${lastRun.outcome})`);
+            }
+            console.log('');
+        });
+
+        if (args.list) {
+            return;
+        }
+        if (enabled.length === 0) {
+            console.log(chalk.gray('No enabled schedules to run.'));
+            return;
+        }
+
+        // Runs get their own process group, so Ctrl+C only reaches them when forwarded
+        const children = new Set();
+        const scheduler = new LocalScheduler({
+            schedules,
+            projectDir,
+            catchUp,
+            runSchedule: schedule => spawnScheduledRun(schedule, {
+                projectDir,
+                onSpawn: child => {
+                    children.add(child);
+                    child.once('exit', () => children.delete(child));
+                }
+            })
+        });
+
+        scheduler.on('started', ({ schedule, run }) => {
+            const label = run.trigger === 'catch-up'
+                ? `catching up ${run.missed} missed run${run.missed === 1 ? '' : 's'}`
+                : `scheduled for ${new Date(run.scheduledFor).toLocaleTimeString()}`;
+            console.log(chalk.blue(`▶ ${schedule.name}: started (${label})`));
+        });
+        scheduler.on('finished', ({ schedule, run }) => {
+            const seconds = Math.round(run.duration / 1000);
+            const cost = run.cost !== undefined ? `, $${run.cost.toFixed(2)}` : '';
+            if (run.outcome === 'completed') {
+                console.log(chalk.green(`✓ ${schedule.name}: completed in ${seconds}s${cost}`));
+            } else {
+                console.log(chalk.red(`✗ ${schedule.name}: ${run.error || `failed with exit code ${run.exitCode}`} (${seconds}s${cost})`));
+            }
+            if (run.log) {
+                console.log(chalk.gray(`  Log: ${run.log}`));
+            }
+            if (run.historyError) {
+                console.log(chalk.yellow(`⚠️  Could not record the run in the schedule history: ${run.historyError}`));
+            }
+        });
+        scheduler.on('skipped', ({ schedule }) => {
+            console.log(chalk.yellow(`⏭ ${schedule.name}: skipped, the previous run is still running`));
+        });
+        scheduler.on('missed', ({ schedule, run }) => {
+            console.log(chalk.yellow(`⏭ ${schedule.name}: ${run.missed} missed run${run.missed === 1 ? '' : 's'} skipped (catch-up: skip)`));
+        });
+
+        console.log(chalk.gray(`Running ${enabled.length} schedule${enabled.length === 1 ? '' : 's'} from ${scheduleFile.path}`));
+        console.log(chalk.gray('Press Ctrl+C to stop\n'));
+        scheduler.start();
+
+        let interrupts = 0;
+        process.on('SIGINT', async () => {
+            interrupts++;
+            if (interrupts === 2 && children.size > 0) {
+                // Interrupted runs save their checkpoint and can be resumed
+                console.log(chalk.yellow(`\n⏹️  Interrupting ${children.size} running schedule(s) (Ctrl+C again to exit now)`));
+                children.forEach(child => child.kill('SIGINT'));
+                return;
+            }
+            if (interrupts > 1) {
+                process.exit(130);
+            }
+            console.log(chalk.yellow('\n⏹️  Stopping local schedules...'));
+            if (scheduler.running.size > 0) {
+                console.log(chalk.gray(`Waiting for ${scheduler.running.size} running schedule(s) to finish (Ctrl+C again to interrupt them)`));
+            }
+            await scheduler.stop();
+            process.exit(interrupts > 1 ? 130 : 0);
+        });
     }
 }
 
@@ -0,0 +1,336 @@
+/**
+ * Sessions Command - Browse and prune the local run history
+ *
+ * Every `repochief run` registers itself in the session index under
+ * ~/.repochief/sessions, so these commands work from any directory.
+ */
+
+const fs = require('fs');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const Table = require('cli-table3');
+const {
+  listSessions,
+  findSession,
+  selectSessionsToPrune,
+  isSessionActive,
+  readSessionResults,
+  removeSessions,
+  getSessionsDir
+} = require('../utils/session-index');
+const { loadRun, diffRuns, formatDiff, DIFF_FORMATS } = require('../utils/session-diff');
+
+const OUTCOME_COLORS = {
+  completed: chalk.green,
+  failed: chalk.red,
+  error: chalk.red,
+  stopped: chalk.yellow,
+  interrupted: chalk.yellow,
+  running: chalk.cyan
+};
+
+/**
+ * Color an outcome for display
+ */
+function formatOutcome(outcome) {
+  return (OUTCOME_COLORS[outcome] || chalk.gray)(outcome || 'unknown');
+}
+
+/**
+ * Format a cost for display
+ */
+function formatCost(cost) {
+  return typeof cost === 'number' ? `$${cost.toFixed(2)}` : '-';
+}
+
+/**
+ * Format a duration in seconds for display
+ */
+function formatDuration(seconds) {
+  if (typeof seconds !== 'number') {
+    return '-';
+  }
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s` : `${seconds.toFixed(1)}s`;
+}
+
+/**
+ * Look up a session or fail with a helpful message
+ */
+function requireSession(id) {
+  const entry = findSession(id);
+  if (!entry) {
+    throw new Error(`Session "${id}" not found (see "repochief sessions list")`);
+  }
+  return entry;
+}
+
+/**
+ * sessions list - Recent runs, newest first
+ */
+function listCommand(options) {
+  try {
+    const limit = parseInt(options.limit) || 20;
+    const sessions = listSessions({
+      cwd: options.here ? process.cwd() : undefined,
+      outcome: options.outcome
+    });
+    const shown = sessions.slice(0, limit);
+
+    if (options.json) {
+      console.log(JSON.stringify(shown, null, 2));
+      return;
+    }
+
+    console.log(chalk.blue('\n🗂️  Sessions\n'));
+
+    if (shown.length === 0) {
+      console.log(chalk.gray('No sessions recorded yet. Runs are added when you use "repochief run".\n'));
+      return;
+    }
+
+    const table = new Table({
+      head: ['Session', 'Started', 'Outcome', 'Tasks', 'Cost', 'Duration', 'Directory'],
+      style: { head: ['cyan'] }
+    });
+
+    shown.forEach(entry => {
+      const tasks = entry.tasks
+        ? `${entry.tasks.successful}/${entry.tasks.total}${entry.tasks.failed ? chalk.red(` (${entry.tasks.failed} failed)`) : ''}`
+        : '-';
+      table.push([
+        entry.id,
+        new Date(entry.startedAt).toLocaleString(),
+        formatOutcome(entry.outcome),
+        tasks,
+        formatCost(entry.cost),
+        formatDuration(entry.duration),
+        entry.cwd || '-'
+      ]);
+    });
+
+    console.log(table.toString());
+
+    if (sessions.length > shown.length) {
+      console.log(chalk.gray(`\nShowing ${shown.length} of ${sessions.length} sessions (use --limit to see more)`));
+    }
+    console.log(chalk.gray('\nDetails: repochief sessions show <id>\n'));
+
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+/**
+ * sessions show <id> - Details of one run
+ */
+function showCommand(id, options) {
+  try {
+    const entry = requireSession(id);
+    const results = readSessionResults(entry);
+
+    if (options.json) {
+      console.log(JSON.stringify({ ...entry, results }, null, 2));
+      return;
+    }
+
+    console.log(chalk.blue(`\n🗂️  Session ${entry.id}\n`));
+    console.log(`Outcome: ${formatOutcome(entry.outcome)}${entry.stopReason ? chalk.gray(` (${entry.stopReason})`) : ''}`);
+    if (entry.error) {
+      console.log(`Error: ${chalk.red(entry.error)}`);
+    }
+    console.log(`Started: ${chalk.gray(new Date(entry.startedAt).toLocaleString())}`);
+    console.log(`Duration: ${chalk.gray(formatDuration(entry.duration))}`);
+    console.log(`Mode: ${chalk.gray(entry.mode || '-')}`);
+    console.log(`Directory: ${chalk.gray(entry.cwd || '-')}`);
+    console.log(`Task file: ${chalk.gray(entry.taskFile || '-')}`);
+    if (entry.taskFileHash) {
+      console.log(`Task file hash: ${chalk.gray(entry.taskFileHash.slice(0, 12))}`);
+    }
+    if (entry.resumeOf) {
+      console.log(`Resumes: ${chalk.gray(entry.resumeOf)}`);
+    }
+    if (entry.exitCode !== undefined) {
+      console.log(`Exit code: ${chalk.gray(entry.exitCode)}`);
+    }
+
+    console.log(chalk.yellow('\nCost:'));
+    console.log(`  Total: ${chalk.green(formatCost(entry.cost))}${typeof entry.costThisRun === 'number' && entry.costThisRun !== entry.cost ? chalk.gray(` (${formatCost(entry.costThisRun)} in this attempt)`) : ''}`);
+    if (entry.tokens) {
+      console.log(`  Tokens: ${entry.tokens.input.toLocaleString()} input, ${entry.tokens.output.toLocaleString()} output`);
+    }
+
+    if (results && Array.isArray(results.tasks)) {
+      console.log(chalk.yellow('\nTasks:'));
+      results.tasks.forEach((task, index) => {
+        const icon = task.status === 'completed' ? '✅' : '❌';
+        console.log(`${index + 1}. ${icon} ${task.taskId || task.id}`);
+        if (task.error) {
+          console.log(`   ${chalk.red(task.error.message || task.error)}`);
+        }
+      });
+    } else if (entry.tasks) {
+      console.log(chalk.yellow('\nTasks:'));
+      console.log(`  ${entry.tasks.successful} of ${entry.tasks.total} succeeded, ${entry.tasks.failed} failed`);
+    }
+
+    console.log(chalk.yellow('\nFiles:'));
+    console.log(`  Output: ${chalk.gray(entry.outputDir || '-')}${entry.outputDir && !fs.existsSync(entry.outputDir) ? chalk.red(' (missing)') : ''}`);
+    Object.entries(entry.files || {}).forEach(([name, filePath]) => {
+      console.log(`  ${name.charAt(0).toUpperCase() + name.slice(1)}: ${chalk.gray(filePath)}`);
+    });
+
+    if (['failed', 'stopped', 'interrupted', 'error'].includes(entry.outcome) && entry.outputDir) {
+      console.log(chalk.gray(`\nResume with: repochief run --resume ${entry.outputDir}`));
+    }
+    console.log();
+
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+/**
+ * sessions prune - Drop old entries from the index
+ */
+async function pruneCommand(options) {
+  try {
+    const criteria = {
+      olderThanDays: options.olderThan !== undefined ? parseFloat(options.olderThan) : undefined,
+      keep: options.keep !== undefined ? parseInt(options.keep) : undefined,
+      missing: options.missing || false
+    };
+
+    if (criteria.olderThanDays === undefined && criteria.keep === undefined && !criteria.missing) {
+      throw new Error('Tell prune what to remove: --older-than <days>, --keep <n> and/or --missing');
+    }
+    if (Number.isNaN(criteria.olderThanDays) || Number.isNaN(criteria.keep) || criteria.keep < 0) {
+      throw new Error('--older-than and --keep need a non-negative number');
+    }
+
+    // Runs still going are kept; "running" entries of crashed runs are not
+    const toRemove = selectSessionsToPrune(listSessions(), criteria)
+      .filter(entry => !isSessionActive(entry));
+
+    if (toRemove.length === 0) {
+      console.log(chalk.gray('\nNo sessions to prune.\n'));
+      return;
+    }
+
+    console.log(chalk.blue(`\n🧹 ${toRemove.length} session(s) to remove from ${getSessionsDir()}:\n`));
+    toRemove.forEach(entry => {
+      console.log(chalk.gray(`  ${entry.id}  ${new Date(entry.startedAt).toLocaleString()}  ${entry.outcome}`));
+    });
+
+    if (options.dryRun) {
+      console.log(chalk.gray('\nDry run, nothing removed.\n'));
+      return;
+    }
+
+    if (!options.force) {
+      if (!process.stdin.isTTY) {
+        throw new Error('Pass --force to prune without a terminal');
+      }
+      const { confirm } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirm',
+        message: `Remove ${toRemove.length} session(s) from the index? Output directories are kept.`,
+        default: false
+      }]);
+      if (!confirm) {
+        console.log(chalk.gray('\nNo changes made.\n'));
+        return;
+      }
+    }
+
+    removeSessions(toRemove.map(entry => entry.id));
+    console.log(chalk.green(`\n✅ Removed ${toRemove.length} session(s) from the index\n`));
+
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+/**
+ * sessions diff <base> <compare> - Compare two runs
+ */
+function diffCommand(base, compare, options) {
+  try {
+    const format = options.format || 'text';
+    if (!DIFF_FORMATS.includes(format)) {
+      throw new Error(`Invalid format "${format}" (expected ${DIFF_FORMATS.join(', ')})`);
+    }
+    if (format !== 'text') {
+      chalk.level = 0;
+    }
+
+    const diff = diffRuns(loadRun(base), loadRun(compare), { artifacts: options.artifacts });
+    const rendered = formatDiff(diff, format);
+
+    if (options.output) {
+      fs.writeFileSync(options.output, rendered);
+      console.log(chalk.green(`\n✅ Wrote ${format} diff to ${options.output}\n`));
+    } else {
+      process.stdout.write(rendered);
+    }
+
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Main sessions command
+ */
+function sessionsCommand() {
+  const { Command } = require('commander');
+  const command = new Command('sessions');
+
+  command
+    .description('Browse the history of runs on this machine');
+
+  command
+    .command('list')
+    .alias('ls')
+    .description('List recorded runs, newest first')
+    .option('--here', 'Only runs started from the current directory')
+    .option('--outcome <outcome>', 'Only runs with this outcome (completed, failed, stopped, interrupted, error, running)')
+    .option('-n, --limit <number>', 'Number of sessions to show', '20')
+    .option('--json', 'Output as JSON')
+    .action(listCommand);
+
+  command
+    .command('show <id>')
+    .description('Show a run (id, unique id prefix, or "latest")')
+    .option('--json', 'Output as JSON')
+    .action(showCommand);
+
+  command
+    .command('prune')
+    .description('Remove old runs from the index (output directories are kept)')
+    .option('--older-than <days>', 'Remove runs started more than this many days ago')
+    .option('--keep <n>', 'Keep only the newest n runs')
+    .option('--missing', 'Remove runs whose output directory no longer exists')
+    .option('--dry-run', 'List what would be removed')
+    .option('-f, --force', 'Skip confirmation')
+    .action(pruneCommand);
+
+  command
+    .command('diff <base> <compare>')
+    .description('Compare two runs (session ids, results files or output directories)')
+    .option('--format <format>', 'Output format: text, json or markdown', 'text')
+    .option('--no-artifacts', 'Skip the unified diff of task outputs and output files')
+    .option('-o, --output <file>', 'Write the diff to a file')
+    .action(diffCommand);
+
+  command.action(() => {
+    command.help();
+  });
+
+  return command;
+}
+
+module.exports = sessionsCommand;
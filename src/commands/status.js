@@ -2,9 +2,8 @@
  * Status Command - Check system and session status
  */
 
-const fs = require('fs');
-const path = require('path');
 const chalk = require('chalk');
+const { listSessions, findSession, readSessionResults } = require('../utils/session-index');
 
 /**
  * Check API key status
@@ -22,40 +21,10 @@ function checkApiKeys() {
 }
 
 /**
- * Get recent sessions from output directories
+ * Get recent sessions from the session index (~/.repochief/sessions)
  */
 function getRecentSessions(limit = 5) {
-  const sessions = [];
-  const outputDirs = ['./output', './repochief-output', '../output'];
-  
-  for (const dir of outputDirs) {
-    if (fs.existsSync(dir)) {
-      try {
-        const files = fs.readdirSync(dir);
-        const resultFiles = files.filter(f => f.endsWith('results.json'));
-        
-        for (const file of resultFiles) {
-          try {
-            const content = fs.readFileSync(path.join(dir, file), 'utf8');
-            const data = JSON.parse(content);
-            sessions.push({
-              path: path.join(dir, file),
-              ...data
-            });
-          } catch (e) {
-            // Skip invalid files
-          }
-        }
-      } catch (e) {
-        // Skip inaccessible directories
-      }
-    }
-  }
-  
-  // Sort by timestamp and limit
-  return sessions
-    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-    .slice(0, limit);
+  return listSessions().slice(0, limit);
 }
 
 /**
@@ -129,19 +98,20 @@ async function statusCommand(options) {
         console.log(chalk.gray('No recent sessions found'));
       } else {
         sessions.forEach((session, index) => {
-          const successful = session.tasks.filter(t => t.status === 'completed').length;
-          const failed = session.tasks.filter(t => t.status === 'failed').length;
-          const date = new Date(session.timestamp).toLocaleString();
+          const date = new Date(session.startedAt).toLocaleString();
           
-          console.log(`\n${index + 1}. ${chalk.blue(session.session || 'Unknown')}`);
+          console.log(`\n${index + 1}. ${chalk.blue(session.id)} ${chalk.gray(`(${session.outcome})`)}`);
           console.log(`   Date: ${chalk.gray(date)}`);
-          console.log(`   Tasks: ${chalk.green(successful)} succeeded, ${failed > 0 ? chalk.red(failed) : '0'} failed`);
-          console.log(`   Cost: ${chalk.yellow(`$${session.cost.costs.total.toFixed(2)}`)}`);
-          console.log(`   Duration: ${chalk.gray(session.duration)}s`);
+          if (session.tasks) {
+            console.log(`   Tasks: ${chalk.green(session.tasks.successful)} succeeded, ${session.tasks.failed > 0 ? chalk.red(session.tasks.failed) : '0'} failed`);
+          }
+          console.log(`   Cost: ${chalk.yellow(`$${(session.cost || 0).toFixed(2)}`)}`);
+          console.log(`   Duration: ${chalk.gray(session.duration !== undefined ? session.duration.toFixed(1) : '-')}s`);
+          console.log(`   Directory: ${chalk.gray(session.cwd)}`);
         });
       }
       
-      console.log(chalk.gray('\nTip: Use "repochief status -s <session-id>" to see session details'));
+      console.log(chalk.gray('\nTip: Use "repochief status -s <session-id>" or "repochief sessions list" to see more'));
     }
     
     // Specific session details
@@ -150,43 +120,51 @@ async function statusCommand(options) {
       console.log(chalk.gray('─'.repeat(40)));
       
       // Find session
-      const sessions = getRecentSessions(20);
-      const session = sessions.find(s => s.session === options.session);
+      const entry = findSession(options.session);
+      const session = entry && readSessionResults(entry);
       
-      if (!session) {
+      if (!entry) {
         console.error(chalk.red(`\nSession "${options.session}" not found\n`));
         return;
       }
       
       // Basic info
-      console.log(`\nTimestamp: ${new Date(session.timestamp).toLocaleString()}`);
-      console.log(`Duration: ${session.duration}s`);
+      console.log(`\nStarted: ${new Date(entry.startedAt).toLocaleString()}`);
+      console.log(`Outcome: ${entry.outcome}`);
+      console.log(`Directory: ${entry.cwd}`);
       
-      // Tasks
-      if (options.tasks || (!options.costs && !options.tasks)) {
-        console.log(chalk.yellow('\nTasks:'));
-        session.tasks.forEach((task, index) => {
-          const icon = task.status === 'completed' ? '✅' : '❌';
-          console.log(`${index + 1}. ${icon} ${task.taskId || task.id}`);
-          if (task.error) {
-            console.log(`   ${chalk.red(task.error)}`);
-          }
-        });
-      }
-      
-      // Costs
-      if (options.costs || (!options.costs && !options.tasks)) {
-        console.log(chalk.yellow('\nCost Breakdown:'));
-        console.log(`Total: ${chalk.green(`$${session.cost.costs.total.toFixed(2)}`)}`);
-        console.log(`Input tokens: ${session.cost.usage.totalTokens.input.toLocaleString()}`);
-        console.log(`Output tokens: ${session.cost.usage.totalTokens.output.toLocaleString()}`);
+      if (!session) {
+        console.log(chalk.yellow(`\nResults file not available${entry.outputDir ? ` (output: ${entry.outputDir})` : ''}`));
+        console.log(chalk.gray('See "repochief sessions show <id>" for what the index recorded'));
+      } else {
+        console.log(`Duration: ${session.duration}s`);
         
-        if (session.cost.breakdown && session.cost.breakdown.byModel) {
-          console.log(chalk.gray('\nBy Model:'));
-          Object.entries(session.cost.breakdown.byModel).forEach(([model, cost]) => {
-            console.log(`  ${model}: $${cost.toFixed(2)}`);
+        // Tasks
+        if (options.tasks || (!options.costs && !options.tasks)) {
+          console.log(chalk.yellow('\nTasks:'));
+          session.tasks.forEach((task, index) => {
+            const icon = task.status === 'completed' ? '✅' : '❌';
+            console.log(`${index + 1}. ${icon} ${task.taskId || task.id}`);
+            if (task.error) {
+              console.log(`   ${chalk.red(task.error)}`);
+            }
           });
         }
+        
+        // Costs
+        if (options.costs || (!options.costs && !options.tasks)) {
+          console.log(chalk.yellow('\nCost Breakdown:'));
+          console.log(`Total: ${chalk.green(`$${session.cost.costs.total.toFixed(2)}`)}`);
+          console.log(`Input tokens: ${session.cost.usage.totalTokens.input.toLocaleString()}`);
+          console.log(`Output tokens: ${session.cost.usage.totalTokens.output.toLocaleString()}`);
+        
+          if (session.cost.breakdown && session.cost.breakdown.byModel) {
+            console.log(chalk.gray('\nBy Model:'));
+            Object.entries(session.cost.breakdown.byModel).forEach(([model, cost]) => {
+              console.log(`  ${model}: $${cost.toFixed(2)}`);
+            });
+          }
+        }
       }
     }
     
@@ -0,0 +1,46 @@
+/**
+ * Validate Command - Check task files and plan templates against the schema
+ */
+
+const chalk = require('chalk');
+const { validateTaskFile, formatValidationError, SCHEMA_VERSION } = require('../utils/task-validation');
+
+/**
+ * Validate command handler
+ */
+async function validateCommand(taskFile, options) {
+  try {
+    const result = validateTaskFile(taskFile);
+    
+    if (options.json) {
+      console.log(JSON.stringify({
+        file: result.file,
+        schemaVersion: SCHEMA_VERSION,
+        valid: result.valid,
+        tasks: result.definition ? result.definition.tasks.length : 0,
+        errors: result.errors
+      }, null, 2));
+    } else if (result.valid) {
+      console.log(chalk.green(`\n✅ ${taskFile} is valid`));
+      console.log(chalk.gray(`  Kind: ${result.definition.kind}`));
+      console.log(chalk.gray(`  Tasks: ${result.definition.tasks.length}`));
+      console.log(chalk.gray(`  Schema: v${SCHEMA_VERSION}\n`));
+    } else {
+      console.error(chalk.red(`\n❌ ${taskFile} has ${result.errors.length} validation error(s):\n`));
+      result.errors.forEach(error => {
+        console.error(chalk.red(`  ${formatValidationError(error)}`));
+      });
+      console.error();
+    }
+    
+    if (!result.valid) {
+      process.exit(1);
+    }
+    
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+module.exports = validateCommand;
@@ -6,6 +6,7 @@ module.exports = {
   // Export commands for programmatic usage
   commands: {
     run: require('./commands/run'),
+    validate: require('./commands/validate'),
     init: require('./commands/init'),
     agents: require('./commands/agents'),
     status: require('./commands/status'),
@@ -0,0 +1,158 @@
+/**
+ * Custom agent profiles for RepoChief CLI
+ * Loads, validates and saves profiles from the project's agents/ directory
+ * and ~/.repochief/agents/, merged with the built-in AgentTemplates
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const schema = require('../schemas/agent-profile.v1.json');
+const { validate, formatPath } = require('./schema-validator');
+
+const PROJECT_PROFILES_DIR = 'agents';
+
+/**
+ * Get the profile directory for a scope
+ * @param {string} scope - "project" or "user"
+ * @param {string} [cwd] - Project directory
+ * @returns {string} Absolute directory path
+ */
+function getProfilesDir(scope, cwd = process.cwd()) {
+  if (scope === 'user') {
+    return path.join(os.homedir(), '.repochief', 'agents');
+  }
+  return path.resolve(cwd, PROJECT_PROFILES_DIR);
+}
+
+/**
+ * Validate an agent profile
+ * @param {Object} profile - Parsed profile
+ * @param {string} [filePath] - File the profile was read from (its name must match)
+ * @returns {Array<string>} Error messages ("$.path message")
+ */
+function validateAgentProfile(profile, filePath) {
+  const errors = validate(profile, schema)
+    .map(error => `${formatPath(error.path)} ${error.message}`);
+
+  if (filePath && profile && typeof profile.name === 'string') {
+    const expected = path.basename(filePath, '.json');
+    if (profile.name !== expected) {
+      errors.push(`$.name must match the file name (expected "${expected}")`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Read the profiles of one directory
+ * @param {string} dir - Profile directory
+ * @param {string} origin - Origin recorded on each entry
+ * @returns {Array<Object>} Entries ({ name, origin, path, profile, errors })
+ */
+function readProfilesDir(dir, origin) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const filePath = path.join(dir, file);
+      let profile;
+      try {
+        profile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        return { name: path.basename(file, '.json'), origin, path: filePath, profile: null, errors: [`Invalid JSON: ${error.message}`] };
+      }
+      return {
+        name: path.basename(file, '.json'),
+        origin,
+        path: filePath,
+        profile,
+        errors: validateAgentProfile(profile, filePath)
+      };
+    });
+}
+
+/**
+ * Load built-in and custom agent profiles
+ *
+ * Project profiles override user profiles, which override built-ins of the
+ * same name. Invalid custom profiles are returned separately and never used.
+ *
+ * @param {Object} builtins - Built-in templates by name (AgentTemplates)
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Project directory
+ * @returns {Object} { profiles: Map name -> entry, invalid: entries }
+ */
+function loadAgentProfiles(builtins = {}, { cwd = process.cwd() } = {}) {
+  const entries = [
+    ...Object.entries(builtins).map(([name, profile]) => ({ name, origin: 'built-in', path: null, profile, errors: [] })),
+    ...readProfilesDir(getProfilesDir('user'), 'user'),
+    ...readProfilesDir(getProfilesDir('project', cwd), 'project')
+  ];
+
+  const profiles = new Map();
+  const invalid = [];
+  for (const entry of entries) {
+    if (entry.errors.length > 0) {
+      invalid.push(entry);
+      continue;
+    }
+    const overridden = profiles.get(entry.name);
+    profiles.set(entry.name, overridden ? { ...entry, overrides: overridden.origin } : entry);
+  }
+
+  return { profiles, invalid };
+}
+
+/**
+ * Get all usable profiles as a template map for agent rosters
+ * @param {Object} builtins - Built-in templates by name (AgentTemplates)
+ * @param {Object} [options] - See loadAgentProfiles
+ * @returns {Object} Profiles by name
+ */
+function getAgentTemplates(builtins, options) {
+  const { profiles } = loadAgentProfiles(builtins, options);
+  return Object.fromEntries([...profiles].map(([name, entry]) => [name, entry.profile]));
+}
+
+/**
+ * Find a profile by name; built-ins also match in kebab case (senior-developer)
+ * @param {Map<string, Object>} profiles - Loaded profiles
+ * @param {string} name - Profile name
+ * @returns {Object|undefined} Profile entry
+ */
+function findAgentProfile(profiles, name) {
+  return profiles.get(name) || profiles.get(name.toUpperCase().replace(/-/g, '_'));
+}
+
+/**
+ * Write a profile to a scope's directory (or an explicit file)
+ * @param {Object} profile - Valid profile
+ * @param {Object} target - { scope, cwd } or { path }
+ * @returns {string} Written file path
+ */
+function saveAgentProfile(profile, target) {
+  const filePath = target.path || path.join(getProfilesDir(target.scope, target.cwd), `${profile.name}.json`);
+  const errors = validateAgentProfile(profile, filePath);
+  if (errors.length > 0) {
+    throw new Error(`Invalid agent profile:\n  ${errors.join('\n  ')}`);
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(profile, null, 2) + '\n');
+  return filePath;
+}
+
+module.exports = {
+  loadAgentProfiles,
+  getAgentTemplates,
+  findAgentProfile,
+  saveAgentProfile,
+  validateAgentProfile,
+  getProfilesDir
+};
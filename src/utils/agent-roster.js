@@ -0,0 +1,280 @@
+/**
+ * Agent roster planning for RepoChief CLI
+ * Decides which agents `run` creates and which agent a task is routed to
+ */
+
+/**
+ * Task types each built-in agent role handles
+ */
+const ROLE_TASK_TYPES = {
+  analyst: ['comprehension', 'exploration'],
+  architect: ['comprehension', 'exploration'],
+  developer: ['generation'],
+  qa: ['validation']
+};
+
+/**
+ * Template used for a declared agent without one, by role
+ */
+const ROLE_TEMPLATES = {
+  analyst: 'ARCHITECT',
+  architect: 'ARCHITECT',
+  developer: 'SENIOR_DEVELOPER',
+  qa: 'QA_ENGINEER'
+};
+
+/**
+ * Plan the default agent roster from the task types in a task list
+ *
+ * Creates at least one agent per needed role, then pads with developers up
+ * to the requested agent count.
+ *
+ * @param {Array<Object>} tasks - Task definitions
+ * @param {number} agentCount - Requested number of agents
+ * @returns {Array<Object>} Agent specs ({ name, template, role })
+ */
+function planDefaultRoster(tasks, agentCount) {
+  const roster = [];
+  const taskTypes = [...new Set(tasks.map(t => t.type))];
+
+  if (taskTypes.includes('comprehension') || taskTypes.includes('exploration')) {
+    roster.push({ name: 'analyst-1', template: 'ARCHITECT', role: 'analyst' });
+  }
+
+  if (taskTypes.includes('generation')) {
+    roster.push({ name: 'developer-1', template: 'SENIOR_DEVELOPER', role: 'developer' });
+  }
+
+  if (taskTypes.includes('validation') || tasks.some(t => t.type === 'generation' && t.successCriteria)) {
+    roster.push({ name: 'qa-1', template: 'QA_ENGINEER', role: 'qa' });
+  }
+
+  while (roster.length < agentCount) {
+    roster.push({ name: `developer-${roster.length + 1}`, template: 'SENIOR_DEVELOPER', role: 'developer' });
+  }
+
+  return roster;
+}
+
+/**
+ * Turn the `agents:` section of a task file into agent specs
+ * @param {Array<Object>} agents - Declared agents ({ name, template, role, model, temperature, capabilities, ... })
+ * @returns {Array<Object>} Agent specs ({ name, template, role, overrides, declared })
+ */
+function planDeclaredRoster(agents) {
+  return agents.map(({ name, template, role, ...overrides }) => ({
+    name,
+    template: template || ROLE_TEMPLATES[role] || 'SENIOR_DEVELOPER',
+    role: role || null,
+    overrides,
+    declared: true
+  }));
+}
+
+/**
+ * Add an agent for every agent profile tasks reference by name
+ *
+ * Lets a task list without an `agents:` roster say `agent: my-expert` to
+ * run a task on a custom (or built-in) profile next to the default agents.
+ *
+ * @param {Array<Object>} roster - Agent specs
+ * @param {Array<Object>} tasks - Task definitions
+ * @param {Object} templates - Agent profiles by name
+ * @returns {Array<Object>} Roster including the referenced profiles
+ */
+function addReferencedProfiles(roster, tasks, templates) {
+  const names = new Set(roster.map(agent => agent.name));
+  const added = [];
+
+  for (const task of tasks) {
+    if (task.agent && !names.has(task.agent) && templates[task.agent]) {
+      names.add(task.agent);
+      added.push({ name: task.agent, template: task.agent, role: null });
+    }
+  }
+
+  return [...roster, ...added];
+}
+
+/**
+ * Resolve agent specs against agent templates
+ *
+ * Each spec gets the profile passed to orchestrator.createAgent: the
+ * template with the declared overrides (model, temperature, capabilities,
+ * maxContextTokens, maxConcurrentTasks) applied.
+ *
+ * @param {Array<Object>} roster - Agent specs
+ * @param {Object} templates - Agent templates by name (AgentTemplates)
+ * @returns {Array<Object>} Agent specs with a profile
+ */
+function resolveRoster(roster, templates) {
+  return roster.map(agent => {
+    const template = templates[agent.template];
+    if (!template) {
+      throw new Error(`Unknown agent template "${agent.template}" for agent "${agent.name}" (available: ${Object.keys(templates).join(', ')})`);
+    }
+
+    const { model, temperature, capabilities, maxContextTokens, ...rest } = agent.overrides || {};
+    const constraints = { ...(template.constraints || {}) };
+    if (temperature !== undefined) constraints.temperature = temperature;
+    if (maxContextTokens !== undefined) constraints.maxContextTokens = maxContextTokens;
+
+    const profile = {
+      ...template,
+      ...rest,
+      name: agent.name,
+      model: model || template.model,
+      capabilities: capabilities || template.capabilities || [],
+      constraints
+    };
+
+    return { ...agent, profile };
+  });
+}
+
+/**
+ * Get the capabilities of an agent spec (declared, or from its resolved profile)
+ */
+function getAgentCapabilities(agent) {
+  if (agent.profile) return agent.profile.capabilities || [];
+  return (agent.overrides && agent.overrides.capabilities) || [];
+}
+
+/**
+ * Get the roster agents that can take a task
+ *
+ * A task naming or pinned to a roster agent (`agent`, `assignedAgent`) only goes to that agent, and
+ * `requiredCapabilities` limits it to agents having all of them. Otherwise
+ * agents are matched by role, then by capability.
+ *
+ * @param {Object} task - Task definition
+ * @param {Array<Object>} roster - Agent specs
+ * @returns {Array<Object>} Candidate agents (falls back to developers, then everyone)
+ */
+function getCandidateAgents(task, roster) {
+  const named = roster.find(agent => agent.name === (task.assignedAgent || task.agent));
+  if (named) {
+    return [named];
+  }
+  const required = task.requiredCapabilities || [];
+  if (required.length > 0) {
+    return roster.filter(agent => required.every(capability => getAgentCapabilities(agent).includes(capability)));
+  }
+  const byRole = roster.filter(agent => (ROLE_TASK_TYPES[agent.role] || []).includes(task.type));
+  if (byRole.length > 0) {
+    return byRole;
+  }
+  const byCapability = roster.filter(agent => getAgentCapabilities(agent).includes(task.type));
+  if (byCapability.length > 0) {
+    return byCapability;
+  }
+  const developers = roster.filter(agent => agent.role === 'developer');
+  return developers.length > 0 ? developers : roster;
+}
+
+/**
+ * Attach routing to tasks before they are queued
+ *
+ * Tasks naming a roster agent are pinned to it (assignedAgent); tasks with
+ * requiredCapabilities carry the names of the agents that qualify
+ * (candidateAgents). Throws if a task cannot go to any agent.
+ *
+ * @param {Array<Object>} tasks - Tasks (with ids)
+ * @param {Array<Object>} roster - Resolved agent specs
+ * @returns {Array<Object>} Routed tasks
+ */
+function routeTasks(tasks, roster) {
+  const declared = roster.some(agent => agent.declared);
+
+  return tasks.map(task => {
+    if (task.agent && roster.some(agent => agent.name === task.agent)) {
+      return { ...task, assignedAgent: task.agent };
+    }
+    if (task.agent && declared) {
+      throw new Error(`Task "${task.id}" references unknown agent "${task.agent}"`);
+    }
+    if ((task.requiredCapabilities || []).length > 0) {
+      const candidates = getCandidateAgents(task, roster);
+      if (candidates.length === 0) {
+        throw new Error(`No agent has all capabilities required by task "${task.id}": ${task.requiredCapabilities.join(', ')}`);
+      }
+      return { ...task, candidateAgents: candidates.map(agent => agent.name) };
+    }
+    return task;
+  });
+}
+
+/**
+ * Add an agent for every adapter tasks ask for (`adapterType`, from the
+ * `agent` of plan tasks) other than the run's own, and pin those tasks to it
+ *
+ * @param {Array<Object>} tasks - Routed tasks
+ * @param {Array<Object>} roster - Resolved agent specs
+ * @param {string} defaultAdapter - Adapter the run executes with
+ * @returns {Object} { tasks, roster } with the adapter agents added
+ */
+function addAdapterAgents(tasks, roster, defaultAdapter) {
+  const added = new Map();
+
+  const pinned = tasks.map(task => {
+    if (!task.adapterType || task.adapterType === defaultAdapter) {
+      return task;
+    }
+    if (!added.has(task.adapterType)) {
+      const name = `${task.adapterType}-agent`;
+      added.set(task.adapterType, {
+        name,
+        template: null,
+        role: null,
+        profile: { name, useAdapter: true, adapterType: task.adapterType, capabilities: [] }
+      });
+    }
+    return { ...task, assignedAgent: added.get(task.adapterType).name };
+  });
+
+  return { tasks: pinned, roster: [...roster, ...added.values()] };
+}
+
+/**
+ * Predict which agent each task goes to, wave by wave
+ *
+ * Within a wave tasks are spread over the least busy candidate agents, which
+ * mirrors how the orchestrator hands ready tasks to idle agents.
+ *
+ * @param {Array<Array<string>>} waves - Task ids per execution wave
+ * @param {Map<string, Object>} tasksById - Task definitions by id
+ * @param {Array<Object>} roster - Agent specs
+ * @returns {Map<string, Object>} Agent spec per task id
+ */
+function assignAgents(waves, tasksById, roster) {
+  const assignments = new Map();
+
+  for (const wave of waves) {
+    const load = new Map(roster.map(agent => [agent.name, 0]));
+    for (const id of wave) {
+      const candidates = getCandidateAgents(tasksById.get(id), roster);
+      const agent = candidates.reduce((best, candidate) => (
+        load.get(candidate.name) < load.get(best.name) ? candidate : best
+      ), candidates[0]);
+      if (agent) {
+        load.set(agent.name, load.get(agent.name) + 1);
+        assignments.set(id, agent);
+      }
+    }
+  }
+
+  return assignments;
+}
+
+module.exports = {
+  planDefaultRoster,
+  planDeclaredRoster,
+  addReferencedProfiles,
+  resolveRoster,
+  routeTasks,
+  addAdapterAgents,
+  assignAgents,
+  getCandidateAgents,
+  ROLE_TASK_TYPES,
+  ROLE_TEMPLATES
+};
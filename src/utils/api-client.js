@@ -14,11 +14,11 @@ const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'eyJhbGciOiJIUzI1NiIs
 class APIClient {
   constructor(token = null, options = {}) {
     this.token = token;
-    this.maxRetries = options.maxRetries || 3;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
     this.retryDelay = options.retryDelay || 1000;
     
     this.axios = axios.create({
-      baseURL: API_BASE_URL,
+      baseURL: options.baseURL || API_BASE_URL,
       timeout: API_TIMEOUT,
       headers: {
         'Content-Type': 'application/json',
@@ -0,0 +1,192 @@
+/**
+ * Budget enforcement for RepoChief CLI
+ * Applies the run, daily and per-task limits while a run spends money
+ */
+
+const { estimateTaskCost } = require('./cost-estimate');
+const { getCandidateAgents } = require('./agent-roster');
+
+/**
+ * Percent of the budget at which the run pauses (or warns) by default
+ */
+const DEFAULT_ALERT_THRESHOLD = 80;
+
+/**
+ * Parse a positive amount, or null when unset/invalid
+ */
+function parseLimit(value) {
+  const amount = parseFloat(value);
+  return amount > 0 ? amount : null;
+}
+
+/**
+ * Parse an alert threshold in percent (1-100)
+ * @param {*} value - Threshold from the CLI or config
+ * @returns {number} Threshold in percent
+ */
+function parseAlertThreshold(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_ALERT_THRESHOLD;
+  }
+  const percent = parseFloat(value);
+  if (!(percent > 0 && percent <= 100)) {
+    throw new Error(`Invalid budget threshold "${value}" (expected a percentage between 1 and 100)`);
+  }
+  return percent;
+}
+
+/**
+ * Load the daily and per-task limits and the alert threshold from config
+ * (set with "repochief config --budget"). Missing config means no limits.
+ * @returns {Promise<Object>} Limits ({ dailyBudget, perTaskBudget, alertThreshold })
+ */
+async function loadBudgetConfig() {
+  try {
+    const ConfigManager = require('@liftping/repochief-core/src/config/ConfigManager');
+    const configManager = new ConfigManager();
+    await configManager.initialize();
+    const budget = await configManager.getBudgetConfig();
+    const alertThreshold = await configManager.get('budgetAlertThreshold');
+    return {
+      dailyBudget: parseLimit(budget.dailyBudget),
+      perTaskBudget: parseLimit(budget.perTaskBudget),
+      alertThreshold
+    };
+  } catch (error) {
+    return { dailyBudget: null, perTaskBudget: null, alertThreshold: undefined };
+  }
+}
+
+/**
+ * Cap maxTokens of tasks whose worst-case cost would exceed the per-task budget
+ *
+ * Tasks that may go to several agents are priced on the most expensive one.
+ *
+ * @param {Array<Object>} tasks - Routed tasks
+ * @param {Array<Object>} roster - Resolved agent specs
+ * @param {number} perTaskBudget - Per-task limit in USD
+ * @returns {Object} { tasks, capped: [{ id, from, to }] }
+ */
+function capTaskTokens(tasks, roster, perTaskBudget) {
+  const capped = [];
+
+  const cappedTasks = tasks.map(task => {
+    const agents = task.assignedAgent
+      ? roster.filter(agent => agent.name === task.assignedAgent)
+      : getCandidateAgents(task, roster);
+    const models = agents.length > 0 ? agents.map(agent => agent.profile.model) : [undefined];
+    const estimates = models.map(model => estimateTaskCost(task, model));
+    const worst = estimates.reduce((max, estimate) => (estimate.cost > max.cost ? estimate : max));
+
+    if (worst.cost <= perTaskBudget) {
+      return task;
+    }
+
+    // Cost scales linearly with tokens, so scale the token budget down to fit
+    const maxTokens = Math.floor(worst.tokens * perTaskBudget / worst.cost);
+    capped.push({ id: task.id, from: worst.tokens, to: maxTokens });
+    return { ...task, maxTokens };
+  });
+
+  return { tasks: cappedTasks, capped };
+}
+
+/**
+ * Tracks spend against the run budget, the daily budget and the per-task cap
+ */
+class BudgetGuard {
+  /**
+   * @param {Object} limits
+   * @param {number} limits.budget - Run budget (--budget)
+   * @param {number} [limits.spentBefore] - Spent by previous attempts of this run
+   * @param {number} [limits.dailyBudget] - Daily limit (null for none)
+   * @param {number} [limits.dailySpent] - Spent today before this run started
+   * @param {number} [limits.perTaskBudget] - Per-task limit (null for none)
+   * @param {number} [limits.alertThreshold] - Percent of the budget that triggers the alert
+   */
+  constructor({ budget, spentBefore = 0, dailyBudget = null, dailySpent = 0, perTaskBudget = null, alertThreshold = DEFAULT_ALERT_THRESHOLD }) {
+    this.budget = budget;
+    this.spentBefore = spentBefore;
+    this.dailyBudget = dailyBudget;
+    this.dailySpent = dailySpent;
+    this.perTaskBudget = perTaskBudget;
+    this.alertThreshold = alertThreshold;
+    this.spent = 0;
+    this.alerted = false;
+    this.exceeded = null;
+  }
+
+  /**
+   * Money this run may still spend (the tighter of the run and daily budgets)
+   */
+  getAvailable() {
+    const run = this.budget - this.spentBefore;
+    if (this.dailyBudget === null) {
+      return run;
+    }
+    return Math.min(run, this.dailyBudget - this.dailySpent);
+  }
+
+  /**
+   * Describe the limit that binds this run
+   */
+  getBindingLimit() {
+    const run = this.budget - this.spentBefore;
+    return this.dailyBudget !== null && this.dailyBudget - this.dailySpent < run ? 'daily' : 'run';
+  }
+
+  /**
+   * Record the run's total spend so far
+   * @param {number} total - Spent by this run
+   * @returns {Object} { exceeded: null|{ limit, message }, alert: null|{ percent, message } }
+   */
+  update(total) {
+    this.spent = total;
+    const available = this.getAvailable();
+    const result = { exceeded: null, alert: null };
+
+    if (!this.exceeded && total >= available) {
+      const limit = this.getBindingLimit();
+      this.exceeded = {
+        limit,
+        message: limit === 'daily'
+          ? `daily budget of $${this.dailyBudget} reached ($${(this.dailySpent + total).toFixed(2)} spent today)`
+          : `budget of $${this.budget} reached ($${(this.spentBefore + total).toFixed(2)} spent)`
+      };
+      result.exceeded = this.exceeded;
+    } else if (!this.alerted && !this.exceeded && available > 0 && total / available * 100 >= this.alertThreshold) {
+      this.alerted = true;
+      result.alert = {
+        percent: Math.round(total / available * 100),
+        message: `$${total.toFixed(2)} of $${available.toFixed(2)} available ${this.getBindingLimit() === 'daily' ? 'daily ' : ''}budget spent`
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Check a finished task's cost against the per-task limit
+   * @param {string} taskId - Task id
+   * @param {number} cost - Cost of the task
+   * @returns {Object|null} { limit, message } if the task went over the limit
+   */
+  checkTask(taskId, cost) {
+    if (this.exceeded || this.perTaskBudget === null || !(cost > this.perTaskBudget)) {
+      return null;
+    }
+    this.exceeded = {
+      limit: 'task',
+      message: `task "${taskId}" cost $${cost.toFixed(2)}, over the per-task budget of $${this.perTaskBudget}`
+    };
+    return this.exceeded;
+  }
+}
+
+module.exports = {
+  BudgetGuard,
+  loadBudgetConfig,
+  capTaskTokens,
+  parseAlertThreshold,
+  DEFAULT_ALERT_THRESHOLD
+};
@@ -0,0 +1,240 @@
+/**
+ * Capability probes for RepoChief devices
+ *
+ * A probe detects one tool and its version. The built-in probes cover AI
+ * tools, language runtimes, package managers, containers and test frameworks;
+ * more can be added with registerProbe() or by dropping a module that exports
+ * a probe (or an array of probes) into ~/.repochief/capability-probes/.
+ *
+ * A probe is { id, name, category, detect(context) } where detect resolves to
+ * { version } when the tool is present and null otherwise.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const execFileAsync = promisify(execFile);
+
+const PROBE_TIMEOUT = 5000;
+const VERSION_PATTERN = /(\d+\.\d+(?:\.\d+)?(?:[-+][\w.]+)?)/;
+
+/**
+ * Provider API keys looked for in the environment (only the provider names
+ * are reported, never the keys)
+ */
+const API_KEY_PROVIDERS = {
+  anthropic: ['ANTHROPIC_API_KEY'],
+  openai: ['OPENAI_API_KEY'],
+  google: ['GOOGLE_API_KEY', 'GEMINI_API_KEY'],
+  mistral: ['MISTRAL_API_KEY'],
+  deepseek: ['DEEPSEEK_API_KEY'],
+  openrouter: ['OPENROUTER_API_KEY']
+};
+
+/**
+ * Run a command and return its output (stdout, or stderr for tools that print
+ * their version there); null when it is missing or fails
+ */
+async function runCommand(command, args, timeout = PROBE_TIMEOUT) {
+  try {
+    const { stdout, stderr } = await execFileAsync(command, args, { timeout, windowsHide: true });
+    return (stdout || stderr || '').trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Probe for a command line tool that prints its version
+ * @param {string} id - Capability id (e.g. "docker")
+ * @param {string} name - Display name
+ * @param {string} category - ai-tool, runtime, package-manager, container, test-framework, vcs, terminal
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments that print the version
+ */
+function commandProbe(id, name, category, command, args = ['--version']) {
+  return {
+    id,
+    name,
+    category,
+    detect: async () => {
+      const output = await runCommand(command, args);
+      if (output === null) {
+        return null;
+      }
+      const match = VERSION_PATTERN.exec(output);
+      return { version: match ? match[1] : 'unknown' };
+    }
+  };
+}
+
+/**
+ * Probe for a JavaScript test framework declared in the repository's package.json
+ */
+function packageJsonProbe(id, name, packageName) {
+  return {
+    id,
+    name,
+    category: 'test-framework',
+    detect: async ({ cwd }) => {
+      try {
+        const pkg = JSON.parse(fs.readFileSync(path.join(cwd, 'package.json'), 'utf8'));
+        const range = (pkg.devDependencies || {})[packageName] || (pkg.dependencies || {})[packageName];
+        return range ? { version: range.replace(/^[\^~>=<\s]+/, '') } : null;
+      } catch (error) {
+        return null;
+      }
+    }
+  };
+}
+
+const claudeCodeProbe = commandProbe('claude-code', 'Claude Code', 'ai-tool', 'claude-code');
+
+const BUILT_IN_PROBES = [
+  // AI tools
+  {
+    ...claudeCodeProbe,
+    // Older builds have no --version; being on the PATH is enough
+    detect: async () => (await claudeCodeProbe.detect()) ||
+      ((await runCommand('which', ['claude-code'])) !== null ? { version: 'latest' } : null)
+  },
+  commandProbe('aider', 'Aider', 'ai-tool', 'aider'),
+  // Orchestration
+  commandProbe('tmux', 'tmux', 'terminal', 'tmux', ['-V']),
+  commandProbe('git', 'Git', 'vcs', 'git'),
+  // Language runtimes
+  { id: 'node', name: 'Node.js', category: 'runtime', detect: async () => ({ version: process.versions.node }) },
+  commandProbe('python', 'Python', 'runtime', 'python3'),
+  commandProbe('go', 'Go', 'runtime', 'go', ['version']),
+  commandProbe('rust', 'Rust', 'runtime', 'rustc'),
+  commandProbe('java', 'Java', 'runtime', 'java', ['-version']),
+  commandProbe('ruby', 'Ruby', 'runtime', 'ruby'),
+  // Package managers
+  commandProbe('npm', 'npm', 'package-manager', 'npm'),
+  commandProbe('yarn', 'Yarn', 'package-manager', 'yarn'),
+  commandProbe('pnpm', 'pnpm', 'package-manager', 'pnpm'),
+  commandProbe('pip', 'pip', 'package-manager', 'pip3'),
+  commandProbe('cargo', 'Cargo', 'package-manager', 'cargo'),
+  // Containers
+  commandProbe('docker', 'Docker', 'container', 'docker'),
+  // Test frameworks
+  commandProbe('pytest', 'pytest', 'test-framework', 'pytest'),
+  packageJsonProbe('jest', 'Jest', 'jest'),
+  packageJsonProbe('mocha', 'Mocha', 'mocha'),
+  packageJsonProbe('vitest', 'Vitest', 'vitest'),
+  packageJsonProbe('playwright', 'Playwright', '@playwright/test')
+];
+
+const registry = new Map(BUILT_IN_PROBES.map(probe => [probe.id, probe]));
+
+/**
+ * Add (or replace) a probe
+ * @param {Object} probe - { id, name, category, detect }
+ */
+function registerProbe(probe) {
+  if (!probe || typeof probe.id !== 'string' || typeof probe.detect !== 'function') {
+    throw new Error('A capability probe needs an id and a detect() function');
+  }
+  registry.set(probe.id, { name: probe.id, category: 'other', ...probe });
+}
+
+/**
+ * Registered probes
+ */
+function getProbes() {
+  return Array.from(registry.values());
+}
+
+/**
+ * Register the probes found in ~/.repochief/capability-probes/*.js
+ * @returns {Array<string>} Problems with modules that could not be loaded
+ */
+function loadProbePlugins(dir = path.join(os.homedir(), '.repochief', 'capability-probes')) {
+  const problems = [];
+  if (!fs.existsSync(dir)) {
+    return problems;
+  }
+  fs.readdirSync(dir).filter(name => name.endsWith('.js')).sort().forEach(name => {
+    try {
+      const exported = require(path.join(dir, name));
+      (Array.isArray(exported) ? exported : [exported]).forEach(registerProbe);
+    } catch (error) {
+      problems.push(`${name}: ${error.message}`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * CPU and memory of this machine
+ */
+function getHardware() {
+  const cpus = os.cpus();
+  return {
+    platform: os.platform(),
+    arch: os.arch(),
+    cpus: cpus.length,
+    cpuModel: cpus.length > 0 ? cpus[0].model.trim() : null,
+    memory: os.totalmem(),
+    freeMemory: os.freemem()
+  };
+}
+
+/**
+ * Providers with an API key in the environment
+ */
+function getApiKeyProviders(env = process.env) {
+  return Object.entries(API_KEY_PROVIDERS)
+    .filter(([, variables]) => variables.some(variable => Boolean(env[variable])))
+    .map(([provider]) => provider);
+}
+
+/**
+ * Run every probe (side by side; a failing probe only loses its own result)
+ * @param {Object} options
+ * @param {Array<Object>} options.probes - Probes to run (default: the registry)
+ * @param {string} options.cwd - Repository the test framework probes look at
+ * @returns {Promise<Object>} { capabilities, tools, hardware, apiKeys, warnings }
+ */
+async function detectCapabilities({ probes = getProbes(), cwd = process.cwd() } = {}) {
+  const results = await Promise.all(probes.map(async probe => {
+    try {
+      return { probe, found: await probe.detect({ cwd }) };
+    } catch (error) {
+      return { probe, found: null };
+    }
+  }));
+
+  const detected = results.filter(({ found }) => found);
+  const capabilities = detected.map(({ probe }) => probe.id);
+  const warnings = [];
+  if (probes.some(probe => probe.id === 'tmux') && !capabilities.includes('tmux')) {
+    warnings.push('tmux not found - required for AI tool orchestration');
+  }
+
+  return {
+    capabilities,
+    tools: detected.map(({ probe, found }) => ({
+      name: probe.name,
+      version: found.version || 'unknown',
+      type: probe.id,
+      category: probe.category
+    })),
+    hardware: getHardware(),
+    apiKeys: getApiKeyProviders(),
+    warnings
+  };
+}
+
+module.exports = {
+  API_KEY_PROVIDERS,
+  commandProbe,
+  registerProbe,
+  getProbes,
+  loadProbePlugins,
+  getHardware,
+  getApiKeyProviders,
+  detectCapabilities
+};
@@ -0,0 +1,82 @@
+/**
+ * Offline cost estimation for RepoChief CLI
+ * Rough token/cost estimates for planning without calling any model
+ */
+
+/**
+ * Approximate list prices in USD per 1M tokens
+ */
+const MODEL_PRICING = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 }
+};
+
+/**
+ * Pricing used when the model is unknown
+ */
+const DEFAULT_PRICING = { input: 3, output: 15 };
+
+/**
+ * Token budget assumed for tasks without maxTokens
+ */
+const DEFAULT_TASK_TOKENS = 4000;
+
+/**
+ * Share of a task's tokens assumed to be input (prompt + context)
+ */
+const INPUT_SHARE = 0.6;
+
+/**
+ * Look up pricing for a model, matching versioned names by prefix
+ * (e.g. "claude-3-5-sonnet-20241022" -> "claude-3-5-sonnet")
+ * @param {string} model - Model name
+ * @returns {Object} Pricing ({ input, output } per 1M tokens)
+ */
+function getModelPricing(model) {
+  if (!model) {
+    return DEFAULT_PRICING;
+  }
+  if (MODEL_PRICING[model]) {
+    return MODEL_PRICING[model];
+  }
+  const prefix = Object.keys(MODEL_PRICING)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? MODEL_PRICING[prefix] : DEFAULT_PRICING;
+}
+
+/**
+ * Estimate tokens and cost for a task
+ *
+ * maxTokens is treated as the task's full token budget, so the estimate is
+ * an upper bound rather than a prediction.
+ *
+ * @param {Object} task - Task definition
+ * @param {string} [model] - Model the task would run on
+ * @returns {Object} Estimate ({ tokens, inputTokens, outputTokens, cost })
+ */
+function estimateTaskCost(task, model) {
+  const tokens = task.maxTokens || DEFAULT_TASK_TOKENS;
+  const inputTokens = Math.round(tokens * INPUT_SHARE);
+  const outputTokens = tokens - inputTokens;
+  const pricing = getModelPricing(model);
+  const cost = (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000;
+
+  return { tokens, inputTokens, outputTokens, cost };
+}
+
+module.exports = {
+  estimateTaskCost,
+  getModelPricing,
+  MODEL_PRICING,
+  DEFAULT_TASK_TOKENS
+};
@@ -0,0 +1,112 @@
+/**
+ * Cron firing times
+ *
+ * node-cron validates expressions and fires tasks, but cannot say when an
+ * expression fires. This walks minute by minute with node-cron's own matcher,
+ * so expressions behave exactly as they would under node-cron.
+ */
+
+const cron = require('node-cron');
+const TimeMatcher = require('node-cron/src/time-matcher');
+
+const MINUTE = 60 * 1000;
+// Longest gap searched for the next firing time (covers yearly expressions)
+const MAX_SEARCH_MINUTES = 366 * 24 * 60;
+
+/**
+ * Check an expression (five fields: minute hour day month weekday)
+ * @returns {string} The trimmed expression
+ */
+function parseCronExpression(expression) {
+  const trimmed = String(expression || '').trim();
+  if (trimmed.split(/\s+/).length !== 5 || !cron.validate(trimmed)) {
+    throw new Error(`Invalid cron expression "${expression}" (format: minute hour day month weekday)`);
+  }
+  return trimmed;
+}
+
+/**
+ * Start of the minute a date falls in
+ */
+function floorToMinute(date) {
+  return new Date(Math.floor(new Date(date).getTime() / MINUTE) * MINUTE);
+}
+
+/**
+ * Times an expression fires after `after` (exclusive) up to `until` (inclusive)
+ * @param {string} expression - Cron expression
+ * @param {Object} options
+ * @param {Date} options.after - Start of the window
+ * @param {Date} options.until - End of the window (default: one year after `after`)
+ * @param {number} options.limit - Stop after this many times
+ * @param {string} options.timezone - IANA timezone the expression is read in (default: local)
+ * @returns {Array<Date>}
+ */
+function getFireTimes(expression, { after = new Date(), until = null, limit = Infinity, timezone = null } = {}) {
+  const matcher = new TimeMatcher(`0 ${parseCronExpression(expression)}`, timezone || undefined);
+  const end = until ? new Date(until).getTime() : new Date(after).getTime() + MAX_SEARCH_MINUTES * MINUTE;
+  const times = [];
+  for (let time = floorToMinute(after).getTime() + MINUTE; time <= end && times.length < limit; time += MINUTE) {
+    if (matcher.match(new Date(time))) {
+      times.push(new Date(time));
+    }
+  }
+  return times;
+}
+
+/**
+ * Next time an expression fires (null when not within a year)
+ */
+function getNextFireTime(expression, options = {}) {
+  return getFireTimes(expression, { ...options, limit: 1 })[0] || null;
+}
+
+/**
+ * Check an IANA timezone name (e.g. Europe/Berlin)
+ * @returns {string} The timezone
+ */
+function parseTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return timezone;
+  } catch (error) {
+    throw new Error(`Unknown timezone "${timezone}" (use an IANA name such as Europe/Berlin or America/New_York)`);
+  }
+}
+
+/**
+ * Timezone of this machine
+ */
+function getLocalTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Shortest gap between two firing times in the coming week (null when the
+ * expression fires at most once in that time)
+ * @returns {number|null} Minutes
+ */
+function getShortestInterval(expression, { after = new Date(), timezone = null } = {}) {
+  const times = getFireTimes(expression, {
+    after,
+    until: new Date(new Date(after).getTime() + 8 * 24 * 60 * MINUTE),
+    limit: 500,
+    timezone
+  });
+  let shortest = null;
+  for (let i = 1; i < times.length; i++) {
+    const gap = (times[i] - times[i - 1]) / MINUTE;
+    shortest = shortest === null ? gap : Math.min(shortest, gap);
+  }
+  return shortest;
+}
+
+module.exports = {
+  parseCronExpression,
+  floorToMinute,
+  getFireTimes,
+  getNextFireTime,
+  parseTimezone,
+  getLocalTimezone,
+  getShortestInterval
+};
@@ -0,0 +1,229 @@
+/**
+ * Device task acceptance policy
+ *
+ * ~/.repochief/device-policy.yaml decides which cloud tasks this device runs:
+ *
+ *   accept:
+ *     taskTypes: [generation, validation]
+ *     adapters: [claude-code]
+ *     repositories: ["github.com/acme/*", "/home/me/src/*"]
+ *     maxBudget: 5
+ *   limits:
+ *     timeout: 30m
+ *     maxTokens: 200000
+ *   approval:
+ *     required: false
+ *     taskTypes: [generation]
+ *     budgetAbove: 2
+ *     labels: [production]
+ *     timeout: 10m
+ *
+ * Every key is optional; a device without the file accepts every task.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_APPROVAL_TIMEOUT = 10 * 60 * 1000;
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+/**
+ * Where the policy lives
+ */
+function getPolicyPath() {
+  return path.join(os.homedir(), '.repochief', 'device-policy.yaml');
+}
+
+/**
+ * Parse a duration ("90s", "30m", "2h", or a number of seconds) to milliseconds
+ */
+function parseDuration(value, key) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'number' && value > 0) {
+    return value * 1000;
+  }
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`${key}: invalid duration "${value}" (use e.g. 90s, 30m or 2h)`);
+  }
+  return parseFloat(match[1]) * DURATION_UNITS[match[2]];
+}
+
+function parsePositiveNumber(value, key) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'number' || !(value > 0)) {
+    throw new Error(`${key}: expected a positive number, got "${value}"`);
+  }
+  return value;
+}
+
+function parseList(value, key) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const list = Array.isArray(value) ? value : [value];
+  if (list.some(item => typeof item !== 'string')) {
+    throw new Error(`${key}: expected a list of strings`);
+  }
+  return list;
+}
+
+/**
+ * Check and normalize a parsed policy document
+ * @param {Object} document - Parsed YAML
+ * @returns {Object} Policy with null for every unset limit
+ */
+function normalizePolicy(document = {}) {
+  if (document === null || typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error('expected a mapping with accept, limits and/or approval');
+  }
+  const accept = document.accept || {};
+  const limits = document.limits || {};
+  const approval = document.approval || {};
+
+  return {
+    accept: {
+      taskTypes: parseList(accept.taskTypes, 'accept.taskTypes'),
+      adapters: parseList(accept.adapters, 'accept.adapters'),
+      repositories: parseList(accept.repositories, 'accept.repositories'),
+      maxBudget: parsePositiveNumber(accept.maxBudget, 'accept.maxBudget')
+    },
+    limits: {
+      timeout: parseDuration(limits.timeout, 'limits.timeout'),
+      maxTokens: parsePositiveNumber(limits.maxTokens, 'limits.maxTokens')
+    },
+    approval: {
+      required: Boolean(approval.required),
+      taskTypes: parseList(approval.taskTypes, 'approval.taskTypes'),
+      budgetAbove: parsePositiveNumber(approval.budgetAbove, 'approval.budgetAbove'),
+      labels: parseList(approval.labels, 'approval.labels'),
+      timeout: parseDuration(approval.timeout, 'approval.timeout') || DEFAULT_APPROVAL_TIMEOUT
+    }
+  };
+}
+
+/**
+ * Load the device policy (an empty policy when the file does not exist)
+ * @param {string} filePath - Policy file
+ * @returns {Object} Normalized policy, with path and mtime of the file
+ */
+function loadDevicePolicy(filePath = getPolicyPath()) {
+  if (!fs.existsSync(filePath)) {
+    return { ...normalizePolicy({}), path: null, mtime: null };
+  }
+  try {
+    const document = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+    return { ...normalizePolicy(document), path: filePath, mtime: fs.statSync(filePath).mtimeMs };
+  } catch (error) {
+    throw new Error(`Invalid device policy ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Match a value against a pattern where * stands for anything
+ */
+function matchesPattern(value, pattern) {
+  const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  return regex.test(value);
+}
+
+/**
+ * Repository a task would run against, without scheme and .git suffix
+ */
+function getTaskRepository(task, repoPath) {
+  if (task.repository) {
+    return task.repository.replace(/^[a-z+]+:\/\/(?:[^@/]+@)?/i, '').replace(/^git@([^:]+):/, '$1/').replace(/\.git$/, '');
+  }
+  return repoPath ? path.resolve(repoPath) : null;
+}
+
+/**
+ * Budget a task asks for (USD), if any
+ */
+function getTaskBudget(task) {
+  const budget = task.budget !== undefined ? task.budget : task.maxBudget;
+  return typeof budget === 'number' ? budget : null;
+}
+
+/**
+ * Decide whether the device runs a task
+ * @param {Object} task - Cloud task
+ * @param {Object} policy - Policy from loadDevicePolicy
+ * @param {Object} options
+ * @param {string} options.repoPath - Repository used when the task names none
+ * @returns {Object} { accepted, reason, approvalReasons, approvalTimeout, budget, limits: { timeout, maxTokens } }
+ */
+function evaluateTask(task, policy, { repoPath } = {}) {
+  const { accept, limits, approval } = policy;
+  const reject = (reason) => ({ accepted: false, reason, approvalReasons: [], limits });
+  const adapter = task.adapterType || 'claude-code';
+  const repository = getTaskRepository(task, repoPath);
+  const budget = getTaskBudget(task);
+
+  if (accept.taskTypes && !accept.taskTypes.includes(task.type)) {
+    return reject(`Task type "${task.type}" is not accepted by this device (allowed: ${accept.taskTypes.join(', ')})`);
+  }
+  if (accept.adapters && !accept.adapters.includes(adapter)) {
+    return reject(`Adapter "${adapter}" is not accepted by this device (allowed: ${accept.adapters.join(', ')})`);
+  }
+  if (accept.repositories && !(repository && accept.repositories.some(pattern => matchesPattern(repository, pattern)))) {
+    return reject(`Repository "${repository || 'unknown'}" is not accepted by this device`);
+  }
+  if (accept.maxBudget !== null && budget !== null && budget > accept.maxBudget) {
+    return reject(`Budget $${budget} is above this device's limit of $${accept.maxBudget}`);
+  }
+
+  const approvalReasons = [];
+  if (approval.required) {
+    approvalReasons.push('all tasks need approval');
+  }
+  if (task.requiresApproval || task.flagged) {
+    approvalReasons.push('flagged by the cloud');
+  }
+  if (approval.taskTypes && approval.taskTypes.includes(task.type)) {
+    approvalReasons.push(`task type "${task.type}"`);
+  }
+  if (approval.budgetAbove !== null && budget !== null && budget > approval.budgetAbove) {
+    approvalReasons.push(`budget $${budget} is above $${approval.budgetAbove}`);
+  }
+  const labels = (approval.labels || []).filter(label => (task.labels || []).includes(label));
+  if (labels.length > 0) {
+    approvalReasons.push(`labelled ${labels.join(', ')}`);
+  }
+
+  return {
+    accepted: true,
+    reason: null,
+    approvalReasons,
+    approvalTimeout: approval.timeout,
+    // Tasks without a budget of their own get the device's maximum
+    budget: budget !== null ? budget : accept.maxBudget,
+    limits
+  };
+}
+
+/**
+ * Apply the per-task token limit to a task (lowering maxTokens)
+ */
+function applyTokenLimit(task, maxTokens) {
+  if (!maxTokens || (task.maxTokens && task.maxTokens <= maxTokens)) {
+    return task;
+  }
+  return { ...task, maxTokens };
+}
+
+module.exports = {
+  getPolicyPath,
+  parseDuration,
+  normalizePolicy,
+  loadDevicePolicy,
+  matchesPattern,
+  evaluateTask,
+  applyTokenLimit
+};
@@ -0,0 +1,431 @@
+/**
+ * Background service for `repochief device poll`
+ *
+ * A supervisor process (`device service run`) keeps the poller running: it
+ * writes a PID file, restarts the poller with backoff when it crashes and
+ * writes its output to a rotating log. The poller answers status requests on
+ * a local socket. All files live under ~/.repochief.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { isProcessAlive } = require('./process');
+
+const SERVICE_NAME = 'repochief-device';
+const DEFAULT_LOG_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_LOG_FILES = 3;
+const RESTART_BASE_DELAY = 1000;
+const RESTART_MAX_DELAY = 5 * 60 * 1000;
+// A poller that stayed up this long counts as healthy, so backoff starts over
+const STABLE_RUN_TIME = 60 * 1000;
+
+/**
+ * Paths used by the service
+ */
+function getServicePaths() {
+  const baseDir = path.join(os.homedir(), '.repochief');
+  return {
+    baseDir,
+    pidFile: path.join(baseDir, 'device-service.pid'),
+    stateFile: path.join(baseDir, 'device-service.json'),
+    logFile: path.join(baseDir, 'logs', 'device-service.log'),
+    socketPath: process.platform === 'win32'
+      ? `\\\\.\\pipe\\${SERVICE_NAME}-${os.userInfo().username}`
+      : path.join(baseDir, 'device-service.sock'),
+    unitFile: path.join(os.homedir(), '.config', 'systemd', 'user', `${SERVICE_NAME}.service`)
+  };
+}
+
+/**
+ * PID of the running supervisor (null if none, stale PID files are ignored)
+ */
+function readPid() {
+  const { pidFile } = getServicePaths();
+  try {
+    const pid = parseInt(fs.readFileSync(pidFile, 'utf8'), 10);
+    return isProcessAlive(pid) ? pid : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Supervisor state (restarts, last exit, poller PID)
+ */
+function readState() {
+  try {
+    return JSON.parse(fs.readFileSync(getServicePaths().stateFile, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeState(state) {
+  const { stateFile } = getServicePaths();
+  fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+  fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Delay before restarting a crashed poller: 1s, 2s, 4s... up to 5 minutes
+ * @param {number} attempt - Consecutive crash count (1 for the first)
+ */
+function getRestartDelay(attempt, { baseDelay = RESTART_BASE_DELAY, maxDelay = RESTART_MAX_DELAY } = {}) {
+  return Math.min(maxDelay, baseDelay * Math.pow(2, Math.max(0, attempt - 1)));
+}
+
+/**
+ * Append-only log that rotates to .1, .2... once it reaches maxBytes
+ */
+class RotatingLog {
+  /**
+   * @param {string} filePath - Log file
+   * @param {Object} options
+   * @param {number} options.maxBytes - Size at which the log rotates
+   * @param {number} options.maxFiles - Rotated files to keep
+   */
+  constructor(filePath, { maxBytes = DEFAULT_LOG_MAX_BYTES, maxFiles = DEFAULT_LOG_FILES } = {}) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  }
+
+  /**
+   * Write lines, each prefixed with a timestamp
+   */
+  write(text) {
+    const lines = String(text).split('\n').filter(line => line.trim() !== '');
+    if (lines.length === 0) {
+      return;
+    }
+    const stamp = new Date().toISOString();
+    const chunk = lines.map(line => `${stamp} ${line}\n`).join('');
+    if (this.size > 0 && this.size + Buffer.byteLength(chunk) > this.maxBytes) {
+      this.rotate();
+    }
+    fs.appendFileSync(this.filePath, chunk);
+    this.size += Buffer.byteLength(chunk);
+  }
+
+  rotate() {
+    fs.rmSync(`${this.filePath}.${this.maxFiles}`, { force: true });
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      const from = `${this.filePath}.${index}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${this.filePath}.${index + 1}`);
+      }
+    }
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.filePath, `${this.filePath}.1`);
+    } else {
+      fs.rmSync(this.filePath, { force: true });
+    }
+    this.size = 0;
+  }
+}
+
+/**
+ * Last lines of the log
+ */
+function readLogTail(filePath, lines = 50) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  const content = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+  return content.slice(-lines);
+}
+
+/**
+ * Arguments passed on to `device poll`
+ */
+function getPollArgs({ concurrency, interval, delivery, repo, keepWorktrees, worktreeRetention } = {}) {
+  const args = [];
+  if (repo) {
+    args.push('--repo', repo);
+  }
+  if (concurrency) {
+    args.push('--concurrency', String(concurrency));
+  }
+  if (interval) {
+    args.push('--interval', String(interval));
+  }
+  if (delivery) {
+    args.push('--delivery', delivery);
+  }
+  if (keepWorktrees) {
+    args.push('--keep-worktrees', keepWorktrees);
+  }
+  if (worktreeRetention !== undefined && worktreeRetention !== null) {
+    args.push('--worktree-retention', String(worktreeRetention));
+  }
+  return args;
+}
+
+/**
+ * Command line that runs the supervisor in the foreground
+ */
+function getSupervisorCommand(pollOptions) {
+  return [process.execPath, path.resolve(__dirname, '../../bin/repochief.js'), 'device', 'service', 'run', ...getPollArgs(pollOptions)];
+}
+
+/**
+ * systemd user unit for the supervisor
+ *
+ * systemd only restarts the supervisor itself; poller crashes are handled by
+ * the supervisor's backoff. KillMode=mixed lets the poller finish its tasks
+ * after the supervisor forwards the stop.
+ */
+function buildSystemdUnit(pollOptions = {}) {
+  const command = getSupervisorCommand(pollOptions)
+    .map(part => (/\s/.test(part) ? `"${part}"` : part))
+    .join(' ');
+  return `[Unit]
+Description=RepoChief device poller
+After=network-online.target
+Wants=network-online.target
+
+[Service]
+Type=simple
+ExecStart=${command}
+Restart=on-failure
+RestartSec=10
+KillMode=mixed
+TimeoutStopSec=300
+Environment=NODE_ENV=production
+
+[Install]
+WantedBy=default.target
+`;
+}
+
+/**
+ * Serve status requests on the service socket
+ * @param {Function} getStatus - Returns the current status object
+ * @param {string} socketPath - Socket path (defaults to the service socket)
+ * @returns {Promise<net.Server>} Listening server
+ */
+function startStatusServer(getStatus, socketPath = getServicePaths().socketPath) {
+  if (process.platform !== 'win32') {
+    // Only one poller runs per user, so a leftover socket is stale
+    fs.rmSync(socketPath, { force: true });
+  }
+  const server = net.createServer(socket => {
+    socket.on('error', () => {});
+    let status;
+    try {
+      status = getStatus();
+    } catch (error) {
+      status = { error: error.message };
+    }
+    socket.end(JSON.stringify(status) + '\n');
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(socketPath, () => {
+      server.removeListener('error', reject);
+      server.unref();
+      resolve(server);
+    });
+  });
+}
+
+/**
+ * Ask the running poller for its status
+ * @returns {Promise<Object|null>} Status, or null if nothing answers
+ */
+function queryStatus(socketPath = getServicePaths().socketPath, timeout = 2000) {
+  return new Promise(resolve => {
+    let data = '';
+    const socket = net.connect(socketPath);
+    const done = (value) => {
+      socket.destroy();
+      resolve(value);
+    };
+    socket.setTimeout(timeout, () => done(null));
+    socket.on('data', chunk => { data += chunk; });
+    socket.on('end', () => {
+      try {
+        done(JSON.parse(data));
+      } catch (error) {
+        done(null);
+      }
+    });
+    socket.on('error', () => done(null));
+  });
+}
+
+/**
+ * Start the supervisor as a detached background process
+ * @returns {number} Supervisor PID
+ */
+function spawnDetachedSupervisor(pollOptions) {
+  const [command, ...args] = getSupervisorCommand(pollOptions);
+  const child = spawn(command, args, {
+    detached: true,
+    stdio: 'ignore',
+    env: { ...process.env, FORCE_COLOR: '0' }
+  });
+  child.unref();
+  return child.pid;
+}
+
+/**
+ * Keeps `device poll` running (the body of `device service run`)
+ */
+class DeviceSupervisor {
+  /**
+   * @param {Object} options
+   * @param {Object} options.pollOptions - concurrency / interval for the poller
+   * @param {RotatingLog} options.log - Where poller output goes
+   * @param {Function} options.spawnPoller - Optional, (args) => ChildProcess (for tests)
+   * @param {Function} options.restartDelay - Optional, (attempt) => ms (defaults to getRestartDelay)
+   */
+  constructor({ pollOptions = {}, log, spawnPoller, restartDelay = getRestartDelay } = {}) {
+    this.pollOptions = pollOptions;
+    this.restartDelay = restartDelay;
+    this.log = log || new RotatingLog(getServicePaths().logFile);
+    this.spawnPoller = spawnPoller || ((args) => spawn(
+      process.execPath,
+      [path.resolve(__dirname, '../../bin/repochief.js'), 'device', 'poll', ...args],
+      { stdio: ['ignore', 'pipe', 'pipe'], env: { ...process.env, FORCE_COLOR: '0' } }
+    ));
+    this.child = null;
+    this.crashes = 0;
+    this.restartTimer = null;
+    this.stopping = false;
+    this.state = {
+      pid: process.pid,
+      startedAt: new Date().toISOString(),
+      pollOptions,
+      restarts: 0,
+      pollerPid: null,
+      lastExit: null,
+      nextRestartAt: null
+    };
+  }
+
+  /**
+   * Start the poller and keep it running until stop()
+   * @returns {Promise<void>} Resolves once stopped
+   */
+  start() {
+    const { pidFile } = getServicePaths();
+    fs.mkdirSync(path.dirname(pidFile), { recursive: true });
+    fs.writeFileSync(pidFile, String(process.pid));
+    this.log.write(`Service started (pid ${process.pid})`);
+
+    this.finished = new Promise(resolve => { this.resolveFinished = resolve; });
+    this.launch();
+    return this.finished;
+  }
+
+  launch() {
+    this.restartTimer = null;
+    this.state.nextRestartAt = null;
+    const launchedAt = Date.now();
+    const args = [...getPollArgs(this.pollOptions), '--status-socket', getServicePaths().socketPath];
+    const child = this.spawnPoller(args);
+    this.child = child;
+    this.state.pollerPid = child.pid;
+    this.saveState();
+
+    if (child.stdout) child.stdout.on('data', chunk => this.log.write(chunk));
+    if (child.stderr) child.stderr.on('data', chunk => this.log.write(chunk));
+
+    // A poller that could not be started (e.g. ENOENT) emits 'error' instead
+    // of, or as well as, 'exit'; either way it counts as one crash
+    let exited = false;
+    const onExit = (code, signal, error) => {
+      if (exited) {
+        return;
+      }
+      exited = true;
+      this.child = null;
+      this.state.pollerPid = null;
+      this.state.lastExit = { code, signal, ...(error ? { error: error.message } : {}), at: new Date().toISOString() };
+
+      if (this.stopping) {
+        this.finish('Service stopped');
+        return;
+      }
+      if (code === 0) {
+        // The poller stopped on its own (e.g. device not registered)
+        this.finish('Poller exited, not restarting (see the log above)');
+        return;
+      }
+
+      this.crashes = Date.now() - launchedAt >= STABLE_RUN_TIME ? 1 : this.crashes + 1;
+      const delay = this.restartDelay(this.crashes);
+      this.state.restarts++;
+      this.state.nextRestartAt = new Date(Date.now() + delay).toISOString();
+      this.saveState();
+      const reason = error ? `failed to start: ${error.message}` : `exited (${signal || `code ${code}`})`;
+      this.log.write(`Poller ${reason}, restarting in ${Math.round(delay / 1000)}s`);
+      this.restartTimer = setTimeout(() => this.launch(), delay);
+    };
+    child.on('exit', (code, signal) => onExit(code, signal));
+    child.on('error', error => onExit(null, null, error));
+  }
+
+  /**
+   * Stop the poller; it finishes running tasks unless force is set
+   */
+  stop({ force = false } = {}) {
+    if (this.stopping && !force) {
+      return;
+    }
+    this.stopping = true;
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.finish('Service stopped');
+      return;
+    }
+    if (this.child) {
+      this.log.write(force ? 'Stopping poller now' : 'Stopping poller (running tasks finish first)');
+      // The poller treats a second SIGINT as "stop running tasks"
+      this.child.kill('SIGINT');
+      if (force) {
+        setTimeout(() => this.child && this.child.kill('SIGINT'), 100);
+      }
+    }
+  }
+
+  saveState() {
+    try {
+      writeState(this.state);
+    } catch (error) {
+      // State is informational
+    }
+  }
+
+  finish(message) {
+    this.log.write(message);
+    this.state.nextRestartAt = null;
+    this.saveState();
+    const { pidFile } = getServicePaths();
+    if (readPid() === process.pid) {
+      fs.rmSync(pidFile, { force: true });
+    }
+    this.resolveFinished();
+  }
+}
+
+module.exports = {
+  SERVICE_NAME,
+  getServicePaths,
+  readPid,
+  readState,
+  getRestartDelay,
+  RotatingLog,
+  readLogTail,
+  buildSystemdUnit,
+  startStatusServer,
+  queryStatus,
+  spawnDetachedSupervisor,
+  DeviceSupervisor
+};
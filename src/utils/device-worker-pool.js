@@ -0,0 +1,123 @@
+/**
+ * Worker pool for `repochief device poll`
+ * Runs cloud tasks side by side, up to a fixed number of slots
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * Parse --concurrency (a positive whole number)
+ * @param {string|number} value - Option value
+ * @returns {number} Number of slots
+ */
+function parseConcurrency(value) {
+  const concurrency = Number(value === undefined ? 1 : value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency "${value}" (expected a whole number of 1 or more)`);
+  }
+  return concurrency;
+}
+
+/**
+ * Fixed-size pool of task slots
+ *
+ * Events:
+ * - taskStarted ({ task })
+ * - taskFinished ({ task, result, duration })
+ * - taskFailed ({ task, error, duration })
+ * - idle () when the last running task ends
+ */
+class DeviceWorkerPool extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency - Number of tasks that may run at once
+   * @param {Function} options.executeTask - async (task, context) => result, called once per task
+   */
+  constructor({ concurrency = 1, executeTask }) {
+    super();
+    this.concurrency = parseConcurrency(concurrency);
+    this.executeTask = executeTask;
+    this.running = new Map();
+  }
+
+  get active() {
+    return this.running.size;
+  }
+
+  get free() {
+    return Math.max(0, this.concurrency - this.running.size);
+  }
+
+  /**
+   * Slot usage, as reported in heartbeats
+   */
+  getSlots() {
+    return {
+      total: this.concurrency,
+      active: this.active,
+      free: this.free,
+      tasks: Array.from(this.running.keys())
+    };
+  }
+
+  /**
+   * Whether a task is already running (the same task is never started twice)
+   */
+  isRunning(taskId) {
+    return this.running.has(taskId);
+  }
+
+  /**
+   * Start a task in a free slot without waiting for it
+   * @param {Object} task - Cloud task
+   * @returns {boolean} False if there is no free slot or the task is already running
+   */
+  run(task) {
+    if (this.free === 0 || this.isRunning(task.id)) {
+      return false;
+    }
+
+    const context = { task, startedAt: Date.now(), cleanup: [] };
+    const execution = Promise.resolve()
+      .then(() => this.executeTask(task, context))
+      .then(
+        result => this.emit('taskFinished', { task, result, duration: Date.now() - context.startedAt }),
+        error => this.emit('taskFailed', { task, error, duration: Date.now() - context.startedAt })
+      )
+      .catch(() => {
+        // A throwing listener must not leave the slot taken
+      })
+      .finally(() => {
+        this.running.delete(task.id);
+        if (this.running.size === 0) {
+          this.emit('idle');
+        }
+      });
+
+    this.running.set(task.id, { ...context, execution });
+    this.emit('taskStarted', { task });
+    return true;
+  }
+
+  /**
+   * Wait for every running task to end
+   */
+  async drain() {
+    await Promise.all(Array.from(this.running.values()).map(entry => entry.execution));
+  }
+
+  /**
+   * Run the cleanup callbacks registered by running tasks (used on a forced stop)
+   * @returns {Array<Object>} Tasks that were still running
+   */
+  async abort() {
+    const entries = Array.from(this.running.values());
+    await Promise.all(entries.flatMap(entry => entry.cleanup.map(fn => Promise.resolve().then(fn).catch(() => {}))));
+    return entries.map(entry => entry.task);
+  }
+}
+
+module.exports = {
+  DeviceWorkerPool,
+  parseConcurrency
+};
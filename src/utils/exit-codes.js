@@ -0,0 +1,68 @@
+/**
+ * Exit codes for RepoChief CLI
+ * Lets CI pipelines tell apart why a run did not succeed
+ */
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  TASKS_FAILED: 1,
+  BUDGET_EXCEEDED: 2,
+  CONFIG_ERROR: 3
+};
+
+/**
+ * Policies for which task failures fail the run (--fail-on)
+ */
+const FAIL_ON_POLICIES = ['any', 'critical'];
+
+/**
+ * Check whether a task is critical (priority or severity "critical")
+ * @param {Object} task - Task definition
+ * @returns {boolean} True for critical tasks
+ */
+function isCriticalTask(task) {
+  return task.priority === 'critical' || task.severity === 'critical';
+}
+
+/**
+ * Create an error that exits with a specific code
+ * @param {string} message - Error message
+ * @param {number} exitCode - One of EXIT_CODES
+ * @returns {Error} Error carrying exitCode
+ */
+function createExitError(message, exitCode) {
+  const error = new Error(message);
+  error.exitCode = exitCode;
+  return error;
+}
+
+/**
+ * Work out the exit code of a finished run
+ *
+ * Exceeding the budget wins over task failures. Tasks that did not complete
+ * (failed, or never ran because the run stopped early) fail the run; with
+ * --fail-on critical only critical tasks count.
+ *
+ * @param {Object} report - Run report (tasks with status and critical flag)
+ * @param {Object} options
+ * @param {string} [options.failOn] - any or critical
+ * @param {boolean} [options.budgetExceeded] - Whether the run went over budget
+ * @returns {number} Exit code
+ */
+function getRunExitCode(report, { failOn = 'any', budgetExceeded = false } = {}) {
+  if (budgetExceeded) {
+    return EXIT_CODES.BUDGET_EXCEEDED;
+  }
+
+  const unfinished = report.tasks.filter(task => task.status !== 'completed');
+  const counted = failOn === 'critical' ? unfinished.filter(task => task.critical) : unfinished;
+  return counted.length > 0 ? EXIT_CODES.TASKS_FAILED : EXIT_CODES.SUCCESS;
+}
+
+module.exports = {
+  EXIT_CODES,
+  FAIL_ON_POLICIES,
+  isCriticalTask,
+  createExitError,
+  getRunExitCode
+};
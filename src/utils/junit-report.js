@@ -0,0 +1,103 @@
+/**
+ * JUnit reports for RepoChief CLI
+ * Writes run results as JUnit XML so they show up in CI test reports
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Escape text for XML attributes and content
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format seconds for the JUnit time attribute
+ */
+function formatTime(seconds) {
+  return (seconds || 0).toFixed(3);
+}
+
+/**
+ * Build a JUnit testcase for a task of the run report
+ */
+function buildTestCase(task, suiteName) {
+  const properties = [
+    ['type', task.type],
+    ['agent', task.agent],
+    ['cost', (task.cost || 0).toFixed(4)],
+    ['tokensUsed', task.tokensUsed || 0],
+    ['critical', task.critical ? 'true' : null],
+    ['carriedOver', task.carriedOver ? 'true' : null]
+  ].filter(([, value]) => value !== null && value !== undefined);
+
+  const lines = [
+    `    <testcase name="${escapeXml(task.id)}" classname="${escapeXml(`${suiteName}.${task.type}`)}" time="${formatTime(task.duration)}">`,
+    '      <properties>',
+    ...properties.map(([name, value]) => `        <property name="${name}" value="${escapeXml(value)}"/>`),
+    '      </properties>'
+  ];
+
+  if (task.status === 'failed') {
+    const message = task.error || 'Task failed';
+    lines.push(`      <failure message="${escapeXml(message)}" type="TaskFailed">${escapeXml(message)}</failure>`);
+  } else if (task.status !== 'completed') {
+    lines.push(`      <skipped message="${escapeXml(`Task did not run (${task.status})`)}"/>`);
+  }
+
+  lines.push(`      <system-out>${escapeXml(`Cost: $${(task.cost || 0).toFixed(4)}, tokens: ${task.tokensUsed || 0}`)}</system-out>`);
+  lines.push('    </testcase>');
+  return lines.join('\n');
+}
+
+/**
+ * Build a JUnit XML document from a run report (see buildRunReport in run.js)
+ * @param {Object} report - Run report
+ * @returns {string} JUnit XML
+ */
+function buildJUnitReport(report) {
+  const suiteName = 'repochief';
+  const failures = report.tasks.filter(task => task.status === 'failed').length;
+  const skipped = report.tasks.filter(task => task.status !== 'failed' && task.status !== 'completed').length;
+  const attributes = `tests="${report.tasks.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${formatTime(report.duration)}"`;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${suiteName}" ${attributes}>`,
+    `  <testsuite name="${escapeXml(report.session || suiteName)}" ${attributes} timestamp="${new Date().toISOString()}">`,
+    '    <properties>',
+    `      <property name="taskFile" value="${escapeXml(report.taskFile || '')}"/>`,
+    `      <property name="status" value="${escapeXml(report.status)}"/>`,
+    `      <property name="totalCost" value="${(report.cost ? report.cost.total : 0).toFixed(4)}"/>`,
+    '    </properties>',
+    ...report.tasks.map(task => buildTestCase(task, suiteName)),
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Write a JUnit report to disk
+ * @param {string} filePath - Output path
+ * @param {Object} report - Run report
+ * @returns {string} Absolute path written
+ */
+function writeJUnitReport(filePath, report) {
+  const absolutePath = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+  fs.writeFileSync(absolutePath, buildJUnitReport(report));
+  return absolutePath;
+}
+
+module.exports = {
+  buildJUnitReport,
+  writeJUnitReport
+};
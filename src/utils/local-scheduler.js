@@ -0,0 +1,281 @@
+/**
+ * Local schedule runner (`repochief schedule run-local`)
+ *
+ * Checks the project's schedules every few seconds and starts `repochief run`
+ * for each one that is due. A schedule whose previous run is still going is
+ * skipped rather than started twice. Firing times missed while the machine
+ * slept (or the runner was stopped) are handled by the catch-up policy.
+ *
+ * History lives in ~/.repochief/schedules/<name>-<project hash>.json: the
+ * last time the schedule was checked and its most recent runs.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { floorToMinute, getFireTimes } = require('./cron-schedule');
+
+const MINUTE = 60 * 1000;
+const TICK_INTERVAL = 15 * 1000;
+// How late a run may start and still count as on time
+const ON_TIME_GRACE = 2 * MINUTE;
+// Missed runs further back than this are ignored
+const CATCH_UP_LOOKBACK = 7 * 24 * 60 * MINUTE;
+const MAX_HISTORY = 100;
+const MAX_REPORT_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Where local schedule history and run logs live
+ */
+function getLocalSchedulesDir() {
+  return path.join(os.homedir(), '.repochief', 'schedules');
+}
+
+function getHistoryPath(name, projectDir, baseDir) {
+  const hash = crypto.createHash('sha256').update(path.resolve(projectDir)).digest('hex').slice(0, 8);
+  return path.join(baseDir, `${name}-${hash}.json`);
+}
+
+/**
+ * History of a local schedule ({ name, projectDir, checkedAt, runs }, newest run last)
+ */
+function readScheduleHistory(name, projectDir, baseDir = getLocalSchedulesDir()) {
+  try {
+    return JSON.parse(fs.readFileSync(getHistoryPath(name, projectDir, baseDir), 'utf8'));
+  } catch (error) {
+    return { name, projectDir: path.resolve(projectDir), checkedAt: null, runs: [] };
+  }
+}
+
+/**
+ * Update the history of a local schedule
+ * @param {Function} update - (history) => void, changes the history in place
+ */
+function updateScheduleHistory(name, projectDir, update, baseDir = getLocalSchedulesDir()) {
+  const history = readScheduleHistory(name, projectDir, baseDir);
+  update(history);
+  history.runs = history.runs.slice(-MAX_HISTORY);
+
+  fs.mkdirSync(baseDir, { recursive: true });
+  const filePath = getHistoryPath(name, projectDir, baseDir);
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(history, null, 2));
+  fs.renameSync(`${filePath}.tmp`, filePath);
+  return history;
+}
+
+/**
+ * Run `repochief run` for a schedule, logging its output
+ * @param {Object} schedule - Schedule from loadScheduleFile
+ * @param {Object} options
+ * @param {string} options.projectDir - Directory the run starts in
+ * @param {string} options.logDir - Where run logs are written
+ * @param {Function} options.onSpawn - Called with the child process
+ * @returns {Promise<Object>} { exitCode, log, report } where report is the run's JSON report, if any
+ */
+function spawnScheduledRun(schedule, { projectDir, logDir = path.join(getLocalSchedulesDir(), 'logs'), onSpawn }) {
+  fs.mkdirSync(logDir, { recursive: true });
+  const log = path.join(logDir, `${schedule.name}-${new Date().toISOString().replace(/[:.]/g, '-')}.log`);
+  const logStream = fs.createWriteStream(log);
+
+  // The JSON report carries the session, cost and task summary for the history
+  const machineOutput = schedule.args.some(arg => arg === '--json' || /^--format(=|$)/.test(arg));
+  const args = [
+    path.resolve(__dirname, '../../bin/repochief.js'),
+    'run',
+    schedule.taskFile,
+    ...schedule.args,
+    ...(machineOutput ? [] : ['--format', 'json'])
+  ];
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, args, {
+      cwd: projectDir,
+      env: { ...process.env, REPOCHIEF_SCHEDULE: schedule.name },
+      stdio: ['ignore', 'pipe', 'pipe'],
+      // Its own process group, so Ctrl+C on the runner does not interrupt the run
+      detached: true
+    });
+    if (onSpawn) {
+      onSpawn(child);
+    }
+    let stdout = '';
+    child.stdout.on('data', chunk => {
+      logStream.write(chunk);
+      if (stdout.length < MAX_REPORT_BYTES) {
+        stdout += chunk;
+      }
+    });
+    child.stderr.pipe(logStream, { end: false });
+    child.on('error', error => {
+      logStream.end();
+      reject(error);
+    });
+    child.on('close', code => {
+      logStream.end();
+      let report = null;
+      try {
+        report = JSON.parse(stdout.trim());
+      } catch (error) {
+        // Not a JSON report (custom --format or the run failed early)
+      }
+      resolve({ exitCode: code, log, report });
+    });
+  });
+}
+
+/**
+ * Triggers due schedules
+ *
+ * Events: started, finished, skipped, missed — each with { schedule, run }.
+ */
+class LocalScheduler extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.schedules - Schedules from loadScheduleFile
+   * @param {string} options.projectDir - Project the schedules belong to
+   * @param {Function} options.runSchedule - (schedule, { scheduledFor, trigger }) => Promise<{ exitCode, log, report }>
+   * @param {string} options.catchUp - Default catch-up policy: skip or once
+   * @param {Function} options.now - Clock (for tests)
+   * @param {string} options.historyDir - Where history is kept
+   */
+  constructor({
+    schedules,
+    projectDir,
+    runSchedule,
+    catchUp = 'once',
+    now = () => new Date(),
+    historyDir = getLocalSchedulesDir(),
+    tickInterval = TICK_INTERVAL
+  }) {
+    super();
+    this.schedules = schedules;
+    this.projectDir = projectDir;
+    this.runSchedule = runSchedule;
+    this.catchUp = catchUp;
+    this.now = now;
+    this.historyDir = historyDir;
+    this.tickInterval = tickInterval;
+    this.running = new Map();
+    this.timer = null;
+  }
+
+  start() {
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    return this;
+  }
+
+  /**
+   * Stop triggering schedules
+   * @returns {Promise} Resolves once running runs have finished
+   */
+  stop() {
+    clearInterval(this.timer);
+    return Promise.all(this.running.values());
+  }
+
+  history(schedule) {
+    return readScheduleHistory(schedule.name, this.projectDir, this.historyDir);
+  }
+
+  record(schedule, update) {
+    return updateScheduleHistory(schedule.name, this.projectDir, update, this.historyDir);
+  }
+
+  tick() {
+    this.schedules.filter(schedule => schedule.enabled).forEach(schedule => this.check(schedule));
+  }
+
+  check(schedule) {
+    const now = this.now();
+    const minute = floorToMinute(now);
+    const { checkedAt } = this.history(schedule);
+
+    // A schedule seen for the first time starts from the current minute
+    const after = checkedAt
+      ? new Date(Math.max(new Date(checkedAt).getTime(), minute.getTime() - CATCH_UP_LOOKBACK))
+      : new Date(minute.getTime() - MINUTE);
+    const times = getFireTimes(schedule.cron, { after, until: minute, timezone: schedule.timezone });
+    this.record(schedule, history => { history.checkedAt = minute.toISOString(); });
+    if (times.length === 0) {
+      return;
+    }
+
+    const latest = times[times.length - 1];
+    const onTime = now.getTime() - latest.getTime() <= ON_TIME_GRACE;
+    const missed = onTime ? times.length - 1 : times.length;
+    if (onTime) {
+      this.trigger(schedule, latest, 'cron', missed);
+      return;
+    }
+
+    const policy = schedule.catchUp || this.catchUp;
+    if (policy === 'once') {
+      this.trigger(schedule, latest, 'catch-up', missed);
+      return;
+    }
+    const run = { scheduledFor: latest.toISOString(), trigger: 'cron', outcome: 'missed', missed };
+    this.record(schedule, history => history.runs.push(run));
+    this.emit('missed', { schedule, run });
+  }
+
+  trigger(schedule, scheduledFor, trigger, missed) {
+    const run = { scheduledFor: scheduledFor.toISOString(), trigger, ...(missed > 0 ? { missed } : {}) };
+    if (this.running.has(schedule.name)) {
+      run.outcome = 'skipped';
+      run.reason = 'previous run still running';
+      this.record(schedule, history => history.runs.push(run));
+      this.emit('skipped', { schedule, run });
+      return;
+    }
+
+    run.startedAt = this.now().toISOString();
+    this.emit('started', { schedule, run });
+    const promise = Promise.resolve()
+      .then(() => this.runSchedule(schedule, { scheduledFor, trigger }))
+      .then(({ exitCode, log, report }) => {
+        Object.assign(run, {
+          outcome: exitCode === 0 ? 'completed' : 'failed',
+          exitCode,
+          log,
+          ...(report ? {
+            session: report.session,
+            outputDir: report.outputDir,
+            cost: report.cost ? report.cost.total : undefined,
+            tasks: report.summary
+          } : {})
+        });
+      })
+      .catch(error => {
+        Object.assign(run, { outcome: 'error', error: error.message });
+      })
+      .then(() => {
+        run.finishedAt = this.now().toISOString();
+        run.duration = new Date(run.finishedAt) - new Date(run.startedAt);
+        try {
+          this.record(schedule, history => history.runs.push(run));
+        } catch (error) {
+          // The run itself is over either way
+          run.historyError = error.message;
+        }
+      })
+      .finally(() => {
+        this.running.delete(schedule.name);
+      })
+      .then(() => {
+        this.emit('finished', { schedule, run });
+      });
+    this.running.set(schedule.name, promise);
+  }
+}
+
+module.exports = {
+  getLocalSchedulesDir,
+  readScheduleHistory,
+  updateScheduleHistory,
+  spawnScheduledRun,
+  LocalScheduler
+};
@@ -0,0 +1,25 @@
+/**
+ * Process helpers for RepoChief CLI
+ */
+
+/**
+ * Whether a process is alive
+ * @param {number} pid - Process id
+ * @returns {boolean} True if the process exists
+ */
+function isProcessAlive(pid) {
+  if (!pid) {
+    return false;
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means it exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+module.exports = {
+  isProcessAlive
+};
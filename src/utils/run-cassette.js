@@ -0,0 +1,305 @@
+/**
+ * Run cassettes for RepoChief CLI
+ * Records the orchestrator events and model responses of a run (run --record)
+ * and feeds the responses back to the orchestrator's agents without models or
+ * API keys (run --replay), checking the replay emits the same events
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CASSETTE_FILE = 'cassette.json';
+const CASSETTE_VERSION = 2;
+
+/**
+ * Agent method that sends a task to the agent's model adapter
+ */
+const MODEL_CALL = 'executeTask';
+
+/**
+ * Make a value JSON-safe: errors keep name/message/code, functions and
+ * circular references are dropped
+ */
+function serializeValue(value, seen = new WeakSet()) {
+  if (value instanceof Error) {
+    return {
+      __error: true,
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined ? { code: value.code } : {})
+    };
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' || typeof value === 'symbol' ? undefined : value;
+  }
+  if (seen.has(value)) {
+    return undefined;
+  }
+  seen.add(value);
+
+  let result;
+  if (Array.isArray(value)) {
+    result = value.map(item => serializeValue(item, seen));
+  } else if (value instanceof Map) {
+    result = serializeValue(Object.fromEntries(value), seen);
+  } else if (value instanceof Date) {
+    result = value.toISOString();
+  } else {
+    result = {};
+    Object.keys(value).forEach(key => {
+      const item = serializeValue(value[key], seen);
+      if (item !== undefined) {
+        result[key] = item;
+      }
+    });
+  }
+
+  seen.delete(value);
+  return result;
+}
+
+/**
+ * Undo serializeValue (errors become Error objects again)
+ */
+function deserializeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(deserializeValue);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value.__error) {
+    const error = new Error(value.message);
+    error.name = value.name || 'Error';
+    if (value.code !== undefined) {
+      error.code = value.code;
+    }
+    return error;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, deserializeValue(item)]));
+}
+
+/**
+ * Append every event an orchestrator emits to a list, in order
+ * @param {EventEmitter} orchestrator - Orchestrator to watch
+ * @param {Array<Object>} events - List to append { at, type, args } to
+ * @param {number} startedAt - Time `at` offsets are taken from
+ */
+function captureEvents(orchestrator, events, startedAt) {
+  const emit = orchestrator.emit;
+  orchestrator.emit = function (type, ...args) {
+    events.push({ at: Date.now() - startedAt, type, args: serializeValue(args) });
+    return emit.call(this, type, ...args);
+  };
+}
+
+/**
+ * Short form of an event for comparing runs (type and task id)
+ */
+function getEventKey(event) {
+  const payload = event.args && event.args[0];
+  const taskId = payload && payload.task ? payload.task.id : null;
+  return taskId ? `${event.type}:${taskId}` : event.type;
+}
+
+/**
+ * Find where a replay's events stop matching the recorded ones
+ * @param {Array<Object>} recorded - Events from the cassette
+ * @param {Array<Object>} replayed - Events of the replay
+ * @returns {Object|null} { index, expected, actual } (null when they match)
+ */
+function findEventDivergence(recorded, replayed) {
+  const length = Math.max(recorded.length, replayed.length);
+  for (let index = 0; index < length; index++) {
+    const expected = recorded[index] ? getEventKey(recorded[index]) : null;
+    const actual = replayed[index] ? getEventKey(replayed[index]) : null;
+    if (expected !== actual) {
+      return { index, expected, actual };
+    }
+  }
+  return null;
+}
+
+/**
+ * Captures the orchestrator events and model responses of a run
+ */
+class CassetteRecorder {
+  /**
+   * @param {Object} meta - Run details stored with the recording (session, taskFile, taskFileHash, tasks, agents)
+   */
+  constructor(meta) {
+    this.data = {
+      version: CASSETTE_VERSION,
+      recordedAt: new Date().toISOString(),
+      ...meta,
+      events: [],
+      calls: []
+    };
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Record every event the orchestrator emits, in order
+   * @param {EventEmitter} orchestrator - Orchestrator to record
+   */
+  recordEvents(orchestrator) {
+    captureEvents(orchestrator, this.data.events, this.startedAt);
+  }
+
+  /**
+   * Record the responses (and errors) of an agent's model calls
+   * @param {Object} agent - Agent returned by orchestrator.createAgent
+   */
+  attach(agent) {
+    const call = agent[MODEL_CALL];
+    if (typeof call !== 'function') {
+      throw new Error(`Agent ${agent.name} cannot be recorded (no ${MODEL_CALL} method)`);
+    }
+    const recorder = this;
+    agent[MODEL_CALL] = async function (task, ...args) {
+      try {
+        const response = await call.call(this, task, ...args);
+        recorder.capture(task, agent, { response });
+        return response;
+      } catch (error) {
+        recorder.capture(task, agent, { error });
+        throw error;
+      }
+    };
+  }
+
+  capture(task, agent, outcome) {
+    const taskId = task && task.id;
+    this.data.calls.push({
+      at: Date.now() - this.startedAt,
+      taskId,
+      agent: agent.name,
+      call: this.data.calls.filter(call => call.taskId === taskId).length,
+      ...serializeValue(outcome)
+    });
+  }
+
+  /**
+   * Add how the run ended
+   */
+  finish({ status }) {
+    Object.assign(this.data, {
+      status,
+      duration: (Date.now() - this.startedAt) / 1000
+    });
+  }
+
+  /**
+   * Write the cassette
+   * @param {string} filePath - Cassette path
+   * @returns {string} Path written
+   */
+  save(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(this.data, null, 2));
+    return filePath;
+  }
+}
+
+/**
+ * Load a cassette (a file, or an output directory containing cassette.json)
+ * @param {string} filePath - Cassette path
+ * @returns {Object} Cassette data
+ */
+function loadCassette(filePath) {
+  let cassettePath = path.resolve(filePath);
+  if (fs.existsSync(cassettePath) && fs.statSync(cassettePath).isDirectory()) {
+    cassettePath = path.join(cassettePath, CASSETTE_FILE);
+  }
+  if (!fs.existsSync(cassettePath)) {
+    throw new Error(`Cassette not found: ${cassettePath} (record one with "repochief run --record")`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read cassette ${cassettePath}: ${error.message}`);
+  }
+  if (data.version !== CASSETTE_VERSION || !Array.isArray(data.calls) || !Array.isArray(data.events)) {
+    throw new Error(`Unsupported cassette ${cassettePath} (expected version ${CASSETTE_VERSION}, record it again)`);
+  }
+  return { ...data, path: cassettePath };
+}
+
+/**
+ * Model adapter stand-in that answers from a cassette
+ *
+ * Each task gets its recorded responses back in call order, so retries see
+ * the same failures they saw when recording. The orchestrator itself runs as
+ * usual: scheduling, dependencies, events and cost tracking are real. A task
+ * with no recorded response left fails.
+ */
+class CassetteAdapter {
+  /**
+   * @param {Object} cassette - Cassette from loadCassette
+   */
+  constructor(cassette) {
+    this.cassette = cassette;
+    this.calls = new Map();
+    this.events = [];
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Keep the replay's events to compare them with the recording
+   * @param {EventEmitter} orchestrator - Orchestrator of the replay
+   */
+  recordEvents(orchestrator) {
+    captureEvents(orchestrator, this.events, this.startedAt);
+  }
+
+  /**
+   * Where the replay's events differ from the recorded ones
+   * @returns {Object|null} { index, expected, actual } (null when they match)
+   */
+  compareEvents() {
+    return findEventDivergence(this.cassette.events, this.events);
+  }
+
+  /**
+   * Answer a task with its next recorded response
+   * @param {Object} task - Task sent to the model
+   * @returns {Promise<Object>} Recorded response
+   */
+  async executeTask(task) {
+    const taskId = task && task.id;
+    const index = this.calls.get(taskId) || 0;
+    this.calls.set(taskId, index + 1);
+
+    const recorded = this.cassette.calls.find(call => call.taskId === taskId && call.call === index);
+    if (!recorded) {
+      throw new Error(`No recorded response for task "${taskId}" (call ${index + 1}) in ${this.cassette.path}`);
+    }
+    if (recorded.error) {
+      throw deserializeValue(recorded.error);
+    }
+    return deserializeValue(recorded.response);
+  }
+
+  /**
+   * Send an agent's model calls to this adapter
+   * @param {Object} agent - Agent returned by orchestrator.createAgent
+   */
+  attach(agent) {
+    if (typeof agent[MODEL_CALL] !== 'function') {
+      throw new Error(`Agent ${agent.name} cannot be replayed (no ${MODEL_CALL} method)`);
+    }
+    agent[MODEL_CALL] = task => this.executeTask(task);
+  }
+}
+
+module.exports = {
+  CassetteRecorder,
+  CassetteAdapter,
+  findEventDivergence,
+  loadCassette,
+  serializeValue,
+  deserializeValue,
+  CASSETTE_FILE
+};
@@ -0,0 +1,185 @@
+/**
+ * Run checkpoints for RepoChief CLI
+ * Persists run state to the output directory so interrupted runs can resume
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CHECKPOINT_FILE = 'checkpoint.json';
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Hash a task file so a resume can tell whether it changed
+ * @param {string} filePath - Task file path
+ * @returns {string} SHA-256 hex digest
+ */
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Run checkpoint
+ * Tracks per-task status, results and spent budget for a run
+ */
+class RunCheckpoint {
+  constructor(data) {
+    this.data = data;
+    this.filePath = path.join(data.outputDir, CHECKPOINT_FILE);
+  }
+
+  /**
+   * Create a checkpoint for a new run
+   * @param {Object} params - Run parameters
+   * @param {string} params.outputDir - Output directory
+   * @param {string} params.taskFile - Task file path
+   * @param {string} params.sessionName - Session name
+   * @param {Array<Object>} params.tasks - Tasks (with ids)
+   * @param {Object} params.options - Run options to reuse on resume
+   * @returns {RunCheckpoint} New checkpoint
+   */
+  static create({ outputDir, taskFile, sessionName, tasks, options }) {
+    const now = new Date().toISOString();
+    const absoluteTaskFile = path.resolve(taskFile);
+
+    return new RunCheckpoint({
+      version: CHECKPOINT_VERSION,
+      sessionName,
+      outputDir: path.resolve(outputDir),
+      taskFile: absoluteTaskFile,
+      taskFileHash: hashFile(absoluteTaskFile),
+      createdAt: now,
+      updatedAt: now,
+      status: 'running',
+      resumeCount: 0,
+      options,
+      spentBefore: 0,
+      spent: 0,
+      tasks: Object.fromEntries(tasks.map(task => [task.id, { status: 'pending' }]))
+    });
+  }
+
+  /**
+   * Load the checkpoint from an output directory
+   * @param {string} outputDir - Output directory of a previous run
+   * @returns {RunCheckpoint} Loaded checkpoint
+   */
+  static load(outputDir) {
+    const filePath = path.join(path.resolve(outputDir), CHECKPOINT_FILE);
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`No checkpoint found in ${outputDir}`);
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data.version !== CHECKPOINT_VERSION) {
+      throw new Error(`Unsupported checkpoint version ${data.version} in ${filePath}`);
+    }
+
+    data.outputDir = path.resolve(outputDir);
+    return new RunCheckpoint(data);
+  }
+
+  /**
+   * Prepare the checkpoint for another attempt
+   *
+   * Cost spent so far becomes spentBefore so the resumed run only gets the
+   * remaining budget. Tasks added to the task file since are tracked as pending.
+   *
+   * @param {Array<Object>} tasks - Tasks of the (possibly edited) task file
+   */
+  startResume(tasks) {
+    this.data.spentBefore = this.getTotalSpent();
+    this.data.spent = 0;
+    this.data.resumeCount += 1;
+    this.data.status = 'running';
+
+    for (const task of tasks) {
+      if (!this.data.tasks[task.id]) {
+        this.data.tasks[task.id] = { status: 'pending' };
+      }
+    }
+  }
+
+  /**
+   * Check whether the task file changed since the checkpoint was created
+   * @returns {boolean} True if the task file content differs
+   */
+  taskFileChanged() {
+    return !fs.existsSync(this.data.taskFile) || hashFile(this.data.taskFile) !== this.data.taskFileHash;
+  }
+
+  /**
+   * Get completed task records by id
+   * @returns {Object} Task records with status "completed"
+   */
+  getCompletedTasks() {
+    return Object.fromEntries(
+      Object.entries(this.data.tasks).filter(([, record]) => record.status === 'completed')
+    );
+  }
+
+  /**
+   * Record a completed task
+   */
+  markCompleted(taskId, result = {}) {
+    this.data.tasks[taskId] = {
+      status: 'completed',
+      result,
+      cost: result.cost || 0,
+      tokensUsed: result.tokensUsed || 0,
+      finishedAt: new Date().toISOString()
+    };
+    this.save();
+  }
+
+  /**
+   * Record a failed task
+   */
+  markFailed(taskId, error) {
+    this.data.tasks[taskId] = {
+      status: 'failed',
+      error: error && error.message ? error.message : String(error),
+      finishedAt: new Date().toISOString()
+    };
+    this.save();
+  }
+
+  /**
+   * Record the cost spent by the current attempt
+   * @param {number} total - Total reported by the orchestrator for this attempt
+   */
+  updateCost(total) {
+    this.data.spent = total;
+  }
+
+  /**
+   * Get the cost spent across all attempts
+   * @returns {number} Total spent in USD
+   */
+  getTotalSpent() {
+    return (this.data.spentBefore || 0) + (this.data.spent || 0);
+  }
+
+  /**
+   * Write the checkpoint (atomically, via a temp file)
+   * @param {string} [status] - New run status (running, completed, stopped, interrupted)
+   */
+  save(status) {
+    if (status) {
+      this.data.status = status;
+    }
+    this.data.updatedAt = new Date().toISOString();
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = {
+  RunCheckpoint,
+  hashFile,
+  CHECKPOINT_FILE
+};
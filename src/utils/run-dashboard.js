@@ -0,0 +1,452 @@
+/**
+ * Live dashboard for `run --watch`
+ * Full-screen view of agents, the task graph, cost and events, with plain
+ * timestamped lines when the terminal is not interactive
+ */
+
+const readline = require('readline');
+const chalk = require('chalk');
+const { buildTaskGraph } = require('./task-graph');
+
+/**
+ * Events kept in the scrolling log
+ */
+const EVENT_LOG_SIZE = 200;
+
+/**
+ * Minimum delay between two redraws (ms)
+ */
+const RENDER_INTERVAL = 100;
+
+const STATUS_ICONS = {
+  pending: chalk.gray('○'),
+  running: chalk.cyan('▶'),
+  completed: chalk.green('✔'),
+  failed: chalk.red('✖'),
+  cancelling: chalk.yellow('◌')
+};
+
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+/**
+ * Visible length of a string with ANSI colors
+ */
+function visibleLength(text) {
+  return text.replace(ANSI_PATTERN, '').length;
+}
+
+/**
+ * Cut a colored line to a visible width, keeping escape sequences intact
+ */
+function truncate(text, width) {
+  if (visibleLength(text) <= width) {
+    return text;
+  }
+  let result = '';
+  let visible = 0;
+  let index = 0;
+  while (index < text.length && visible < width - 1) {
+    ANSI_PATTERN.lastIndex = index;
+    const match = ANSI_PATTERN.exec(text);
+    if (match && match.index === index) {
+      result += match[0];
+      index += match[0].length;
+    } else {
+      result += text[index];
+      visible++;
+      index++;
+    }
+  }
+  return `${result}…\x1b[0m`;
+}
+
+/**
+ * Format seconds as mm:ss
+ */
+function formatElapsed(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Timestamped lines, one per event (the classic --watch output)
+ */
+class PlainWatchView {
+  constructor({ log = console.log } = {}) {
+    this.interactive = false;
+    this.print = log;
+  }
+
+  start() {
+    this.print(chalk.blue('\n📊 Real-time Progress:\n'));
+  }
+
+  taskAssigned(task, agent) {
+    this.print(chalk.gray(`[${new Date().toISOString()}] Task "${task.id}" assigned to ${agent}`));
+  }
+
+  taskCompleted(task) {
+    this.print(chalk.green(`[${new Date().toISOString()}] ✅ Task "${task.id}" completed`));
+  }
+
+  taskFailed(task, error) {
+    this.print(chalk.red(`[${new Date().toISOString()}] ❌ Task "${task.id}" failed: ${error.message}`));
+  }
+
+  costUpdate(total, cost) {
+    this.print(chalk.yellow(`[${new Date().toISOString()}] 💰 Cost update: $${cost.toFixed(4)} (Total: $${total.toFixed(2)})`));
+  }
+
+  notice(text) {
+    this.print(text);
+  }
+
+  stop() {}
+}
+
+/**
+ * Full-screen dashboard
+ *
+ * Keys: p pauses/resumes, c cancels a running task, a aborts the run and
+ * Ctrl+C interrupts it like it does without the dashboard. Pausing and
+ * cancelling go through `controls`, which return false when the orchestrator
+ * cannot do it.
+ */
+class RunDashboard {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.tasks - Tasks queued in this run
+   * @param {Array<Object>} options.roster - Agent specs
+   * @param {number} options.budget - Budget available to the run
+   * @param {string} [options.session] - Session name
+   * @param {Object} [options.controls] - { pause, resume, cancelTask(id), abort }
+   * @param {Object} [options.output] - TTY stream to draw on
+   * @param {Object} [options.input] - TTY stream to read keys from
+   */
+  constructor({ tasks, roster, budget, session, controls = {}, output = process.stdout, input = process.stdin }) {
+    this.interactive = true;
+    this.output = output;
+    this.input = input;
+    this.controls = controls;
+    this.session = session;
+    this.budget = budget;
+
+    const graph = buildTaskGraph(tasks);
+    this.waves = graph.waves;
+    this.dependencies = graph.dependencies;
+    this.tasks = new Map(graph.ids.map(id => [id, { status: 'pending', agent: null }]));
+    this.agents = new Map(roster.map(agent => [agent.name, { task: null, since: null }]));
+
+    this.cost = 0;
+    this.tokens = 0;
+    this.events = [];
+    this.paused = false;
+    this.mode = 'normal'; // normal, cancel or confirm
+    this.pendingConfirm = null;
+    this.startedAt = Date.now();
+    this.renderTimer = null;
+    this.tickTimer = null;
+    this.running = false;
+
+    this.onKeypress = (str, key) => this.handleKey(str, key || {});
+    this.onResize = () => this.render();
+    this.restoreTerminal = () => this.restore();
+  }
+
+  start() {
+    this.running = true;
+    this.output.write('\x1b[?1049h\x1b[?25l');
+    readline.emitKeypressEvents(this.input);
+    if (this.input.setRawMode) {
+      this.input.setRawMode(true);
+    }
+    this.input.on('keypress', this.onKeypress);
+    if (this.input.resume) {
+      this.input.resume();
+    }
+    this.output.on('resize', this.onResize);
+    process.once('exit', this.restoreTerminal);
+
+    this.tickTimer = setInterval(() => this.render(), 1000);
+    this.tickTimer.unref();
+    this.log('Run started');
+    this.render();
+  }
+
+  /**
+   * Give the terminal back (normal screen, cursor, cooked mode)
+   */
+  restore() {
+    if (!this.running) {
+      return;
+    }
+    this.running = false;
+    clearInterval(this.tickTimer);
+    clearTimeout(this.renderTimer);
+    this.input.removeListener('keypress', this.onKeypress);
+    if (this.input.setRawMode) {
+      this.input.setRawMode(false);
+    }
+    if (this.input.pause) {
+      this.input.pause();
+    }
+    this.output.removeListener('resize', this.onResize);
+    process.removeListener('exit', this.restoreTerminal);
+    this.output.write('\x1b[?25h\x1b[?1049l');
+  }
+
+  stop() {
+    if (this.pendingConfirm) {
+      this.answer(false);
+    }
+    this.restore();
+  }
+
+  log(text) {
+    const time = new Date().toISOString().slice(11, 19);
+    this.events.push(`${chalk.gray(time)} ${text}`);
+    if (this.events.length > EVENT_LOG_SIZE) {
+      this.events.shift();
+    }
+    this.scheduleRender();
+  }
+
+  notice(text) {
+    this.log(text.trim());
+  }
+
+  taskAssigned(task, agent) {
+    this.setTask(task.id, { status: 'running', agent });
+    if (this.agents.has(agent)) {
+      this.agents.set(agent, { task: task.id, since: Date.now() });
+    }
+    this.log(`${chalk.cyan(task.id)} assigned to ${agent}`);
+  }
+
+  taskCompleted(task, result = {}) {
+    this.finishTask(task.id, 'completed');
+    this.tokens += result.tokensUsed || 0;
+    this.log(chalk.green(`${task.id} completed`) + chalk.gray(` ($${(result.cost || 0).toFixed(4)}, ${(result.tokensUsed || 0).toLocaleString()} tokens)`));
+  }
+
+  taskFailed(task, error) {
+    this.finishTask(task.id, 'failed');
+    this.log(chalk.red(`${task.id} failed: ${error.message}`));
+  }
+
+  costUpdate(total) {
+    this.cost = total;
+    this.scheduleRender();
+  }
+
+  /**
+   * Ask a yes/no question in the footer
+   * @param {string} question - Question text
+   * @param {boolean} [defaultAnswer] - Answer for Enter
+   * @returns {Promise<boolean>} Answer
+   */
+  confirm(question, defaultAnswer = false) {
+    if (this.pendingConfirm) {
+      this.answer(false);
+    }
+    this.log(chalk.yellow(question));
+    return new Promise(resolve => {
+      this.pendingConfirm = { question, defaultAnswer, resolve };
+      this.mode = 'confirm';
+      this.render();
+    });
+  }
+
+  answer(value) {
+    const { resolve } = this.pendingConfirm;
+    this.pendingConfirm = null;
+    this.mode = 'normal';
+    resolve(value);
+    this.scheduleRender();
+  }
+
+  setTask(id, changes) {
+    this.tasks.set(id, { ...(this.tasks.get(id) || { status: 'pending', agent: null }), ...changes });
+  }
+
+  finishTask(id, status) {
+    const task = this.tasks.get(id);
+    this.setTask(id, { status });
+    if (task && task.agent && this.agents.has(task.agent) && this.agents.get(task.agent).task === id) {
+      this.agents.set(task.agent, { task: null, since: null });
+    }
+  }
+
+  getRunningTasks() {
+    return [...this.tasks.entries()].filter(([, task]) => task.status === 'running').map(([id]) => id);
+  }
+
+  handleKey(str, key) {
+    if (key.ctrl && key.name === 'c') {
+      this.restore();
+      process.kill(process.pid, 'SIGINT');
+      return;
+    }
+
+    if (this.mode === 'confirm') {
+      if (key.name === 'y') {
+        this.answer(true);
+      } else if (key.name === 'return') {
+        this.answer(this.pendingConfirm.defaultAnswer);
+      } else if (key.name === 'n' || key.name === 'escape') {
+        this.answer(false);
+      }
+      return;
+    }
+
+    if (this.mode === 'cancel') {
+      const running = this.getRunningTasks();
+      const choice = parseInt(str, 10);
+      if (choice >= 1 && choice <= running.length) {
+        const id = running[choice - 1];
+        if (this.controls.cancelTask && this.controls.cancelTask(id)) {
+          this.setTask(id, { status: 'cancelling' });
+          this.log(chalk.yellow(`Cancelling ${id}`));
+        } else {
+          this.log(chalk.yellow('Cancelling tasks is not supported by this orchestrator'));
+        }
+      }
+      this.mode = 'normal';
+      this.render();
+      return;
+    }
+
+    if (key.name === 'p') {
+      this.togglePause();
+    } else if (key.name === 'c') {
+      if (this.getRunningTasks().length === 0) {
+        this.log('No running task to cancel');
+      } else {
+        this.mode = 'cancel';
+        this.render();
+      }
+    } else if (key.name === 'a') {
+      this.confirm('Abort the run?').then(abort => {
+        if (abort && this.controls.abort) {
+          this.controls.abort();
+        }
+      });
+    }
+  }
+
+  togglePause() {
+    const action = this.paused ? this.controls.resume : this.controls.pause;
+    if (!action || !action()) {
+      this.log(chalk.yellow('Pausing is not supported by this orchestrator'));
+      return;
+    }
+    this.paused = !this.paused;
+    this.log(this.paused ? chalk.yellow('Paused') : 'Resumed');
+  }
+
+  scheduleRender() {
+    if (!this.running || this.renderTimer) {
+      return;
+    }
+    this.renderTimer = setTimeout(() => {
+      this.renderTimer = null;
+      this.render();
+    }, RENDER_INTERVAL);
+  }
+
+  /**
+   * Build the frame as a list of lines
+   */
+  buildFrame(width, height) {
+    const elapsed = Date.now() - this.startedAt;
+    const header = [
+      chalk.bold.blue('RepoChief') + chalk.gray(` ${this.session || ''}  ⏱ ${formatElapsed(elapsed)}`) +
+        (this.paused ? chalk.yellow.bold('  [PAUSED]') : ''),
+      ''
+    ];
+
+    const agentLines = [chalk.bold('Agents')];
+    this.agents.forEach((state, name) => {
+      agentLines.push(state.task
+        ? `  ${name.padEnd(16)} ${STATUS_ICONS.running} ${state.task} ${chalk.gray(`(${formatElapsed(Date.now() - state.since)})`)}`
+        : `  ${name.padEnd(16)} ${chalk.gray('idle')}`);
+    });
+    agentLines.push('');
+
+    const counts = { completed: 0, failed: 0 };
+    this.tasks.forEach(task => { if (counts[task.status] !== undefined) counts[task.status]++; });
+    const dagLines = [chalk.bold('Tasks') + chalk.gray(`  ${counts.completed + counts.failed}/${this.tasks.size} done${counts.failed ? `, ${counts.failed} failed` : ''}`)];
+    this.waves.forEach((wave, index) => {
+      const nodes = wave.map(id => {
+        const deps = this.dependencies.get(id) || [];
+        return `${STATUS_ICONS[this.tasks.get(id).status]} ${id}${deps.length ? chalk.gray(` ← ${deps.join(', ')}`) : ''}`;
+      });
+      dagLines.push(`  ${chalk.gray(`${index + 1}.`)} ${nodes.join('   ')}`);
+    });
+    dagLines.push('');
+
+    const ratio = this.budget > 0 ? Math.min(this.cost / this.budget, 1) : 0;
+    const gaugeWidth = Math.max(10, Math.min(40, width - 40));
+    const filled = Math.round(ratio * gaugeWidth);
+    const color = ratio >= 0.9 ? chalk.red : ratio >= 0.7 ? chalk.yellow : chalk.green;
+    const seconds = Math.max(elapsed / 1000, 1);
+    const costLines = [
+      `${chalk.bold('Cost')}   ${color('█'.repeat(filled))}${chalk.gray('░'.repeat(gaugeWidth - filled))} $${this.cost.toFixed(2)} / $${this.budget.toFixed(2)} (${Math.round(ratio * 100)}%)`,
+      `${chalk.bold('Tokens')} ${this.tokens.toLocaleString()} ${chalk.gray(`(${Math.round(this.tokens / seconds).toLocaleString()} tokens/s)`)}`,
+      ''
+    ];
+
+    let footer;
+    if (this.mode === 'confirm') {
+      footer = chalk.yellow(`${this.pendingConfirm.question}  ${this.pendingConfirm.defaultAnswer ? '[Y/n]' : '[y/N]'}`);
+    } else if (this.mode === 'cancel') {
+      footer = chalk.yellow(`Cancel which task? ${this.getRunningTasks().map((id, i) => `${i + 1}) ${id}`).join('  ')}  (Esc to go back)`);
+    } else {
+      footer = chalk.gray(`p ${this.paused ? 'resume' : 'pause'} · c cancel task · a abort · Ctrl+C interrupt`);
+    }
+
+    // The event log gets whatever room is left; the task graph is cut first if space is short
+    const fixed = header.length + agentLines.length + costLines.length + 3;
+    const maxDag = Math.max(3, height - fixed - 4);
+    const dag = dagLines.length > maxDag
+      ? [...dagLines.slice(0, maxDag - 2), chalk.gray(`  … ${dagLines.length - maxDag + 1} more waves`), '']
+      : dagLines;
+    const eventRoom = Math.max(1, height - fixed - dag.length);
+    const eventLines = [chalk.bold('Events'), ...this.events.slice(-eventRoom).map(line => `  ${line}`)];
+
+    return [...header, ...agentLines, ...dag, ...costLines, ...eventLines]
+      .slice(0, height - 2)
+      .concat(['', footer])
+      .map(line => truncate(line, width));
+  }
+
+  render() {
+    if (!this.running) {
+      return;
+    }
+    const width = this.output.columns || 80;
+    const height = this.output.rows || 24;
+    const frame = this.buildFrame(width, height);
+    this.output.write(`\x1b[H\x1b[2J${frame.join('\n')}`);
+  }
+}
+
+/**
+ * Pick the watch view: the dashboard on a terminal, plain lines otherwise
+ * @param {Object} options - RunDashboard options
+ * @returns {RunDashboard|PlainWatchView} View
+ */
+function createWatchView(options) {
+  const output = options.output || process.stdout;
+  const input = options.input || process.stdin;
+  if (!output.isTTY || !input.isTTY || options.plain) {
+    return new PlainWatchView(options);
+  }
+  return new RunDashboard(options);
+}
+
+module.exports = {
+  createWatchView,
+  RunDashboard,
+  PlainWatchView
+};
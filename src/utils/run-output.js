@@ -0,0 +1,71 @@
+/**
+ * Run output for RepoChief CLI
+ * Switches `run` between human-readable text and machine-readable JSON/NDJSON
+ */
+
+const chalk = require('chalk');
+
+const OUTPUT_FORMATS = ['text', 'json', 'ndjson'];
+
+/**
+ * Create the output sink for a run
+ *
+ * In text mode human lines go to the console. In json/ndjson mode they are
+ * dropped, colors are turned off and stdout only carries JSON: ndjson streams
+ * one line per event, json prints a single document when the run ends.
+ *
+ * @param {string} [format] - text, json or ndjson
+ * @param {Object} [stream] - Writable stream for JSON (defaults to stdout)
+ * @returns {Object} Output ({ format, machine, log, event, result })
+ */
+function createRunOutput(format = 'text', stream = process.stdout) {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Invalid output format "${format}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+
+  const machine = format !== 'text';
+  if (machine) {
+    chalk.level = 0;
+  }
+
+  const writeLine = (value) => stream.write(`${JSON.stringify(value)}\n`);
+
+  return {
+    format,
+    machine,
+
+    /**
+     * Print a human-readable line (text mode only)
+     */
+    log(...args) {
+      if (!machine) {
+        console.log(...args);
+      }
+    },
+
+    /**
+     * Stream an event (ndjson mode only)
+     */
+    event(type, data = {}) {
+      if (format === 'ndjson') {
+        writeLine({ event: type, timestamp: new Date().toISOString(), ...data });
+      }
+    },
+
+    /**
+     * Emit the final run document (json: the document, ndjson: a final event)
+     */
+    result(type, document) {
+      if (format === 'json') {
+        stream.write(`${JSON.stringify(document, null, 2)}\n`);
+      } else if (format === 'ndjson') {
+        writeLine({ event: type, timestamp: new Date().toISOString(), ...document });
+      }
+    }
+  };
+}
+
+module.exports = {
+  createRunOutput,
+  OUTPUT_FORMATS
+};
@@ -0,0 +1,296 @@
+/**
+ * Project schedule file
+ *
+ * repochief.schedules.yaml in a project lists schedules. Entries with a
+ * taskFile are run by the CLI itself (`repochief schedule run-local`):
+ *
+ *   schedules:
+ *     - name: nightly-audit
+ *       cron: "0 2 * * *"
+ *       timezone: Europe/Berlin
+ *       taskFile: tasks/security.yaml
+ *       args: [--budget, "5"]
+ *       catchUp: once
+ *       enabled: true
+ *
+ * taskFile is resolved against the schedule file's directory, and args are
+ * passed on to `repochief run`. Without a timezone, cron expressions are
+ * read in the machine's timezone. Entries with a template are cloud schedules,
+ * kept in sync with the workspace by `repochief schedule apply`:
+ *
+ *     - name: weekly-quality
+ *       cron: "0 9 * * 1"
+ *       template: code-quality
+ *       project: api
+ *       config:
+ *         complexityThreshold: 10
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parseCronExpression, parseTimezone } = require('./cron-schedule');
+
+const SCHEDULE_FILE_NAMES = ['repochief.schedules.yaml', 'repochief.schedules.yml', 'repochief.schedules.json'];
+const CATCH_UP_POLICIES = ['skip', 'once'];
+
+/**
+ * Check a catch-up policy: skip drops runs missed while the machine slept,
+ * once runs a single catch-up run for all of them
+ */
+function parseCatchUpPolicy(value = 'once') {
+  if (!CATCH_UP_POLICIES.includes(value)) {
+    throw new Error(`Invalid catch-up policy "${value}" (expected ${CATCH_UP_POLICIES.join(', ')})`);
+  }
+  return value;
+}
+
+/**
+ * Find the schedule file of a project directory (null when there is none)
+ */
+function findScheduleFile(dir = process.cwd()) {
+  const name = SCHEDULE_FILE_NAMES.find(candidate => fs.existsSync(path.join(dir, candidate)));
+  return name ? path.join(dir, name) : null;
+}
+
+/**
+ * Check one local schedule entry
+ */
+function normalizeLocalSchedule(entry, index, baseDir) {
+  const where = entry && entry.name ? `schedule "${entry.name}"` : `schedules[${index}]`;
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`${where}: expected a mapping`);
+  }
+  if (typeof entry.name !== 'string' || !/^[\w.-]+$/.test(entry.name)) {
+    throw new Error(`${where}: name is required (letters, digits, ".", "_" and "-")`);
+  }
+  if (typeof entry.taskFile !== 'string') {
+    throw new Error(`${where}: taskFile is required`);
+  }
+  const args = entry.args === undefined ? [] : entry.args;
+  if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string' && typeof arg !== 'number')) {
+    throw new Error(`${where}: args must be a list of strings`);
+  }
+
+  try {
+    return {
+      name: entry.name,
+      cron: parseCronExpression(entry.cron),
+      taskFile: path.resolve(baseDir, entry.taskFile),
+      args: args.map(String),
+      timezone: entry.timezone ? parseTimezone(entry.timezone) : null,
+      catchUp: entry.catchUp === undefined ? null : parseCatchUpPolicy(entry.catchUp),
+      enabled: entry.enabled !== false
+    };
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+}
+
+/**
+ * Check one cloud schedule entry
+ */
+function normalizeCloudSchedule(entry, index) {
+  const where = entry && entry.name ? `schedule "${entry.name}"` : `schedules[${index}]`;
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`${where}: expected a mapping`);
+  }
+  if (typeof entry.name !== 'string' || entry.name.length === 0) {
+    throw new Error(`${where}: name is required`);
+  }
+  if (typeof entry.template !== 'string') {
+    throw new Error(`${where}: template is required`);
+  }
+  if (entry.project === undefined || entry.project === null) {
+    throw new Error(`${where}: project is required (name or id)`);
+  }
+  const config = entry.config === undefined ? {} : entry.config;
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${where}: config must be a mapping`);
+  }
+
+  try {
+    return {
+      name: entry.name,
+      template: entry.template,
+      project: String(entry.project),
+      cron: parseCronExpression(entry.cron),
+      timezone: entry.timezone ? parseTimezone(entry.timezone) : null,
+      config,
+      enabled: entry.enabled !== false
+    };
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+}
+
+function readScheduleDocument(filePath) {
+  let document;
+  try {
+    document = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  } catch (error) {
+    throw new Error(`Cannot read schedule file ${filePath}: ${error.message}`);
+  }
+  if (!Array.isArray(document.schedules)) {
+    throw new Error(`Invalid schedule file ${filePath}: expected a "schedules" list`);
+  }
+  return document;
+}
+
+/**
+ * Whether an entry is a cloud schedule rather than one run by run-local
+ */
+function isCloudEntry(entry) {
+  return Boolean(entry && typeof entry === 'object' && entry.template !== undefined && entry.taskFile === undefined);
+}
+
+/**
+ * Load the local schedules of a schedule file (cloud entries are left out)
+ * @param {string} filePath - Schedule file
+ * @returns {Object} { path, projectDir, schedules }
+ */
+function loadScheduleFile(filePath) {
+  const document = readScheduleDocument(filePath);
+  const projectDir = path.dirname(path.resolve(filePath));
+  const schedules = [];
+  document.schedules.forEach((entry, index) => {
+    if (isCloudEntry(entry)) {
+      return;
+    }
+    let schedule;
+    try {
+      schedule = normalizeLocalSchedule(entry, index, projectDir);
+    } catch (error) {
+      throw new Error(`Invalid schedule file ${filePath}: ${error.message}`);
+    }
+    if (schedules.some(existing => existing.name === schedule.name)) {
+      throw new Error(`Invalid schedule file ${filePath}: schedule "${schedule.name}" is defined twice`);
+    }
+    schedules.push(schedule);
+  });
+
+  return { path: path.resolve(filePath), projectDir, schedules };
+}
+
+/**
+ * Load the cloud schedules of a schedule file (local entries are left out)
+ * @param {string} filePath - Schedule file
+ * @returns {Object} { path, schedules }
+ */
+function loadCloudScheduleFile(filePath) {
+  const document = readScheduleDocument(filePath);
+  const schedules = [];
+  document.schedules.forEach((entry, index) => {
+    if (entry && typeof entry === 'object' && entry.taskFile !== undefined) {
+      return;
+    }
+    let schedule;
+    try {
+      schedule = normalizeCloudSchedule(entry, index);
+    } catch (error) {
+      throw new Error(`Invalid schedule file ${filePath}: ${error.message}`);
+    }
+    if (schedules.some(existing => existing.name === schedule.name)) {
+      throw new Error(`Invalid schedule file ${filePath}: schedule "${schedule.name}" is defined twice`);
+    }
+    schedules.push(schedule);
+  });
+  return { path: path.resolve(filePath), schedules };
+}
+
+/**
+ * Parse --config key=value pairs (numbers and booleans are converted)
+ * @param {Array<string>} pairs
+ * @returns {Object}
+ */
+function parseConfigPairs(pairs = []) {
+  const config = {};
+  pairs.forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index <= 0) {
+      throw new Error(`Invalid config "${pair}" (expected key=value)`);
+    }
+    const value = pair.slice(index + 1);
+    config[pair.slice(0, index)] = value === 'true' ? true
+      : value === 'false' ? false
+        : value !== '' && !Number.isNaN(Number(value)) ? Number(value)
+          : value;
+  });
+  return config;
+}
+
+function sameConfig(a = {}, b = {}) {
+  const keys = Object.keys({ ...a, ...b });
+  return keys.every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+}
+
+/**
+ * Changes that make the workspace's schedules match a schedule file
+ *
+ * Schedules missing from the file are only deleted with prune, and only
+ * when they belong to a project the file declares schedules for.
+ *
+ * @param {Array<Object>} desired - Schedules from loadCloudScheduleFile, with project_id resolved
+ * @param {Array<Object>} existing - Schedules from the API
+ * @param {Object} [options]
+ * @param {boolean} [options.prune] - Delete schedules of the file's projects that the file does not name
+ * @returns {Array<Object>} { action: create|update|delete, name, id, body, changes }
+ */
+function planScheduleChanges(desired, existing, { prune = false } = {}) {
+  const plan = [];
+  const byName = new Map(existing.map(schedule => [schedule.name, schedule]));
+
+  desired.forEach(schedule => {
+    const body = {
+      name: schedule.name,
+      template: schedule.template,
+      project_id: schedule.project_id,
+      cron_expression: schedule.cron,
+      ...(schedule.timezone ? { timezone: schedule.timezone } : {}),
+      config: schedule.config,
+      is_active: schedule.enabled
+    };
+    const current = byName.get(schedule.name);
+    if (!current) {
+      plan.push({ action: 'create', name: schedule.name, body, changes: [] });
+      return;
+    }
+
+    const changes = [];
+    ['template', 'project_id', 'cron_expression', 'timezone', 'is_active'].forEach(field => {
+      // Schedules without a timezone in the file keep whatever the server has
+      if (field in body && current[field] !== body[field]) {
+        changes.push({ field, from: current[field], to: body[field] });
+      }
+    });
+    if (!sameConfig(current.config || {}, body.config)) {
+      changes.push({ field: 'config', from: current.config || {}, to: body.config });
+    }
+    if (changes.length > 0) {
+      const update = {};
+      changes.forEach(({ field }) => { update[field] = body[field]; });
+      plan.push({ action: 'update', name: schedule.name, id: current.id, body: update, changes });
+    }
+  });
+
+  if (!prune) {
+    return plan;
+  }
+  const names = new Set(desired.map(schedule => schedule.name));
+  const projects = new Set(desired.map(schedule => schedule.project_id));
+  existing.filter(schedule => !names.has(schedule.name) && projects.has(schedule.project_id)).forEach(schedule => {
+    plan.push({ action: 'delete', name: schedule.name, id: schedule.id, changes: [] });
+  });
+  return plan;
+}
+
+module.exports = {
+  SCHEDULE_FILE_NAMES,
+  CATCH_UP_POLICIES,
+  parseCatchUpPolicy,
+  findScheduleFile,
+  loadScheduleFile,
+  loadCloudScheduleFile,
+  parseConfigPairs,
+  planScheduleChanges
+};
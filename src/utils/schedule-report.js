@@ -0,0 +1,115 @@
+/**
+ * Reports of scheduled task runs
+ *
+ * A run from the API carries its findings as
+ * [{ severity, title, description, file, line, category }] and/or a
+ * findings_summary of counts by severity. These helpers count, group and
+ * compare them across runs.
+ */
+
+const path = require('path');
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+/**
+ * Normalize a severity name (unknown severities count as info)
+ */
+function normalizeSeverity(severity) {
+  const value = String(severity || '').toLowerCase();
+  return SEVERITIES.includes(value) ? value : 'info';
+}
+
+/**
+ * Findings of a run by severity
+ * @param {Object} run - Run from the API
+ * @returns {Object} { critical, high, medium, low, info, total }
+ */
+function countFindings(run) {
+  const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  if (Array.isArray(run.findings)) {
+    run.findings.forEach(finding => { counts[normalizeSeverity(finding.severity)]++; });
+  } else if (run.findings_summary) {
+    SEVERITIES.forEach(severity => { counts[severity] = run.findings_summary[severity] || 0; });
+  }
+  counts.total = SEVERITIES.reduce((sum, severity) => sum + counts[severity], 0);
+  return counts;
+}
+
+/**
+ * Findings grouped by severity, most severe first (empty groups left out)
+ * @returns {Array<Object>} [{ severity, findings }]
+ */
+function groupFindings(findings = []) {
+  return SEVERITIES
+    .map(severity => ({ severity, findings: findings.filter(finding => normalizeSeverity(finding.severity) === severity) }))
+    .filter(group => group.findings.length > 0);
+}
+
+/**
+ * Findings of the last completed runs of a schedule, oldest first, with the
+ * change from the run before
+ *
+ * Failed and cancelled runs are left out: they stop before reporting
+ * everything, so their counts would read as fixed findings.
+ *
+ * @param {Array<Object>} runs - Runs from the API, in any order
+ * @param {number} limit - Number of runs to compare
+ * @returns {Array<Object>} [{ id, startedAt, status, cost, counts, delta }] where delta is null for the first run
+ */
+function buildFindingsTrend(runs, limit = 10) {
+  const finished = runs
+    .filter(run => run.status === 'completed')
+    .sort((a, b) => new Date(a.started_at) - new Date(b.started_at))
+    .slice(-limit);
+
+  let previous = null;
+  return finished.map(run => {
+    const counts = countFindings(run);
+    const row = {
+      id: run.id,
+      startedAt: run.started_at,
+      status: run.status,
+      cost: typeof run.cost === 'number' ? run.cost : null,
+      counts,
+      delta: previous ? counts.total - previous.total : null
+    };
+    previous = counts;
+    return row;
+  });
+}
+
+/**
+ * Relative path an artifact is saved under, keeping its folders
+ * @param {string} name - Artifact name from the API (e.g. "reports/summary.json")
+ * @returns {string} Normalized relative path
+ * @throws {Error} For absolute paths and paths that leave the output directory
+ */
+function getArtifactPath(name) {
+  const normalized = path.posix.normalize(String(name || '').replace(/\\/g, '/'));
+  if (!normalized || normalized === '.' || path.posix.isAbsolute(normalized) || /^[A-Za-z]:/.test(normalized) ||
+      normalized === '..' || normalized.startsWith('../')) {
+    throw new Error(`Unsafe artifact name "${name}"`);
+  }
+  return normalized.split('/').join(path.sep);
+}
+
+/**
+ * Format a duration in seconds as "45s", "12m 3s" or "1h 5m"
+ */
+function formatRunDuration(seconds) {
+  if (typeof seconds !== 'number') {
+    return '-';
+  }
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+module.exports = {
+  SEVERITIES,
+  countFindings,
+  groupFindings,
+  buildFindingsTrend,
+  getArtifactPath,
+  formatRunDuration
+};
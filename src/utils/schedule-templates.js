@@ -0,0 +1,193 @@
+/**
+ * User-defined schedule templates
+ *
+ * A template is a task file in the format `repochief run` consumes, with an
+ * optional parameters section (top level for task lists, spec.parameters for
+ * plans):
+ *
+ *   parameters:
+ *     severity:
+ *       description: Lowest severity to report
+ *       default: high
+ *     paths:
+ *       required: true
+ *
+ * {{name}} in task fields is replaced with the schedule's config value for
+ * that parameter when the template runs.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { readTaskDocument, isPlanDocument } = require('./task-file');
+const { validateTaskFile, formatValidationError } = require('./task-validation');
+const { listSessions } = require('./session-index');
+
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+/**
+ * Parameters declared by a task document
+ * @param {*} doc - Parsed task file
+ * @returns {Array<Object>} [{ name, description, default, required }]
+ */
+function getTemplateParameters(doc) {
+  const declared = isPlanDocument(doc) ? doc.spec.parameters : doc && doc.parameters;
+  if (declared === undefined || declared === null) {
+    return [];
+  }
+  if (typeof declared !== 'object' || Array.isArray(declared)) {
+    throw new Error('parameters must map parameter names to { description, default, required }');
+  }
+
+  return Object.entries(declared).map(([name, definition]) => {
+    const entry = definition === null ? {} : definition;
+    if (typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`parameter "${name}" must be an object with description, default and required`);
+    }
+    return {
+      name,
+      description: entry.description || '',
+      default: entry.default,
+      required: entry.required === true && entry.default === undefined
+    };
+  });
+}
+
+/**
+ * Names used as {{name}} anywhere in a task document, sorted
+ */
+function findTemplatePlaceholders(doc) {
+  const names = new Set();
+  const visit = value => {
+    if (typeof value === 'string') {
+      for (const match of value.matchAll(PLACEHOLDER_PATTERN)) {
+        names.add(match[1]);
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      Object.entries(value)
+        .filter(([key]) => key !== 'parameters')
+        .forEach(([, child]) => visit(child));
+    }
+  };
+  visit(doc);
+  return [...names].sort();
+}
+
+/**
+ * Load a task file as a template
+ * @param {string} filePath - Path to a .json, .yaml or .yml task file
+ * @param {string} [id] - Template id (default: the file name without extension)
+ * @returns {Object} { id, name, description, parameters, task_count, format, content, content_hash }
+ * @throws {Error} When the file is not a valid task file or uses undeclared parameters
+ */
+function loadTemplateFile(filePath, id = path.basename(filePath, path.extname(filePath)).toLowerCase()) {
+  const result = validateTaskFile(filePath);
+  if (!result.valid) {
+    throw new Error(`Invalid task file:\n${result.errors.map(formatValidationError).join('\n')}`);
+  }
+  const { content, doc } = readTaskDocument(filePath);
+
+  if (!TEMPLATE_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid template id "${id}" (lowercase letters, digits and dashes; choose one with --name)`);
+  }
+
+  const parameters = getTemplateParameters(doc);
+  const undeclared = findTemplatePlaceholders(doc).filter(name => !parameters.some(parameter => parameter.name === name));
+  if (undeclared.length > 0) {
+    throw new Error(`Undeclared parameters: ${undeclared.map(name => `{{${name}}}`).join(', ')} (add them under parameters)`);
+  }
+
+  const metadata = result.definition.metadata;
+  return {
+    id,
+    name: metadata.name || id,
+    description: metadata.description || '',
+    parameters,
+    task_count: result.definition.tasks.length,
+    format: ['.yaml', '.yml'].includes(path.extname(filePath).toLowerCase()) ? 'yaml' : 'json',
+    content,
+    content_hash: crypto.createHash('sha256').update(content).digest('hex')
+  };
+}
+
+/**
+ * Config for a schedule of a user-defined template: defaults filled in,
+ * unknown and missing parameters rejected
+ * @param {Array<Object>} parameters - From getTemplateParameters
+ * @param {Object} config - Values given for the schedule
+ * @returns {Object} Config to store with the schedule
+ */
+function resolveTemplateConfig(parameters, config = {}) {
+  const unknown = Object.keys(config).filter(key => !parameters.some(parameter => parameter.name === key));
+  if (unknown.length > 0) {
+    const known = parameters.map(parameter => parameter.name).join(', ') || 'none';
+    throw new Error(`Unknown template parameter${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')} (parameters: ${known})`);
+  }
+
+  const resolved = {};
+  const missing = [];
+  parameters.forEach(parameter => {
+    if (config[parameter.name] !== undefined) {
+      resolved[parameter.name] = config[parameter.name];
+    } else if (parameter.default !== undefined) {
+      resolved[parameter.name] = parameter.default;
+    } else if (parameter.required) {
+      missing.push(parameter.name);
+    }
+  });
+  if (missing.length > 0) {
+    throw new Error(`Missing template parameter${missing.length > 1 ? 's' : ''} ${missing.join(', ')} (set with --config <name>=<value>)`);
+  }
+  return resolved;
+}
+
+/**
+ * Cost of the completed runs among cloud schedule runs ({ status, cost })
+ * and local sessions ({ outcome, cost })
+ * @returns {Object|null} { runs, average, min, max }, null without any costed run
+ */
+function summarizeRunCosts(runs) {
+  const costs = runs
+    .filter(run => (run.status || run.outcome) === 'completed' && typeof run.cost === 'number')
+    .map(run => run.cost);
+  if (costs.length === 0) {
+    return null;
+  }
+  return {
+    runs: costs.length,
+    average: costs.reduce((sum, cost) => sum + cost, 0) / costs.length,
+    min: Math.min(...costs),
+    max: Math.max(...costs)
+  };
+}
+
+/**
+ * Format a cost summary as "~$3.90/run ($3.10-4.80 over 12 runs)"
+ */
+function formatCostEstimate(summary) {
+  if (!summary) {
+    return 'no runs yet';
+  }
+  const range = summary.runs > 1 ? `$${summary.min.toFixed(2)}-${summary.max.toFixed(2)} over ${summary.runs} runs` : '1 run';
+  return `~$${summary.average.toFixed(2)}/run (${range})`;
+}
+
+/**
+ * Local `repochief run` sessions of a template's exact task file
+ */
+function getLocalTemplateRuns(contentHash) {
+  return contentHash ? listSessions().filter(entry => entry.taskFileHash === contentHash) : [];
+}
+
+module.exports = {
+  TEMPLATE_ID_PATTERN,
+  getTemplateParameters,
+  findTemplatePlaceholders,
+  loadTemplateFile,
+  resolveTemplateConfig,
+  summarizeRunCosts,
+  formatCostEstimate,
+  getLocalTemplateRuns
+};
@@ -0,0 +1,179 @@
+/**
+ * Minimal JSON Schema validator for RepoChief CLI
+ * Supports the draft-07 subset used by the bundled schemas and collects
+ * every error instead of stopping at the first one
+ */
+
+/**
+ * Get the JSON type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check whether a value matches a schema type keyword
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') {
+    return actual === 'number' || actual === 'integer';
+  }
+  return actual === type;
+}
+
+/**
+ * Format a path segment list as a JSON path ($.tasks[0].id)
+ * @param {Array<string|number>} segments - Path segments
+ * @returns {string} JSON path
+ */
+function formatPath(segments) {
+  return segments.reduce((result, segment) => {
+    if (typeof segment === 'number') {
+      return `${result}[${segment}]`;
+    }
+    return /^[A-Za-z_$][\w$]*$/.test(segment) ? `${result}.${segment}` : `${result}[${JSON.stringify(segment)}]`;
+  }, '$');
+}
+
+/**
+ * Resolve a local $ref (#/definitions/...) against the root schema
+ */
+function resolveRef(ref, rootSchema) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported schema reference: ${ref}`);
+  }
+  const target = ref.slice(2).split('/').reduce((node, key) => (node ? node[key] : undefined), rootSchema);
+  if (!target) {
+    throw new Error(`Unresolved schema reference: ${ref}`);
+  }
+  return target;
+}
+
+/**
+ * Validate a value against a schema node
+ */
+function validateNode(value, schema, segments, rootSchema, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref, rootSchema), segments, rootSchema, errors);
+    return;
+  }
+
+  const report = (message, at = segments) => errors.push({ path: at, message });
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    report(`must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type} (got ${typeOf(value)})`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    report(`must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report(value.length === 0 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      report(`must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    report(`must be >= ${schema.minimum}`);
+  }
+
+  if (typeof value === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+    report(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report(`must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach((item, index) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) {
+          report(`duplicate item ${key}`, [...segments, index]);
+        }
+        seen.add(key);
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        validateNode(item, schema.items, [...segments, index], rootSchema, errors);
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        report(`missing required property "${key}"`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        validateNode(value[key], propertySchema, [...segments, key], rootSchema, errors);
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties || !(key in schema.properties)) {
+          report(`unknown property "${key}"`, [...segments, key]);
+        }
+      }
+    }
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => {
+      const optionErrors = [];
+      validateNode(value, option, segments, rootSchema, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matches) {
+      report(describeAnyOf(schema.anyOf, rootSchema));
+    }
+  }
+}
+
+/**
+ * Describe an anyOf failure in a readable way
+ */
+function describeAnyOf(options, rootSchema) {
+  const resolved = options.map(option => (option.$ref ? resolveRef(option.$ref, rootSchema) : option));
+
+  if (resolved.every(option => option.required && Object.keys(option).length === 1)) {
+    const names = resolved.map(option => `"${option.required.join('", "')}"`);
+    return `must have one of the properties ${names.join(', ')}`;
+  }
+
+  const types = resolved.map(option => (option.type === 'array' && option.items && option.items.type
+    ? `array of ${option.items.type}s`
+    : option.type));
+  return `must be ${types.join(' or ')}`;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema node to validate against
+ * @param {Object} [rootSchema] - Root schema used to resolve $ref (defaults to schema)
+ * @returns {Array<Object>} Errors ({ path: Array, message })
+ */
+function validate(value, schema, rootSchema = schema) {
+  const errors = [];
+  validateNode(value, schema, [], rootSchema, errors);
+  return errors;
+}
+
+module.exports = {
+  validate,
+  formatPath
+};
@@ -0,0 +1,401 @@
+/**
+ * Run comparison for RepoChief CLI
+ * Diffs two results files: task status, cost, tokens, duration and outputs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const Diff = require('diff');
+const { findSession, readSession } = require('./session-index');
+
+const DIFF_FORMATS = ['text', 'json', 'markdown'];
+
+/**
+ * Files in an output directory that are run bookkeeping, not artifacts
+ */
+const BOOKKEEPING_FILES = [/-results\.json$/, /^summary\.txt$/, /^checkpoint\.json$/, /^cassette\.json$/];
+
+/**
+ * Largest artifact file compared (bytes)
+ */
+const MAX_ARTIFACT_SIZE = 1024 * 1024;
+
+/**
+ * Find the newest results file in an output directory
+ */
+function findResultsFile(dir) {
+  const files = fs.readdirSync(dir)
+    .filter(file => file.endsWith('-results.json'))
+    .map(file => path.join(dir, file))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  if (files.length === 0) {
+    throw new Error(`No results file in ${dir}`);
+  }
+  return files[0];
+}
+
+/**
+ * Load a run to compare
+ * @param {string} ref - Results file, output directory, or session id/prefix/"latest"
+ * @returns {Object} Run ({ label, resultsFile, outputDir, data, entry })
+ */
+function loadRun(ref) {
+  let resultsFile;
+  let entry = null;
+
+  if (fs.existsSync(ref)) {
+    resultsFile = fs.statSync(ref).isDirectory() ? findResultsFile(ref) : ref;
+  } else {
+    entry = findSession(ref);
+    if (!entry) {
+      throw new Error(`"${ref}" is neither a results file, an output directory nor a known session`);
+    }
+    resultsFile = entry.files && entry.files.results;
+    if (!resultsFile || !fs.existsSync(resultsFile)) {
+      throw new Error(`Results file of session ${entry.id} is not available${resultsFile ? ` (${resultsFile})` : ''}`);
+    }
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(resultsFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read results file ${resultsFile}: ${error.message}`);
+  }
+  // Results files passed by path still get what the index knows about their session
+  if (!entry && data.session) {
+    entry = readSession(data.session);
+  }
+
+  return {
+    label: data.session || (entry && entry.id) || path.basename(resultsFile),
+    resultsFile: path.resolve(resultsFile),
+    outputDir: entry && entry.outputDir ? entry.outputDir : path.dirname(path.resolve(resultsFile)),
+    data,
+    entry
+  };
+}
+
+/**
+ * Turn a task output into text for diffing
+ */
+function outputToText(result) {
+  if (!result) {
+    return '';
+  }
+  const output = result.output !== undefined ? result.output : (result.content !== undefined ? result.content : result.code);
+  if (output === undefined || output === null) {
+    return '';
+  }
+  return typeof output === 'string' ? output : JSON.stringify(output, null, 2);
+}
+
+/**
+ * Per-task figures of a run, by task id
+ */
+function getTaskFigures(run) {
+  const recorded = new Map(((run.entry && run.entry.taskResults) || []).map(task => [task.id, task]));
+  const figures = new Map();
+
+  (run.data.tasks || []).forEach(task => {
+    const id = task.taskId || task.id;
+    const result = task.result || {};
+    const record = recorded.get(id) || {};
+    const duration = task.duration !== undefined ? task.duration
+      : result.duration !== undefined ? result.duration
+        : record.duration;
+    figures.set(id, {
+      status: task.status,
+      cost: result.cost || record.cost || 0,
+      tokens: result.tokensUsed || record.tokensUsed || 0,
+      duration: typeof duration === 'number' ? duration : null,
+      output: outputToText(task.result),
+      error: task.error ? (task.error.message || String(task.error)) : null
+    });
+  });
+
+  return figures;
+}
+
+/**
+ * Before/after pair with the difference
+ */
+function delta(before, after) {
+  return {
+    before,
+    after,
+    delta: typeof before === 'number' && typeof after === 'number' ? after - before : null
+  };
+}
+
+/**
+ * Classify how a task changed between runs
+ */
+function classifyTask(before, after) {
+  if (!before) return 'added';
+  if (!after) return 'removed';
+  if (before.status !== 'completed' && after.status === 'completed') return 'fixed';
+  if (before.status === 'completed' && after.status !== 'completed') return 'regressed';
+  if (before.status !== after.status || before.output !== after.output || before.cost !== after.cost || before.tokens !== after.tokens) {
+    return 'changed';
+  }
+  return 'unchanged';
+}
+
+/**
+ * List artifact files of an output directory (relative paths)
+ */
+function listArtifacts(dir) {
+  const files = [];
+  const walk = (current) => {
+    fs.readdirSync(current, { withFileTypes: true }).forEach(item => {
+      const fullPath = path.join(current, item.name);
+      if (item.isDirectory()) {
+        walk(fullPath);
+      } else if (item.isFile() && !BOOKKEEPING_FILES.some(pattern => pattern.test(item.name))) {
+        files.push(path.relative(dir, fullPath));
+      }
+    });
+  };
+  if (dir && fs.existsSync(dir)) {
+    walk(dir);
+  }
+  return files;
+}
+
+/**
+ * Read an artifact as text (null for binary or oversized files)
+ */
+function readArtifact(filePath) {
+  if (!fs.existsSync(filePath) || fs.statSync(filePath).size > MAX_ARTIFACT_SIZE) {
+    return null;
+  }
+  const content = fs.readFileSync(filePath);
+  return content.includes(0) ? null : content.toString('utf8');
+}
+
+/**
+ * Unified diffs of task outputs and output directory files
+ */
+function diffArtifacts(base, compare, baseTasks, compareTasks) {
+  const artifacts = [];
+  const addPatch = (name, before, after) => {
+    if (before === after) return;
+    const change = before === null ? 'added' : after === null ? 'removed' : 'modified';
+    const patch = Diff.createTwoFilesPatch(
+      `a/${name}`, `b/${name}`, before || '', after || '', base.label, compare.label, { context: 3 }
+    );
+    artifacts.push({ name, change, patch });
+  };
+
+  const taskIds = [...new Set([...baseTasks.keys(), ...compareTasks.keys()])];
+  taskIds.forEach(id => {
+    const before = baseTasks.has(id) ? baseTasks.get(id).output : null;
+    const after = compareTasks.has(id) ? compareTasks.get(id).output : null;
+    addPatch(`tasks/${id}`, before || null, after || null);
+  });
+
+  // The same directory on both sides has nothing to compare
+  if (path.resolve(base.outputDir) !== path.resolve(compare.outputDir)) {
+    const files = [...new Set([...listArtifacts(base.outputDir), ...listArtifacts(compare.outputDir)])].sort();
+    files.forEach(file => {
+      const before = readArtifact(path.join(base.outputDir, file));
+      const after = readArtifact(path.join(compare.outputDir, file));
+      addPatch(`files/${file}`, before, after);
+    });
+  }
+
+  return artifacts;
+}
+
+/**
+ * Compare two runs
+ * @param {Object} base - Run from loadRun (before)
+ * @param {Object} compare - Run from loadRun (after)
+ * @param {Object} [options]
+ * @param {boolean} [options.artifacts] - Include unified diffs of outputs (default: true)
+ * @returns {Object} Diff ({ base, compare, tasks, totals, artifacts })
+ */
+function diffRuns(base, compare, { artifacts = true } = {}) {
+  const baseTasks = getTaskFigures(base);
+  const compareTasks = getTaskFigures(compare);
+  const ids = [...new Set([...baseTasks.keys(), ...compareTasks.keys()])];
+
+  const tasks = ids.map(id => {
+    const before = baseTasks.get(id);
+    const after = compareTasks.get(id);
+    return {
+      id,
+      change: classifyTask(before, after),
+      status: { before: before ? before.status : null, after: after ? after.status : null },
+      cost: delta(before ? before.cost : null, after ? after.cost : null),
+      tokens: delta(before ? before.tokens : null, after ? after.tokens : null),
+      duration: delta(before ? before.duration : null, after ? after.duration : null),
+      outputChanged: Boolean(before && after && before.output !== after.output),
+      ...(after && after.error ? { error: after.error } : {})
+    };
+  });
+
+  const totalOf = (run, figures) => ({
+    cost: run.data.cost && run.data.cost.costs ? run.data.cost.costs.total : [...figures.values()].reduce((sum, t) => sum + t.cost, 0),
+    tokens: [...figures.values()].reduce((sum, t) => sum + t.tokens, 0),
+    duration: typeof run.data.duration === 'number' ? run.data.duration : parseFloat(run.data.duration) || null,
+    successful: [...figures.values()].filter(t => t.status === 'completed').length,
+    failed: [...figures.values()].filter(t => t.status === 'failed').length
+  });
+  const before = totalOf(base, baseTasks);
+  const after = totalOf(compare, compareTasks);
+
+  const describe = (run) => ({
+    label: run.label,
+    resultsFile: run.resultsFile,
+    ...(run.entry ? { taskFile: run.entry.taskFile, taskFileHash: run.entry.taskFileHash } : {})
+  });
+
+  return {
+    base: describe(base),
+    compare: describe(compare),
+    taskFileChanged: Boolean(base.entry && compare.entry && base.entry.taskFileHash !== compare.entry.taskFileHash),
+    tasks,
+    totals: Object.fromEntries(Object.keys(before).map(key => [key, delta(before[key], after[key])])),
+    artifacts: artifacts ? diffArtifacts(base, compare, baseTasks, compareTasks) : []
+  };
+}
+
+/**
+ * Format a signed number ("+1.23", "-4")
+ */
+function signed(value, digits = 0) {
+  if (value === null || value === undefined) return '-';
+  const text = value.toFixed(digits);
+  if (parseFloat(text) === 0) return (0).toFixed(digits);
+  return value > 0 ? `+${text}` : text;
+}
+
+/**
+ * Format a value that may be missing
+ */
+function show(value, format) {
+  return value === null || value === undefined ? '-' : format(value);
+}
+
+function formatPair(pair, format) {
+  return `${show(pair.before, format)} → ${show(pair.after, format)}`;
+}
+
+const money = value => `$${value.toFixed(4)}`;
+const seconds = value => `${value.toFixed(1)}s`;
+const count = value => value.toLocaleString();
+
+const CHANGE_COLORS = {
+  fixed: chalk.green,
+  regressed: chalk.red,
+  added: chalk.cyan,
+  removed: chalk.yellow,
+  changed: chalk.blue,
+  unchanged: chalk.gray
+};
+
+/**
+ * Render a diff for the terminal
+ */
+function formatDiffText(diff) {
+  const lines = [
+    chalk.blue(`\n🔀 ${diff.base.label} → ${diff.compare.label}\n`)
+  ];
+  if (diff.taskFileChanged) {
+    lines.push(chalk.yellow('⚠️  The task file changed between these runs\n'));
+  }
+
+  lines.push(chalk.yellow('Totals:'));
+  lines.push(`  Cost:     ${formatPair(diff.totals.cost, money)} (${signed(diff.totals.cost.delta, 4)})`);
+  lines.push(`  Tokens:   ${formatPair(diff.totals.tokens, count)} (${signed(diff.totals.tokens.delta)})`);
+  lines.push(`  Duration: ${formatPair(diff.totals.duration, seconds)} (${signed(diff.totals.duration.delta, 1)})`);
+  lines.push(`  Tasks:    ${diff.totals.successful.after} succeeded (${signed(diff.totals.successful.delta)}), ${diff.totals.failed.after} failed (${signed(diff.totals.failed.delta)})`);
+
+  lines.push(chalk.yellow('\nTasks:'));
+  diff.tasks.forEach(task => {
+    const color = CHANGE_COLORS[task.change];
+    lines.push(`  ${color(task.change.padEnd(9))} ${task.id}  ${chalk.gray(`${task.status.before || '-'} → ${task.status.after || '-'}`)}`);
+    lines.push(chalk.gray(`            cost ${signed(task.cost.delta, 4)}, tokens ${signed(task.tokens.delta)}, duration ${signed(task.duration.delta, 1)}${task.outputChanged ? ', output changed' : ''}`));
+    if (task.error) {
+      lines.push(chalk.red(`            ${task.error}`));
+    }
+  });
+
+  if (diff.artifacts.length > 0) {
+    lines.push(chalk.yellow('\nOutputs:'));
+    diff.artifacts.forEach(artifact => {
+      lines.push(chalk.bold(`\n${artifact.name} (${artifact.change})`));
+      artifact.patch.split('\n').slice(1).forEach(line => {
+        if (line.startsWith('+') && !line.startsWith('+++')) lines.push(chalk.green(line));
+        else if (line.startsWith('-') && !line.startsWith('---')) lines.push(chalk.red(line));
+        else if (line.startsWith('@@')) lines.push(chalk.cyan(line));
+        else lines.push(line);
+      });
+    });
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render a diff as Markdown (for PR comments and reports)
+ */
+function formatDiffMarkdown(diff) {
+  const lines = [
+    `## Run comparison: \`${diff.base.label}\` → \`${diff.compare.label}\``,
+    ''
+  ];
+  if (diff.taskFileChanged) {
+    lines.push('> ⚠️ The task file changed between these runs', '');
+  }
+
+  lines.push(
+    '| | Before | After | Change |',
+    '|---|---|---|---|',
+    `| Cost | ${show(diff.totals.cost.before, money)} | ${show(diff.totals.cost.after, money)} | ${signed(diff.totals.cost.delta, 4)} |`,
+    `| Tokens | ${count(diff.totals.tokens.before)} | ${count(diff.totals.tokens.after)} | ${signed(diff.totals.tokens.delta)} |`,
+    `| Duration | ${show(diff.totals.duration.before, seconds)} | ${show(diff.totals.duration.after, seconds)} | ${signed(diff.totals.duration.delta, 1)} |`,
+    `| Succeeded | ${diff.totals.successful.before} | ${diff.totals.successful.after} | ${signed(diff.totals.successful.delta)} |`,
+    `| Failed | ${diff.totals.failed.before} | ${diff.totals.failed.after} | ${signed(diff.totals.failed.delta)} |`,
+    '',
+    '### Tasks',
+    '',
+    '| Task | Change | Status | Cost | Tokens | Duration | Output |',
+    '|---|---|---|---|---|---|---|'
+  );
+  diff.tasks.forEach(task => {
+    lines.push(`| \`${task.id}\` | ${task.change} | ${task.status.before || '-'} → ${task.status.after || '-'} | ${signed(task.cost.delta, 4)} | ${signed(task.tokens.delta)} | ${signed(task.duration.delta, 1)} | ${task.outputChanged ? 'changed' : ''} |`);
+  });
+
+  if (diff.artifacts.length > 0) {
+    lines.push('', '### Outputs');
+    diff.artifacts.forEach(artifact => {
+      lines.push('', `<details><summary><code>${artifact.name}</code> (${artifact.change})</summary>`, '', '```diff', artifact.patch.split('\n').slice(1).join('\n').trimEnd(), '```', '', '</details>');
+    });
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render a diff in one of DIFF_FORMATS
+ */
+function formatDiff(diff, format = 'text') {
+  if (!DIFF_FORMATS.includes(format)) {
+    throw new Error(`Invalid format "${format}" (expected ${DIFF_FORMATS.join(', ')})`);
+  }
+  if (format === 'json') {
+    return `${JSON.stringify(diff, null, 2)}\n`;
+  }
+  return format === 'markdown' ? formatDiffMarkdown(diff) : formatDiffText(diff);
+}
+
+module.exports = {
+  loadRun,
+  diffRuns,
+  formatDiff,
+  DIFF_FORMATS
+};
@@ -0,0 +1,193 @@
+/**
+ * Session index for RepoChief CLI
+ * Registers every run under ~/.repochief/sessions so history does not depend
+ * on the directory a run was started from
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { isProcessAlive } = require('./process');
+
+// A running entry without a live process, started longer ago than this, is
+// a run that crashed or was killed
+const STALE_RUNNING_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the index directory (one JSON file per session)
+ */
+function getSessionsDir() {
+  return path.join(os.homedir(), '.repochief', 'sessions');
+}
+
+function getEntryPath(id) {
+  return path.join(getSessionsDir(), `${id}.json`);
+}
+
+/**
+ * Write a session entry, merging into an existing one
+ *
+ * Entries look like { id, cwd, pid, taskFile, taskFileHash, outputDir, outcome,
+ * startedAt, finishedAt, duration, cost, tokens, tasks, files, exitCode };
+ * outcome is running, completed, failed, stopped, interrupted or error.
+ *
+ * @param {Object} entry - Fields to store (id is required)
+ * @returns {Object} Stored entry
+ */
+function recordSession(entry) {
+  const existing = readSession(entry.id) || {};
+  const stored = { ...existing, ...entry, updatedAt: new Date().toISOString() };
+
+  fs.mkdirSync(getSessionsDir(), { recursive: true });
+  const filePath = getEntryPath(entry.id);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(stored, null, 2));
+  fs.renameSync(tempPath, filePath);
+  return stored;
+}
+
+/**
+ * Read one session entry (null when missing or unreadable)
+ */
+function readSession(id) {
+  try {
+    return JSON.parse(fs.readFileSync(getEntryPath(id), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List sessions, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.cwd] - Only sessions started from this directory
+ * @param {string} [filters.outcome] - Only sessions with this outcome
+ * @returns {Array<Object>} Session entries
+ */
+function listSessions({ cwd, outcome } = {}) {
+  const dir = getSessionsDir();
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => readSession(path.basename(file, '.json')))
+    .filter(entry => entry && entry.id)
+    .filter(entry => !cwd || entry.cwd === path.resolve(cwd))
+    .filter(entry => !outcome || entry.outcome === outcome)
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+}
+
+/**
+ * Find a session by id or unique id prefix
+ * @param {string} id - Session id, prefix, or "latest"
+ * @returns {Object|null} Session entry
+ * @throws {Error} When the prefix matches several sessions
+ */
+function findSession(id) {
+  const sessions = listSessions();
+  if (id === 'latest') {
+    return sessions[0] || null;
+  }
+
+  const exact = sessions.find(entry => entry.id === id);
+  if (exact) {
+    return exact;
+  }
+
+  const matches = sessions.filter(entry => entry.id.startsWith(id));
+  if (matches.length > 1) {
+    throw new Error(`Session id "${id}" is ambiguous (${matches.length} matches: ${matches.slice(0, 3).map(entry => entry.id).join(', ')}${matches.length > 3 ? ', ...' : ''})`);
+  }
+  return matches[0] || null;
+}
+
+/**
+ * Whether a session is still running: its process is alive or, for entries
+ * without a pid, it started less than a day ago
+ */
+function isSessionActive(entry, now = new Date()) {
+  if (entry.outcome !== 'running') {
+    return false;
+  }
+  if (entry.pid) {
+    return isProcessAlive(entry.pid);
+  }
+  return now.getTime() - new Date(entry.startedAt).getTime() < STALE_RUNNING_AGE;
+}
+
+/**
+ * Read a results file written by a run
+ * @param {string} filePath - Path to a *-results.json file
+ * @returns {Object} Parsed results ({ session, tasks, ... })
+ * @throws {Error} When the file is missing or not valid JSON
+ */
+function readResultsFile(filePath) {
+  const absolutePath = path.resolve(filePath);
+  if (!fs.existsSync(absolutePath)) {
+    throw new Error(`Results file not found: ${filePath}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(absolutePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid results file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Read the results file of an indexed session (null when it was moved,
+ * deleted or cannot be read)
+ */
+function readSessionResults(entry) {
+  const resultsFile = entry.files && entry.files.results;
+  if (!resultsFile) {
+    return null;
+  }
+  try {
+    return readResultsFile(resultsFile);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Pick sessions to prune
+ * @param {Array<Object>} sessions - Entries, newest first
+ * @param {Object} criteria
+ * @param {number} [criteria.olderThanDays] - Started more than this many days ago
+ * @param {number} [criteria.keep] - Keep only the newest N
+ * @param {boolean} [criteria.missing] - Output directory no longer exists
+ * @param {Date} [criteria.now] - Reference time
+ * @returns {Array<Object>} Entries to remove
+ */
+function selectSessionsToPrune(sessions, { olderThanDays, keep, missing, now = new Date() }) {
+  const cutoff = olderThanDays !== undefined ? now.getTime() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+
+  return sessions.filter((entry, index) => (
+    (cutoff !== null && new Date(entry.startedAt).getTime() < cutoff) ||
+    (keep !== undefined && index >= keep) ||
+    (missing && !(entry.outputDir && fs.existsSync(entry.outputDir)))
+  ));
+}
+
+/**
+ * Remove session entries from the index (output directories are left alone)
+ * @param {Array<string>} ids - Session ids
+ */
+function removeSessions(ids) {
+  ids.forEach(id => fs.rmSync(getEntryPath(id), { force: true }));
+}
+
+module.exports = {
+  recordSession,
+  readSession,
+  listSessions,
+  findSession,
+  selectSessionsToPrune,
+  isSessionActive,
+  readResultsFile,
+  readSessionResults,
+  removeSessions,
+  getSessionsDir
+};
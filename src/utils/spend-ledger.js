@@ -0,0 +1,93 @@
+/**
+ * Daily spend ledger for RepoChief CLI
+ * Keeps local per-day spend under ~/.repochief so daily budgets hold across runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const LEDGER_FILE = 'spend-ledger.json';
+
+/**
+ * Days of history kept in the ledger
+ */
+const RETENTION_DAYS = 90;
+
+/**
+ * Get the ledger key for a date (local calendar day, YYYY-MM-DD)
+ * @param {Date} [date] - Date (defaults to now)
+ * @returns {string} Day key
+ */
+function getDayKey(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Local spend ledger
+ * Spend is stored per day and per session ({ days: { day: { total, sessions } } })
+ */
+class SpendLedger {
+  constructor(filePath = path.join(os.homedir(), '.repochief', LEDGER_FILE)) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Read the ledger (empty when missing or unreadable)
+   */
+  read() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return data && data.days ? data : { days: {} };
+    } catch (error) {
+      return { days: {} };
+    }
+  }
+
+  /**
+   * Get the amount spent on a day
+   * @param {Date} [date] - Day (defaults to today)
+   * @returns {number} Spend in USD
+   */
+  getDailySpend(date) {
+    const day = this.read().days[getDayKey(date)];
+    return day ? day.total : 0;
+  }
+
+  /**
+   * Add spend for a session to today's total
+   * @param {string} session - Session name
+   * @param {number} amount - Spend in USD
+   * @param {Date} [date] - Day (defaults to today)
+   */
+  add(session, amount, date) {
+    if (!(amount > 0)) {
+      return;
+    }
+
+    const data = this.read();
+    const key = getDayKey(date);
+    const day = data.days[key] || { total: 0, sessions: {} };
+    day.total += amount;
+    day.sessions[session] = (day.sessions[session] || 0) + amount;
+    data.days[key] = day;
+
+    // Drop days past the retention window
+    const cutoff = getDayKey(new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    Object.keys(data.days)
+      .filter(dayKey => dayKey < cutoff)
+      .forEach(dayKey => delete data.days[dayKey]);
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = {
+  SpendLedger,
+  getDayKey,
+  LEDGER_FILE
+};
@@ -76,7 +76,7 @@ function displayWarnings(results) {
 
 async function validateForCommand(commandName) {
   // Some commands don't need all requirements
-  const lightCommands = ['help', 'version', 'doctor', 'auth', 'config'];
+  const lightCommands = ['help', 'version', 'doctor', 'auth', 'config', 'validate'];
   
   if (lightCommands.includes(commandName)) {
     // Only check Node.js version for these commands
@@ -0,0 +1,204 @@
+/**
+ * Server-push task delivery for `device poll`
+ *
+ * The device keeps a Server-Sent Events stream open on
+ * /devices/:id/tasks/stream. The cloud sends a `task` (or `tasks`) event when
+ * work is queued for the device; the poller then claims it through the usual
+ * pending endpoint, so back-pressure and policy checks stay in one place.
+ * `ping` events (or comment lines) keep the connection alive.
+ *
+ * Servers without the stream answer 404/405/501 and the device falls back to
+ * interval polling. Dropped connections are retried with exponential backoff.
+ */
+
+const EventEmitter = require('events');
+
+const DELIVERY_MODES = ['stream', 'interval'];
+const BACKOFF_BASE_DELAY = 1000;
+const BACKOFF_MAX_DELAY = 5 * 60 * 1000;
+const STREAM_IDLE_TIMEOUT = 90 * 1000;
+const UNSUPPORTED_STATUSES = [404, 405, 501];
+
+/**
+ * Check a --delivery mode
+ */
+function parseDeliveryMode(value = 'stream') {
+  if (!DELIVERY_MODES.includes(value)) {
+    throw new Error(`Invalid delivery mode "${value}" (expected ${DELIVERY_MODES.join(', ')})`);
+  }
+  return value;
+}
+
+/**
+ * Delay before retry number `attempt` (1s, 2s, 4s... capped)
+ */
+function backoffDelay(attempt, { baseDelay = BACKOFF_BASE_DELAY, maxDelay = BACKOFF_MAX_DELAY } = {}) {
+  return Math.min(maxDelay, baseDelay * Math.pow(2, Math.max(0, attempt - 1)));
+}
+
+/**
+ * Split Server-Sent Events text into events
+ * @param {string} buffer - Text received so far
+ * @returns {Object} { events: [{ event, data }], rest } where rest is an unfinished event
+ */
+function parseEventStream(buffer) {
+  const blocks = buffer.split(/\r?\n\r?\n/);
+  const rest = blocks.pop();
+  const events = [];
+  blocks.forEach(block => {
+    let event = 'message';
+    const data = [];
+    block.split(/\r?\n/).forEach(line => {
+      if (!line || line.startsWith(':')) {
+        return;
+      }
+      const index = line.indexOf(':');
+      const field = index === -1 ? line : line.slice(0, index);
+      const value = index === -1 ? '' : line.slice(index + 1).replace(/^ /, '');
+      if (field === 'event') {
+        event = value;
+      } else if (field === 'data') {
+        data.push(value);
+      }
+    });
+    if (data.length > 0 || event !== 'message') {
+      events.push({ event, data: data.join('\n') });
+    }
+  });
+  return { events, rest };
+}
+
+/**
+ * Server-Sent Events connection that announces queued tasks
+ *
+ * Events: open, tasks (payload of the event, or null), unsupported ({ status }),
+ * disconnected ({ error, attempt, delay }).
+ */
+class TaskStreamChannel extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - APIClient (its axios instance carries the auth headers)
+   * @param {string} options.path - Stream endpoint
+   * @param {number} options.idleTimeout - Reconnect when nothing arrives for this long
+   * @param {Function} options.retryDelay - Optional, (attempt) => ms (defaults to backoffDelay)
+   */
+  constructor({ client, path, idleTimeout = STREAM_IDLE_TIMEOUT, retryDelay = backoffDelay }) {
+    super();
+    this.client = client;
+    this.path = path;
+    this.idleTimeout = idleTimeout;
+    this.retryDelay = retryDelay;
+    this.connected = false;
+    this.stopped = true;
+    this.attempt = 0;
+    this.controller = null;
+    this.retryTimer = null;
+    this.idleTimer = null;
+  }
+
+  start() {
+    this.stopped = false;
+    this.connect();
+    return this;
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.retryTimer);
+    clearTimeout(this.idleTimer);
+    if (this.controller) {
+      this.controller.abort();
+    }
+  }
+
+  async connect() {
+    this.controller = new AbortController();
+    let response;
+    try {
+      response = await this.client.axios.get(this.path, {
+        responseType: 'stream',
+        timeout: 0,
+        headers: { Accept: 'text/event-stream' },
+        signal: this.controller.signal
+      });
+    } catch (error) {
+      const status = error.response && error.response.status;
+      if (UNSUPPORTED_STATUSES.includes(status)) {
+        this.stopped = true;
+        this.emit('unsupported', { status });
+        return;
+      }
+      this.retry(error);
+      return;
+    }
+    if (this.stopped) {
+      response.data.destroy();
+      return;
+    }
+
+    const stream = response.data;
+    let buffer = '';
+    this.connected = true;
+    this.attempt = 0;
+    this.resetIdleTimer(stream);
+    this.emit('open');
+
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => {
+      this.resetIdleTimer(stream);
+      const parsed = parseEventStream(buffer + chunk);
+      buffer = parsed.rest;
+      parsed.events.forEach(({ event, data }) => {
+        if (event !== 'task' && event !== 'tasks') {
+          return;
+        }
+        let payload = null;
+        try {
+          payload = data ? JSON.parse(data) : null;
+        } catch (error) {
+          // A nudge without a usable payload still means "poll now"
+        }
+        this.emit('tasks', payload);
+      });
+    });
+
+    let closed = false;
+    const onClose = (error) => {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      this.connected = false;
+      clearTimeout(this.idleTimer);
+      this.retry(error || new Error('Task stream closed by the server'));
+    };
+    stream.on('end', () => onClose());
+    stream.on('close', () => onClose());
+    stream.on('error', onClose);
+  }
+
+  resetIdleTimer(stream) {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      stream.destroy(new Error(`No data on the task stream for ${Math.round(this.idleTimeout / 1000)}s`));
+    }, this.idleTimeout);
+  }
+
+  retry(error) {
+    if (this.stopped) {
+      return;
+    }
+    this.attempt++;
+    const delay = this.retryDelay(this.attempt);
+    this.emit('disconnected', { error, attempt: this.attempt, delay });
+    this.retryTimer = setTimeout(() => this.connect(), delay);
+  }
+}
+
+module.exports = {
+  DELIVERY_MODES,
+  parseDeliveryMode,
+  backoffDelay,
+  parseEventStream,
+  TaskStreamChannel
+};
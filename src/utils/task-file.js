@@ -0,0 +1,330 @@
+/**
+ * Task file loading for RepoChief CLI
+ * Reads JSON/YAML task files and flattens plan templates into runnable tasks
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const YAML_EXTENSIONS = ['.yaml', '.yml'];
+
+/**
+ * Orchestrator task types understood by repochief-core
+ */
+const CORE_TASK_TYPES = ['comprehension', 'exploration', 'generation', 'validation'];
+
+/**
+ * Mapping of plan template task types to orchestrator task types
+ */
+const PLAN_TYPE_MAP = {
+  analysis: 'comprehension',
+  investigation: 'comprehension',
+  planning: 'exploration',
+  research: 'exploration',
+  review: 'validation',
+  security_review: 'validation',
+  verification: 'validation'
+};
+
+/**
+ * Default run settings for plan documents (spec.settings)
+ */
+const DEFAULT_SETTINGS = {
+  executionMode: 'parallel',
+  defaultAgent: null,
+  errorHandling: 'continue'
+};
+
+/**
+ * Check whether a parsed document is a plan template (apiVersion/kind/spec)
+ * @param {Object} doc - Parsed document
+ * @returns {boolean} True if the document is a plan template
+ */
+function isPlanDocument(doc) {
+  return !!doc && typeof doc === 'object' && !Array.isArray(doc) &&
+    typeof doc.apiVersion === 'string' && !!doc.kind && !!doc.spec;
+}
+
+/**
+ * Map a plan task type to an orchestrator task type
+ * @param {string} type - Plan task type
+ * @returns {string} Orchestrator task type
+ */
+function mapPlanTaskType(type) {
+  if (CORE_TASK_TYPES.includes(type)) {
+    return type;
+  }
+  return PLAN_TYPE_MAP[type] || 'generation';
+}
+
+/**
+ * Keys under spec that hold ordered phases, by plan kind convention
+ */
+const PHASE_KEYS = ['phases', 'workflow', 'tddCycles'];
+
+/**
+ * Get the task lists of a phase by key; TDD cycles split them into
+ * redPhase/greenPhase/refactorPhase
+ */
+function getPhaseTaskLists(phase) {
+  if (Array.isArray(phase.tasks)) {
+    return [{ key: 'tasks', tasks: phase.tasks }];
+  }
+  return Object.keys(phase)
+    .filter(key => key.endsWith('Phase') && Array.isArray(phase[key]))
+    .map(key => ({ key, tasks: phase[key] }));
+}
+
+/**
+ * Get the tasks of a phase in execution order
+ */
+function getPhaseTasks(phase) {
+  return getPhaseTaskLists(phase).reduce((tasks, list) => tasks.concat(list.tasks), []);
+}
+
+/**
+ * Convert a plan template task into an orchestrator task
+ */
+function convertPlanTask(task, group, settings) {
+  const { title, prompt, acceptanceCriteria, agent, ...rest } = task;
+
+  const converted = {
+    ...rest,
+    type: mapPlanTaskType(task.type),
+    planType: task.type,
+    objective: task.objective || title || prompt,
+    dependencies: [...(task.dependencies || [])],
+    group: group.id
+  };
+
+  if (prompt) {
+    converted.prompt = prompt;
+  }
+
+  if (acceptanceCriteria && !task.successCriteria) {
+    converted.successCriteria = acceptanceCriteria;
+  }
+
+  // Plans name the AI tool (adapter) a task runs on, not a roster agent
+  const adapterType = agent || group.agent || settings.defaultAgent;
+  if (adapterType) {
+    converted.adapterType = adapterType;
+  }
+
+  return converted;
+}
+
+/**
+ * Flatten a plan template into an ordered task list
+ *
+ * Phases (spec.phases, spec.workflow or spec.tddCycles) run in order: the
+ * entry tasks of a phase depend on the final tasks of the previous phase
+ * (those no other task in that phase depends on). Tracks run side by side and only
+ * carry their own dependencies. With executionMode "sequential" each task also depends on
+ * the task before it.
+ *
+ * @param {Object} plan - Parsed plan document
+ * @returns {Object} Flattened tasks and resolved settings
+ */
+function flattenPlan(plan) {
+  const spec = plan.spec || {};
+  const settings = { ...DEFAULT_SETTINGS, ...(spec.settings || {}) };
+  const tasks = [];
+
+  const phaseKey = PHASE_KEYS.find(key => Array.isArray(spec[key]));
+  let previousPhaseIds = [];
+  for (const phase of phaseKey ? spec[phaseKey] : []) {
+    const phaseTasks = getPhaseTasks(phase).map(task => convertPlanTask(task, phase, settings));
+    const phaseIds = new Set(phaseTasks.map(t => t.id));
+
+    // Entry tasks of the phase wait for the previous phase to finish
+    for (const task of phaseTasks) {
+      if (!task.dependencies.some(dep => phaseIds.has(dep))) {
+        task.dependencies.push(...previousPhaseIds.filter(dep => !task.dependencies.includes(dep)));
+      }
+      tasks.push(task);
+    }
+
+    if (phaseTasks.length > 0) {
+      const dependedOn = new Set(phaseTasks.flatMap(t => t.dependencies));
+      previousPhaseIds = phaseTasks.map(t => t.id).filter(id => !dependedOn.has(id));
+    }
+  }
+
+  for (const track of spec.tracks || []) {
+    for (const task of track.tasks || []) {
+      tasks.push(convertPlanTask(task, track, settings));
+    }
+  }
+
+  if (settings.executionMode === 'sequential') {
+    for (let i = 1; i < tasks.length; i++) {
+      const previousId = tasks[i - 1].id;
+      if (!tasks[i].dependencies.includes(previousId)) {
+        tasks[i].dependencies.push(previousId);
+      }
+    }
+  }
+
+  return { tasks, settings };
+}
+
+/**
+ * Get the location of every task in a parsed document, in the same order as
+ * the tasks returned by normalizeTaskDocument
+ * @param {*} doc - Parsed task file
+ * @returns {Array<Array<string|number>>} Path segments per task
+ */
+function getTaskSourcePaths(doc) {
+  if (Array.isArray(doc)) {
+    return doc.map((task, index) => [index]);
+  }
+
+  if (isPlanDocument(doc)) {
+    const spec = doc.spec || {};
+    const paths = [];
+    const phaseKey = PHASE_KEYS.find(key => Array.isArray(spec[key]));
+    (phaseKey ? spec[phaseKey] : []).forEach((phase, phaseIndex) => {
+      getPhaseTaskLists(phase).forEach(({ key, tasks }) => {
+        tasks.forEach((task, index) => paths.push(['spec', phaseKey, phaseIndex, key, index]));
+      });
+    });
+    (spec.tracks || []).forEach((track, trackIndex) => {
+      (track.tasks || []).forEach((task, index) => paths.push(['spec', 'tracks', trackIndex, 'tasks', index]));
+    });
+    return paths;
+  }
+
+  if (doc && Array.isArray(doc.tasks)) {
+    return doc.tasks.map((task, index) => ['tasks', index]);
+  }
+
+  return [[]];
+}
+
+/**
+ * Find the 1-based line of a JSON.parse error from its message
+ */
+function getJsonErrorLine(error, content) {
+  const lineMatch = error.message.match(/line (\d+)/);
+  if (lineMatch) {
+    return parseInt(lineMatch[1]);
+  }
+  const positionMatch = error.message.match(/position (\d+)/);
+  if (positionMatch) {
+    return content.slice(0, parseInt(positionMatch[1])).split('\n').length;
+  }
+  return undefined;
+}
+
+/**
+ * Parse raw file content as JSON or YAML based on its extension
+ * Syntax errors carry the offending line as error.line
+ */
+function parseContent(content, filePath) {
+  const isYaml = YAML_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+
+  if (isYaml) {
+    try {
+      return yaml.load(content, { filename: filePath });
+    } catch (error) {
+      const parseError = new Error(`Invalid YAML in task file: ${error.reason || error.message}`);
+      parseError.line = error.mark ? error.mark.line + 1 : undefined;
+      throw parseError;
+    }
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    const parseError = new Error(`Invalid JSON in task file: ${error.message}`);
+    parseError.line = getJsonErrorLine(error, content);
+    throw parseError;
+  }
+}
+
+/**
+ * Read and parse a task file without normalizing it
+ * @param {string} filePath - Path to a .json, .yaml or .yml task file
+ * @returns {Object} Raw document ({ absolutePath, content, doc })
+ */
+function readTaskDocument(filePath) {
+  const absolutePath = path.resolve(filePath);
+
+  if (!fs.existsSync(absolutePath)) {
+    throw new Error(`Task file not found: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(absolutePath, 'utf8');
+  return { absolutePath, content, doc: parseContent(content, absolutePath) };
+}
+
+/**
+ * Normalize a parsed document into tasks and run settings
+ * @param {*} doc - Parsed task file
+ * @returns {Object} Task definition ({ tasks, settings, agents, metadata, kind })
+ */
+function normalizeTaskDocument(doc) {
+  if (isPlanDocument(doc)) {
+    const { tasks, settings } = flattenPlan(doc);
+    return {
+      kind: doc.kind,
+      metadata: doc.metadata || {},
+      settings,
+      agents: null,
+      tasks
+    };
+  }
+
+  if (Array.isArray(doc)) {
+    return { kind: 'TaskList', metadata: {}, settings: { ...DEFAULT_SETTINGS }, agents: null, tasks: doc };
+  }
+
+  if (doc && typeof doc === 'object') {
+    if (Array.isArray(doc.tasks)) {
+      const { tasks, agents, ...metadata } = doc;
+      return {
+        kind: 'TaskList',
+        metadata,
+        settings: { ...DEFAULT_SETTINGS, ...(doc.settings || {}) },
+        agents: Array.isArray(agents) ? agents : null,
+        tasks
+      };
+    }
+
+    // A single task document (e.g. examples/test-task.yaml)
+    if (doc.objective) {
+      return {
+        kind: 'Task',
+        metadata: {},
+        settings: { ...DEFAULT_SETTINGS },
+        agents: null,
+        tasks: [{ ...doc, type: mapPlanTaskType(doc.type), planType: doc.type }]
+      };
+    }
+  }
+
+  throw new Error('Task file must contain an array of tasks, a tasks property or a plan spec');
+}
+
+/**
+ * Load a task file from disk
+ * @param {string} filePath - Path to a .json, .yaml or .yml task file
+ * @returns {Object} Task definition ({ tasks, settings, agents, metadata, kind })
+ */
+function loadTaskFile(filePath) {
+  return normalizeTaskDocument(readTaskDocument(filePath).doc);
+}
+
+module.exports = {
+  loadTaskFile,
+  readTaskDocument,
+  normalizeTaskDocument,
+  getTaskSourcePaths,
+  flattenPlan,
+  isPlanDocument,
+  mapPlanTaskType,
+  CORE_TASK_TYPES,
+  DEFAULT_SETTINGS
+};
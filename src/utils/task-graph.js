@@ -0,0 +1,152 @@
+/**
+ * Task dependency graph for RepoChief CLI
+ * Detects duplicate ids, unknown dependencies and cycles, and orders tasks
+ * into execution waves
+ */
+
+/**
+ * Get the id of a task, generating one for tasks without an id
+ * @param {Object} task - Task definition
+ * @param {number} index - Position of the task in the task list
+ * @returns {string} Task id
+ */
+function getTaskId(task, index) {
+  return task.id || `task-${index + 1}`;
+}
+
+/**
+ * Find dependency cycles with a depth-first search
+ * @returns {Array<Array<string>>} Cycles as id lists (first id repeated at the end)
+ */
+function findCycles(ids, edges) {
+  const cycles = [];
+  const state = new Map(); // undefined = unvisited, 1 = on stack, 2 = done
+  const stack = [];
+
+  const visit = (id) => {
+    state.set(id, 1);
+    stack.push(id);
+
+    for (const dep of edges.get(id) || []) {
+      if (state.get(dep) === 1) {
+        cycles.push([...stack.slice(stack.indexOf(dep)), dep]);
+      } else if (!state.has(dep)) {
+        visit(dep);
+      }
+    }
+
+    stack.pop();
+    state.set(id, 2);
+  };
+
+  for (const id of ids) {
+    if (!state.has(id)) {
+      visit(id);
+    }
+  }
+
+  return cycles;
+}
+
+/**
+ * Build the task dependency graph
+ *
+ * Errors are { type, taskId, index, message } with type one of
+ * duplicate-id, unknown-dependency or cycle; dependency errors also carry
+ * the dependency index (dependencyIndex).
+ *
+ * @param {Array<Object>} tasks - Task definitions
+ * @returns {Object} Graph ({ ids, tasksById, dependencies, dependents, waves, errors })
+ */
+function buildTaskGraph(tasks) {
+  const errors = [];
+  const ids = [];
+  const indexById = new Map();
+  const dependencies = new Map();
+  const dependents = new Map();
+
+  tasks.forEach((task, index) => {
+    const id = getTaskId(task, index);
+    if (indexById.has(id)) {
+      errors.push({
+        type: 'duplicate-id',
+        taskId: id,
+        index,
+        message: `duplicate task id "${id}" (first defined by task #${indexById.get(id) + 1})`
+      });
+      return;
+    }
+    indexById.set(id, index);
+    ids.push(id);
+    dependents.set(id, []);
+  });
+
+  ids.forEach(id => {
+    const index = indexById.get(id);
+    const deps = [];
+    (tasks[index].dependencies || []).forEach((dep, dependencyIndex) => {
+      if (!indexById.has(dep)) {
+        errors.push({
+          type: 'unknown-dependency',
+          taskId: id,
+          index,
+          dependencyIndex,
+          message: `task "${id}" depends on unknown task "${dep}"`
+        });
+        return;
+      }
+      if (!deps.includes(dep)) {
+        deps.push(dep);
+      }
+    });
+    dependencies.set(id, deps);
+  });
+
+  dependencies.forEach((deps, id) => {
+    deps.forEach(dep => dependents.get(dep).push(id));
+  });
+
+  for (const cycle of findCycles(ids, dependencies)) {
+    errors.push({
+      type: 'cycle',
+      taskId: cycle[0],
+      index: indexById.get(cycle[0]),
+      message: `dependency cycle: ${cycle.join(' → ')}`
+    });
+  }
+
+  // Kahn's algorithm, one wave per level (tasks in a cycle never get a wave)
+  const waves = [];
+  const remaining = new Map(ids.map(id => [id, dependencies.get(id).length]));
+  let current = ids.filter(id => remaining.get(id) === 0);
+
+  while (current.length > 0) {
+    waves.push(current);
+    const next = [];
+    for (const id of current) {
+      remaining.delete(id);
+      for (const dependent of dependents.get(id)) {
+        const count = remaining.get(dependent) - 1;
+        remaining.set(dependent, count);
+        if (count === 0) {
+          next.push(dependent);
+        }
+      }
+    }
+    current = next;
+  }
+
+  return {
+    ids,
+    tasksById: new Map(ids.map(id => [id, tasks[indexById.get(id)]])),
+    dependencies,
+    dependents,
+    waves,
+    errors
+  };
+}
+
+module.exports = {
+  buildTaskGraph,
+  getTaskId
+};
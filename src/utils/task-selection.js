@@ -0,0 +1,183 @@
+/**
+ * Task selection for RepoChief CLI
+ * Narrows a task list down to the tasks a run should execute
+ */
+
+const { buildTaskGraph } = require('./task-graph');
+const { readResultsFile } = require('./session-index');
+
+/**
+ * Turn a task result into text that can be passed on as context
+ */
+function resultToText(result) {
+  if (result === undefined || result === null) {
+    return '';
+  }
+  if (typeof result === 'string') {
+    return result;
+  }
+  const output = result.output || result.content || result.result;
+  if (typeof output === 'string') {
+    return output;
+  }
+  return JSON.stringify(output !== undefined ? output : result, null, 2);
+}
+
+/**
+ * Append upstream results to a task's context
+ */
+function withUpstreamContext(task, upstream) {
+  if (upstream.length === 0) {
+    return task;
+  }
+
+  const entries = upstream.map(({ id, result }) => `Result of task "${id}":\n${resultToText(result)}`);
+  let context;
+  if (Array.isArray(task.context)) {
+    context = [...task.context, ...entries];
+  } else if (typeof task.context === 'string' && task.context) {
+    context = [task.context, ...entries].join('\n\n');
+  } else {
+    context = entries;
+  }
+
+  return { ...task, context };
+}
+
+/**
+ * Keep only the selected tasks and detach them from the rest
+ *
+ * Dependencies on tasks outside the selection are removed (the orchestrator
+ * would otherwise wait for tasks it never sees). Where such a dependency has
+ * a known result, that result is appended to the task's context instead.
+ *
+ * @param {Array<Object>} tasks - Tasks (with ids)
+ * @param {Set<string>} selected - Ids of the tasks to keep
+ * @param {Object} [completed] - Completed task records by id ({ result })
+ * @returns {Array<Object>} Selected tasks
+ */
+function detachTasks(tasks, selected, completed = {}) {
+  return tasks
+    .filter(task => selected.has(task.id))
+    .map(task => {
+      const dependencies = task.dependencies || [];
+      const upstream = dependencies
+        .filter(dep => !selected.has(dep) && completed[dep])
+        .map(dep => ({ id: dep, result: completed[dep].result }));
+
+      return withUpstreamContext({
+        ...task,
+        dependencies: dependencies.filter(dep => selected.has(dep))
+      }, upstream);
+    });
+}
+
+/**
+ * Parse a comma-separated list of task ids (e.g. "--only a,b")
+ * @param {string|Array<string>} value - Option value
+ * @returns {Array<string>} Task ids
+ */
+function parseTaskIds(value) {
+  if (!value) {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read a previous session's results file
+ *
+ * Accepts the results.json written by the orchestrator (the same files
+ * `repochief status` lists).
+ *
+ * @param {string} filePath - Results file path
+ * @returns {Object} { failed: task ids, completed: records by id }
+ */
+function readPreviousResults(filePath) {
+  const data = readResultsFile(filePath);
+  if (!Array.isArray(data.tasks)) {
+    throw new Error(`Invalid results file ${filePath}: missing "tasks" list`);
+  }
+
+  const failed = [];
+  const completed = {};
+  for (const entry of data.tasks) {
+    const id = entry.taskId || entry.id;
+    if (entry.status === 'failed') {
+      failed.push(id);
+    } else if (entry.status === 'completed') {
+      completed[id] = { status: 'completed', result: entry.result };
+    }
+  }
+
+  return { session: data.session, failed, completed };
+}
+
+/**
+ * Work out which tasks a run should execute
+ *
+ * --only and --from pick tasks (their picks add up, and with neither every
+ * task is picked), --rerun-failed keeps only the picked tasks that failed in
+ * the previous session and --skip removes tasks last.
+ *
+ * @param {Array<Object>} tasks - Tasks (with ids)
+ * @param {Object} criteria - Selection criteria
+ * @param {Array<string>} [criteria.only] - Run only these tasks
+ * @param {Array<string>} [criteria.skip] - Do not run these tasks
+ * @param {string} [criteria.from] - Run this task and everything depending on it
+ * @param {Array<string>} [criteria.failed] - Failed tasks of a previous session
+ * @returns {Set<string>} Ids of the selected tasks
+ */
+function selectTaskIds(tasks, { only = [], skip = [], from, failed } = {}) {
+  const { ids, dependents } = buildTaskGraph(tasks);
+  const known = new Set(ids);
+  const checkIds = (list, option) => {
+    const unknown = list.filter(id => !known.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown task id(s) in ${option}: ${unknown.join(', ')}`);
+    }
+  };
+
+  checkIds(only, '--only');
+  checkIds(skip, '--skip');
+  if (from) {
+    checkIds([from], '--from');
+  }
+
+  let selected;
+  if (only.length > 0 || from) {
+    selected = new Set(only);
+    const visited = new Set();
+    const addDownstream = (id) => {
+      if (visited.has(id)) return;
+      visited.add(id);
+      selected.add(id);
+      (dependents.get(id) || []).forEach(addDownstream);
+    };
+    if (from) {
+      addDownstream(from);
+    }
+  } else {
+    selected = new Set(ids);
+  }
+
+  if (failed) {
+    const failedIds = new Set(failed);
+    selected = new Set([...selected].filter(id => failedIds.has(id)));
+  }
+
+  skip.forEach(id => selected.delete(id));
+  return selected;
+}
+
+module.exports = {
+  selectTaskIds,
+  detachTasks,
+  readPreviousResults,
+  parseTaskIds,
+  resultToText
+};
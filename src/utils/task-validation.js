@@ -0,0 +1,242 @@
+/**
+ * Task file validation for RepoChief CLI
+ * Checks task files and plan templates against the versioned task file schema
+ * and reports every problem with its file, line and JSON path
+ */
+
+const yaml = require('js-yaml');
+const schema = require('../schemas/task-file.v1.json');
+const { validate, formatPath } = require('./schema-validator');
+const { readTaskDocument, normalizeTaskDocument, getTaskSourcePaths, isPlanDocument } = require('./task-file');
+const { buildTaskGraph } = require('./task-graph');
+
+const SCHEMA_VERSION = schema.version;
+
+/**
+ * Build a map of JSON path -> line for every node in a document
+ *
+ * JSON is valid YAML, so the js-yaml parse listener gives node positions for
+ * both formats. Mapping entries are located at their key.
+ *
+ * @param {string} content - Raw file content
+ * @returns {Map<string, number>} 1-based line per JSON path
+ */
+function locateNodes(content) {
+  const lines = new Map();
+  const stack = [{ children: [] }];
+
+  try {
+    yaml.load(content, {
+      listener(event, state) {
+        if (event === 'open') {
+          stack.push({ line: state.line + 1, children: [] });
+        } else {
+          let node = stack.pop();
+          node.kind = state.kind;
+          node.result = state.result;
+          // Flow collections ({...}, [...]) are reported twice; keep the inner node
+          if (node.children.length === 1 && node.children[0].result === node.result) {
+            node = node.children[0];
+          }
+          stack[stack.length - 1].children.push(node);
+        }
+      }
+    });
+  } catch (error) {
+    return lines;
+  }
+
+  const walk = (node, segments) => {
+    if (node.kind === 'mapping') {
+      for (let i = 0; i + 1 < node.children.length; i += 2) {
+        const key = node.children[i];
+        const childSegments = [...segments, String(key.result)];
+        lines.set(formatPath(childSegments), key.line);
+        walk(node.children[i + 1], childSegments);
+      }
+    } else if (node.kind === 'sequence') {
+      node.children.forEach((item, index) => {
+        const childSegments = [...segments, index];
+        lines.set(formatPath(childSegments), item.line);
+        walk(item, childSegments);
+      });
+    }
+  };
+
+  const root = stack[0].children[0];
+  if (root) {
+    lines.set('$', root.line);
+    walk(root, []);
+  }
+
+  return lines;
+}
+
+/**
+ * Find the line of a path, falling back to the closest located ancestor
+ */
+function findLine(lines, segments) {
+  for (let length = segments.length; length >= 0; length--) {
+    const line = lines.get(formatPath(segments.slice(0, length)));
+    if (line !== undefined) {
+      return line;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Pick the schema definition that applies to a parsed document
+ * @param {*} doc - Parsed task file
+ * @returns {string} Definition name in the task file schema
+ */
+function getDocumentSchemaName(doc) {
+  if (Array.isArray(doc)) return 'taskArray';
+  if (isPlanDocument(doc) || (doc && typeof doc === 'object' && doc.apiVersion)) return 'plan';
+  if (doc && typeof doc === 'object' && !doc.tasks && doc.objective) return 'singleTask';
+  return 'taskList';
+}
+
+/**
+ * Validate a parsed task document against the task file schema
+ * @param {*} doc - Parsed task file
+ * @returns {Array<Object>} Errors ({ path: Array, message })
+ */
+function validateTaskDocument(doc) {
+  const schemaName = getDocumentSchemaName(doc);
+  return validate(doc, schema.definitions[schemaName], schema);
+}
+
+/**
+ * Check the dependency graph of a schema-valid document
+ *
+ * Plan templates are checked after flattening, so references to tasks in
+ * other phases are resolved the same way `run` resolves them.
+ *
+ * @param {*} doc - Parsed, schema-valid task file
+ * @returns {Array<Object>} Errors ({ path: Array, message })
+ */
+function validateTaskGraph(doc) {
+  const { tasks } = normalizeTaskDocument(doc);
+  const sourcePaths = getTaskSourcePaths(doc);
+  const { errors } = buildTaskGraph(tasks);
+
+  return errors.map(error => {
+    const taskPath = sourcePaths[error.index] || [];
+    let errorPath = taskPath;
+    if (error.type === 'duplicate-id') {
+      errorPath = [...taskPath, 'id'];
+    } else if (error.type === 'unknown-dependency') {
+      errorPath = [...taskPath, 'dependencies', error.dependencyIndex];
+    }
+    return { path: errorPath, message: error.message };
+  });
+}
+
+/**
+ * Check the `agents:` roster of a schema-valid task list and the tasks
+ * routed to it
+ *
+ * Agent names must be unique and every task `agent` must name a declared
+ * agent. requiredCapabilities are only checked when every agent lists its
+ * capabilities (otherwise they come from templates, resolved at run time).
+ *
+ * @param {*} doc - Parsed, schema-valid task file
+ * @returns {Array<Object>} Errors ({ path: Array, message })
+ */
+function validateAgentRoster(doc) {
+  const { agents, tasks } = normalizeTaskDocument(doc);
+  if (!agents) {
+    return [];
+  }
+
+  const errors = [];
+  const names = new Set();
+  agents.forEach((agent, index) => {
+    if (names.has(agent.name)) {
+      errors.push({ path: ['agents', index, 'name'], message: `duplicate agent name "${agent.name}"` });
+    }
+    names.add(agent.name);
+  });
+
+  const sourcePaths = getTaskSourcePaths(doc);
+  const capabilitiesKnown = agents.every(agent => Array.isArray(agent.capabilities));
+  tasks.forEach((task, index) => {
+    const taskPath = sourcePaths[index] || [];
+    if (task.agent && !names.has(task.agent)) {
+      errors.push({ path: [...taskPath, 'agent'], message: `unknown agent "${task.agent}" (declared: ${[...names].join(', ')})` });
+    }
+
+    const required = task.requiredCapabilities || [];
+    if (capabilitiesKnown && required.length > 0 &&
+        !agents.some(agent => required.every(capability => agent.capabilities.includes(capability)))) {
+      errors.push({ path: [...taskPath, 'requiredCapabilities'], message: `no declared agent has all of: ${required.join(', ')}` });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a task file on disk
+ * @param {string} filePath - Path to a .json, .yaml or .yml task file
+ * @returns {Object} Result ({ file, valid, errors, definition })
+ *   errors are { file, line, path, message }; definition is the normalized
+ *   task definition when the file is valid
+ */
+function validateTaskFile(filePath) {
+  let raw;
+  try {
+    raw = readTaskDocument(filePath);
+  } catch (error) {
+    if (error.message.startsWith('Task file not found')) {
+      throw error;
+    }
+    return {
+      file: filePath,
+      valid: false,
+      errors: [{ file: filePath, line: error.line, path: '$', message: error.message }],
+      definition: null
+    };
+  }
+
+  const lines = locateNodes(raw.content);
+  let problems = validateTaskDocument(raw.doc);
+  if (problems.length === 0) {
+    problems = [...validateTaskGraph(raw.doc), ...validateAgentRoster(raw.doc)];
+  }
+
+  const errors = problems.map(error => ({
+    file: filePath,
+    line: findLine(lines, error.path),
+    path: formatPath(error.path),
+    message: error.message
+  })).sort((a, b) => (a.line || 0) - (b.line || 0));
+
+  return {
+    file: filePath,
+    valid: errors.length === 0,
+    errors,
+    definition: errors.length === 0 ? normalizeTaskDocument(raw.doc) : null
+  };
+}
+
+/**
+ * Format a validation error as "file:line path message"
+ * @param {Object} error - Validation error
+ * @returns {string} Formatted error
+ */
+function formatValidationError(error) {
+  const location = error.line !== undefined ? `${error.file}:${error.line}` : error.file;
+  return `${location}  ${error.path}  ${error.message}`;
+}
+
+module.exports = {
+  validateTaskFile,
+  validateTaskDocument,
+  validateTaskGraph,
+  validateAgentRoster,
+  formatValidationError,
+  locateNodes,
+  SCHEMA_VERSION
+};
@@ -0,0 +1,237 @@
+/**
+ * Isolated workspaces for cloud-dispatched tasks
+ *
+ * Each task runs in its own git worktree of the device's repository (or a
+ * scratch clone when the task names a repository URL), so tasks never touch
+ * the developer's checkout. The changes a task makes are captured as a patch
+ * against the commit it started from.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const execFileAsync = promisify(execFile);
+
+const KEEP_POLICIES = ['never', 'failed', 'always'];
+const DEFAULT_RETENTION_HOURS = 24;
+const MAX_PATCH_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Where task workspaces live
+ */
+function getWorkspacesDir() {
+  return path.join(os.homedir(), '.repochief', 'worktrees');
+}
+
+async function git(args, cwd) {
+  const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 });
+  return stdout;
+}
+
+/**
+ * Check a --keep-worktrees policy
+ */
+function parseKeepPolicy(value = 'failed') {
+  if (!KEEP_POLICIES.includes(value)) {
+    throw new Error(`Invalid worktree policy "${value}" (expected ${KEEP_POLICIES.join(', ')})`);
+  }
+  return value;
+}
+
+/**
+ * Turn a task id into something safe for a directory name
+ */
+function toDirName(taskId) {
+  return String(taskId).replace(/[^a-zA-Z0-9._-]/g, '_').slice(0, 64);
+}
+
+function writeMeta(workspace) {
+  fs.writeFileSync(`${workspace.path}.json`, JSON.stringify(workspace, null, 2));
+}
+
+/**
+ * Create an isolated workspace for a task
+ *
+ * Uses task.repository (a clone URL) when set, otherwise a detached worktree
+ * of repoPath. task.baseRef / task.branch pick the starting point (default
+ * HEAD of repoPath, or the remote's default branch for clones).
+ *
+ * @param {Object} task - Cloud task
+ * @param {Object} options
+ * @param {string} options.repoPath - Local repository to branch worktrees from
+ * @param {string} options.baseDir - Where workspaces are created
+ * @returns {Promise<Object>} Workspace { taskId, path, type, repoPath, baseCommit, createdAt }
+ */
+async function createTaskWorkspace(task, { repoPath = process.cwd(), baseDir = getWorkspacesDir() } = {}) {
+  const ref = task.baseRef || task.branch || null;
+  const workspacePath = path.join(baseDir, `${toDirName(task.id)}-${Date.now()}`);
+  fs.mkdirSync(baseDir, { recursive: true });
+
+  let workspace;
+  if (task.repository) {
+    const args = ['clone', '--quiet', '--no-tags'];
+    if (ref) {
+      args.push('--branch', ref);
+    }
+    await git([...args, task.repository, workspacePath], baseDir);
+    workspace = { type: 'clone', repoPath: task.repository };
+  } else {
+    let root;
+    try {
+      root = (await git(['rev-parse', '--show-toplevel'], repoPath)).trim();
+    } catch (error) {
+      throw new Error(`${path.resolve(repoPath)} is not a git repository (tasks run in a worktree of it; pass --repo)`);
+    }
+    await git(['worktree', 'add', '--detach', '--quiet', workspacePath, ref || 'HEAD'], root);
+    workspace = { type: 'worktree', repoPath: root };
+  }
+
+  workspace = {
+    taskId: task.id,
+    path: workspacePath,
+    ...workspace,
+    baseCommit: (await git(['rev-parse', 'HEAD'], workspacePath)).trim(),
+    createdAt: new Date().toISOString(),
+    status: 'running'
+  };
+  writeMeta(workspace);
+  return workspace;
+}
+
+/**
+ * Capture everything the task changed (commits, edits and new files) as a
+ * patch against the commit it started from
+ * @returns {Promise<Object>} Patch { format, baseCommit, files, insertions, deletions, content, truncated }
+ */
+async function captureWorkspacePatch(workspace, { maxBytes = MAX_PATCH_BYTES } = {}) {
+  // Stage in the workspace's own index so new files are included
+  await git(['add', '--all'], workspace.path);
+  const content = await git(['diff', '--cached', '--binary', workspace.baseCommit], workspace.path);
+  const numstat = await git(['diff', '--cached', '--numstat', workspace.baseCommit], workspace.path);
+
+  const files = [];
+  let insertions = 0;
+  let deletions = 0;
+  numstat.split('\n').filter(Boolean).forEach(line => {
+    const [added, removed, file] = line.split('\t');
+    files.push(file);
+    insertions += parseInt(added) || 0;
+    deletions += parseInt(removed) || 0;
+  });
+
+  const patchFile = `${workspace.path}.patch`;
+  fs.writeFileSync(patchFile, content);
+
+  const tooLarge = Buffer.byteLength(content) > maxBytes;
+  return {
+    format: 'git-diff',
+    baseCommit: workspace.baseCommit,
+    files,
+    insertions,
+    deletions,
+    content: tooLarge ? null : content,
+    truncated: tooLarge,
+    localPath: patchFile
+  };
+}
+
+/**
+ * Remove a workspace (its saved patch and metadata go with it)
+ */
+async function removeTaskWorkspace(workspace) {
+  if (workspace.type === 'worktree' && fs.existsSync(workspace.repoPath)) {
+    try {
+      await git(['worktree', 'remove', '--force', workspace.path], workspace.repoPath);
+    } catch (error) {
+      // Fall through to deleting the directory and pruning
+    }
+  }
+  fs.rmSync(workspace.path, { recursive: true, force: true });
+  fs.rmSync(`${workspace.path}.json`, { force: true });
+  fs.rmSync(`${workspace.path}.patch`, { force: true });
+  if (workspace.type === 'worktree' && fs.existsSync(workspace.repoPath)) {
+    await git(['worktree', 'prune'], workspace.repoPath).catch(() => {});
+  }
+}
+
+/**
+ * Apply the keep policy once a task has finished
+ * @param {Object} workspace - Workspace from createTaskWorkspace
+ * @param {string} status - 'completed' or 'failed'
+ * @param {string} keep - never, failed or always
+ * @returns {Promise<boolean>} Whether the workspace was kept
+ */
+async function releaseTaskWorkspace(workspace, status, keep = 'failed') {
+  const kept = keep === 'always' || (keep === 'failed' && status !== 'completed');
+  if (!kept) {
+    await removeTaskWorkspace(workspace);
+    return false;
+  }
+  writeMeta({ ...workspace, status, finishedAt: new Date().toISOString() });
+  return true;
+}
+
+/**
+ * Workspaces left on disk, oldest first
+ */
+function listTaskWorkspaces(baseDir = getWorkspacesDir()) {
+  if (!fs.existsSync(baseDir)) {
+    return [];
+  }
+  return fs.readdirSync(baseDir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(baseDir, name), 'utf8'));
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Remove finished workspaces older than the retention period
+ *
+ * Running workspaces are left alone unless their task is not in runningIds
+ * (left over from a poller that crashed), in which case they are treated as
+ * finished.
+ *
+ * @returns {Promise<Array<Object>>} Removed workspaces
+ */
+async function pruneTaskWorkspaces({
+  retentionHours = DEFAULT_RETENTION_HOURS,
+  runningIds = new Set(),
+  baseDir = getWorkspacesDir(),
+  now = new Date()
+} = {}) {
+  const cutoff = now.getTime() - retentionHours * 60 * 60 * 1000;
+  const removed = [];
+  for (const workspace of listTaskWorkspaces(baseDir)) {
+    if (runningIds.has(workspace.taskId)) {
+      continue;
+    }
+    const finishedAt = new Date(workspace.finishedAt || workspace.createdAt).getTime();
+    if (finishedAt <= cutoff) {
+      await removeTaskWorkspace(workspace);
+      removed.push(workspace);
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  KEEP_POLICIES,
+  DEFAULT_RETENTION_HOURS,
+  getWorkspacesDir,
+  parseKeepPolicy,
+  createTaskWorkspace,
+  captureWorkspacePatch,
+  removeTaskWorkspace,
+  releaseTaskWorkspace,
+  listTaskWorkspaces,
+  pruneTaskWorkspaces
+};
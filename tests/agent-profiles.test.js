@@ -0,0 +1,96 @@
+/**
+ * Agent profile tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  loadAgentProfiles,
+  getAgentTemplates,
+  findAgentProfile,
+  saveAgentProfile,
+  validateAgentProfile
+} = require('../src/utils/agent-profiles');
+
+describe('Agent Profiles', () => {
+  const builtins = {
+    SENIOR_DEVELOPER: { role: 'code_generator', model: 'gpt-4o', capabilities: ['generation'], constraints: { temperature: 0.7 } }
+  };
+  let tempDir;
+  let originalHome;
+  
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-profiles-'));
+    originalHome = process.env.HOME;
+    process.env.HOME = path.join(tempDir, 'home');
+  });
+  
+  afterEach(() => {
+    process.env.HOME = originalHome;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  const profile = { name: 'my-expert', model: 'gpt-4o-mini', capabilities: ['generation', 'refactoring'] };
+  
+  it('should merge project and user profiles over built-ins', () => {
+    saveAgentProfile(profile, { scope: 'user' });
+    saveAgentProfile({ ...profile, model: 'gpt-4o' }, { scope: 'project', cwd: tempDir });
+    
+    const { profiles, invalid } = loadAgentProfiles(builtins, { cwd: tempDir });
+    
+    expect([...profiles.keys()]).to.deep.equal(['SENIOR_DEVELOPER', 'my-expert']);
+    expect(profiles.get('SENIOR_DEVELOPER').origin).to.equal('built-in');
+    expect(profiles.get('my-expert')).to.include({ origin: 'project', overrides: 'user' });
+    expect(profiles.get('my-expert').profile.model).to.equal('gpt-4o');
+    expect(invalid).to.deep.equal([]);
+  });
+  
+  it('should leave out invalid and unreadable profiles', () => {
+    saveAgentProfile(profile, { scope: 'project', cwd: tempDir });
+    fs.writeFileSync(path.join(tempDir, 'agents', 'broken.json'), JSON.stringify({ name: 'broken' }));
+    fs.writeFileSync(path.join(tempDir, 'agents', 'garbled.json'), '{ "name": ');
+    // A broken override must not hide the built-in
+    fs.writeFileSync(path.join(tempDir, 'agents', 'SENIOR_DEVELOPER.json'), JSON.stringify({ name: 'SENIOR_DEVELOPER' }));
+    
+    const { profiles, invalid } = loadAgentProfiles(builtins, { cwd: tempDir });
+    
+    expect([...profiles.keys()]).to.deep.equal(['SENIOR_DEVELOPER', 'my-expert']);
+    expect(profiles.get('SENIOR_DEVELOPER').origin).to.equal('built-in');
+    expect(invalid.map(entry => entry.name)).to.deep.equal(['SENIOR_DEVELOPER', 'broken', 'garbled']);
+    expect(invalid[2].errors[0]).to.match(/^Invalid JSON/);
+  });
+  
+  it('should reject invalid profiles', () => {
+    const errors = validateAgentProfile({ name: 'x', model: 'gpt-4o', capabilities: [], constraints: { temperature: 3 } }, '/agents/y.json');
+    
+    expect(errors).to.deep.equal([
+      '$.capabilities must contain at least 1 item(s)',
+      '$.constraints.temperature must be <= 2',
+      '$.name must match the file name (expected "y")'
+    ]);
+  });
+  
+  it('should not save an invalid profile', () => {
+    expect(() => saveAgentProfile({ name: 'x' }, { scope: 'project', cwd: tempDir })).to.throw('Invalid agent profile');
+    expect(fs.existsSync(path.join(tempDir, 'agents'))).to.equal(false);
+  });
+  
+  it('should save to an explicit file', () => {
+    const filePath = path.join(tempDir, 'shared', 'my-expert.json');
+    expect(saveAgentProfile(profile, { path: filePath })).to.equal(filePath);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).to.deep.equal(profile);
+  });
+  
+  it('should find built-ins by their kebab-case name', () => {
+    saveAgentProfile(profile, { scope: 'user' });
+    const { profiles } = loadAgentProfiles(builtins, { cwd: tempDir });
+    
+    expect(findAgentProfile(profiles, 'senior-developer').name).to.equal('SENIOR_DEVELOPER');
+    expect(findAgentProfile(profiles, 'my-expert').origin).to.equal('user');
+    expect(findAgentProfile(profiles, 'nobody')).to.equal(undefined);
+    expect(getAgentTemplates(builtins, { cwd: tempDir })['my-expert']).to.deep.equal(profile);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Capability probe tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  commandProbe,
+  registerProbe,
+  getProbes,
+  loadProbePlugins,
+  getApiKeyProviders,
+  detectCapabilities
+} = require('../src/utils/capability-probes');
+
+describe('Capability Probes', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-probes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const detectOne = async (probe, cwd = tempDir) => (await detectCapabilities({ probes: [probe], cwd })).tools[0] || null;
+  const registered = id => getProbes().find(probe => probe.id === id);
+
+  it('should report the Node.js runtime it runs on', async () => {
+    expect(await detectOne(registered('node'))).to.deep.equal({ name: 'Node.js', version: process.versions.node, type: 'node', category: 'runtime' });
+  });
+
+  it('should read test framework versions from the repository\'s package.json', async () => {
+    fs.writeFileSync(path.join(tempDir, 'package.json'), JSON.stringify({
+      dependencies: { vitest: '~1.6.0' },
+      devDependencies: { mocha: '^10.2.0' }
+    }));
+
+    expect((await detectOne(registered('mocha'))).version).to.equal('10.2.0');
+    expect((await detectOne(registered('vitest'))).version).to.equal('1.6.0');
+    expect(await detectOne(registered('jest'))).to.equal(null);
+    expect(await detectOne(registered('mocha'), path.join(tempDir, 'elsewhere'))).to.equal(null);
+  });
+
+  it('should take versions from a command\'s output', async () => {
+    const printing = text => commandProbe('tool', 'Tool', 'runtime', process.execPath, ['-e', `console.log(${JSON.stringify(text)})`]);
+
+    expect(await detectOne(printing('tool version v1.2.3-beta.1 (build 7)'))).to.include({ version: '1.2.3-beta.1', category: 'runtime' });
+    expect(await detectOne(printing('tool, no version'))).to.include({ version: 'unknown' });
+    expect(await detectOne(commandProbe('missing', 'Missing', 'runtime', 'repochief-no-such-tool'))).to.equal(null);
+  });
+
+  it('should keep a failing probe to its own result', async () => {
+    const probes = [
+      registered('node'),
+      { id: 'broken', name: 'Broken', category: 'other', detect: async () => { throw new Error('boom'); } }
+    ];
+
+    const detected = await detectCapabilities({ probes, cwd: tempDir });
+
+    expect(detected.capabilities).to.deep.equal(['node']);
+    expect(detected.warnings).to.deep.equal([]);
+  });
+
+  it('should warn when tmux is missing', async () => {
+    const detected = await detectCapabilities({ probes: [{ id: 'tmux', name: 'tmux', category: 'terminal', detect: async () => null }] });
+
+    expect(detected.warnings).to.deep.equal(['tmux not found - required for AI tool orchestration']);
+  });
+
+  it('should report hardware and API key providers, never the keys', async () => {
+    const detected = await detectCapabilities({ probes: [] });
+
+    expect(detected.hardware).to.include({ cpus: os.cpus().length, platform: os.platform(), arch: os.arch() });
+    expect(detected.hardware.memory).to.be.above(0);
+    expect(getApiKeyProviders({ OPENAI_API_KEY: 'x', GEMINI_API_KEY: 'y', ANTHROPIC_API_KEY: '' })).to.deep.equal(['openai', 'google']);
+    expect(JSON.stringify(getApiKeyProviders({ OPENAI_API_KEY: 'sk-secret' }))).to.not.include('sk-secret');
+  });
+
+  it('should register probes from plugin modules', async () => {
+    fs.writeFileSync(path.join(tempDir, 'gpu.js'), `module.exports = {
+      id: 'test-gpu', name: 'Test GPU', category: 'hardware',
+      detect: async () => ({ version: '12.4' })
+    };`);
+    fs.writeFileSync(path.join(tempDir, 'pair.js'), `module.exports = [
+      { id: 'test-one', detect: async () => ({ version: '1.0' }) },
+      { id: 'test-two', detect: async () => null }
+    ];`);
+
+    expect(loadProbePlugins(tempDir)).to.deep.equal([]);
+
+    expect(await detectOne(registered('test-gpu'))).to.deep.equal({ name: 'Test GPU', version: '12.4', type: 'test-gpu', category: 'hardware' });
+    expect(await detectOne(registered('test-one'))).to.deep.equal({ name: 'test-one', version: '1.0', type: 'test-one', category: 'other' });
+    expect(registered('test-two')).to.include({ category: 'other' });
+  });
+
+  it('should report plugin modules it cannot load', () => {
+    fs.writeFileSync(path.join(tempDir, 'bad.js'), 'module.exports = { name: "no id" };');
+    fs.writeFileSync(path.join(tempDir, 'syntax.js'), 'module.exports = {');
+    fs.writeFileSync(path.join(tempDir, 'notes.txt'), 'not a module');
+
+    const problems = loadProbePlugins(tempDir);
+
+    expect(problems).to.have.length(2);
+    expect(problems[0]).to.match(/^bad\.js: .*needs an id/);
+    expect(problems[1]).to.match(/^syntax\.js: /);
+    expect(loadProbePlugins(path.join(tempDir, 'missing'))).to.deep.equal([]);
+    expect(() => registerProbe({ id: 'x' })).to.throw(/detect\(\) function/);
+  });
+});
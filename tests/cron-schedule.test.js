@@ -0,0 +1,76 @@
+/**
+ * Cron firing time tests
+ */
+
+const { expect } = require('chai');
+
+const {
+  getFireTimes,
+  getNextFireTime,
+  getShortestInterval,
+  getLocalTimezone,
+  parseCronExpression,
+  parseTimezone
+} = require('../src/utils/cron-schedule');
+const { planScheduleChanges } = require('../src/utils/schedule-file');
+
+describe('Cron Schedule', () => {
+  const after = new Date('2026-03-27T00:00:00Z');
+  const iso = times => times.map(time => time.toISOString());
+
+  it('should list firing times in a timezone across a daylight saving change', () => {
+    const berlin = getFireTimes('0 9 * * 1-5', { after, limit: 3, timezone: 'Europe/Berlin' });
+
+    // Berlin moves to summer time on March 29th, so 9:00 is 08:00 UTC before and 07:00 UTC after
+    expect(iso(berlin)).to.deep.equal([
+      '2026-03-27T08:00:00.000Z',
+      '2026-03-30T07:00:00.000Z',
+      '2026-03-31T07:00:00.000Z'
+    ]);
+    expect(getNextFireTime('30 23 * * *', { after, timezone: 'America/New_York' }).toISOString())
+      .to.equal('2026-03-27T03:30:00.000Z');
+  });
+
+  it('should list firing times after the start and up to the end of a window', () => {
+    const times = getFireTimes('*/15 * * * *', { after, until: new Date('2026-03-27T00:45:00Z'), timezone: 'UTC' });
+
+    expect(iso(times)).to.deep.equal([
+      '2026-03-27T00:15:00.000Z',
+      '2026-03-27T00:30:00.000Z',
+      '2026-03-27T00:45:00.000Z'
+    ]);
+    expect(getFireTimes('0 12 * * *', { after, until: new Date('2026-03-27T11:59:00Z'), timezone: 'UTC' })).to.deep.equal([]);
+    expect(getNextFireTime('0 12 * * *', { after: new Date('2026-03-27T11:59:30Z'), timezone: 'UTC' }).toISOString())
+      .to.equal('2026-03-27T12:00:00.000Z');
+  });
+
+  it('should reject expressions that are not five valid fields', () => {
+    expect(parseCronExpression('  0 2 * * *  ')).to.equal('0 2 * * *');
+    expect(() => parseCronExpression('0 0 9 * * *')).to.throw(/minute hour day month weekday/);
+    expect(() => parseCronExpression('0 25 * * *')).to.throw('Invalid cron expression "0 25 * * *"');
+    expect(() => parseCronExpression()).to.throw(/Invalid cron expression/);
+    expect(() => getFireTimes('nightly', { after })).to.throw(/Invalid cron expression "nightly"/);
+  });
+
+  it('should reject unknown timezones', () => {
+    expect(parseTimezone('Asia/Tokyo')).to.equal('Asia/Tokyo');
+    expect(() => parseTimezone('Mars/Olympus')).to.throw(/Unknown timezone "Mars\/Olympus"/);
+    expect(getLocalTimezone()).to.be.a('string');
+  });
+
+  it('should find the shortest gap between runs', () => {
+    const monday = new Date('2026-01-05T00:00:00Z');
+    expect(getShortestInterval('*/20 * * * *', { after: monday })).to.equal(20);
+    expect(getShortestInterval('0 9,17 * * 1-5', { after: monday })).to.equal(8 * 60);
+    expect(getShortestInterval('0 9 * * 1', { after: monday })).to.equal(7 * 24 * 60);
+    expect(getShortestInterval('0 0 1 * *', { after: monday })).to.equal(null);
+  });
+
+  it('should plan timezone changes only when the file gives one', () => {
+    const desired = { name: 'audit', template: 'security-audit', project_id: 'p1', cron: '0 2 * * *', config: {}, enabled: true };
+    const existing = { id: 's1', name: 'audit', template: 'security-audit', project_id: 'p1', cron_expression: '0 2 * * *', timezone: 'UTC', is_active: true };
+
+    expect(planScheduleChanges([{ ...desired, timezone: null }], [existing])).to.deep.equal([]);
+    expect(planScheduleChanges([{ ...desired, timezone: 'Asia/Tokyo' }], [existing])[0].body).to.deep.equal({ timezone: 'Asia/Tokyo' });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Device policy tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadDevicePolicy, evaluateTask, applyTokenLimit, parseDuration, matchesPattern } = require('../src/utils/device-policy');
+
+describe('Device Policy', () => {
+  let tempDir;
+
+  const writePolicy = (content) => {
+    const file = path.join(tempDir, 'device-policy.yaml');
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-policy-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const acceptPolicy = () => loadDevicePolicy(writePolicy(`
+accept:
+  taskTypes: [generation, validation]
+  adapters: [claude-code]
+  repositories: ["github.com/acme/*", "/work/*"]
+  maxBudget: 5
+limits:
+  timeout: 30m
+  maxTokens: 1000
+`));
+  const base = { id: 't', type: 'generation', repository: 'https://github.com/acme/api.git', budget: 2 };
+
+  it('should accept tasks inside the policy', () => {
+    const policy = acceptPolicy();
+
+    expect(evaluateTask(base, policy)).to.deep.include({ accepted: true, reason: null, budget: 2, approvalReasons: [] });
+    expect(evaluateTask({ ...base, repository: 'git@github.com:acme/web.git' }, policy).accepted).to.equal(true);
+    expect(policy.path).to.equal(path.join(tempDir, 'device-policy.yaml'));
+  });
+
+  it('should reject tasks of other types or adapters', () => {
+    const policy = acceptPolicy();
+
+    expect(evaluateTask({ ...base, type: 'exploration' }, policy).reason)
+      .to.equal('Task type "exploration" is not accepted by this device (allowed: generation, validation)');
+    expect(evaluateTask({ ...base, adapterType: 'aider' }, policy)).to.include({
+      accepted: false,
+      reason: 'Adapter "aider" is not accepted by this device (allowed: claude-code)'
+    });
+  });
+
+  it('should match repositories by pattern, falling back to the local checkout', () => {
+    const policy = acceptPolicy();
+
+    expect(evaluateTask({ ...base, repository: 'git@github.com:other/api.git' }, policy).reason)
+      .to.equal('Repository "github.com/other/api" is not accepted by this device');
+    expect(evaluateTask({ ...base, repository: undefined }, policy, { repoPath: '/work/api' }).accepted).to.equal(true);
+    expect(evaluateTask({ ...base, repository: undefined }, policy).reason)
+      .to.equal('Repository "unknown" is not accepted by this device');
+    expect(matchesPattern('github.com/acme/a.b', 'github.com/acme/a.b')).to.equal(true);
+    expect(matchesPattern('github.com/acme/aXb', 'github.com/acme/a.b')).to.equal(false);
+  });
+
+  it('should cap budgets at the device maximum', () => {
+    const policy = acceptPolicy();
+
+    expect(evaluateTask({ ...base, budget: 8 }, policy).reason).to.equal('Budget $8 is above this device\'s limit of $5');
+    expect(evaluateTask({ ...base, budget: undefined }, policy).budget).to.equal(5);
+    expect(evaluateTask({ ...base, budget: undefined, maxBudget: 3 }, policy).budget).to.equal(3);
+  });
+
+  it('should lower task token limits to the device limit', () => {
+    const policy = acceptPolicy();
+
+    expect(policy.limits).to.deep.equal({ timeout: 30 * 60 * 1000, maxTokens: 1000 });
+    expect(evaluateTask(base, policy).limits).to.equal(policy.limits);
+    expect(applyTokenLimit({ maxTokens: 4000 }, 1000).maxTokens).to.equal(1000);
+    expect(applyTokenLimit({ maxTokens: 500 }, 1000).maxTokens).to.equal(500);
+    expect(applyTokenLimit({}, 1000).maxTokens).to.equal(1000);
+    expect(applyTokenLimit({ maxTokens: 4000 }, null).maxTokens).to.equal(4000);
+  });
+
+  it('should flag tasks for approval with every reason', () => {
+    const policy = loadDevicePolicy(writePolicy(`
+approval:
+  taskTypes: [generation]
+  budgetAbove: 2
+  labels: [production]
+  timeout: 90s
+`));
+    const decision = evaluateTask({ id: 't', type: 'generation', budget: 3, labels: ['production'], flagged: true }, policy);
+
+    expect(decision.approvalReasons).to.deep.equal([
+      'flagged by the cloud',
+      'task type "generation"',
+      'budget $3 is above $2',
+      'labelled production'
+    ]);
+    expect(decision.approvalTimeout).to.equal(90000);
+    expect(evaluateTask({ id: 't', type: 'validation' }, policy).approvalReasons).to.deep.equal([]);
+  });
+
+  it('should ask for approval of every task when required', () => {
+    const policy = loadDevicePolicy(writePolicy('approval:\n  required: true\n'));
+    const decision = evaluateTask({ id: 't', type: 'validation' }, policy);
+
+    expect(decision.approvalReasons).to.deep.equal(['all tasks need approval']);
+    expect(decision.approvalTimeout).to.equal(10 * 60 * 1000);
+  });
+
+  it('should accept everything without a policy', () => {
+    const open = loadDevicePolicy(path.join(tempDir, 'missing.yaml'));
+
+    expect(open).to.include({ path: null, mtime: null });
+    expect(evaluateTask({ id: 't', type: 'anything', adapterType: 'aider', budget: 1000 }, open)).to.include({ accepted: true, budget: 1000 });
+    expect(loadDevicePolicy(writePolicy('')).limits).to.deep.equal({ timeout: null, maxTokens: null });
+  });
+
+  it('should name the key of an invalid setting', () => {
+    const invalid = content => () => loadDevicePolicy(writePolicy(content));
+
+    expect(invalid('limits:\n  maxTokens: lots\n')).to.throw(/Invalid device policy .*: limits.maxTokens: expected a positive number, got "lots"/);
+    expect(invalid('limits:\n  timeout: soon\n')).to.throw(/limits.timeout: invalid duration "soon"/);
+    expect(invalid('accept:\n  adapters: [1, 2]\n')).to.throw(/accept.adapters: expected a list of strings/);
+    expect(invalid('- a\n- b\n')).to.throw(/expected a mapping/);
+    expect(invalid('accept: [\n')).to.throw(/Invalid device policy/);
+  });
+
+  it('should parse durations in any unit', () => {
+    expect(['500ms', '90s', '1.5m', '2h'].map(value => parseDuration(value, 'timeout'))).to.deep.equal([500, 90000, 90000, 7200000]);
+    expect(parseDuration(30, 'timeout')).to.equal(30000);
+    expect(parseDuration(undefined, 'timeout')).to.equal(null);
+  });
+});
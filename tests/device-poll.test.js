@@ -0,0 +1,144 @@
+/**
+ * Device polling service tests (against the fake cloud)
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { pollForTasks } = require('../src/commands/device');
+const { APIClient } = require('../src/utils/api-client');
+const { FakeCloudServer } = require('./helpers/fake-cloud-server');
+
+describe('Device Poll', () => {
+  let server;
+  let shutdown;
+  let tempDir;
+  let home;
+  let output;
+
+  const waitUntil = async (condition, timeout = 5000) => {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+      if (Date.now() > deadline) {
+        throw new Error('Timed out waiting for the poller');
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  const pendingPolls = () => server.requests.filter(request => /\/tasks\/pending$/.test(request.path));
+  const completed = id => server.statuses.some(status => status.taskId === id && status.status === 'completed');
+
+  const startServer = async (options) => {
+    server = new FakeCloudServer(options);
+    await server.start();
+  };
+
+  const startPolling = async (options = {}, services = {}) => {
+    shutdown = await pollForTasks({ interval: '20', repo: tempDir, ...options }, {
+      session: { deviceId: 'device-1', workspaceAuth: { workspace: { slug: 'acme' }, apiKey: 'key' } },
+      apiClient: new APIClient('device-token', { baseURL: server.url, maxRetries: 0 }),
+      detectCapabilities: async () => ({ capabilities: [], tools: [], hardware: {}, apiKeys: [] }),
+      executeTask: async task => ({
+        result: { output: `did ${task.id}` },
+        patch: { files: [], insertions: 0, deletions: 0 }
+      }),
+      ...services
+    });
+    expect(shutdown).to.be.a('function');
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-device-poll-'));
+    home = process.env.HOME;
+    process.env.HOME = tempDir;
+    output = [];
+    const collect = (...args) => output.push(args.join(' '));
+    sinon.stub(console, 'log').callsFake(collect);
+    sinon.stub(console, 'warn').callsFake(collect);
+    sinon.stub(console, 'error').callsFake(collect);
+    sinon.stub(process, 'exit');
+  });
+
+  afterEach(async () => {
+    if (shutdown) {
+      process.removeListener('SIGINT', shutdown);
+      await shutdown();
+      shutdown = null;
+    }
+    sinon.restore();
+    process.env.HOME = home;
+    if (server) {
+      await server.stop();
+      server = null;
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  [404, 405, 501].forEach(status => {
+    it(`should fall back to interval polling when the stream answers ${status}`, async () => {
+      await startServer({ stream: false, streamStatus: status });
+      await startPolling();
+
+      await waitUntil(() => output.some(line => line.includes('Task stream not available')));
+      server.queueTask({ id: `task-${status}`, type: 'generation', objective: 'Fix it' });
+
+      await waitUntil(() => completed(`task-${status}`));
+      await waitUntil(() => pendingPolls().length >= 3);
+      expect(server.requests.filter(request => /\/tasks\/stream$/.test(request.path))).to.have.length(1);
+    });
+  });
+
+  it('should claim tasks announced on the stream without waiting for the interval', async () => {
+    await startServer();
+    await startPolling({ interval: '60000' });
+
+    await waitUntil(() => output.some(line => line.includes('Task stream connected')));
+    await waitUntil(() => server.streams.size === 1);
+    const polls = pendingPolls().length;
+    server.queueTask({ id: 'task-1', type: 'generation', objective: 'Fix it' });
+
+    await waitUntil(() => completed('task-1'));
+    expect(pendingPolls().length).to.be.above(polls);
+  });
+
+  it('should keep polling with exponential backoff while the cloud fails', async () => {
+    await startServer({ stream: false });
+    server.failNext(5, /\/tasks\/pending$/);
+    server.queueTask({ id: 'task-1', type: 'generation', objective: 'Fix it' });
+    await startPolling();
+
+    // The old poller gave up after 5 errors in a row
+    await waitUntil(() => completed('task-1'));
+    expect(output.filter(line => line.includes('Polling error'))).to.have.length(5);
+    expect(process.exit.called).to.equal(false);
+
+    const times = pendingPolls().slice(0, 6).map(request => request.at);
+    const gaps = times.slice(1).map((time, index) => time - times[index]);
+    expect(gaps[4]).to.be.above(gaps[0] * 4);
+  });
+
+  it('should only claim as many tasks as there are free slots', async () => {
+    await startServer({ stream: false });
+    const running = new Map();
+    const executeTask = task => new Promise(resolve => {
+      running.set(task.id, () => resolve({ result: {}, patch: { files: [], insertions: 0, deletions: 0 } }));
+    });
+    ['task-1', 'task-2', 'task-3'].forEach(id => server.queueTask({ id, type: 'generation', objective: 'Fix it' }));
+    await startPolling({ concurrency: '2' }, { executeTask });
+
+    await waitUntil(() => running.size === 2);
+    expect(pendingPolls()[0].query).to.include({ limit: '2' });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(server.pending.map(task => task.id)).to.deep.equal(['task-3']);
+
+    running.get('task-1')();
+    await waitUntil(() => running.size === 3);
+    expect(pendingPolls().map(request => request.query.limit)).to.include('1');
+    running.forEach(finish => finish());
+    await waitUntil(() => ['task-1', 'task-2', 'task-3'].every(completed));
+  });
+});
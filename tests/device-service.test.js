@@ -0,0 +1,189 @@
+/**
+ * Device service tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+
+const {
+  RotatingLog,
+  readLogTail,
+  getRestartDelay,
+  buildSystemdUnit,
+  startStatusServer,
+  queryStatus,
+  getServicePaths,
+  readPid,
+  readState,
+  DeviceSupervisor
+} = require('../src/utils/device-service');
+
+describe('Device Service', () => {
+  let tempHome;
+  let originalHome;
+
+  beforeEach(() => {
+    tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-service-'));
+    originalHome = process.env.HOME;
+    process.env.HOME = tempHome;
+  });
+
+  afterEach(() => {
+    process.env.HOME = originalHome;
+    fs.rmSync(tempHome, { recursive: true, force: true });
+  });
+
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const readLog = () => fs.readFileSync(path.join(tempHome, 'service.log'), 'utf8');
+
+  // Supervisor with fake pollers that only exit when told to
+  const createSupervisor = () => {
+    const children = [];
+    const supervisor = new DeviceSupervisor({
+      log: new RotatingLog(path.join(tempHome, 'service.log')),
+      restartDelay: () => 10,
+      spawnPoller: (args) => {
+        const child = new EventEmitter();
+        child.pid = 1000 + children.length;
+        child.args = args;
+        child.signals = [];
+        child.kill = (signal) => {
+          child.signals.push(signal);
+          setImmediate(() => child.emit('exit', 0, null));
+        };
+        children.push(child);
+        return child;
+      }
+    });
+    return { supervisor, children };
+  };
+
+  it('should rotate the log and keep a fixed number of old files', () => {
+    const logFile = path.join(tempHome, 'logs', 'service.log');
+    const log = new RotatingLog(logFile, { maxBytes: 100, maxFiles: 2 });
+    for (let index = 0; index < 10; index++) {
+      log.write(`line ${index}\n`);
+    }
+    log.write('\n  \n');
+
+    expect(fs.existsSync(`${logFile}.1`)).to.equal(true);
+    expect(fs.existsSync(`${logFile}.2`)).to.equal(true);
+    expect(fs.existsSync(`${logFile}.3`)).to.equal(false);
+    expect(readLogTail(logFile, 1)[0]).to.match(/Z line 9$/);
+    expect(readLogTail(path.join(tempHome, 'missing.log'))).to.deep.equal([]);
+  });
+
+  it('should back off restarts up to five minutes', () => {
+    expect([1, 2, 3, 20].map(attempt => getRestartDelay(attempt))).to.deep.equal([1000, 2000, 4000, 300000]);
+    expect(getRestartDelay(3, { baseDelay: 10, maxDelay: 25 })).to.equal(25);
+  });
+
+  it('should build a systemd unit that runs the supervisor', () => {
+    const unit = buildSystemdUnit({ concurrency: 3 });
+    expect(unit).to.match(/ExecStart=.* device service run --concurrency 3\n/);
+    expect(unit).to.include('Restart=on-failure').and.to.include('KillMode=mixed');
+    expect(buildSystemdUnit({ keepWorktrees: 'always', worktreeRetention: 12 }))
+      .to.match(/device service run --keep-worktrees always --worktree-retention 12\n/);
+  });
+
+  it('should restart a crashed poller', async () => {
+    const { supervisor, children } = createSupervisor();
+
+    const finished = supervisor.start();
+    expect(children[0].args).to.include('--status-socket');
+    expect(readPid()).to.equal(process.pid);
+    children[0].emit('exit', 1, null);
+    await wait(30);
+
+    expect(children).to.have.length(2);
+    expect(supervisor.state).to.include({ restarts: 1, pollerPid: 1001 });
+    expect(readState().lastExit).to.include({ code: 1, signal: null });
+    expect(readLog()).to.include('Poller exited (code 1), restarting in 0s');
+
+    supervisor.stop();
+    await finished;
+    expect(children[1].signals).to.deep.equal(['SIGINT']);
+    expect(fs.existsSync(getServicePaths().pidFile)).to.equal(false);
+  });
+
+  it('should count a poller that cannot be spawned as one crash', async () => {
+    const { supervisor, children } = createSupervisor();
+
+    const finished = supervisor.start();
+    children[0].emit('error', new Error('spawn node ENOENT'));
+    children[0].emit('exit', -2, null);
+    await wait(30);
+
+    expect(children).to.have.length(2);
+    expect(supervisor.state).to.include({ restarts: 1, pollerPid: 1001 });
+    expect(readLog()).to.include('Poller failed to start: spawn node ENOENT');
+
+    supervisor.stop();
+    await finished;
+  });
+
+  it('should not restart a poller that exited on its own', async () => {
+    const { supervisor, children } = createSupervisor();
+
+    const finished = supervisor.start();
+    children[0].emit('exit', 0, null);
+    await finished;
+
+    expect(children).to.have.length(1);
+    expect(readLog()).to.include('Poller exited, not restarting');
+    expect(fs.existsSync(getServicePaths().pidFile)).to.equal(false);
+  });
+
+  it('should stop at once while waiting to restart', async () => {
+    const children = [];
+    const supervisor = new DeviceSupervisor({
+      log: new RotatingLog(path.join(tempHome, 'service.log')),
+      restartDelay: () => 60000,
+      spawnPoller: () => {
+        const child = Object.assign(new EventEmitter(), { pid: 1000 + children.length, kill() {} });
+        children.push(child);
+        return child;
+      }
+    });
+
+    const finished = supervisor.start();
+    children[0].emit('exit', null, 'SIGKILL');
+    expect(supervisor.state.nextRestartAt).to.be.a('string');
+    supervisor.stop();
+    await finished;
+
+    expect(children).to.have.length(1);
+    expect(readState().nextRestartAt).to.equal(null);
+    expect(readLog()).to.include('Poller exited (SIGKILL)').and.to.include('Service stopped');
+  });
+
+  it('should ignore a stale PID file', () => {
+    const { pidFile } = getServicePaths();
+    fs.mkdirSync(path.dirname(pidFile), { recursive: true });
+    fs.writeFileSync(pidFile, '2147483646');
+
+    expect(readPid()).to.equal(null);
+    expect(readState()).to.equal(null);
+  });
+
+  it('should answer status requests on the socket', async () => {
+    const socketPath = process.platform === 'win32' ? getServicePaths().socketPath : path.join(tempHome, 'status.sock');
+    expect(await queryStatus(socketPath)).to.equal(null);
+
+    let status = () => ({ slots: { active: 1, total: 2 } });
+    const server = await startStatusServer(() => status(), socketPath);
+    try {
+      expect(await queryStatus(socketPath)).to.deep.equal({ slots: { active: 1, total: 2 } });
+
+      status = () => {
+        throw new Error('pool not ready');
+      };
+      expect(await queryStatus(socketPath)).to.deep.equal({ error: 'pool not ready' });
+    } finally {
+      server.close();
+    }
+  });
+});
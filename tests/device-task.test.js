@@ -0,0 +1,130 @@
+/**
+ * Device cloud task execution tests (against an in-memory orchestrator)
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { FakeOrchestrator, installFakeCore, uninstallFakeCore, resetFakeCore } = require('./helpers/fake-core');
+
+describe('Device Task', () => {
+  let executeCloudTask;
+  let tempDir;
+  let repoPath;
+  let home;
+  let apiClient;
+  let context;
+
+  const git = (...args) => execFileSync('git', args, { cwd: repoPath, encoding: 'utf8' });
+
+  before(() => {
+    installFakeCore();
+    executeCloudTask = require('../src/commands/device').executeCloudTask;
+  });
+
+  after(() => {
+    uninstallFakeCore();
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-device-task-'));
+    home = process.env.HOME;
+    process.env.HOME = tempDir;
+    repoPath = path.join(tempDir, 'repo');
+    fs.mkdirSync(repoPath);
+    git('init', '--quiet');
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'one\n');
+    git('add', '.');
+    git('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '--quiet', '-m', 'init');
+
+    apiClient = { put: sinon.spy(async () => ({ data: {} })) };
+    context = { cleanup: [] };
+    resetFakeCore();
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'error');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    process.env.HOME = home;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const worktreesDir = () => path.join(tempDir, '.repochief', 'worktrees');
+
+  /**
+   * Run a task under the given policy limits; the fake model edits app.js
+   * in the task's workspace, then answers with `respond`
+   */
+  const execute = (task, limits = {}, respond = () => ({ output: 'done', tokensUsed: 100 })) => {
+    FakeOrchestrator.respond = queued => {
+      fs.writeFileSync(path.join(queued.workingDirectory, 'app.js'), 'two\n');
+      return respond(queued);
+    };
+    return executeCloudTask({ type: 'generation', objective: 'Fix it', ...task }, context, {
+      deviceId: 'device-1',
+      apiClient,
+      workspaceOptions: { repoPath, keep: 'failed' },
+      decision: { limits: { timeout: null, maxTokens: null, ...limits }, approvalReasons: [], budget: null }
+    });
+  };
+
+  it('should run the task in its own worktree and return its patch', async () => {
+    const { result, patch } = await execute({ id: 'task-1', adapterType: 'aider' });
+
+    expect(result).to.include({ output: 'done' });
+    expect(patch.files).to.deep.equal(['app.js']);
+    expect(fs.readFileSync(path.join(repoPath, 'app.js'), 'utf8')).to.equal('one\n');
+
+    const [orchestrator] = FakeOrchestrator.instances;
+    expect(orchestrator.options).to.include({ adapterType: 'aider', sessionName: 'device-device-1-task-1' });
+    expect(orchestrator.options.workingDirectory).to.not.equal(repoPath);
+    expect(orchestrator.agents[0].profile).to.include({ useAdapter: true, adapterType: 'aider' });
+    expect(apiClient.put.calledOnceWith('/tasks/task-1/status', { status: 'running', deviceId: 'device-1' })).to.equal(true);
+    expect(fs.readdirSync(worktreesDir())).to.deep.equal([]);
+  });
+
+  it('should pass the device token limit on to the task', async () => {
+    await execute({ id: 'task-1', maxTokens: 50000 }, { maxTokens: 2000 });
+    expect(FakeOrchestrator.instances[0].queue[0]).to.include({ maxTokens: 2000 });
+
+    resetFakeCore();
+    await execute({ id: 'task-2', maxTokens: 500 }, { maxTokens: 2000 });
+    expect(FakeOrchestrator.instances[0].queue[0]).to.include({ maxTokens: 500 });
+  });
+
+  it('should fail a task that used more tokens than the device allows and keep its patch', async () => {
+    const error = await execute({ id: 'task-1' }, { maxTokens: 2000 }, () => ({ output: 'done', tokensUsed: 5000 }))
+      .catch(failure => failure);
+
+    expect(error).to.be.instanceOf(Error);
+    expect(error.message).to.equal('Task used 5,000 tokens, over the device limit of 2,000');
+    expect(error.patch.files).to.deep.equal(['app.js']);
+    // Failed tasks keep their workspace for inspection
+    expect(fs.readdirSync(worktreesDir()).filter(name => name.endsWith('.json'))).to.have.length(1);
+  });
+
+  it('should stop waiting for a task that runs past the device time limit', async () => {
+    const started = Date.now();
+    const error = await execute({ id: 'task-1' }, { timeout: 500 }, () => new Promise(() => {}))
+      .catch(failure => failure);
+
+    expect(error.message).to.equal('Task exceeded the device time limit of 1s');
+    expect(Date.now() - started).to.be.below(5000);
+    expect(error.patch.files).to.deep.equal(['app.js']);
+  });
+
+  it('should report the orchestrator\'s error when the task fails', async () => {
+    const error = await execute({ id: 'task-1' }, {}, () => {
+      throw new Error('adapter crashed');
+    }).catch(failure => failure);
+
+    expect(error.message).to.equal('adapter crashed');
+    expect(error.patch.files).to.deep.equal(['app.js']);
+    expect(error.rejected).to.equal(undefined);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Device worker pool tests
+ */
+
+const { expect } = require('chai');
+
+const { DeviceWorkerPool, parseConcurrency } = require('../src/utils/device-worker-pool');
+
+describe('Device Worker Pool', () => {
+  const deferred = () => {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    return { promise, resolve, reject };
+  };
+
+  // Pool whose tasks run until resolved by hand through `pending`
+  const createManualPool = (concurrency = 2) => {
+    const pending = new Map();
+    const pool = new DeviceWorkerPool({
+      concurrency,
+      executeTask: (task, context) => {
+        pending.set(task.id, { ...deferred(), context });
+        return pending.get(task.id).promise;
+      }
+    });
+    return { pool, pending };
+  };
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  it('should run tasks side by side up to the concurrency limit', async () => {
+    const { pool, pending } = createManualPool();
+
+    expect(pool.run({ id: 'a' })).to.equal(true);
+    expect(pool.run({ id: 'b' })).to.equal(true);
+    expect(pool.run({ id: 'c' })).to.equal(false);
+    expect(pool.getSlots()).to.deep.equal({ total: 2, active: 2, free: 0, tasks: ['a', 'b'] });
+
+    await tick();
+    pending.get('a').resolve('done');
+    await new Promise(resolve => pool.once('taskFinished', resolve));
+    await tick();
+
+    expect(pool.getSlots()).to.include({ active: 1, free: 1 });
+    expect(pool.run({ id: 'c' })).to.equal(true);
+
+    await tick();
+    pending.get('b').resolve();
+    pending.get('c').resolve();
+    await pool.drain();
+    expect(pool.active).to.equal(0);
+  });
+
+  it('should never start the same task twice', async () => {
+    const { pool, pending } = createManualPool();
+
+    expect(pool.run({ id: 'a' })).to.equal(true);
+    expect(pool.run({ id: 'a' })).to.equal(false);
+    expect(pool.isRunning('a')).to.equal(true);
+
+    await tick();
+    expect([...pending.keys()]).to.deep.equal(['a']);
+    pending.get('a').resolve();
+    await pool.drain();
+    expect(pool.isRunning('a')).to.equal(false);
+  });
+
+  it('should keep failures to their own slot', async () => {
+    const pool = new DeviceWorkerPool({
+      concurrency: 2,
+      executeTask: async (task) => {
+        if (task.id === 'bad') {
+          throw new Error('adapter crashed');
+        }
+        return { output: task.id };
+      }
+    });
+    const events = [];
+    pool.on('taskFinished', ({ task, result }) => events.push(['finished', task.id, result.output]));
+    pool.on('taskFailed', ({ task, error }) => events.push(['failed', task.id, error.message]));
+
+    pool.run({ id: 'bad' });
+    pool.run({ id: 'good' });
+    await pool.drain();
+
+    expect(events).to.have.deep.members([
+      ['failed', 'bad', 'adapter crashed'],
+      ['finished', 'good', 'good']
+    ]);
+    expect(pool.free).to.equal(2);
+  });
+
+  it('should free the slot when a listener throws', async () => {
+    const pool = new DeviceWorkerPool({ concurrency: 1, executeTask: async () => 'done' });
+    pool.on('taskFinished', () => {
+      throw new Error('listener bug');
+    });
+    const idle = new Promise(resolve => pool.once('idle', resolve));
+
+    pool.run({ id: 'a' });
+    await idle;
+
+    expect(pool.free).to.equal(1);
+    expect(pool.run({ id: 'b' })).to.equal(true);
+    await pool.drain();
+  });
+
+  it('should run the cleanup of running tasks on abort', async () => {
+    const { pool, pending } = createManualPool();
+    const cleaned = [];
+    pool.run({ id: 'a' });
+    pool.run({ id: 'b' });
+    await tick();
+    pending.get('a').context.cleanup.push(() => cleaned.push('a'));
+    pending.get('b').context.cleanup.push(() => {
+      throw new Error('already gone');
+    }, () => cleaned.push('b'));
+
+    const stopped = await pool.abort();
+
+    expect(stopped.map(task => task.id)).to.deep.equal(['a', 'b']);
+    expect(cleaned.sort()).to.deep.equal(['a', 'b']);
+    pending.forEach(({ resolve }) => resolve());
+    await pool.drain();
+  });
+
+  it('should only accept a whole number of slots', () => {
+    expect(parseConcurrency('4')).to.equal(4);
+    expect(parseConcurrency(undefined)).to.equal(1);
+    expect(() => parseConcurrency('0')).to.throw(/Invalid concurrency "0"/);
+    expect(() => parseConcurrency('1.5')).to.throw(/Invalid concurrency/);
+    expect(() => parseConcurrency('many')).to.throw(/Invalid concurrency/);
+    expect(() => new DeviceWorkerPool({ concurrency: -1, executeTask: () => {} })).to.throw(/Invalid concurrency/);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Local stand-in for the cloud's device endpoints
+ *
+ * Serves the routes `device poll` uses (pending tasks, the task stream,
+ * heartbeats, task status and device updates) from memory, so delivery can be
+ * tested without the real API.
+ */
+
+const http = require('http');
+
+class FakeCloudServer {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.stream - Offer /devices/:id/tasks/stream
+   * @param {number} options.streamStatus - Status answered instead when not offered
+   */
+  constructor({ stream = true, streamStatus = 404 } = {}) {
+    this.stream = stream;
+    this.streamStatus = streamStatus;
+    this.pending = [];
+    this.statuses = [];
+    this.heartbeats = [];
+    this.requests = [];
+    this.failures = 0;
+    this.failPath = null;
+    this.streams = new Set();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  async stop() {
+    this.closeStreams();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Queue a task and announce it on open streams
+   */
+  queueTask(task) {
+    this.pending.push(task);
+    this.streams.forEach(res => res.write(`event: task\ndata: ${JSON.stringify({ id: task.id })}\n\n`));
+  }
+
+  /**
+   * Answer the next n requests (only those whose path matches, if given) with a 500
+   */
+  failNext(n, path = null) {
+    this.failures = n;
+    this.failPath = path;
+  }
+
+  /**
+   * Drop every open stream (as a restarting server would)
+   */
+  closeStreams() {
+    this.streams.forEach(res => res.destroy());
+    this.streams.clear();
+  }
+
+  handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    this.requests.push({
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      at: Date.now()
+    });
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const json = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+      if (this.failures > 0 && (!this.failPath || this.failPath.test(url.pathname))) {
+        this.failures--;
+        json(500, { error: 'Internal error' });
+        return;
+      }
+      const data = body ? JSON.parse(body) : {};
+
+      if (req.method === 'GET' && /^\/devices\/[^/]+\/tasks\/stream$/.test(url.pathname)) {
+        if (!this.stream) {
+          json(this.streamStatus, { error: 'Stream not available' });
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+        res.write(': connected\n\n');
+        this.streams.add(res);
+        res.on('close', () => this.streams.delete(res));
+        return;
+      }
+      if (req.method === 'GET' && /^\/devices\/[^/]+\/tasks\/pending$/.test(url.pathname)) {
+        const limit = parseInt(url.searchParams.get('limit')) || 1;
+        json(200, { tasks: this.pending.splice(0, limit) });
+        return;
+      }
+      if (req.method === 'PUT' && /^\/devices\/[^/]+\/heartbeat$/.test(url.pathname)) {
+        this.heartbeats.push(data);
+        json(200, { ok: true });
+        return;
+      }
+      if (req.method === 'PUT' && /^\/tasks\/[^/]+\/status$/.test(url.pathname)) {
+        this.statuses.push({ taskId: url.pathname.split('/')[2], ...data });
+        json(200, { ok: true });
+        return;
+      }
+      if (req.method === 'PATCH' && /^\/devices\/[^/]+$/.test(url.pathname)) {
+        json(200, { ok: true });
+        return;
+      }
+      json(404, { error: 'Not found' });
+    });
+  }
+}
+
+module.exports = { FakeCloudServer };
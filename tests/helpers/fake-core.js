@@ -0,0 +1,140 @@
+/**
+ * In-memory stand-in for @liftping/repochief-core
+ *
+ * Lets `run` be tested end to end without models: the orchestrator creates
+ * agents whose executeTask answers from `FakeOrchestrator.respond`, runs the
+ * queued tasks one by one and emits the same events as the real one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const EventEmitter = require('events');
+
+const CORE_MODULE = '@liftping/repochief-core';
+
+const AgentTemplates = {
+  ARCHITECT: { role: 'architect', model: 'claude-3-5-sonnet', capabilities: ['comprehension', 'exploration'] },
+  SENIOR_DEVELOPER: { role: 'code_generator', model: 'gpt-4o', capabilities: ['generation'] },
+  QA_ENGINEER: { role: 'qa', model: 'gpt-4o-mini', capabilities: ['validation'] }
+};
+
+const defaultResponse = task => ({ output: `did ${task.id}`, tokensUsed: 100, cost: 0.5 });
+
+class FakeOrchestrator extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.sessionName = options.sessionName;
+    this.agents = [];
+    this.queue = [];
+    this.results = [];
+    this.total = 0;
+    this.costTracker = {
+      getReport: () => ({ summary: { totalCost: this.total } })
+    };
+    FakeOrchestrator.instances.push(this);
+  }
+
+  async initialize() {}
+
+  async createAgent(profile) {
+    const agent = {
+      name: profile.name,
+      profile,
+      executeTask: async task => FakeOrchestrator.respond(task, agent)
+    };
+    this.agents.push(agent);
+    return agent;
+  }
+
+  async queueTask(task) {
+    this.queue.push(task);
+  }
+
+  async startExecution() {
+    this.done = (async () => {
+      for (const task of this.queue) {
+        const agent = this.agents.find(candidate => candidate.name === task.assignedAgent) || this.agents[0];
+        this.emit('taskAssigned', { task, agent });
+        try {
+          const result = await agent.executeTask(task);
+          this.results.push({ taskId: task.id, status: 'completed', result });
+          this.emit('taskCompleted', { task, result });
+          this.total += result.cost || 0;
+          this.emit('costUpdate', { total: this.total, cost: result.cost || 0 });
+        } catch (error) {
+          this.results.push({ taskId: task.id, status: 'failed', error: error.message });
+          this.emit('taskFailed', { task, error });
+        }
+      }
+    })();
+  }
+
+  waitForCompletion() {
+    return this.done;
+  }
+
+  getResults() {
+    return this.results;
+  }
+
+  async saveResults() {
+    const filePath = path.join(this.options.outputDir, `${this.sessionName}-results.json`);
+    fs.writeFileSync(filePath, JSON.stringify({ session: this.sessionName, tasks: this.results }, null, 2));
+    return filePath;
+  }
+
+  async shutdown() {}
+}
+
+FakeOrchestrator.instances = [];
+FakeOrchestrator.respond = defaultResponse;
+
+const fakeCore = {
+  AIAgentOrchestratorV2: FakeOrchestrator,
+  createOrchestrator: options => new FakeOrchestrator(options),
+  AgentTemplates
+};
+
+let originalResolve = null;
+
+/**
+ * Serve `require('@liftping/repochief-core')` from the fake
+ */
+function installFakeCore() {
+  if (originalResolve) {
+    return;
+  }
+  const fakePath = path.join(__dirname, '__fake-repochief-core__.js');
+  require.cache[fakePath] = { id: fakePath, filename: fakePath, loaded: true, exports: fakeCore };
+  originalResolve = Module._resolveFilename;
+  Module._resolveFilename = function (request, ...args) {
+    return request === CORE_MODULE ? fakePath : originalResolve.call(this, request, ...args);
+  };
+}
+
+/**
+ * Undo installFakeCore
+ */
+function uninstallFakeCore() {
+  if (originalResolve) {
+    Module._resolveFilename = originalResolve;
+    originalResolve = null;
+  }
+}
+
+/**
+ * Reset recorded orchestrators and the default response
+ */
+function resetFakeCore() {
+  FakeOrchestrator.instances = [];
+  FakeOrchestrator.respond = defaultResponse;
+}
+
+module.exports = {
+  FakeOrchestrator,
+  installFakeCore,
+  uninstallFakeCore,
+  resetFakeCore
+};
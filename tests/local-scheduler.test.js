@@ -0,0 +1,257 @@
+/**
+ * Local schedule runner tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { LocalScheduler, readScheduleHistory } = require('../src/utils/local-scheduler');
+const { loadScheduleFile, findScheduleFile, parseCatchUpPolicy } = require('../src/utils/schedule-file');
+
+describe('Local Scheduler', () => {
+  let tempDir;
+  let clock;
+
+  const createScheduler = (schedules, runSchedule, options = {}) => new LocalScheduler({
+    schedules,
+    projectDir: tempDir,
+    historyDir: path.join(tempDir, 'history'),
+    now: () => new Date(clock),
+    runSchedule,
+    ...options
+  });
+
+  const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-schedules-'));
+    clock = new Date(2026, 0, 5, 8, 59, 30).getTime();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const schedule = (name, cron, options = {}) => ({ name, cron, taskFile: `${name}.yaml`, args: [], timezone: null, catchUp: null, enabled: true, ...options });
+  const historyOf = name => readScheduleHistory(name, tempDir, path.join(tempDir, 'history'));
+
+  describe('schedule file', () => {
+    const writeSchedules = text => {
+      fs.writeFileSync(path.join(tempDir, 'repochief.schedules.yaml'), text);
+      return path.join(tempDir, 'repochief.schedules.yaml');
+    };
+
+    it('should load local schedules with task files resolved against the project', () => {
+      const filePath = writeSchedules(`
+schedules:
+  - name: audit
+    cron: "*/30 9 * * *"
+    taskFile: tasks/audit.yaml
+    args: [--budget, 5]
+    timezone: Europe/Berlin
+    catchUp: skip
+  - name: paused
+    cron: "* * * * *"
+    taskFile: tasks/other.yaml
+    enabled: false
+`);
+
+      expect(findScheduleFile(tempDir)).to.equal(filePath);
+      const { projectDir, schedules } = loadScheduleFile(filePath);
+      expect(projectDir).to.equal(tempDir);
+      expect(schedules[0]).to.deep.equal({
+        name: 'audit',
+        cron: '*/30 9 * * *',
+        taskFile: path.join(tempDir, 'tasks', 'audit.yaml'),
+        args: ['--budget', '5'],
+        timezone: 'Europe/Berlin',
+        catchUp: 'skip',
+        enabled: true
+      });
+      expect(schedules[1]).to.include({ catchUp: null, enabled: false });
+      expect(findScheduleFile(path.join(tempDir, 'history'))).to.equal(null);
+    });
+
+    it('should reject invalid entries', () => {
+      const entry = 'schedules:\n  - name: bad\n    cron: "0 2 * * *"\n    taskFile: x.yaml\n';
+      [
+        [entry.replace('0 2 * * *', 'every day'), /schedule "bad": Invalid cron expression/],
+        [entry.replace('    taskFile: x.yaml\n', ''), /schedule "bad": taskFile is required/],
+        [entry.replace('name: bad', 'name: nightly run'), /schedule "nightly run": name is required/],
+        [`${entry}    args: --budget 5\n`, /schedule "bad": args must be a list of strings/],
+        [`${entry}    catchUp: always\n`, /schedule "bad": Invalid catch-up policy "always"/],
+        [`${entry}    timezone: Mars/Olympus\n`, /schedule "bad": Unknown timezone/],
+        [entry + entry.replace('schedules:\n', ''), /schedule "bad" is defined twice/]
+      ].forEach(([text, error]) => {
+        expect(() => loadScheduleFile(writeSchedules(text))).to.throw(error);
+      });
+      expect(() => parseCatchUpPolicy('always')).to.throw('Invalid catch-up policy "always" (expected skip, once)');
+    });
+  });
+
+  it('should run due schedules and record them in the history', async () => {
+    const calls = [];
+    const scheduler = createScheduler([schedule('audit', '0 9 * * *')], async (due, { scheduledFor, trigger }) => {
+      calls.push(`${due.name}:${trigger}:${scheduledFor.getHours()}`);
+      return { exitCode: 0, log: 'run.log', report: { session: 's1', outputDir: 'out', cost: { total: 1.25 }, summary: { total: 2 } } };
+    });
+
+    scheduler.tick();
+    expect(calls).to.deep.equal([]);
+    clock += 60 * 1000; // 09:00:30
+    scheduler.tick();
+    await scheduler.stop();
+    await nextTick();
+
+    expect(calls).to.deep.equal(['audit:cron:9']);
+    const [run] = historyOf('audit').runs;
+    expect(run).to.include({ trigger: 'cron', outcome: 'completed', exitCode: 0, log: 'run.log', session: 's1', outputDir: 'out', cost: 1.25 });
+    expect(run.tasks).to.deep.equal({ total: 2 });
+    expect(run).to.not.have.property('missed');
+    expect(historyOf('audit').checkedAt).to.equal(new Date(2026, 0, 5, 9, 0).toISOString());
+  });
+
+  it('should skip a run while the previous one is still going', async () => {
+    let finish;
+    const calls = [];
+    const scheduler = createScheduler([schedule('audit', '*/30 9 * * *')], due => {
+      calls.push(due.name);
+      return new Promise(resolve => { finish = resolve; });
+    });
+    const skipped = [];
+    scheduler.on('skipped', ({ run }) => skipped.push(run));
+
+    scheduler.tick();
+    clock += 60 * 1000; // 09:00:30
+    scheduler.tick();
+    clock += 30 * 60 * 1000; // 09:30:30, first run still going
+    scheduler.tick();
+    await nextTick();
+
+    expect(calls).to.deep.equal(['audit']);
+    expect(skipped).to.have.length(1);
+    expect(skipped[0]).to.include({ outcome: 'skipped', reason: 'previous run still running' });
+
+    finish({ exitCode: 0 });
+    await scheduler.stop();
+    await nextTick();
+    expect(historyOf('audit').runs.map(run => run.outcome)).to.deep.equal(['skipped', 'completed']);
+  });
+
+  it('should leave out disabled schedules and times before a schedule was first seen', async () => {
+    const calls = [];
+    const scheduler = createScheduler([
+      schedule('paused', '* * * * *', { enabled: false }),
+      schedule('morning', '0 8 * * *')
+    ], async due => {
+      calls.push(due.name);
+      return { exitCode: 0 };
+    });
+
+    scheduler.tick();
+    clock += 60 * 1000;
+    scheduler.tick();
+    await scheduler.stop();
+
+    expect(calls).to.deep.equal([]);
+    expect(historyOf('paused').checkedAt).to.equal(null);
+    expect(historyOf('morning').runs).to.deep.equal([]);
+  });
+
+  it('should record failed runs and runs that could not start', async () => {
+    const scheduler = createScheduler([schedule('fails', '0 9 * * *'), schedule('broken', '0 9 * * *')], async due => {
+      if (due.name === 'broken') {
+        throw new Error('spawn ENOENT');
+      }
+      return { exitCode: 2, log: 'run.log', report: null };
+    });
+
+    scheduler.tick();
+    clock += 60 * 1000;
+    scheduler.tick();
+    await scheduler.stop();
+    await nextTick();
+
+    expect(historyOf('fails').runs[0]).to.include({ outcome: 'failed', exitCode: 2 });
+    expect(historyOf('fails').runs[0]).to.not.have.property('session');
+    expect(historyOf('broken').runs[0]).to.include({ outcome: 'error', error: 'spawn ENOENT' });
+    expect(historyOf('broken').runs[0].duration).to.be.a('number');
+  });
+
+  it('should catch up runs missed while the machine slept according to the policy', async () => {
+    const calls = [];
+    const scheduler = createScheduler([
+      schedule('hourly', '0 * * * *'),
+      schedule('strict', '0 * * * *', { catchUp: 'skip' })
+    ], async (due, { trigger }) => {
+      calls.push(`${due.name}:${trigger}`);
+      return { exitCode: 0 };
+    });
+    const missed = [];
+    scheduler.on('missed', ({ run }) => missed.push(run));
+
+    scheduler.tick();
+    clock += 3 * 60 * 60 * 1000 + 20 * 60 * 1000; // asleep until 12:19:30
+    scheduler.tick();
+    await scheduler.stop();
+    await nextTick();
+
+    expect(calls).to.deep.equal(['hourly:catch-up']);
+    expect(historyOf('hourly').runs[0]).to.include({ trigger: 'catch-up', missed: 4, outcome: 'completed' });
+    expect(historyOf('strict').runs[0]).to.include({ outcome: 'missed', missed: 4 });
+    expect(missed).to.have.length(1);
+  });
+
+  it('should use the runner\'s catch-up policy for schedules without one', async () => {
+    const calls = [];
+    const scheduler = createScheduler([schedule('hourly', '0 * * * *')], async due => {
+      calls.push(due.name);
+      return { exitCode: 0 };
+    }, { catchUp: 'skip' });
+
+    scheduler.tick();
+    clock += 2 * 60 * 60 * 1000 + 10 * 60 * 1000; // asleep until 11:09:30
+    scheduler.tick();
+    await scheduler.stop();
+
+    expect(calls).to.deep.equal([]);
+    expect(historyOf('hourly').runs[0]).to.include({ outcome: 'missed', missed: 3 });
+  });
+
+  it('should count runs still within the grace period as on time', async () => {
+    const calls = [];
+    const scheduler = createScheduler([schedule('hourly', '0 * * * *', { catchUp: 'skip' })], async (due, { trigger }) => {
+      calls.push(trigger);
+      return { exitCode: 0 };
+    });
+
+    scheduler.tick();
+    clock += 60 * 60 * 1000 + 60 * 1000; // 10:00:30, an hour and a late tick since 09:00
+    scheduler.tick();
+    await scheduler.stop();
+    await nextTick();
+
+    expect(calls).to.deep.equal(['cron']);
+    expect(historyOf('hourly').runs[0]).to.include({ trigger: 'cron', missed: 1, outcome: 'completed' });
+  });
+
+  it('should free the schedule when its history cannot be written', async () => {
+    const audit = schedule('audit', '0 9 * * *');
+    const scheduler = createScheduler([audit], async () => ({ exitCode: 0 }));
+    scheduler.record = () => {
+      throw new Error('ENOSPC: no space left on device');
+    };
+    const finished = [];
+    scheduler.on('finished', ({ run }) => finished.push(run));
+
+    scheduler.trigger(audit, new Date(clock), 'cron', 0);
+    await scheduler.stop();
+    await nextTick();
+
+    expect(scheduler.running.size).to.equal(0);
+    expect(finished).to.have.length(1);
+    expect(finished[0]).to.include({ outcome: 'completed', historyError: 'ENOSPC: no space left on device' });
+  });
+});
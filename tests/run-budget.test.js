@@ -0,0 +1,101 @@
+/**
+ * Budget enforcement and spend ledger tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { BudgetGuard, capTaskTokens, parseAlertThreshold } = require('../src/utils/budget-guard');
+const { SpendLedger } = require('../src/utils/spend-ledger');
+
+describe('Run Budget', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-budget-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const roster = [{ name: 'developer-1', role: 'code_generator', profile: { model: 'gpt-4o', capabilities: ['generation'] } }];
+
+  it('should alert once when spend crosses the threshold', () => {
+    const guard = new BudgetGuard({ budget: 10, alertThreshold: 50 });
+
+    expect(guard.update(4).alert).to.equal(null);
+    expect(guard.update(6).alert).to.deep.equal({ percent: 60, message: '$6.00 of $10.00 available budget spent' });
+    expect(guard.update(7).alert).to.equal(null);
+  });
+
+  it('should stop at the tighter of run and daily budget', () => {
+    const guard = new BudgetGuard({ budget: 10, spentBefore: 2, dailyBudget: 5, dailySpent: 1, alertThreshold: 50 });
+
+    expect(guard.getAvailable()).to.equal(4);
+    expect(guard.update(2.5).alert).to.include({ percent: 63, message: '$2.50 of $4.00 available daily budget spent' });
+    expect(guard.update(4).exceeded).to.deep.equal({ limit: 'daily', message: 'daily budget of $5 reached ($5.00 spent today)' });
+    // Only reported once
+    expect(guard.update(5).exceeded).to.equal(null);
+  });
+
+  it('should count what earlier attempts spent against the run budget', () => {
+    const guard = new BudgetGuard({ budget: 5, spentBefore: 4 });
+
+    expect(guard.getAvailable()).to.equal(1);
+    expect(guard.update(1).exceeded).to.deep.equal({ limit: 'run', message: 'budget of $5 reached ($5.00 spent)' });
+  });
+
+  it('should stop on a task over the per-task budget', () => {
+    const guard = new BudgetGuard({ budget: 10, perTaskBudget: 0.5 });
+
+    expect(guard.checkTask('a', 0.4)).to.equal(null);
+    expect(guard.checkTask('b', 0.6)).to.deep.equal({ limit: 'task', message: 'task "b" cost $0.60, over the per-task budget of $0.5' });
+    expect(guard.checkTask('c', 0.9)).to.equal(null);
+    expect(new BudgetGuard({ budget: 10 }).checkTask('a', 100)).to.equal(null);
+  });
+
+  it('should reject alert thresholds outside 1-100 percent', () => {
+    expect(parseAlertThreshold(undefined)).to.equal(80);
+    expect(parseAlertThreshold('50')).to.equal(50);
+    expect(() => parseAlertThreshold('0')).to.throw(/Invalid budget threshold "0"/);
+    expect(() => parseAlertThreshold('150')).to.throw(/between 1 and 100/);
+  });
+
+  it('should cap task tokens to fit the per-task budget', () => {
+    const { tasks, capped } = capTaskTokens([
+      { id: 'small', type: 'generation', maxTokens: 1000 },
+      { id: 'large', type: 'generation', maxTokens: 100000 }
+    ], roster, 0.1);
+
+    expect(tasks[0].maxTokens).to.equal(1000);
+    expect(tasks[1].maxTokens).to.equal(18181);
+    expect(capped).to.deep.equal([{ id: 'large', from: 100000, to: 18181 }]);
+  });
+
+  it('should keep daily spend across ledger instances', () => {
+    const filePath = path.join(tempDir, 'spend-ledger.json');
+    new SpendLedger(filePath).add('run-1', 1.25);
+    new SpendLedger(filePath).add('run-2', 0.5);
+    new SpendLedger(filePath).add('run-3', 0);
+
+    const ledger = new SpendLedger(filePath);
+    expect(ledger.getDailySpend()).to.equal(1.75);
+    expect(Object.keys(Object.values(ledger.read().days)[0].sessions)).to.deep.equal(['run-1', 'run-2']);
+    expect(ledger.getDailySpend(new Date(Date.now() - 24 * 60 * 60 * 1000))).to.equal(0);
+  });
+
+  it('should start over from an unreadable ledger and drop old days', () => {
+    const filePath = path.join(tempDir, 'spend-ledger.json');
+    fs.writeFileSync(filePath, '{ not json');
+    expect(new SpendLedger(filePath).getDailySpend()).to.equal(0);
+
+    const ledger = new SpendLedger(filePath);
+    ledger.add('old', 3, new Date(Date.now() - 200 * 24 * 60 * 60 * 1000));
+    ledger.add('run-1', 1);
+    expect(Object.keys(ledger.read().days)).to.have.length(1);
+    expect(ledger.getDailySpend()).to.equal(1);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Run cassette (record/replay) tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+
+const { CassetteRecorder, CassetteAdapter, findEventDivergence, loadCassette } = require('../src/utils/run-cassette');
+
+describe('Run Cassette', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-cassette-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  // Agent whose model fails the first call for task "b" and answers everything else
+  const createAgent = (name) => {
+    const calls = [];
+    return {
+      name,
+      calls,
+      async executeTask(task) {
+        calls.push(task.id);
+        if (task.id === 'b' && calls.filter(id => id === 'b').length === 1) {
+          const error = new Error('rate limited');
+          error.code = 'E429';
+          throw error;
+        }
+        return { output: `${name} did ${task.id}`, tokensUsed: 120, cost: 0.01 };
+      }
+    };
+  };
+
+  const record = async () => {
+    const recorder = new CassetteRecorder({ session: 'repochief-1', tasks: ['a', 'b'] });
+    const orchestrator = new EventEmitter();
+    const agent = createAgent('dev');
+    recorder.recordEvents(orchestrator);
+    recorder.attach(agent);
+    orchestrator.emit('taskAssigned', { task: { id: 'a' }, agent: { name: 'dev' } });
+    orchestrator.emit('taskCompleted', { task: { id: 'a' }, result: { output: 'dev did a' } });
+    orchestrator.emit('costUpdate', { total: 0.01, cost: 0.01 });
+
+    expect(await agent.executeTask({ id: 'a' })).to.include({ output: 'dev did a' });
+    const failure = await agent.executeTask({ id: 'b' }).catch(error => error);
+    expect(failure).to.include({ code: 'E429' });
+    await agent.executeTask({ id: 'b' });
+    expect(agent.calls).to.deep.equal(['a', 'b', 'b']);
+
+    recorder.finish({ status: 'completed' });
+    return recorder.save(path.join(tempDir, 'cassette.json'));
+  };
+
+  it('should record orchestrator events and model responses per task in call order', async () => {
+    await record();
+    const cassette = loadCassette(tempDir);
+
+    expect(cassette).to.include({ session: 'repochief-1', status: 'completed' });
+    expect(cassette.calls.map(call => `${call.taskId}:${call.call}`)).to.deep.equal(['a:0', 'b:0', 'b:1']);
+    expect(cassette.calls[0]).to.include({ agent: 'dev' });
+    expect(cassette.calls[1].error).to.include({ message: 'rate limited', code: 'E429' });
+    expect(cassette.events.map(event => event.type)).to.deep.equal(['taskAssigned', 'taskCompleted', 'costUpdate']);
+    expect(cassette.events[1].args[0].result.output).to.equal('dev did a');
+    expect(cassette.events.every(event => typeof event.at === 'number')).to.equal(true);
+  });
+
+  it('should find where a replay\'s events differ from the recording', async () => {
+    await record();
+    const adapter = new CassetteAdapter(loadCassette(tempDir));
+    const orchestrator = new EventEmitter();
+    adapter.recordEvents(orchestrator);
+
+    orchestrator.emit('taskAssigned', { task: { id: 'a' }, agent: { name: 'dev' } });
+    orchestrator.emit('taskCompleted', { task: { id: 'a' }, result: { output: 'dev did a' } });
+    expect(adapter.compareEvents()).to.deep.equal({ index: 2, expected: 'costUpdate', actual: null });
+
+    orchestrator.emit('costUpdate', { total: 0.01, cost: 0.01 });
+    expect(adapter.compareEvents()).to.equal(null);
+
+    const failed = [{ type: 'taskAssigned', args: [{ task: { id: 'a' } }] }, { type: 'taskFailed', args: [{ task: { id: 'a' } }] }];
+    const completed = [{ type: 'taskAssigned', args: [{ task: { id: 'a' } }] }, { type: 'taskCompleted', args: [{ task: { id: 'a' } }] }];
+    expect(findEventDivergence(completed, failed)).to.deep.equal({ index: 1, expected: 'taskCompleted:a', actual: 'taskFailed:a' });
+  });
+
+  it('should reject cassettes of another version', () => {
+    fs.writeFileSync(path.join(tempDir, 'cassette.json'), JSON.stringify({ version: 1, events: [] }));
+    expect(() => loadCassette(tempDir)).to.throw(/Unsupported cassette/);
+    fs.writeFileSync(path.join(tempDir, 'cassette.json'), '{ not json');
+    expect(() => loadCassette(tempDir)).to.throw(/Cannot read cassette/);
+  });
+
+  it('should answer agents from the cassette without calling the model', async () => {
+    await record();
+    const adapter = new CassetteAdapter(loadCassette(path.join(tempDir, 'cassette.json')));
+    const agent = createAgent('dev');
+    adapter.attach(agent);
+
+    const failure = await agent.executeTask({ id: 'b' }).catch(error => error);
+    expect(failure).to.be.instanceOf(Error);
+    expect(failure).to.include({ message: 'rate limited', code: 'E429' });
+    expect(await agent.executeTask({ id: 'b' })).to.deep.equal({ output: 'dev did b', tokensUsed: 120, cost: 0.01 });
+    expect(await agent.executeTask({ id: 'a' })).to.include({ output: 'dev did a' });
+    expect(agent.calls).to.deep.equal([]);
+
+    const missing = await agent.executeTask({ id: 'c' }).catch(error => error);
+    expect(missing.message).to.match(/No recorded response for task "c"/);
+    expect(() => loadCassette(path.join(tempDir, 'missing'))).to.throw(/Cassette not found/);
+  });
+});
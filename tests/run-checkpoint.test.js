@@ -0,0 +1,115 @@
+/**
+ * Run checkpoint tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { RunCheckpoint } = require('../src/utils/run-checkpoint');
+const { selectTaskIds, detachTasks } = require('../src/utils/task-selection');
+
+describe('Run Checkpoint', () => {
+  let tempDir;
+  let taskFile;
+  const tasks = [
+    { id: 'analyze', type: 'comprehension', objective: 'Analyze' },
+    { id: 'implement', type: 'generation', objective: 'Implement', dependencies: ['analyze'] }
+  ];
+  
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-checkpoint-'));
+    taskFile = path.join(tempDir, 'tasks.json');
+    fs.writeFileSync(taskFile, JSON.stringify({ tasks }));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  const createCheckpoint = () => RunCheckpoint.create({
+    outputDir: tempDir,
+    taskFile,
+    sessionName: 'repochief-test',
+    tasks,
+    options: { budget: '5' }
+  });
+  
+  it('should persist task results as they finish', () => {
+    const checkpoint = createCheckpoint();
+    checkpoint.markCompleted('analyze', { output: 'done', cost: 0.25, tokensUsed: 300 });
+    checkpoint.markFailed('implement', new Error('rate limited'));
+    
+    const loaded = RunCheckpoint.load(tempDir);
+    expect(loaded.data).to.include({ sessionName: 'repochief-test', status: 'running', resumeCount: 0 });
+    expect(loaded.data.options).to.deep.equal({ budget: '5' });
+    expect(loaded.data.tasks.analyze).to.include({ status: 'completed', cost: 0.25, tokensUsed: 300 });
+    expect(loaded.data.tasks.implement).to.include({ status: 'failed', error: 'rate limited' });
+    expect(Object.keys(loaded.getCompletedTasks())).to.deep.equal(['analyze']);
+  });
+  
+  it('should write the checkpoint atomically with the run status', () => {
+    const checkpoint = createCheckpoint();
+    checkpoint.save('interrupted');
+    
+    expect(fs.readdirSync(tempDir).sort()).to.deep.equal(['checkpoint.json', 'tasks.json']);
+    expect(RunCheckpoint.load(tempDir).data.status).to.equal('interrupted');
+  });
+  
+  it('should carry spent budget into each resume', () => {
+    const checkpoint = createCheckpoint();
+    checkpoint.updateCost(0.25);
+    checkpoint.markCompleted('analyze', { output: 'done', cost: 0.25 });
+    
+    const loaded = RunCheckpoint.load(tempDir);
+    loaded.startResume(tasks);
+    expect(loaded.data).to.include({ resumeCount: 1, spentBefore: 0.25, spent: 0, status: 'running' });
+    expect(loaded.data.tasks.implement.status).to.equal('pending');
+    
+    loaded.updateCost(0.5);
+    expect(loaded.getTotalSpent()).to.equal(0.75);
+    loaded.startResume(tasks);
+    expect(loaded.data).to.include({ resumeCount: 2, spentBefore: 0.75 });
+  });
+  
+  it('should track tasks added to the task file since as pending', () => {
+    const checkpoint = createCheckpoint();
+    checkpoint.markCompleted('analyze', { output: 'done' });
+    
+    checkpoint.startResume([...tasks, { id: 'test', type: 'validation', objective: 'Test' }]);
+    
+    expect(checkpoint.data.tasks.analyze.status).to.equal('completed');
+    expect(checkpoint.data.tasks.test).to.deep.equal({ status: 'pending' });
+  });
+  
+  it('should notice when the task file changed or is gone', () => {
+    const checkpoint = createCheckpoint();
+    expect(checkpoint.taskFileChanged()).to.equal(false);
+    
+    fs.writeFileSync(taskFile, JSON.stringify({ tasks: tasks.slice(0, 1) }));
+    expect(checkpoint.taskFileChanged()).to.equal(true);
+    
+    fs.unlinkSync(taskFile);
+    expect(checkpoint.taskFileChanged()).to.equal(true);
+  });
+  
+  it('should refuse missing checkpoints and other versions', () => {
+    expect(() => RunCheckpoint.load(path.join(tempDir, 'nowhere'))).to.throw(/No checkpoint found/);
+    
+    fs.writeFileSync(path.join(tempDir, 'checkpoint.json'), JSON.stringify({ version: 2 }));
+    expect(() => RunCheckpoint.load(tempDir)).to.throw(/Unsupported checkpoint version 2/);
+  });
+  
+  it('should skip completed tasks and pass their results on as context', () => {
+    // As `run --resume` does: drop the checkpoint's completed tasks from the selection
+    const completed = { analyze: { status: 'completed', result: { output: 'module map' } } };
+    const selected = selectTaskIds(tasks, {});
+    Object.keys(completed).forEach(id => selected.delete(id));
+    const remaining = detachTasks(tasks, selected, completed);
+    
+    expect(remaining.map(t => t.id)).to.deep.equal(['implement']);
+    expect(remaining[0].dependencies).to.deep.equal([]);
+    expect(remaining[0].context).to.deep.equal(['Result of task "analyze":\nmodule map']);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Run command tests (against an in-memory orchestrator)
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { FakeOrchestrator, installFakeCore, uninstallFakeCore, resetFakeCore } = require('./helpers/fake-core');
+
+describe('Run Command', () => {
+  let runCommand;
+  let tempDir;
+  let taskFile;
+  let outputDir;
+  let env;
+
+  before(() => {
+    installFakeCore();
+    runCommand = require('../src/commands/run');
+  });
+
+  after(() => {
+    uninstallFakeCore();
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-run-command-'));
+    const keys = ['HOME', 'REPOCHIEF_CLOUD_ENABLED', 'MOCK_MODE', 'OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'GOOGLE_API_KEY'];
+    env = Object.fromEntries(keys.map(key => [key, process.env[key]]));
+    keys.forEach(key => delete process.env[key]);
+    process.env.HOME = tempDir;
+    process.env.REPOCHIEF_CLOUD_ENABLED = 'false';
+
+    taskFile = path.join(tempDir, 'tasks.json');
+    outputDir = path.join(tempDir, 'output');
+    fs.writeFileSync(taskFile, JSON.stringify({
+      tasks: [
+        { id: 'analyze', type: 'comprehension', objective: 'Map the modules' },
+        { id: 'implement', type: 'generation', objective: 'Add the endpoint' }
+      ]
+    }));
+    resetFakeCore();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    Object.entries(env).forEach(([key, value]) => {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    });
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Run `repochief run` with --format json and return its report and exit code
+   * @param {Object} command - Stand-in for the commander command (getOptionValueSource)
+   */
+  const run = async (file, options, command) => {
+    let stdout = '';
+    const exitCodes = [];
+    sinon.stub(process.stdout, 'write').callsFake(chunk => { stdout += chunk; return true; });
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+    sinon.stub(console, 'error');
+    sinon.stub(process, 'exit').callsFake(code => { exitCodes.push(code); });
+    try {
+      await runCommand(file, { mock: true, format: 'json', output: outputDir, ...options }, command);
+    } finally {
+      sinon.restore();
+    }
+    return { report: JSON.parse(stdout), exitCode: exitCodes[0] };
+  };
+
+  // Commander reports where each option value came from
+  const fromCommandLine = (...keys) => ({
+    getOptionValueSource: key => (keys.includes(key) ? 'cli' : 'default')
+  });
+
+  describe('--resume', () => {
+    // The first attempt spends its whole budget on "analyze"; "implement" fails
+    const runOutOfBudget = async () => {
+      FakeOrchestrator.respond = task => {
+        if (task.id === 'implement') {
+          throw new Error('rate limited');
+        }
+        return { output: 'module map', tokensUsed: 100, cost: 1 };
+      };
+      const first = await run(taskFile, { budget: '1' });
+      expect(first.exitCode).to.equal(2);
+      resetFakeCore();
+    };
+
+    it('should run the remaining tasks with a higher budget given on the command line', async () => {
+      await runOutOfBudget();
+
+      const { report, exitCode } = await run(undefined, { resume: outputDir, budget: '5' }, fromCommandLine('resume', 'budget'));
+
+      expect(exitCode).to.equal(0);
+      expect(report.status).to.equal('completed');
+      expect(report.cost).to.include({ budget: 5 });
+      expect(FakeOrchestrator.instances[0].queue.map(task => task.id)).to.deep.equal(['implement']);
+      const checkpoint = JSON.parse(fs.readFileSync(path.join(outputDir, 'checkpoint.json'), 'utf8'));
+      expect(checkpoint.options).to.include({ budget: '5' });
+    });
+
+    it('should keep the saved budget when none is given again', async () => {
+      await runOutOfBudget();
+
+      // Commander fills in the default budget, which must not replace the saved one
+      const { report, exitCode } = await run(undefined, { resume: outputDir, budget: '10' }, fromCommandLine('resume'));
+
+      expect(exitCode).to.equal(2);
+      expect(report.error).to.include('Budget of $1 already spent');
+      expect(FakeOrchestrator.instances).to.have.length(0);
+    });
+
+    it('should let selection flags given on resume replace the saved ones', async () => {
+      const first = await run(taskFile, { only: 'analyze' });
+      expect(first.exitCode).to.equal(0);
+      expect(FakeOrchestrator.instances[0].queue.map(task => task.id)).to.deep.equal(['analyze']);
+      resetFakeCore();
+
+      const { exitCode } = await run(undefined, { resume: outputDir, only: 'implement' }, fromCommandLine('resume', 'only'));
+
+      expect(exitCode).to.equal(0);
+      expect(FakeOrchestrator.instances[0].queue.map(task => task.id)).to.deep.equal(['implement']);
+    });
+
+    it('should fail without a checkpoint in the output directory', async () => {
+      const { report, exitCode } = await run(undefined, { resume: path.join(tempDir, 'nowhere') });
+
+      expect(exitCode).to.equal(3);
+      expect(report).to.include({ status: 'error' });
+    });
+  });
+
+  describe('--replay', () => {
+    const readResults = report => JSON.parse(fs.readFileSync(report.files.results, 'utf8'));
+
+    const record = async (options = {}) => {
+      FakeOrchestrator.respond = task => ({ output: `recorded ${task.id}`, tokensUsed: 50, cost: 0.2 });
+      const recorded = await run(taskFile, { record: true, ...options });
+      expect(recorded.exitCode).to.equal(0);
+      expect(recorded.report.files.cassette).to.equal(path.join(outputDir, 'cassette.json'));
+      resetFakeCore();
+      FakeOrchestrator.respond = () => {
+        throw new Error('the model was called during a replay');
+      };
+    };
+
+    it('should feed the recorded responses through the orchestrator', async () => {
+      await record();
+
+      const replayDir = path.join(tempDir, 'replay');
+      const { report, exitCode } = await run(undefined, { replay: outputDir, output: replayDir, mock: false });
+
+      expect(exitCode).to.equal(0);
+      expect(FakeOrchestrator.instances).to.have.length(1);
+      expect(FakeOrchestrator.instances[0].options.mockMode).to.not.equal(true);
+      expect(readResults(report).tasks.map(task => task.result.output)).to.deep.equal(['recorded analyze', 'recorded implement']);
+      expect(report.cost.total).to.be.closeTo(0.4, 0.001);
+      expect(report.replay).to.include({ of: path.join(outputDir, 'cassette.json'), divergence: null });
+      expect(report.replay.events).to.be.above(0);
+    });
+
+    it('should fail tasks without a recorded response and report where the events diverge', async () => {
+      await record({ only: 'analyze' });
+
+      const { report, exitCode } = await run(taskFile, { replay: outputDir, output: path.join(tempDir, 'replay') });
+
+      expect(exitCode).to.equal(1);
+      expect(readResults(report).tasks.map(task => task.status)).to.deep.equal(['completed', 'failed']);
+      expect(report.replay.divergence).to.include({ expected: null, actual: 'taskAssigned:implement' });
+    });
+
+    it('should not combine with --record or --resume', async () => {
+      const { report, exitCode } = await run(taskFile, { replay: outputDir, record: true });
+
+      expect(exitCode).to.equal(3);
+      expect(report.error).to.include('--replay cannot be combined with --record or --resume');
+    });
+
+    it('should fail when the cassette is missing', async () => {
+      const { report, exitCode } = await run(undefined, { replay: path.join(tempDir, 'nowhere') });
+
+      expect(exitCode).to.equal(3);
+      expect(report.error).to.include('Cassette not found');
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Watch dashboard tests
+ */
+
+const { expect } = require('chai');
+const { EventEmitter } = require('events');
+
+const { RunDashboard, PlainWatchView, createWatchView } = require('../src/utils/run-dashboard');
+
+describe('Run Dashboard', () => {
+  const tasks = [
+    { id: 'analyze', type: 'comprehension' },
+    { id: 'implement', type: 'generation', dependencies: ['analyze'] }
+  ];
+  const roster = [{ name: 'analyst-1' }, { name: 'developer-1' }];
+
+  const stripAnsi = text => text.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '');
+  const createStreams = () => ({
+    output: Object.assign(new EventEmitter(), { isTTY: true, columns: 100, rows: 30, written: [], write(chunk) { this.written.push(chunk); } }),
+    input: Object.assign(new EventEmitter(), { isTTY: true, rawMode: null, setRawMode(mode) { this.rawMode = mode; } })
+  });
+
+  const createDashboard = (controls, streams = createStreams()) => new RunDashboard({
+    tasks,
+    roster,
+    budget: 2,
+    session: 'repochief-1',
+    controls,
+    ...streams
+  });
+  const frameOf = dashboard => stripAnsi(dashboard.buildFrame(100, 30).join('\n'));
+  const press = (dashboard, ...names) => names.forEach(name => dashboard.handleKey(name, { name }));
+
+  it('should show agents, task graph status and cost', () => {
+    const dashboard = createDashboard();
+    dashboard.taskAssigned(tasks[0], 'analyst-1');
+    dashboard.taskCompleted(tasks[0], { tokensUsed: 1200, cost: 0.5 });
+    dashboard.taskAssigned(tasks[1], 'developer-1');
+    dashboard.costUpdate(0.5, 0.5);
+
+    const frame = frameOf(dashboard);
+
+    expect(frame).to.match(/analyst-1\s+idle/);
+    expect(frame).to.match(/developer-1\s+▶ implement/);
+    expect(frame).to.include('✔ analyze');
+    expect(frame).to.include('▶ implement ← analyze');
+    expect(frame).to.include('$0.50 / $2.00 (25%)');
+    expect(frame).to.include('Tokens 1,200');
+  });
+
+  it('should count failed tasks and log why they failed', () => {
+    const dashboard = createDashboard();
+    dashboard.taskAssigned(tasks[0], 'analyst-1');
+    dashboard.taskFailed(tasks[0], new Error('rate limited'));
+
+    const frame = frameOf(dashboard);
+
+    expect(frame).to.include('Tasks  1/2 done, 1 failed');
+    expect(frame).to.include('analyze failed: rate limited');
+    expect(frame).to.match(/analyst-1\s+idle/);
+  });
+
+  it('should fit the frame to the terminal', () => {
+    const dashboard = createDashboard();
+    dashboard.costUpdate(5);
+
+    const frame = dashboard.buildFrame(40, 12).map(stripAnsi);
+
+    expect(frame).to.have.length(12);
+    expect(frame.every(line => line.length <= 40)).to.equal(true);
+    expect(frame[frame.length - 1]).to.match(/^p pause/);
+    // Spend over the budget fills the gauge without going past 100%
+    expect(frameOf(dashboard)).to.include('$5.00 / $2.00 (100%)');
+  });
+
+  it('should pause and resume through the controls', () => {
+    const calls = [];
+    const dashboard = createDashboard({
+      pause: () => calls.push('pause'),
+      resume: () => calls.push('resume')
+    });
+
+    press(dashboard, 'p');
+    expect(dashboard.paused).to.equal(true);
+    expect(frameOf(dashboard)).to.include('[PAUSED]');
+    press(dashboard, 'p');
+    expect(dashboard.paused).to.equal(false);
+    expect(calls).to.deep.equal(['pause', 'resume']);
+  });
+
+  it('should say so when the orchestrator cannot pause or cancel', () => {
+    const dashboard = createDashboard({ pause: () => false });
+    dashboard.taskAssigned(tasks[0], 'analyst-1');
+
+    press(dashboard, 'p', 'c', '1');
+
+    expect(dashboard.paused).to.equal(false);
+    expect(dashboard.tasks.get('analyze').status).to.equal('running');
+    expect(frameOf(dashboard)).to.include('Pausing is not supported by this orchestrator');
+    expect(frameOf(dashboard)).to.include('Cancelling tasks is not supported by this orchestrator');
+  });
+
+  it('should cancel the running task picked by number', () => {
+    const cancelled = [];
+    const dashboard = createDashboard({ cancelTask: id => cancelled.push(id) });
+
+    press(dashboard, 'c');
+    expect(dashboard.mode).to.equal('normal');
+    expect(frameOf(dashboard)).to.include('No running task to cancel');
+
+    dashboard.taskAssigned(tasks[0], 'analyst-1');
+    press(dashboard, 'c');
+    expect(frameOf(dashboard)).to.include('Cancel which task? 1) analyze');
+    press(dashboard, '2');
+    expect(cancelled).to.deep.equal([]);
+
+    press(dashboard, 'c', '1');
+    expect(cancelled).to.deep.equal(['analyze']);
+    expect(dashboard.tasks.get('analyze').status).to.equal('cancelling');
+  });
+
+  it('should answer prompts from the keyboard', async () => {
+    const dashboard = createDashboard();
+
+    const byDefault = dashboard.confirm('Continue?', true);
+    expect(frameOf(dashboard)).to.include('Continue?  [Y/n]');
+    dashboard.handleKey(undefined, { name: 'return' });
+    expect(await byDefault).to.equal(true);
+
+    const declined = dashboard.confirm('Continue?', true);
+    press(dashboard, 'escape');
+    expect(await declined).to.equal(false);
+
+    // A new question or stopping the dashboard declines the open one
+    const replaced = dashboard.confirm('First?');
+    const open = dashboard.confirm('Second?');
+    expect(await replaced).to.equal(false);
+    dashboard.stop();
+    expect(await open).to.equal(false);
+  });
+
+  it('should abort the run once confirmed', async () => {
+    const calls = [];
+    const dashboard = createDashboard({ abort: () => calls.push('abort') });
+
+    press(dashboard, 'a', 'n');
+    press(dashboard, 'a', 'y');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(calls).to.deep.equal(['abort']);
+  });
+
+  it('should take over the terminal and give it back', () => {
+    const streams = createStreams();
+    const dashboard = createDashboard({}, streams);
+
+    dashboard.start();
+    expect(streams.output.written[0]).to.equal('\x1b[?1049h\x1b[?25l');
+    expect(streams.input.rawMode).to.equal(true);
+    expect(streams.input.listenerCount('keypress')).to.equal(1);
+
+    dashboard.stop();
+    dashboard.stop();
+    expect(streams.input.rawMode).to.equal(false);
+    expect(streams.input.listenerCount('keypress')).to.equal(0);
+    expect(streams.output.listenerCount('resize')).to.equal(0);
+    expect(streams.output.written.filter(chunk => chunk === '\x1b[?25h\x1b[?1049l')).to.have.length(1);
+  });
+
+  it('should fall back to plain lines without a terminal', () => {
+    const lines = [];
+    const view = createWatchView({ tasks, roster, output: { isTTY: false }, log: line => lines.push(stripAnsi(line)) });
+    expect(view).to.be.instanceOf(PlainWatchView);
+    expect(createWatchView({ tasks, roster, budget: 2, ...createStreams(), plain: true })).to.be.instanceOf(PlainWatchView);
+    expect(createWatchView({ tasks, roster, budget: 2, ...createStreams() })).to.be.instanceOf(RunDashboard);
+
+    view.taskAssigned(tasks[0], 'analyst-1');
+    view.taskFailed(tasks[0], new Error('rate limited'));
+    view.costUpdate(0.5, 0.25);
+
+    expect(lines[0]).to.match(/Task "analyze" assigned to analyst-1$/);
+    expect(lines[1]).to.match(/❌ Task "analyze" failed: rate limited$/);
+    expect(lines[2]).to.match(/Cost update: \$0\.2500 \(Total: \$0\.50\)$/);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Run output format tests
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const chalk = require('chalk');
+
+const { createRunOutput } = require('../src/utils/run-output');
+
+describe('Run Output', () => {
+  let chalkLevel;
+  let written;
+  const stream = { write: chunk => written.push(chunk) };
+  
+  beforeEach(() => {
+    chalkLevel = chalk.level;
+    written = [];
+  });
+  
+  afterEach(() => {
+    sinon.restore();
+    chalk.level = chalkLevel;
+  });
+  
+  it('should print human lines and no JSON in text mode', () => {
+    sinon.stub(console, 'log');
+    const out = createRunOutput(undefined, stream);
+    out.log('Task a completed');
+    out.event('taskCompleted', { taskId: 'a' });
+    out.result('runCompleted', { status: 'completed' });
+    
+    expect(out).to.include({ format: 'text', machine: false });
+    expect(console.log.calledOnceWith('Task a completed')).to.equal(true);
+    expect(written).to.deep.equal([]);
+    expect(chalk.level).to.equal(chalkLevel);
+  });
+  
+  it('should stream events as NDJSON lines', () => {
+    sinon.stub(console, 'log');
+    const out = createRunOutput('ndjson', stream);
+    out.log('not for machines');
+    out.event('taskCompleted', { taskId: 'a', cost: 0.01 });
+    out.result('runCompleted', { status: 'completed' });
+    
+    const lines = written.map(line => JSON.parse(line));
+    expect(lines.map(line => line.event)).to.deep.equal(['taskCompleted', 'runCompleted']);
+    expect(lines[0]).to.include({ taskId: 'a', cost: 0.01 });
+    expect(new Date(lines[0].timestamp).toISOString()).to.equal(lines[0].timestamp);
+    expect(console.log.called).to.equal(false);
+    expect(chalk.level).to.equal(0);
+  });
+  
+  it('should print a single JSON document', () => {
+    const out = createRunOutput('json', stream);
+    out.event('taskCompleted', { taskId: 'a' });
+    out.result('runCompleted', { status: 'completed', tasks: [] });
+    
+    expect(written).to.have.length(1);
+    expect(JSON.parse(written[0])).to.deep.equal({ status: 'completed', tasks: [] });
+    expect(chalk.level).to.equal(0);
+  });
+  
+  it('should reject unknown formats', () => {
+    expect(() => createRunOutput('xml', stream)).to.throw('Invalid output format "xml" (expected text, json, ndjson)');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Run exit code and JUnit report tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getRunExitCode, isCriticalTask, createExitError, EXIT_CODES } = require('../src/utils/exit-codes');
+const { buildJUnitReport, writeJUnitReport } = require('../src/utils/junit-report');
+
+describe('Run Report', () => {
+  const report = {
+    session: 'repochief-1',
+    status: 'completed',
+    taskFile: 'tasks.yaml',
+    duration: 12.5,
+    cost: { total: 0.42 },
+    tasks: [
+      { id: 'analyze', type: 'comprehension', status: 'completed', critical: true, agent: 'analyst-1', cost: 0.4, tokensUsed: 900, duration: 4 },
+      { id: 'fix', type: 'generation', status: 'failed', agent: 'developer-1', cost: 0.02, tokensUsed: 50, error: 'Expected <200> & got "500"' },
+      { id: 'verify', type: 'validation', status: 'not-run', cost: 0, tokensUsed: 0 }
+    ]
+  };
+  
+  describe('exit codes', () => {
+    it('should succeed when every task completed', () => {
+      expect(getRunExitCode({ tasks: [report.tasks[0]] })).to.equal(EXIT_CODES.SUCCESS);
+      expect(getRunExitCode({ tasks: [] })).to.equal(EXIT_CODES.SUCCESS);
+    });
+    
+    it('should fail when a task failed or did not run', () => {
+      expect(getRunExitCode(report)).to.equal(EXIT_CODES.TASKS_FAILED);
+      expect(getRunExitCode({ tasks: [report.tasks[0], report.tasks[2]] })).to.equal(EXIT_CODES.TASKS_FAILED);
+    });
+    
+    it('should only count critical tasks with --fail-on critical', () => {
+      expect(getRunExitCode(report, { failOn: 'critical' })).to.equal(EXIT_CODES.SUCCESS);
+      
+      const criticalFailed = { tasks: [{ ...report.tasks[1], critical: true }] };
+      expect(getRunExitCode(criticalFailed, { failOn: 'critical' })).to.equal(EXIT_CODES.TASKS_FAILED);
+    });
+    
+    it('should report an exceeded budget over task failures', () => {
+      expect(getRunExitCode(report, { budgetExceeded: true })).to.equal(EXIT_CODES.BUDGET_EXCEEDED);
+      expect(getRunExitCode({ tasks: [report.tasks[0]] }, { budgetExceeded: true })).to.equal(EXIT_CODES.BUDGET_EXCEEDED);
+    });
+    
+    it('should treat critical priority or severity as critical', () => {
+      expect(isCriticalTask({ priority: 'critical' })).to.equal(true);
+      expect(isCriticalTask({ severity: 'critical' })).to.equal(true);
+      expect(isCriticalTask({ priority: 'high' })).to.equal(false);
+      expect(createExitError('No tasks', EXIT_CODES.CONFIG_ERROR)).to.include({ message: 'No tasks', exitCode: 3 });
+    });
+  });
+  
+  describe('JUnit', () => {
+    it('should count tests, failures and skipped tasks', () => {
+      const xml = buildJUnitReport(report);
+      
+      expect(xml).to.include('<testsuites name="repochief" tests="3" failures="1" errors="0" skipped="1" time="12.500">');
+      expect(xml).to.include('<testsuite name="repochief-1" tests="3"');
+      expect(xml).to.include('<property name="totalCost" value="0.4200"/>');
+    });
+    
+    it('should write each task as a testcase with its properties', () => {
+      const xml = buildJUnitReport(report);
+      
+      expect(xml).to.include('<testcase name="analyze" classname="repochief.comprehension" time="4.000">');
+      expect(xml).to.include('<property name="cost" value="0.4000"/>');
+      expect(xml).to.include('<property name="critical" value="true"/>');
+      expect(xml).to.include('<system-out>Cost: $0.4000, tokens: 900</system-out>');
+      expect(xml.match(/name="critical"/g)).to.have.length(1);
+    });
+    
+    it('should escape failure messages and mark tasks that did not run as skipped', () => {
+      const xml = buildJUnitReport(report);
+      
+      expect(xml).to.include('<testcase name="fix" classname="repochief.generation" time="0.000">');
+      expect(xml).to.include('<failure message="Expected &lt;200&gt; &amp; got &quot;500&quot;" type="TaskFailed">');
+      expect(xml).to.include('<skipped message="Task did not run (not-run)"/>');
+      expect(buildJUnitReport({ tasks: [{ id: 'x', type: 'generation', status: 'failed' }] })).to.include('<failure message="Task failed"');
+    });
+    
+    it('should write the report, creating its directory', () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-junit-'));
+      try {
+        const written = writeJUnitReport(path.join(tempDir, 'reports', 'junit.xml'), report);
+        
+        expect(written).to.equal(path.join(tempDir, 'reports', 'junit.xml'));
+        expect(fs.readFileSync(written, 'utf8')).to.match(/^<\?xml version="1.0"/);
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
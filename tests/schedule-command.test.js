@@ -0,0 +1,222 @@
+/**
+ * Schedule command tests
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const scheduleCommand = require('../src/commands/schedule');
+
+describe('Schedule Command', () => {
+  let output;
+
+  beforeEach(() => {
+    output = [];
+    sinon.stub(console, 'log').callsFake((...args) => output.push(args.join(' ')));
+    sinon.stub(console, 'error').callsFake((...args) => output.push(args.join(' ')));
+    sinon.stub(scheduleCommand, 'getContext').returns({ org: '@me', workspace: undefined });
+    process.exitCode = undefined;
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    process.exitCode = undefined;
+  });
+
+  describe('preview', () => {
+    it('should list the next firing times', async () => {
+      await scheduleCommand.execute('preview', { _: ['0 9 * * 1-5'], count: '3', tz: 'UTC' });
+
+      expect(process.exitCode).to.equal(undefined);
+      expect(output.join('\n')).to.include('Next runs of "0 9 * * 1-5" (UTC)');
+      expect(output.filter(line => /^\s+\d+\. /.test(line))).to.have.length(3);
+    });
+
+    it('should fail on an invalid cron expression', async () => {
+      await scheduleCommand.execute('preview', { _: ['every day'] });
+
+      expect(process.exitCode).to.equal(1);
+      expect(output.join('\n')).to.match(/Invalid cron expression/);
+    });
+
+    it('should fail on an invalid count or timezone', async () => {
+      await scheduleCommand.execute('preview', { _: ['0 9 * * *'], count: '0' });
+      expect(process.exitCode).to.equal(1);
+      expect(output.join('\n')).to.include('Invalid count "0"');
+
+      process.exitCode = undefined;
+      await scheduleCommand.execute('preview', { _: ['0 9 * * *'], tz: 'Mars/Olympus' });
+      expect(process.exitCode).to.equal(1);
+    });
+
+    it('should fail without an expression', async () => {
+      await scheduleCommand.execute('preview', { _: [] });
+
+      expect(process.exitCode).to.equal(1);
+      expect(output.join('\n')).to.include('Please provide a cron expression');
+    });
+  });
+
+  describe('apply', () => {
+    const basePath = '/api/v1/orgs/acme/workspaces/main/schedules';
+    let tempDir;
+    let filePath;
+    let client;
+    let existing;
+
+    // Workspace with project "api" (p1); writes fail for the names in `failing`
+    const createClient = (failing = []) => {
+      const write = method => sinon.spy(async (url, body) => {
+        const schedule = existing.find(candidate => url.endsWith(`/${candidate.id}`)) || body;
+        if (failing.includes(schedule.name)) {
+          throw new Error('Request failed with status code 500');
+        }
+        return { data: { method } };
+      });
+      return {
+        get: sinon.spy(async url => {
+          if (url.endsWith('/projects')) {
+            return { data: { projects: [{ id: 'p1', name: 'api' }] } };
+          }
+          if (url === basePath) {
+            return { data: { schedules: existing } };
+          }
+          if (url === '/api/v1/orgs/acme') {
+            return { data: { organization: { subscription_tier: 'pro', min_schedule_interval_minutes: 60 } } };
+          }
+          throw new Error('Request failed with status code 404');
+        }),
+        post: write('post'),
+        patch: write('patch'),
+        delete: write('delete')
+      };
+    };
+
+    const writeScheduleFile = content => fs.writeFileSync(filePath, content);
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-schedule-apply-'));
+      filePath = path.join(tempDir, 'schedules.yaml');
+      writeScheduleFile(`
+schedules:
+  - name: nightly-audit
+    cron: "0 2 * * *"
+    template: security-audit
+    project: api
+  - name: weekly-quality
+    cron: "0 10 * * 1"
+    template: code-quality
+    project: api
+`);
+      existing = [
+        { id: 's1', name: 'weekly-quality', template: 'code-quality', project_id: 'p1', cron_expression: '0 9 * * 1', is_active: true, config: {} },
+        { id: 's2', name: 'retired', template: 'tech-debt', project_id: 'p1', cron_expression: '0 9 * * 1', is_active: true },
+        { id: 's3', name: 'other-project', template: 'tech-debt', project_id: 'p2', cron_expression: '0 9 * * 1', is_active: true }
+      ];
+      client = createClient();
+      scheduleCommand.getContext.returns({ org: 'acme', workspace: 'main' });
+      sinon.stub(scheduleCommand, 'getClient').callsFake(async () => client);
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should create and update schedules to match the file', async () => {
+      await scheduleCommand.execute('apply', { file: filePath, yes: true });
+
+      expect(process.exitCode).to.equal(undefined);
+      expect(client.post.calledOnceWith(basePath, sinon.match({ name: 'nightly-audit', project_id: 'p1', cron_expression: '0 2 * * *' }))).to.equal(true);
+      expect(client.patch.calledOnceWith(`${basePath}/s1`, { cron_expression: '0 10 * * 1' })).to.equal(true);
+      expect(client.delete.called).to.equal(false);
+      expect(output.join('\n')).to.include('1 to create, 1 to update, 0 to delete');
+    });
+
+    it('should delete schedules missing from the file only with --prune, and only in the file\'s projects', async () => {
+      await scheduleCommand.execute('apply', { file: filePath, yes: true, prune: true });
+
+      expect(process.exitCode).to.equal(undefined);
+      expect(client.delete.args.map(([url]) => url)).to.deep.equal([`${basePath}/s2`]);
+      expect(output.join('\n')).to.include('- delete retired');
+    });
+
+    it('should only show the plan with --dry-run', async () => {
+      await scheduleCommand.execute('apply', { file: filePath, dryRun: true, prune: true });
+
+      expect(process.exitCode).to.equal(undefined);
+      expect(output.join('\n')).to.include('1 to create, 1 to update, 1 to delete');
+      expect(client.post.called || client.patch.called || client.delete.called).to.equal(false);
+    });
+
+    it('should warn about schedules that run more often than the plan allows', async () => {
+      writeScheduleFile('schedules:\n  - name: busy\n    cron: "*/5 * * * *"\n    template: security-audit\n    project: api\n');
+
+      await scheduleCommand.execute('apply', { file: filePath, dryRun: true });
+
+      expect(output.join('\n')).to.match(/busy: "\*\/5 \* \* \* \*" runs every 5 minutes, but your plan \(pro\)/);
+    });
+
+    it('should report nothing to do when the workspace already matches', async () => {
+      existing[0].cron_expression = '0 10 * * 1';
+      existing.push({ id: 's4', name: 'nightly-audit', template: 'security-audit', project_id: 'p1', cron_expression: '0 2 * * *', is_active: true, config: {} });
+
+      await scheduleCommand.execute('apply', { file: filePath, yes: true });
+
+      expect(process.exitCode).to.equal(undefined);
+      expect(output.join('\n')).to.include('already match the file');
+      expect(client.post.called || client.patch.called).to.equal(false);
+    });
+
+    it('should keep applying after a failed change and exit non-zero', async () => {
+      client = createClient(['nightly-audit']);
+
+      await scheduleCommand.execute('apply', { file: filePath, yes: true });
+
+      expect(process.exitCode).to.equal(1);
+      expect(client.patch.calledOnce).to.equal(true);
+      expect(output.join('\n')).to.include('Failed to create nightly-audit');
+      expect(output.join('\n')).to.include('1 of 2 changes failed');
+    });
+
+    it('should refuse a file without cloud schedules instead of pruning everything', async () => {
+      writeScheduleFile('schedules:\n  - name: local-lint\n    cron: "*/30 * * * *"\n    taskFile: tasks/lint.yaml\n');
+
+      await scheduleCommand.execute('apply', { file: filePath, yes: true, prune: true });
+
+      expect(process.exitCode).to.equal(1);
+      expect(output.join('\n')).to.include('has no cloud schedules');
+      expect(client.get.called).to.equal(false);
+    });
+
+    it('should fail on unknown templates and projects before changing anything', async () => {
+      writeScheduleFile('schedules:\n  - name: audit\n    cron: "0 2 * * *"\n    template: astrology\n    project: api\n');
+      await scheduleCommand.execute('apply', { file: filePath, yes: true });
+      expect(process.exitCode).to.equal(1);
+      expect(output.join('\n')).to.include('unknown template "astrology"');
+
+      process.exitCode = undefined;
+      writeScheduleFile('schedules:\n  - name: audit\n    cron: "0 2 * * *"\n    template: security-audit\n    project: web\n');
+      await scheduleCommand.execute('apply', { file: filePath, yes: true });
+      expect(process.exitCode).to.equal(1);
+      expect(output.join('\n')).to.include('project "web" not found');
+      expect(client.post.called || client.patch.called || client.delete.called).to.equal(false);
+    });
+
+    it('should ask for --yes without a terminal', async () => {
+      const isTTY = process.stdin.isTTY;
+      process.stdin.isTTY = false;
+      try {
+        await scheduleCommand.execute('apply', { file: filePath });
+      } finally {
+        process.stdin.isTTY = isTTY;
+      }
+
+      expect(process.exitCode).to.equal(1);
+      expect(output.join('\n')).to.include('Use --yes to apply without a terminal');
+      expect(client.post.called).to.equal(false);
+    });
+  });
+});
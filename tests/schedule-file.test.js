@@ -0,0 +1,163 @@
+/**
+ * Schedule file tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  loadScheduleFile,
+  loadCloudScheduleFile,
+  parseConfigPairs,
+  planScheduleChanges
+} = require('../src/utils/schedule-file');
+
+describe('Schedule File', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-schedule-file-'));
+    filePath = path.join(tempDir, 'schedules.yaml');
+    fs.writeFileSync(filePath, `
+schedules:
+  - name: nightly-audit
+    cron: "0 2 * * *"
+    template: security-audit
+    project: api
+  - name: weekly-quality
+    cron: "0 10 * * 1"
+    template: code-quality
+    project: p1
+    config:
+      complexityThreshold: 12
+  - name: local-lint
+    cron: "*/30 * * * *"
+    taskFile: tasks/lint.yaml
+`);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const writeSchedules = text => fs.writeFileSync(filePath, text);
+
+  describe('loadCloudScheduleFile', () => {
+    it('should keep cloud entries apart from the ones run-local runs', () => {
+      const { schedules } = loadCloudScheduleFile(filePath);
+
+      expect(schedules.map(schedule => schedule.name)).to.deep.equal(['nightly-audit', 'weekly-quality']);
+      expect(schedules[1]).to.deep.equal({
+        name: 'weekly-quality',
+        template: 'code-quality',
+        project: 'p1',
+        cron: '0 10 * * 1',
+        timezone: null,
+        config: { complexityThreshold: 12 },
+        enabled: true
+      });
+      expect(loadScheduleFile(filePath).schedules.map(schedule => schedule.name)).to.deep.equal(['local-lint']);
+    });
+
+    it('should reject incomplete or invalid entries', () => {
+      const entry = 'schedules:\n  - name: audit\n    cron: "0 2 * * *"\n    template: security-audit\n';
+
+      writeSchedules(entry);
+      expect(() => loadCloudScheduleFile(filePath)).to.throw(/schedule "audit": project is required/);
+      writeSchedules(`${entry}    project: api\n    config: [a]\n`);
+      expect(() => loadCloudScheduleFile(filePath)).to.throw(/schedule "audit": config must be a mapping/);
+      writeSchedules(entry.replace('0 2 * * *', 'nightly') + '    project: api\n');
+      expect(() => loadCloudScheduleFile(filePath)).to.throw(/^Invalid schedule file .*schedule "audit": /);
+      writeSchedules(`${entry}    project: api\n${entry.replace('schedules:\n', '')}    project: web\n`);
+      expect(() => loadCloudScheduleFile(filePath)).to.throw(/schedule "audit" is defined twice/);
+    });
+
+    it('should reject files that are not a schedule list', () => {
+      writeSchedules('schedules: nightly\n');
+      expect(() => loadCloudScheduleFile(filePath)).to.throw(/expected a "schedules" list/);
+      writeSchedules('schedules: [\n');
+      expect(() => loadCloudScheduleFile(filePath)).to.throw(/^Cannot read schedule file /);
+      expect(() => loadCloudScheduleFile(path.join(tempDir, 'missing.yaml'))).to.throw(/^Cannot read schedule file /);
+    });
+  });
+
+  describe('planScheduleChanges', () => {
+    let desired;
+    let existing;
+
+    beforeEach(() => {
+      desired = loadCloudScheduleFile(filePath).schedules.map(schedule => ({ ...schedule, project_id: 'p1' }));
+      existing = [
+        { id: 's1', name: 'weekly-quality', template: 'code-quality', project_id: 'p1', cron_expression: '0 9 * * 1', is_active: true, config: { complexityThreshold: 10 } },
+        { id: 's2', name: 'retired', template: 'tech-debt', project_id: 'p1', cron_expression: '0 9 * * 1', is_active: true },
+        { id: 's4', name: 'other-team', template: 'tech-debt', project_id: 'p2', cron_expression: '0 9 * * 1', is_active: true }
+      ];
+    });
+
+    it('should create missing schedules and update changed ones', () => {
+      const plan = planScheduleChanges(desired, existing);
+
+      expect(plan.map(change => `${change.action} ${change.name}`)).to.deep.equal(['create nightly-audit', 'update weekly-quality']);
+      expect(plan[0].body).to.deep.equal({
+        name: 'nightly-audit',
+        template: 'security-audit',
+        project_id: 'p1',
+        cron_expression: '0 2 * * *',
+        config: {},
+        is_active: true
+      });
+      expect(plan[1]).to.include({ id: 's1' });
+      expect(plan[1].body).to.deep.equal({ cron_expression: '0 10 * * 1', config: { complexityThreshold: 12 } });
+      expect(plan[1].changes.map(change => change.field)).to.deep.equal(['cron_expression', 'config']);
+    });
+
+    it('should leave schedules that already match alone', () => {
+      const created = planScheduleChanges(desired.slice(0, 1), [])[0].body;
+
+      expect(planScheduleChanges(desired.slice(0, 1), [{ id: 's3', ...created }])).to.deep.equal([]);
+      // The server's timezone is kept when the file gives none
+      expect(planScheduleChanges(desired.slice(0, 1), [{ id: 's3', ...created, timezone: 'UTC' }])).to.deep.equal([]);
+    });
+
+    it('should pause schedules disabled in the file', () => {
+      desired[1] = { ...desired[1], cron: '0 9 * * 1', config: { complexityThreshold: 10 }, enabled: false };
+
+      const plan = planScheduleChanges(desired.slice(1), existing);
+
+      expect(plan).to.have.length(1);
+      expect(plan[0].body).to.deep.equal({ is_active: false });
+    });
+
+    it('should delete schedules of the file\'s projects only with prune', () => {
+      expect(planScheduleChanges(desired, existing, { prune: true }).map(change => `${change.action} ${change.name}`)).to.deep.equal([
+        'create nightly-audit',
+        'update weekly-quality',
+        'delete retired'
+      ]);
+      expect(planScheduleChanges(desired, existing).map(change => change.action)).to.not.include('delete');
+      expect(planScheduleChanges([], existing, { prune: true })).to.deep.equal([]);
+    });
+  });
+
+  describe('parseConfigPairs', () => {
+    it('should convert numbers and booleans', () => {
+      expect(parseConfigPairs(['complexityThreshold=10', 'strict=true', 'quiet=false', 'label=nightly run', 'empty=', 'url=a=b'])).to.deep.equal({
+        complexityThreshold: 10,
+        strict: true,
+        quiet: false,
+        label: 'nightly run',
+        empty: '',
+        url: 'a=b'
+      });
+      expect(parseConfigPairs()).to.deep.equal({});
+    });
+
+    it('should reject pairs without a key', () => {
+      expect(() => parseConfigPairs(['threshold'])).to.throw('Invalid config "threshold" (expected key=value)');
+      expect(() => parseConfigPairs(['=10'])).to.throw(/expected key=value/);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Schedule run report tests
+ */
+
+const { expect } = require('chai');
+const path = require('path');
+
+const {
+  countFindings,
+  groupFindings,
+  buildFindingsTrend,
+  getArtifactPath,
+  formatRunDuration
+} = require('../src/utils/schedule-report');
+
+describe('Schedule Report', () => {
+  const findings = [
+    { severity: 'low', title: 'Unused import' },
+    { severity: 'CRITICAL', title: 'SQL injection', file: 'src/db.js', line: 12 },
+    { severity: 'high', title: 'Weak hash' },
+    { severity: 'cosmetic', title: 'Odd spacing' },
+    { severity: 'critical', title: 'Hard-coded secret' }
+  ];
+
+  it('should count findings by severity, reading unknown severities as info', () => {
+    expect(countFindings({ findings })).to.deep.equal({ critical: 2, high: 1, medium: 0, low: 1, info: 1, total: 5 });
+    expect(countFindings({ findings: [{ title: 'No severity' }] })).to.include({ info: 1, total: 1 });
+  });
+
+  it('should fall back to the findings summary and to no findings', () => {
+    expect(countFindings({ findings_summary: { high: 3, medium: 2 } })).to.include({ high: 3, medium: 2, total: 5 });
+    // The list wins over the summary when a run has both
+    expect(countFindings({ findings: [], findings_summary: { high: 3 } })).to.include({ total: 0 });
+    expect(countFindings({})).to.deep.equal({ critical: 0, high: 0, medium: 0, low: 0, info: 0, total: 0 });
+  });
+
+  it('should group findings most severe first, leaving out empty groups', () => {
+    const groups = groupFindings(findings);
+
+    expect(groups.map(group => `${group.severity}:${group.findings.length}`)).to.deep.equal(['critical:2', 'high:1', 'low:1', 'info:1']);
+    expect(groups[0].findings.map(finding => finding.title)).to.deep.equal(['SQL injection', 'Hard-coded secret']);
+    expect(groupFindings()).to.deep.equal([]);
+  });
+
+  describe('buildFindingsTrend', () => {
+    const runs = [
+      { id: 'r4', status: 'running', started_at: '2026-10-04T02:00:00Z' },
+      { id: 'r3', status: 'completed', started_at: '2026-10-03T02:00:00Z', cost: 0.4, findings_summary: { high: 1 } },
+      { id: 'r1', status: 'completed', started_at: '2026-10-01T02:00:00Z', findings_summary: { critical: 1, high: 4 } },
+      { id: 'r2', status: 'failed', started_at: '2026-10-02T02:00:00Z', findings_summary: {} },
+      { id: 'r5', status: 'cancelled', started_at: '2026-10-05T02:00:00Z', findings_summary: {} },
+      { id: 'r0', status: 'completed', started_at: '2026-09-30T02:00:00Z', findings_summary: { high: 6 } }
+    ];
+
+    it('should compare completed runs oldest first', () => {
+      // Failed and cancelled runs report no findings, which must not read as a drop
+      const trend = buildFindingsTrend(runs, 10);
+
+      expect(trend.map(row => row.id)).to.deep.equal(['r0', 'r1', 'r3']);
+      expect(trend.map(row => row.delta)).to.deep.equal([null, -1, -4]);
+      expect(trend[2]).to.include({ cost: 0.4, startedAt: '2026-10-03T02:00:00Z', status: 'completed' });
+      expect(trend[0]).to.include({ cost: null });
+    });
+
+    it('should keep only the most recent runs', () => {
+      const trend = buildFindingsTrend(runs, 2);
+
+      expect(trend.map(row => row.id)).to.deep.equal(['r1', 'r3']);
+      expect(trend[0].delta).to.equal(null);
+      expect(buildFindingsTrend([], 10)).to.deep.equal([]);
+    });
+  });
+
+  describe('getArtifactPath', () => {
+    it('should normalize artifact names, keeping their folders', () => {
+      expect(getArtifactPath('reports/./summary.json')).to.equal(path.join('reports', 'summary.json'));
+      expect(getArtifactPath('a\\b\\report.json')).to.equal(path.join('a', 'b', 'report.json'));
+      expect(getArtifactPath('a/../report.json')).to.equal('report.json');
+    });
+
+    it('should refuse names that leave the output directory', () => {
+      ['../../etc/passwd', '/etc/passwd', 'a/../../x', 'C:\\Windows\\x.dll', '..', '.', '', undefined].forEach(name => {
+        expect(() => getArtifactPath(name), String(name)).to.throw(/Unsafe artifact name/);
+      });
+    });
+  });
+
+  it('should format run durations', () => {
+    expect(formatRunDuration(45)).to.equal('45s');
+    expect(formatRunDuration(723)).to.equal('12m 3s');
+    expect(formatRunDuration(3900)).to.equal('1h 5m');
+    expect(formatRunDuration(undefined)).to.equal('-');
+    expect(formatRunDuration('45')).to.equal('-');
+  });
+});
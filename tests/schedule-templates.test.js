@@ -0,0 +1,160 @@
+/**
+ * Schedule template tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  getTemplateParameters,
+  findTemplatePlaceholders,
+  loadTemplateFile,
+  resolveTemplateConfig,
+  summarizeRunCosts,
+  formatCostEstimate
+} = require('../src/utils/schedule-templates');
+
+describe('Schedule Templates', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-schedule-templates-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('loadTemplateFile', () => {
+    let filePath;
+
+    beforeEach(() => {
+      filePath = path.join(tempDir, 'Payments-Audit.yaml');
+      fs.writeFileSync(filePath, `
+name: Payments audit
+parameters:
+  severity:
+    description: Lowest severity to report
+    default: high
+  paths:
+    required: true
+tasks:
+  - id: scan
+    type: comprehension
+    objective: Review {{paths}} for issues of severity {{ severity }} or worse
+`);
+    });
+
+    it('should load a task file with parameters as a template', () => {
+      const template = loadTemplateFile(filePath);
+
+      expect(template).to.include({ id: 'payments-audit', name: 'Payments audit', description: '', task_count: 1, format: 'yaml' });
+      expect(template.content).to.equal(fs.readFileSync(filePath, 'utf8'));
+      expect(template.content_hash).to.have.lengthOf(64);
+      expect(template.parameters).to.deep.equal([
+        { name: 'severity', description: 'Lowest severity to report', default: 'high', required: false },
+        { name: 'paths', description: '', default: undefined, required: true }
+      ]);
+    });
+
+    it('should take the template id from the caller and check it', () => {
+      expect(loadTemplateFile(filePath, 'pay')).to.include({ id: 'pay', name: 'Payments audit' });
+      expect(() => loadTemplateFile(filePath, 'Pay Audit')).to.throw(/Invalid template id "Pay Audit"/);
+      expect(() => loadTemplateFile(filePath, '-pay')).to.throw(/Invalid template id "-pay"/);
+    });
+
+    it('should reject placeholders without a declared parameter', () => {
+      fs.writeFileSync(filePath, 'tasks:\n  - id: scan\n    type: comprehension\n    objective: Review {{paths}} and {{ depth }}\n');
+
+      expect(() => loadTemplateFile(filePath)).to.throw(/Undeclared parameters: \{\{depth\}\}, \{\{paths\}\}/);
+    });
+
+    it('should reject files that are not valid task files', () => {
+      fs.writeFileSync(filePath, 'tasks:\n  - id: scan\n    type: sometimes\n');
+
+      expect(() => loadTemplateFile(filePath)).to.throw(/^Invalid task file:\n/);
+    });
+
+    it('should load JSON task files without parameters', () => {
+      const jsonPath = path.join(tempDir, 'lint.json');
+      fs.writeFileSync(jsonPath, JSON.stringify({ tasks: [{ id: 'lint', type: 'validation', objective: 'Run the linter' }] }));
+
+      expect(loadTemplateFile(jsonPath)).to.include({ id: 'lint', name: 'lint', format: 'json' });
+      expect(loadTemplateFile(jsonPath).parameters).to.deep.equal([]);
+    });
+  });
+
+  describe('parameters', () => {
+    it('should read the parameters of plans from their spec', () => {
+      const plan = {
+        apiVersion: 'repochief.io/v1',
+        kind: 'Test',
+        spec: { parameters: { paths: { required: true, default: 'src' }, depth: null }, phases: [] }
+      };
+
+      expect(getTemplateParameters(plan)).to.deep.equal([
+        { name: 'paths', description: '', default: 'src', required: false },
+        { name: 'depth', description: '', default: undefined, required: false }
+      ]);
+    });
+
+    it('should reject parameters that are not a mapping of objects', () => {
+      expect(() => getTemplateParameters({ parameters: ['paths'] })).to.throw(/parameters must map parameter names/);
+      expect(() => getTemplateParameters({ parameters: { paths: 'src' } })).to.throw(/parameter "paths" must be an object/);
+      expect(getTemplateParameters({ tasks: [] })).to.deep.equal([]);
+    });
+
+    it('should find placeholders anywhere but in the parameters', () => {
+      const doc = {
+        parameters: { unused: { description: '{{ignored}}' } },
+        tasks: [{ id: 't', objective: '{{b}} then {{a}}', context: ['{{ c }}', { path: '{{b}}' }] }]
+      };
+
+      expect(findTemplatePlaceholders(doc)).to.deep.equal(['a', 'b', 'c']);
+    });
+  });
+
+  describe('resolveTemplateConfig', () => {
+    const parameters = [
+      { name: 'severity', default: 'high', required: false },
+      { name: 'paths', required: true },
+      { name: 'depth', required: false }
+    ];
+
+    it('should fill in defaults and keep given values', () => {
+      expect(resolveTemplateConfig(parameters, { paths: 'src/pay' })).to.deep.equal({ severity: 'high', paths: 'src/pay' });
+      expect(resolveTemplateConfig(parameters, { paths: 'src', severity: 'low', depth: 2 })).to.deep.equal({ severity: 'low', paths: 'src', depth: 2 });
+    });
+
+    it('should reject missing and unknown parameters', () => {
+      expect(() => resolveTemplateConfig(parameters, {})).to.throw('Missing template parameter paths (set with --config <name>=<value>)');
+      expect(() => resolveTemplateConfig(parameters, { paths: 'src', level: 2, mode: 'x' })).to.throw(/Unknown template parameters level, mode \(parameters: severity, paths, depth\)/);
+      expect(() => resolveTemplateConfig([], { level: 2 })).to.throw(/\(parameters: none\)/);
+    });
+  });
+
+  describe('run costs', () => {
+    it('should summarize the cost of completed runs only', () => {
+      const summary = summarizeRunCosts([
+        { status: 'completed', cost: 3.1 },
+        { status: 'failed', cost: 0.2 },
+        { outcome: 'completed', cost: 4.7 },
+        { status: 'completed' },
+        { status: 'running' }
+      ]);
+
+      expect(summary).to.include({ runs: 2, min: 3.1, max: 4.7 });
+      expect(summary.average).to.be.closeTo(3.9, 0.001);
+      expect(summarizeRunCosts([{ status: 'failed', cost: 1 }])).to.equal(null);
+    });
+
+    it('should format the estimate', () => {
+      expect(formatCostEstimate(summarizeRunCosts([{ status: 'completed', cost: 3.1 }, { outcome: 'completed', cost: 4.7 }])))
+        .to.equal('~$3.90/run ($3.10-4.70 over 2 runs)');
+      expect(formatCostEstimate(summarizeRunCosts([{ status: 'completed', cost: 2 }]))).to.equal('~$2.00/run (1 run)');
+      expect(formatCostEstimate(summarizeRunCosts([]))).to.equal('no runs yet');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Run comparison tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadRun, diffRuns, formatDiff } = require('../src/utils/session-diff');
+const { recordSession } = require('../src/utils/session-index');
+
+describe('Session Diff', () => {
+  let tempDir;
+  let originalHome;
+
+  const writeRun = (name, tasks, total) => {
+    const dir = path.join(tempDir, name);
+    fs.mkdirSync(dir);
+    const file = path.join(dir, `${name}-results.json`);
+    fs.writeFileSync(file, JSON.stringify({
+      session: name,
+      duration: 10,
+      tasks,
+      cost: { costs: { total }, usage: { totalTokens: { input: 0, output: 0 } } }
+    }));
+    return file;
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-diff-'));
+    originalHome = process.env.HOME;
+    process.env.HOME = tempDir;
+  });
+
+  afterEach(() => {
+    process.env.HOME = originalHome;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const writeBeforeAndAfter = () => [
+    writeRun('before', [
+      { taskId: 'analyze', status: 'completed', result: { output: 'one\ntwo\n', cost: 0.1, tokensUsed: 100 } },
+      { taskId: 'implement', status: 'failed', error: 'timeout' },
+      { taskId: 'lint', status: 'completed', result: { output: 'clean', cost: 0.01, tokensUsed: 10 } },
+      { taskId: 'deploy', status: 'completed', result: { output: 'ok' } },
+      { taskId: 'cleanup', status: 'completed', result: { output: 'ok' } }
+    ], 0.1),
+    writeRun('after', [
+      { taskId: 'analyze', status: 'completed', result: { output: 'one\nthree\n', cost: 0.15, tokensUsed: 120 } },
+      { taskId: 'implement', status: 'completed', result: { output: 'done\n', cost: 0.2, tokensUsed: 300 } },
+      { taskId: 'lint', status: 'completed', result: { output: 'clean', cost: 0.01, tokensUsed: 10 } },
+      { taskId: 'deploy', status: 'failed', error: { message: 'boom' } },
+      { taskId: 'docs', status: 'completed', result: { output: 'docs\n', cost: 0.05, tokensUsed: 50 } }
+    ], 0.4)
+  ];
+
+  it('should classify how each task changed', () => {
+    const [base, compare] = writeBeforeAndAfter();
+    const diff = diffRuns(loadRun(base), loadRun(compare), { artifacts: false });
+
+    expect(diff.tasks.map(task => [task.id, task.change])).to.deep.equal([
+      ['analyze', 'changed'],
+      ['implement', 'fixed'],
+      ['lint', 'unchanged'],
+      ['deploy', 'regressed'],
+      ['cleanup', 'removed'],
+      ['docs', 'added']
+    ]);
+    expect(diff.tasks[3]).to.include({ error: 'boom' });
+    expect(diff.tasks[4].status).to.deep.equal({ before: 'completed', after: null });
+  });
+
+  it('should report per-task and total deltas', () => {
+    const [base, compare] = writeBeforeAndAfter();
+    const diff = diffRuns(loadRun(base), loadRun(compare), { artifacts: false });
+
+    expect(diff.tasks[0].tokens).to.deep.equal({ before: 100, after: 120, delta: 20 });
+    expect(diff.tasks[0]).to.include({ outputChanged: true });
+    expect(diff.tasks[5].cost).to.deep.equal({ before: null, after: 0.05, delta: null });
+    expect(diff.totals.cost.delta).to.be.closeTo(0.3, 1e-9);
+    expect(diff.totals.tokens).to.deep.equal({ before: 110, after: 480, delta: 370 });
+    expect(diff.totals.failed).to.deep.equal({ before: 1, after: 1, delta: 0 });
+    expect(diff.artifacts).to.deep.equal([]);
+  });
+
+  it('should diff task outputs and output directory files', () => {
+    const [base, compare] = writeBeforeAndAfter();
+    fs.writeFileSync(path.join(path.dirname(base), 'report.md'), '# Report\nold\n');
+    fs.writeFileSync(path.join(path.dirname(compare), 'report.md'), '# Report\nnew\n');
+    fs.writeFileSync(path.join(path.dirname(compare), 'image.bin'), Buffer.from([1, 0, 2]));
+    fs.writeFileSync(path.join(path.dirname(compare), 'checkpoint.json'), '{}');
+
+    const diff = diffRuns(loadRun(base), loadRun(path.dirname(compare)));
+    const byName = Object.fromEntries(diff.artifacts.map(artifact => [artifact.name, artifact]));
+
+    expect(byName['tasks/analyze'].patch).to.include('-two').and.to.include('+three');
+    expect(byName['tasks/docs']).to.include({ change: 'added' });
+    expect(byName['tasks/cleanup']).to.include({ change: 'removed' });
+    expect(byName['files/report.md'].patch).to.include('-old').and.to.include('+new');
+    // Bookkeeping, binary and unchanged outputs are left out
+    ['tasks/lint', 'files/image.bin', 'files/checkpoint.json', 'files/after-results.json'].forEach(name => {
+      expect(byName).to.not.have.property(name);
+    });
+  });
+
+  it('should load runs by session id and warn when the task file changed', () => {
+    const [base, compare] = writeBeforeAndAfter();
+    recordSession({ id: 'before', startedAt: '2026-01-01T00:00:00Z', taskFileHash: 'aaa', files: { results: base } });
+    recordSession({ id: 'after', startedAt: '2026-01-02T00:00:00Z', taskFileHash: 'bbb', files: { results: compare } });
+
+    const diff = diffRuns(loadRun('before'), loadRun('latest'), { artifacts: false });
+
+    expect(diff.base).to.include({ label: 'before', resultsFile: base, taskFileHash: 'aaa' });
+    expect(diff.taskFileChanged).to.equal(true);
+    expect(formatDiff(diff)).to.include('The task file changed between these runs');
+  });
+
+  it('should explain why a run cannot be loaded', () => {
+    expect(() => loadRun('nothing')).to.throw('"nothing" is neither a results file, an output directory nor a known session');
+
+    recordSession({ id: 'moved', startedAt: '2026-01-01T00:00:00Z', files: { results: path.join(tempDir, 'gone.json') } });
+    expect(() => loadRun('moved')).to.throw(/Results file of session moved is not available/);
+
+    fs.mkdirSync(path.join(tempDir, 'empty'));
+    expect(() => loadRun(path.join(tempDir, 'empty'))).to.throw(/No results file in/);
+
+    fs.writeFileSync(path.join(tempDir, 'broken-results.json'), '{ not json');
+    expect(() => loadRun(path.join(tempDir, 'broken-results.json'))).to.throw(/Cannot read results file/);
+  });
+
+  it('should render text, markdown and json', () => {
+    const base = writeRun('before', [{ taskId: 'a', status: 'completed', result: { output: 'x', cost: 0.1 } }], 0.1);
+    const compare = writeRun('after', [{ taskId: 'a', status: 'failed', error: 'boom' }], 0);
+    const diff = diffRuns(loadRun(base), loadRun(compare), { artifacts: false });
+
+    expect(formatDiff(diff).replace(/\x1b\[[0-9;]*m/g, '')).to.include('regressed a  completed → failed');
+    expect(formatDiff(diff, 'markdown')).to.include('| `a` | regressed | completed → failed |');
+    expect(JSON.parse(formatDiff(diff, 'json')).tasks[0].error).to.equal('boom');
+    expect(() => formatDiff(diff, 'html')).to.throw('Invalid format "html" (expected text, json, markdown)');
+  });
+});
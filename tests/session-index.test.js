@@ -0,0 +1,122 @@
+/**
+ * Session index tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  recordSession,
+  readSession,
+  listSessions,
+  findSession,
+  selectSessionsToPrune,
+  isSessionActive,
+  readResultsFile,
+  readSessionResults,
+  removeSessions,
+  getSessionsDir
+} = require('../src/utils/session-index');
+
+describe('Session Index', () => {
+  let tempHome;
+  let originalHome;
+
+  beforeEach(() => {
+    tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-sessions-'));
+    originalHome = process.env.HOME;
+    process.env.HOME = tempHome;
+  });
+
+  afterEach(() => {
+    process.env.HOME = originalHome;
+    fs.rmSync(tempHome, { recursive: true, force: true });
+  });
+
+  const now = new Date('2026-03-11T00:00:00Z');
+
+  it('should merge updates into the recorded run', () => {
+    recordSession({ id: 'repochief-100', cwd: '/work/a', outcome: 'running', startedAt: '2026-01-01T10:00:00Z' });
+    recordSession({ id: 'repochief-100', outcome: 'completed', cost: 0.42 });
+
+    expect(readSession('repochief-100')).to.include({ cwd: '/work/a', outcome: 'completed', cost: 0.42, startedAt: '2026-01-01T10:00:00Z' });
+    expect(fs.readdirSync(getSessionsDir())).to.deep.equal(['repochief-100.json']);
+  });
+
+  it('should list runs newest first from any directory', () => {
+    recordSession({ id: 'repochief-100', cwd: '/work/a', outcome: 'completed', startedAt: '2026-01-01T10:00:00Z' });
+    recordSession({ id: 'repochief-200', cwd: '/work/b', outcome: 'failed', startedAt: '2026-01-02T10:00:00Z' });
+    fs.writeFileSync(path.join(getSessionsDir(), 'broken.json'), '{ not json');
+
+    expect(listSessions().map(entry => entry.id)).to.deep.equal(['repochief-200', 'repochief-100']);
+    expect(listSessions({ cwd: '/work/a' }).map(entry => entry.id)).to.deep.equal(['repochief-100']);
+    expect(listSessions({ outcome: 'failed' }).map(entry => entry.id)).to.deep.equal(['repochief-200']);
+  });
+
+  it('should find runs by id, unique prefix or "latest"', () => {
+    expect(findSession('latest')).to.equal(null);
+    recordSession({ id: 'repochief-100', startedAt: '2026-01-01T10:00:00Z' });
+    recordSession({ id: 'repochief-200', startedAt: '2026-01-02T10:00:00Z' });
+
+    expect(findSession('repochief-100').id).to.equal('repochief-100');
+    expect(findSession('repochief-2').id).to.equal('repochief-200');
+    expect(findSession('latest').id).to.equal('repochief-200');
+    expect(findSession('other')).to.equal(null);
+    expect(() => findSession('repochief-')).to.throw('Session id "repochief-" is ambiguous (2 matches: repochief-200, repochief-100)');
+  });
+
+  it('should prune by age, count and missing output', () => {
+    const outputDir = fs.mkdtempSync(path.join(tempHome, 'output-'));
+    const sessions = [
+      { id: 'new', startedAt: '2026-03-10T00:00:00Z', outputDir },
+      { id: 'mid', startedAt: '2026-03-05T00:00:00Z', outputDir },
+      { id: 'old', startedAt: '2026-01-01T00:00:00Z', outputDir: path.join(tempHome, 'gone') }
+    ];
+    const ids = (criteria) => selectSessionsToPrune(sessions, { now, ...criteria }).map(entry => entry.id);
+
+    expect(ids({ olderThanDays: 30 })).to.deep.equal(['old']);
+    expect(ids({ keep: 1 })).to.deep.equal(['mid', 'old']);
+    expect(ids({ missing: true })).to.deep.equal(['old']);
+    expect(ids({ olderThanDays: 3, missing: true })).to.deep.equal(['mid', 'old']);
+    expect(ids({})).to.deep.equal([]);
+  });
+
+  it('should remove entries but leave their output alone', () => {
+    const outputDir = fs.mkdtempSync(path.join(tempHome, 'output-'));
+    recordSession({ id: 'old', startedAt: '2026-01-01T00:00:00Z', outputDir });
+    recordSession({ id: 'new', startedAt: '2026-03-10T00:00:00Z', outputDir });
+
+    removeSessions(['old', 'unknown']);
+
+    expect(listSessions().map(entry => entry.id)).to.deep.equal(['new']);
+    expect(fs.existsSync(outputDir)).to.equal(true);
+  });
+
+  it('should only count running entries as running while their process lives', () => {
+    expect(isSessionActive({ outcome: 'running', pid: process.pid, startedAt: '2026-01-01T00:00:00Z' }, now)).to.equal(true);
+    expect(isSessionActive({ outcome: 'running', pid: 2147483646, startedAt: '2026-03-10T23:00:00Z' }, now)).to.equal(false);
+    expect(isSessionActive({ outcome: 'completed', pid: process.pid }, now)).to.equal(false);
+  });
+
+  it('should treat running entries without a pid as stale after a day', () => {
+    expect(isSessionActive({ outcome: 'running', startedAt: '2026-03-10T12:00:00Z' }, now)).to.equal(true);
+    expect(isSessionActive({ outcome: 'running', startedAt: '2026-03-01T00:00:00Z' }, now)).to.equal(false);
+  });
+
+  it('should read results files and tell missing from invalid ones', () => {
+    const resultsFile = path.join(tempHome, 'repochief-100-results.json');
+    fs.writeFileSync(resultsFile, JSON.stringify({ session: 'repochief-100', tasks: [] }));
+    expect(readSessionResults({ files: { results: resultsFile } })).to.deep.equal({ session: 'repochief-100', tasks: [] });
+
+    expect(() => readResultsFile(path.join(tempHome, 'gone.json'))).to.throw(/Results file not found/);
+    fs.writeFileSync(resultsFile, '{ not json');
+    expect(() => readResultsFile(resultsFile)).to.throw(/Invalid results file/);
+
+    // Index entries outlive their output, so these are not errors
+    expect(readSessionResults({ files: { results: resultsFile } })).to.equal(null);
+    expect(readSessionResults({ files: { results: path.join(tempHome, 'gone.json') } })).to.equal(null);
+    expect(readSessionResults({ id: 'repochief-100' })).to.equal(null);
+  });
+});
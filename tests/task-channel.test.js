@@ -0,0 +1,143 @@
+/**
+ * Task delivery channel tests
+ */
+
+const { expect } = require('chai');
+const axios = require('axios');
+
+const { TaskStreamChannel, backoffDelay, parseEventStream, parseDeliveryMode } = require('../src/utils/task-channel');
+const { FakeCloudServer } = require('./helpers/fake-cloud-server');
+
+describe('Task Channel', () => {
+  let server;
+  let channel;
+
+  const waitFor = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+  const createChannel = (options = {}) => new TaskStreamChannel({
+    client: { axios: axios.create({ baseURL: server.url }) },
+    path: '/devices/device-1/tasks/stream',
+    retryDelay: () => 20,
+    ...options
+  });
+
+  const startServer = async (options) => {
+    server = new FakeCloudServer(options);
+    await server.start();
+  };
+
+  afterEach(async () => {
+    if (channel) {
+      channel.stop();
+      channel = null;
+    }
+    if (server) {
+      await server.stop();
+      server = null;
+    }
+  });
+
+  it('should announce queued tasks on an open stream', async () => {
+    await startServer();
+    channel = createChannel().start();
+    await waitFor(channel, 'open');
+    expect(channel.connected).to.equal(true);
+
+    const announced = waitFor(channel, 'tasks');
+    server.queueTask({ id: 'task-1', type: 'generation' });
+    expect(await announced).to.deep.equal({ id: 'task-1' });
+  });
+
+  it('should announce a nudge without a usable payload as null', async () => {
+    await startServer();
+    channel = createChannel().start();
+    await waitFor(channel, 'open');
+
+    const announced = [];
+    channel.on('tasks', payload => announced.push(payload));
+    const second = new Promise(resolve => channel.on('tasks', () => announced.length === 2 && resolve()));
+    server.streams.forEach(res => res.write('event: ping\ndata: {}\n\nevent: task\ndata: {not json\n\nevent: tasks\n\n'));
+    await second;
+
+    expect(announced).to.deep.equal([null, null]);
+  });
+
+  it('should reconnect after the stream drops', async () => {
+    await startServer();
+    channel = createChannel().start();
+    await waitFor(channel, 'open');
+
+    server.failNext(1);
+    const disconnects = [];
+    channel.on('disconnected', event => disconnects.push(event));
+    const reopened = new Promise(resolve => channel.on('open', resolve));
+    server.closeStreams();
+    await reopened;
+
+    expect(disconnects.map(event => event.attempt)).to.deep.equal([1, 2]);
+    expect(disconnects[0].delay).to.equal(20);
+    expect(disconnects[1].error.response.status).to.equal(500);
+    expect(channel.connected).to.equal(true);
+    expect(channel.attempt).to.equal(0);
+  });
+
+  it('should reconnect when the stream stays idle', async () => {
+    await startServer();
+    channel = createChannel({ idleTimeout: 50 }).start();
+    await waitFor(channel, 'open');
+
+    const { error, attempt } = await waitFor(channel, 'disconnected');
+
+    expect(attempt).to.equal(1);
+    expect(error.message).to.match(/No data on the task stream/);
+    await waitFor(channel, 'open');
+  });
+
+  it('should not reconnect once stopped', async () => {
+    await startServer();
+    channel = createChannel().start();
+    await waitFor(channel, 'open');
+    channel.on('disconnected', () => expect.fail('reconnected after stop()'));
+
+    channel.stop();
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(channel.stopped).to.equal(true);
+    expect(server.requests.filter(request => /\/tasks\/stream$/.test(request.path))).to.have.length(1);
+  });
+
+  [404, 405, 501].forEach(status => {
+    it(`should report servers answering ${status} as without a stream`, async () => {
+      await startServer({ stream: false, streamStatus: status });
+      channel = createChannel().start();
+
+      expect(await waitFor(channel, 'unsupported')).to.deep.equal({ status });
+      expect(channel.stopped).to.equal(true);
+    });
+  });
+
+  it('should split event streams into events and keep unfinished ones', () => {
+    expect(parseEventStream('event: ping\n\n: comment\n\ndata: {"a":\ndata: 1}\n\nevent: ta')).to.deep.equal({
+      events: [{ event: 'ping', data: '' }, { event: 'message', data: '{"a":\n1}' }],
+      rest: 'event: ta'
+    });
+    expect(parseEventStream('event: task\r\ndata:{"id":"t"}\r\n\r\n')).to.deep.equal({
+      events: [{ event: 'task', data: '{"id":"t"}' }],
+      rest: ''
+    });
+    expect(parseEventStream('')).to.deep.equal({ events: [], rest: '' });
+  });
+
+  it('should back off exponentially up to a cap', () => {
+    expect([1, 2, 3, 4].map(attempt => backoffDelay(attempt))).to.deep.equal([1000, 2000, 4000, 8000]);
+    expect(backoffDelay(0)).to.equal(1000);
+    expect(backoffDelay(20)).to.equal(5 * 60 * 1000);
+    expect(backoffDelay(3, { baseDelay: 100, maxDelay: 250 })).to.equal(250);
+  });
+
+  it('should reject unknown delivery modes', () => {
+    expect(parseDeliveryMode()).to.equal('stream');
+    expect(parseDeliveryMode('interval')).to.equal('interval');
+    expect(() => parseDeliveryMode('push')).to.throw('Invalid delivery mode "push" (expected stream, interval)');
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Task file loading tests
+ */
+
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const { loadTaskFile, flattenPlan, mapPlanTaskType } = require('../src/utils/task-file');
+
+const EXAMPLES_DIR = path.join(__dirname, '../examples');
+
+describe('Task File Loading', () => {
+  it('should load a JSON task list', () => {
+    const definition = loadTaskFile(path.join(EXAMPLES_DIR, 'tasks/code-review.json'));
+    
+    expect(definition.kind).to.equal('TaskList');
+    expect(definition.tasks).to.have.length(3);
+    expect(definition.metadata.name).to.equal('Code Review Workflow');
+  });
+  
+  it('should load a single task YAML document', () => {
+    const definition = loadTaskFile(path.join(EXAMPLES_DIR, 'test-task.yaml'));
+    
+    expect(definition.tasks).to.have.length(1);
+    expect(definition.tasks[0].id).to.equal('test-task-001');
+    expect(definition.tasks[0].type).to.equal('generation');
+    expect(definition.tasks[0].planType).to.equal('bugfix');
+  });
+  
+  it('should flatten plan template phases with phase-level dependencies', () => {
+    const definition = loadTaskFile(path.join(EXAMPLES_DIR, 'plan-templates/02_feature_development.yml'));
+    const byId = Object.fromEntries(definition.tasks.map(t => [t.id, t]));
+    
+    expect(definition.kind).to.equal('FeatureDevelopment');
+    expect(definition.tasks.map(t => t.id)).to.deep.equal(['auth-1', 'auth-2', 'auth-3', 'ui-1', 'ui-2', 'test-1', 'sec-1']);
+    expect(byId['ui-1'].dependencies).to.deep.equal(['auth-3']);
+    expect(byId['ui-1'].adapterType).to.equal('cursor');
+    expect(byId['auth-1'].adapterType).to.equal('claude-code');
+    expect(byId['ui-1']).to.not.have.property('agent');
+    expect(byId['sec-1'].type).to.equal('validation');
+    expect(definition.settings.errorHandling).to.equal('prompt');
+  });
+  
+  it('should make entry tasks of a phase depend on the previous phase', () => {
+    const { tasks } = flattenPlan({
+      apiVersion: 'repochief.io/v1',
+      kind: 'Test',
+      spec: {
+        phases: [
+          { id: 'p1', tasks: [{ id: 'a', type: 'analysis', title: 'A' }, { id: 'b', type: 'analysis', title: 'B' }] },
+          { id: 'p2', tasks: [{ id: 'c', type: 'implementation', title: 'C' }] }
+        ]
+      }
+    });
+    
+    expect(tasks[2].dependencies).to.have.members(['a', 'b']);
+    expect(tasks[0].objective).to.equal('A');
+    expect(tasks[0].type).to.equal('comprehension');
+  });
+  
+  it('should chain tasks when executionMode is sequential', () => {
+    const { tasks } = flattenPlan({
+      apiVersion: 'repochief.io/v1',
+      kind: 'Test',
+      spec: {
+        settings: { executionMode: 'sequential' },
+        tracks: [
+          { id: 't1', tasks: [{ id: 'a', title: 'A' }] },
+          { id: 't2', tasks: [{ id: 'b', title: 'B' }] }
+        ]
+      }
+    });
+    
+    expect(tasks[1].dependencies).to.deep.equal(['a']);
+  });
+  
+  it('should map plan task types onto orchestrator types', () => {
+    expect(mapPlanTaskType('comprehension')).to.equal('comprehension');
+    expect(mapPlanTaskType('planning')).to.equal('exploration');
+    expect(mapPlanTaskType('implementation')).to.equal('generation');
+  });
+  
+  it('should report invalid YAML', () => {
+    const file = path.join(os.tmpdir(), `repochief-invalid-${Date.now()}.yaml`);
+    fs.writeFileSync(file, 'tasks: [unclosed');
+    
+    try {
+      expect(() => loadTaskFile(file)).to.throw('Invalid YAML');
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Task dependency graph tests
+ */
+
+const { expect } = require('chai');
+
+const { buildTaskGraph } = require('../src/utils/task-graph');
+const {
+  planDefaultRoster,
+  planDeclaredRoster,
+  resolveRoster,
+  routeTasks,
+  addAdapterAgents,
+  assignAgents
+} = require('../src/utils/agent-roster');
+
+describe('Task Dependency Graph', () => {
+  it('should order tasks into execution waves', () => {
+    const { waves, errors } = buildTaskGraph([
+      { id: 'analyze', type: 'comprehension' },
+      { id: 'review', type: 'exploration' },
+      { id: 'implement', type: 'generation', dependencies: ['analyze', 'review'] },
+      { id: 'test', type: 'validation', dependencies: ['implement'] }
+    ]);
+    
+    expect(errors).to.deep.equal([]);
+    expect(waves).to.deep.equal([['analyze', 'review'], ['implement'], ['test']]);
+  });
+  
+  it('should report duplicate ids and unknown dependencies', () => {
+    const { errors } = buildTaskGraph([
+      { id: 'a' },
+      { id: 'a' },
+      { id: 'b', dependencies: ['missing'] }
+    ]);
+    
+    expect(errors.map(e => e.type)).to.deep.equal(['duplicate-id', 'unknown-dependency']);
+    expect(errors[0].index).to.equal(1);
+    expect(errors[1].dependencyIndex).to.equal(0);
+  });
+  
+  it('should detect cycles and leave cyclic tasks out of the waves', () => {
+    const { waves, errors } = buildTaskGraph([
+      { id: 'a', dependencies: ['c'] },
+      { id: 'b', dependencies: ['a'] },
+      { id: 'c', dependencies: ['b'] },
+      { id: 'd' }
+    ]);
+    
+    expect(errors).to.have.length(1);
+    expect(errors[0].message).to.equal('dependency cycle: a → c → b → a');
+    expect(waves).to.deep.equal([['d']]);
+  });
+  
+  it('should spread a wave over matching agents', () => {
+    const tasks = [
+      { id: 'a', type: 'comprehension' },
+      { id: 'b', type: 'generation' },
+      { id: 'c', type: 'generation' }
+    ];
+    const { waves, tasksById } = buildTaskGraph(tasks);
+    const roster = planDefaultRoster(tasks, 3);
+    const assignments = assignAgents(waves, tasksById, roster);
+    
+    expect(roster.map(a => a.name)).to.deep.equal(['analyst-1', 'developer-1', 'developer-3']);
+    expect(assignments.get('a').name).to.equal('analyst-1');
+    expect(assignments.get('b').name).to.equal('developer-1');
+    expect(assignments.get('c').name).to.equal('developer-3');
+  });
+  
+  it('should route tasks to a declared roster', () => {
+    const templates = {
+      ARCHITECT: { role: 'architect', model: 'claude-3-5-sonnet', capabilities: ['comprehension'], constraints: { temperature: 0.5 } },
+      SENIOR_DEVELOPER: { role: 'code_generator', model: 'gpt-4o', capabilities: ['generation'], constraints: { temperature: 0.7 } }
+    };
+    const roster = resolveRoster(planDeclaredRoster([
+      { name: 'reader', template: 'ARCHITECT', model: 'claude-3-haiku' },
+      { name: 'builder', role: 'developer', temperature: 0.2, capabilities: ['generation', 'refactoring'] }
+    ]), templates);
+    
+    expect(roster[0].profile).to.include({ name: 'reader', model: 'claude-3-haiku' });
+    expect(roster[1].profile.constraints.temperature).to.equal(0.2);
+    
+    const routed = routeTasks([
+      { id: 'a', type: 'validation', agent: 'reader' },
+      { id: 'b', type: 'generation', requiredCapabilities: ['refactoring'] }
+    ], roster);
+    expect(routed[0].assignedAgent).to.equal('reader');
+    expect(routed[1].candidateAgents).to.deep.equal(['builder']);
+    
+    expect(() => routeTasks([{ id: 'c', type: 'generation', agent: 'nobody' }], roster))
+      .to.throw('Task "c" references unknown agent "nobody"');
+    expect(() => resolveRoster([{ name: 'x', template: 'MISSING' }], templates))
+      .to.throw('Unknown agent template "MISSING"');
+  });
+
+  it('should give tasks naming another adapter an agent of their own', () => {
+    const roster = [{ name: 'dev-1', role: 'developer', profile: { name: 'dev-1', model: 'gpt-4o' } }];
+    const { tasks, roster: withAdapters } = addAdapterAgents([
+      { id: 'a', type: 'generation', adapterType: 'claude-code' },
+      { id: 'b', type: 'generation', adapterType: 'cursor' },
+      { id: 'c', type: 'generation', adapterType: 'cursor' },
+      { id: 'd', type: 'generation' }
+    ], roster, 'claude-code');
+    
+    expect(withAdapters.map(agent => agent.name)).to.deep.equal(['dev-1', 'cursor-agent']);
+    expect(withAdapters[1].profile).to.include({ useAdapter: true, adapterType: 'cursor' });
+    expect(tasks.map(task => task.assignedAgent)).to.deep.equal([undefined, 'cursor-agent', 'cursor-agent', undefined]);
+    
+    const waves = [['a', 'b']];
+    const assignments = assignAgents(waves, new Map(tasks.map(task => [task.id, task])), withAdapters);
+    expect(assignments.get('b').name).to.equal('cursor-agent');
+  });
+});
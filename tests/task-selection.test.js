@@ -0,0 +1,106 @@
+/**
+ * Task selection tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { selectTaskIds, detachTasks, readPreviousResults, parseTaskIds, resultToText } = require('../src/utils/task-selection');
+
+describe('Task Selection', () => {
+  const tasks = [
+    { id: 'analyze', type: 'comprehension', objective: 'Analyze' },
+    { id: 'implement', type: 'generation', objective: 'Implement', dependencies: ['analyze'] },
+    { id: 'test', type: 'validation', objective: 'Test', dependencies: ['implement'] },
+    { id: 'docs', type: 'generation', objective: 'Document', dependencies: ['analyze'] }
+  ];
+  let tempDir;
+  
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-selection-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  const writeResults = (content) => {
+    const resultsFile = path.join(tempDir, 'repochief-1-results.json');
+    fs.writeFileSync(resultsFile, typeof content === 'string' ? content : JSON.stringify(content));
+    return resultsFile;
+  };
+  
+  it('should select every task without criteria', () => {
+    expect([...selectTaskIds(tasks)]).to.deep.equal(['analyze', 'implement', 'test', 'docs']);
+  });
+  
+  it('should select with --only, --from and --skip', () => {
+    expect([...selectTaskIds(tasks, { only: ['docs'] })]).to.deep.equal(['docs']);
+    expect([...selectTaskIds(tasks, { from: 'implement' })]).to.deep.equal(['implement', 'test']);
+    expect([...selectTaskIds(tasks, { only: ['docs'], from: 'implement' })]).to.deep.equal(['docs', 'implement', 'test']);
+    expect([...selectTaskIds(tasks, { from: 'analyze', skip: ['docs'] })]).to.deep.equal(['analyze', 'implement', 'test']);
+  });
+  
+  it('should reject unknown task ids', () => {
+    expect(() => selectTaskIds(tasks, { only: ['missing'] })).to.throw('Unknown task id(s) in --only: missing');
+    expect(() => selectTaskIds(tasks, { skip: ['a', 'b'] })).to.throw('Unknown task id(s) in --skip: a, b');
+    expect(() => selectTaskIds(tasks, { from: 'missing' })).to.throw('Unknown task id(s) in --from: missing');
+  });
+  
+  it('should parse comma-separated and repeated task ids', () => {
+    expect(parseTaskIds('a, b,,c')).to.deep.equal(['a', 'b', 'c']);
+    expect(parseTaskIds(['a,b', 'c'])).to.deep.equal(['a', 'b', 'c']);
+    expect(parseTaskIds(undefined)).to.deep.equal([]);
+  });
+  
+  it('should rerun failed tasks with completed upstream results as context', () => {
+    const previous = readPreviousResults(writeResults({
+      session: 'repochief-1',
+      tasks: [
+        { taskId: 'analyze', status: 'completed', result: { output: 'module map' } },
+        { taskId: 'implement', status: 'failed', error: 'timeout' },
+        { taskId: 'docs', status: 'completed', result: { output: 'README' } }
+      ]
+    }));
+    expect(previous).to.include({ session: 'repochief-1' });
+    expect(previous.failed).to.deep.equal(['implement']);
+    
+    const selected = selectTaskIds(tasks, { failed: previous.failed });
+    const rerun = detachTasks(tasks, selected, previous.completed);
+    
+    expect(rerun.map(t => t.id)).to.deep.equal(['implement']);
+    expect(rerun[0].dependencies).to.deep.equal([]);
+    expect(rerun[0].context).to.deep.equal(['Result of task "analyze":\nmodule map']);
+  });
+  
+  it('should reject results files without a task list', () => {
+    const resultsFile = writeResults({ session: 'repochief-1' });
+    expect(() => readPreviousResults(resultsFile)).to.throw(/missing "tasks" list/);
+  });
+  
+  it('should keep dependencies inside the selection and drop the rest', () => {
+    const detached = detachTasks(tasks, new Set(['implement', 'test']));
+    
+    expect(detached.map(t => t.dependencies)).to.deep.equal([[], ['implement']]);
+    // Without a known result nothing is added to the context
+    expect(detached[0]).to.not.have.property('context');
+  });
+  
+  it('should append upstream results to the task\'s own context', () => {
+    const completed = { analyze: { result: { output: 'module map' } } };
+    const withList = detachTasks([{ ...tasks[1], context: ['Use TypeScript'] }], new Set(['implement']), completed);
+    const withText = detachTasks([{ ...tasks[1], context: 'Use TypeScript' }], new Set(['implement']), completed);
+    
+    expect(withList[0].context).to.deep.equal(['Use TypeScript', 'Result of task "analyze":\nmodule map']);
+    expect(withText[0].context).to.equal('Use TypeScript\n\nResult of task "analyze":\nmodule map');
+  });
+  
+  it('should turn any result shape into context text', () => {
+    expect(resultToText('plain')).to.equal('plain');
+    expect(resultToText({ content: 'from content' })).to.equal('from content');
+    expect(resultToText({ output: { files: 2 } })).to.equal('{\n  "files": 2\n}');
+    expect(resultToText(null)).to.equal('');
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Task file schema validation tests
+ */
+
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const { validateTaskFile, validateTaskDocument } = require('../src/utils/task-validation');
+
+const EXAMPLES_DIR = path.join(__dirname, '../examples');
+
+/**
+ * Write a temporary task file and return its path
+ */
+function writeTempFile(name, content) {
+  const file = path.join(os.tmpdir(), `repochief-${Date.now()}-${name}`);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+describe('Task File Validation', () => {
+  const tempFiles = [];
+  
+  after(() => {
+    tempFiles.forEach(file => fs.existsSync(file) && fs.unlinkSync(file));
+  });
+  
+  it('should accept the bundled examples and plan templates', () => {
+    const files = [
+      'tasks/code-review.json',
+      'tasks/simple-generation.json',
+      'test-task.yaml',
+      ...fs.readdirSync(path.join(EXAMPLES_DIR, 'plan-templates'))
+        .filter(f => f.endsWith('.yml'))
+        .map(f => `plan-templates/${f}`)
+    ];
+    
+    files.forEach(file => {
+      const result = validateTaskFile(path.join(EXAMPLES_DIR, file));
+      expect(result.errors, file).to.deep.equal([]);
+      expect(result.definition.tasks.length, file).to.be.above(0);
+    });
+  });
+  
+  it('should report every error with its line and JSON path', () => {
+    const file = writeTempFile('tasks.json', JSON.stringify({
+      tasks: [
+        { id: 'a', type: 'gen', objective: 'A', maxTokens: 0 },
+        { id: 'b', objective: 'B', dependencies: ['a', 'a'] }
+      ]
+    }, null, 2));
+    tempFiles.push(file);
+    
+    const result = validateTaskFile(file);
+    const summary = result.errors.map(e => `${e.line} ${e.path}`);
+    
+    expect(result.valid).to.be.false;
+    expect(result.definition).to.be.null;
+    expect(summary).to.deep.equal([
+      '5 $.tasks[0].type',
+      '7 $.tasks[0].maxTokens',
+      '9 $.tasks[1]',
+      '14 $.tasks[1].dependencies[1]'
+    ]);
+  });
+  
+  it('should locate errors in YAML plan templates', () => {
+    const file = writeTempFile('plan.yml', [
+      'apiVersion: repochief.io/v1',
+      'kind: Test',
+      'spec:',
+      '  settings:',
+      '    errorHandling: sometimes',
+      '  phases:',
+      '    - id: p1',
+      '      tasks:',
+      '        - id: t1',
+      '          type: implementation',
+      ''
+    ].join('\n'));
+    tempFiles.push(file);
+    
+    const result = validateTaskFile(file);
+    
+    expect(result.errors.map(e => [e.line, e.path])).to.deep.equal([
+      [5, '$.spec.settings.errorHandling'],
+      [9, '$.spec.phases[0].tasks[0]']
+    ]);
+  });
+  
+  it('should report syntax errors as validation errors', () => {
+    const file = writeTempFile('broken.json', '{\n  "tasks": [\n    { "id": 1, }\n  ]\n}');
+    tempFiles.push(file);
+    
+    const result = validateTaskFile(file);
+    
+    expect(result.valid).to.be.false;
+    expect(result.errors[0].message).to.include('Invalid JSON');
+    expect(result.errors[0].line).to.equal(3);
+  });
+  
+  it('should validate task arrays', () => {
+    const errors = validateTaskDocument([{ type: 'generation' }]);
+    
+    expect(errors).to.have.length(1);
+    expect(errors[0].message).to.equal('missing required property "objective"');
+  });
+});
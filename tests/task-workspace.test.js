@@ -0,0 +1,158 @@
+/**
+ * Task workspace isolation tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const {
+  createTaskWorkspace,
+  captureWorkspacePatch,
+  releaseTaskWorkspace,
+  listTaskWorkspaces,
+  pruneTaskWorkspaces,
+  parseKeepPolicy
+} = require('../src/utils/task-workspace');
+
+describe('Task Workspace', () => {
+  let tempDir;
+  let repoPath;
+  let baseDir;
+
+  const git = (...args) => execFileSync('git', args, { cwd: repoPath, encoding: 'utf8' });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repochief-worktree-'));
+    repoPath = path.join(tempDir, 'repo');
+    baseDir = path.join(tempDir, 'worktrees');
+    fs.mkdirSync(repoPath);
+    git('init', '--quiet');
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'one\n');
+    git('add', '.');
+    git('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '--quiet', '-m', 'init');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const commit = (cwd, message) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '--quiet', '-am', message], { cwd });
+
+  it('should run tasks in a worktree and capture their changes as a patch', async () => {
+    const workspace = await createTaskWorkspace({ id: 'task/1' }, { repoPath, baseDir });
+    expect(workspace).to.include({ type: 'worktree', taskId: 'task/1', status: 'running' });
+    expect(path.basename(workspace.path)).to.match(/^task_1-\d+$/);
+
+    fs.writeFileSync(path.join(workspace.path, 'app.js'), 'two\n');
+    fs.writeFileSync(path.join(workspace.path, 'new.js'), 'added\n');
+    const patch = await captureWorkspacePatch(workspace);
+
+    expect(patch.files).to.deep.equal(['app.js', 'new.js']);
+    expect(patch).to.include({ insertions: 2, deletions: 1, truncated: false });
+    expect(patch.content).to.include('-one').and.to.include('+two').and.to.include('+added');
+    expect(fs.readFileSync(`${workspace.path}.patch`, 'utf8')).to.equal(patch.content);
+    expect(fs.readFileSync(path.join(repoPath, 'app.js'), 'utf8')).to.equal('one\n');
+    expect(git('status', '--porcelain')).to.equal('');
+  });
+
+  it('should include commits the task made in the patch', async () => {
+    const workspace = await createTaskWorkspace({ id: 'committer' }, { repoPath, baseDir });
+    fs.writeFileSync(path.join(workspace.path, 'app.js'), 'two\n');
+    commit(workspace.path, 'task commit');
+
+    const patch = await captureWorkspacePatch(workspace);
+
+    expect(patch.files).to.deep.equal(['app.js']);
+    expect(patch.baseCommit).to.equal(git('rev-parse', 'HEAD').trim());
+  });
+
+  it('should leave oversized patches on disk only', async () => {
+    const workspace = await createTaskWorkspace({ id: 'big' }, { repoPath, baseDir });
+    fs.writeFileSync(path.join(workspace.path, 'app.js'), 'two\n'.repeat(100));
+
+    const patch = await captureWorkspacePatch(workspace, { maxBytes: 64 });
+
+    expect(patch).to.include({ content: null, truncated: true, insertions: 100 });
+    expect(fs.statSync(patch.localPath).size).to.be.above(64);
+  });
+
+  it('should start from the task\'s base ref', async () => {
+    const first = git('rev-parse', 'HEAD').trim();
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'newer\n');
+    commit(repoPath, 'second');
+
+    const workspace = await createTaskWorkspace({ id: 'pinned', baseRef: first }, { repoPath, baseDir });
+
+    expect(workspace.baseCommit).to.equal(first);
+    expect(fs.readFileSync(path.join(workspace.path, 'app.js'), 'utf8')).to.equal('one\n');
+  });
+
+  it('should clone the task\'s repository when it names one', async () => {
+    git('branch', 'feature');
+    const workspace = await createTaskWorkspace({ id: 'remote', repository: repoPath, branch: 'feature' }, { repoPath: tempDir, baseDir });
+
+    expect(workspace).to.include({ type: 'clone', repoPath });
+    expect(fs.readFileSync(path.join(workspace.path, 'app.js'), 'utf8')).to.equal('one\n');
+    expect(git('worktree', 'list')).to.not.include(workspace.path);
+
+    expect(await releaseTaskWorkspace(workspace, 'completed', 'never')).to.equal(false);
+    expect(fs.existsSync(workspace.path)).to.equal(false);
+  });
+
+  it('should refuse to run outside a git repository', async () => {
+    const plainDir = path.join(tempDir, 'plain');
+    fs.mkdirSync(plainDir);
+
+    const error = await createTaskWorkspace({ id: 'x' }, { repoPath: plainDir, baseDir }).catch(failure => failure);
+
+    expect(error).to.be.instanceOf(Error);
+    expect(error.message).to.equal(`${plainDir} is not a git repository (tasks run in a worktree of it; pass --repo)`);
+  });
+
+  it('should remove or keep workspaces by the keep policy', async () => {
+    const release = async (status, keep) => {
+      const workspace = await createTaskWorkspace({ id: `${status}-${keep}` }, { repoPath, baseDir });
+      return [await releaseTaskWorkspace(workspace, status, keep), fs.existsSync(workspace.path)];
+    };
+
+    expect(await release('completed', 'failed')).to.deep.equal([false, false]);
+    expect(await release('failed', 'failed')).to.deep.equal([true, true]);
+    expect(await release('failed', 'never')).to.deep.equal([false, false]);
+    expect(await release('completed', 'always')).to.deep.equal([true, true]);
+    expect(git('worktree', 'list').trim().split('\n')).to.have.length(3);
+    expect(listTaskWorkspaces(baseDir).map(workspace => workspace.status)).to.deep.equal(['failed', 'completed']);
+
+    expect(parseKeepPolicy()).to.equal('failed');
+    expect(() => parseKeepPolicy('sometimes')).to.throw('Invalid worktree policy "sometimes" (expected never, failed, always)');
+  });
+
+  it('should keep failed workspaces until the retention period ends', async () => {
+    const failed = await createTaskWorkspace({ id: 'failed' }, { repoPath, baseDir });
+    const running = await createTaskWorkspace({ id: 'running' }, { repoPath, baseDir });
+    expect(await releaseTaskWorkspace(failed, 'failed', 'failed')).to.equal(true);
+    expect(listTaskWorkspaces(baseDir).map(workspace => workspace.status)).to.deep.equal(['failed', 'running']);
+
+    const later = new Date(Date.now() + 25 * 60 * 60 * 1000);
+    expect(await pruneTaskWorkspaces({ baseDir, now: new Date(), retentionHours: 24 })).to.have.length(0);
+    const removed = await pruneTaskWorkspaces({ baseDir, now: later, retentionHours: 24, runningIds: new Set(['running']) });
+
+    expect(removed.map(workspace => workspace.taskId)).to.deep.equal(['failed']);
+    expect(fs.existsSync(failed.path)).to.equal(false);
+    expect(fs.existsSync(running.path)).to.equal(true);
+  });
+
+  it('should prune workspaces left running by a crashed poller', async () => {
+    const orphan = await createTaskWorkspace({ id: 'orphan' }, { repoPath, baseDir });
+    const later = new Date(Date.now() + 25 * 60 * 60 * 1000);
+
+    const removed = await pruneTaskWorkspaces({ baseDir, now: later, retentionHours: 24 });
+
+    expect(removed.map(workspace => workspace.taskId)).to.deep.equal(['orphan']);
+    expect(fs.existsSync(orphan.path)).to.equal(false);
+    expect(git('worktree', 'list')).to.not.include(orphan.path);
+    expect(await pruneTaskWorkspaces({ baseDir: path.join(tempDir, 'none') })).to.deep.equal([]);
+  });
+});